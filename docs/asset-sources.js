@@ -0,0 +1,214 @@
+/* ================================================================================
+   ASSET SOURCES MODULE
+   Where tracking libraries, WASM and models are loaded from, and an on-page
+   report of assets that failed to load
+
+   Picked with a URL parameter:
+     ?assets=cdn     jsDelivr / unpkg / Google model storage (default)
+     ?assets=local   vendor/ next to the page, for venues without internet
+                     (fill it once with vendor/fetch-assets.sh)
+     ?assets=<url>   any other base URL laid out like vendor/
+
+   vendor/ mirrors the CDN paths:
+     vendor/mediapipe/<package>@<version>/<file>  @mediapipe/pose, hands, selfie_segmentation,
+                                                  tasks-vision (vision_bundle.mjs + wasm/)
+     vendor/mediapipe-models/<model path>         .task models
+     vendor/ml5@<version>/dist/ml5.min.js
+
+   Library versions are pinned in ASSET_VERSIONS, which vendor/fetch-assets.sh
+   also reads, so the CDN and a local copy always serve the same files.
+
+   Failures are collected in assetReport and listed in a panel on the page, so a
+   missing file shows up by name instead of the sketch waiting forever:
+   - <script>/<link> tags that fail (seen through a capturing error listener)
+   - assetReport.check(urls) before a tracker loads its models
+   - assetReport.note(message) for anything else (e.g. a tracker that never starts)
+
+   Note: This file should be loaded BEFORE p5 and every other script in the HTML
+   (it can only see tags that come after it)
+   ================================================================================ */
+
+// Exact library versions (one 'name': 'version' per line: fetch-assets.sh parses this block)
+const ASSET_VERSIONS = {
+  pose: '0.5.1675469404',
+  hands: '0.4.1675469240',
+  selfie_segmentation: '0.1.1675465747',
+  'tasks-vision': '0.10.35',
+  ml5: '1.4.0'
+};
+
+// Base URLs: MediaPipe packages live at <mediapipe>/<package>@<version>/,
+// ml5 at <ml5>/ml5@<version>/dist/ml5.min.js
+const ASSET_SOURCES = {
+  cdn: {
+    mediapipe: 'https://cdn.jsdelivr.net/npm/@mediapipe',
+    models: 'https://storage.googleapis.com/mediapipe-models',
+    ml5: 'https://unpkg.com'
+  },
+  local: {
+    mediapipe: 'vendor/mediapipe',
+    models: 'vendor/mediapipe-models',
+    ml5: 'vendor'
+  }
+};
+
+/**
+ * Resolves the asset source selected by ?assets= (or the one given)
+ * URLs are made absolute so they also work from inside a worker.
+ * @param {string} [name] - 'cdn', 'local' or a base URL (default: ?assets=, else 'cdn')
+ * @returns {Object} { name, mediapipe, models, ml5, packageBase(pkg), locateFile(pkg) }
+ */
+function resolveAssetSource(name) {
+  const requested = name || new URLSearchParams(window.location.search).get('assets') || 'cdn';
+  let source = ASSET_SOURCES[requested];
+  if (!source) {
+    // Custom base URL, laid out like vendor/
+    const base = requested.replace(/\/+$/, '');
+    source = {
+      mediapipe: `${base}/mediapipe`,
+      models: `${base}/mediapipe-models`,
+      ml5: base
+    };
+  }
+
+  const absolute = (url) => new URL(url, window.location.href).href;
+  const resolved = {
+    name: requested,
+    mediapipe: absolute(source.mediapipe),
+    models: absolute(source.models),
+    ml5: absolute(`${source.ml5}/ml5@${ASSET_VERSIONS.ml5}/dist/ml5.min.js`)
+  };
+  // Pinned directory of one MediaPipe package, e.g. packageBase('pose')
+  resolved.packageBase = (pkg) => `${resolved.mediapipe}/${pkg}@${ASSET_VERSIONS[pkg]}`;
+  // MediaPipe solutions' locateFile for one package
+  resolved.locateFile = (pkg) => (file) => `${resolved.packageBase(pkg)}/${file}`;
+  return resolved;
+}
+
+/**
+ * Collects assets that failed to load and lists them in a panel on the page
+ *
+ * Usage:
+ *   assetReport.watch();                          // done below for every page
+ *   const failed = await assetReport.check([url1, url2]);
+ *   assetReport.fail(url, 'HTTP 404');
+ *   assetReport.note('Tracker did not start after 20s');
+ */
+class AssetReport {
+  constructor(options = {}) {
+    this.timeoutMs = options.timeoutMs ?? 10000; // Per check() request
+    this.failures = [];  // [{ url, reason }]
+    this.notes = [];
+    this.panel = null;
+    this.onElementError = (event) => {
+      const el = event.target;
+      if (el === window || !el || !(el.src || el.href)) return;
+      this.fail(el.src || el.href, `<${el.tagName.toLowerCase()}> failed to load`);
+    };
+  }
+
+  /**
+   * Starts recording <script>/<link>/<img> tags that fail to load
+   */
+  watch() {
+    window.addEventListener('error', this.onElementError, true);
+  }
+
+  /**
+   * Checks that assets are reachable (HEAD requests, in parallel)
+   * @param {Array<string>} urls
+   * @returns {Promise<Array<string>>} The URLs that failed (also recorded)
+   */
+  async check(urls) {
+    const results = await Promise.all(urls.map(async (url) => {
+      const abort = new AbortController();
+      const timer = setTimeout(() => abort.abort(), this.timeoutMs);
+      try {
+        const response = await fetch(url, { method: 'HEAD', signal: abort.signal });
+        if (response.ok) return null;
+        this.fail(url, `HTTP ${response.status}`);
+      } catch (err) {
+        this.fail(url, abort.signal.aborted ? `no response after ${this.timeoutMs / 1000}s` : 'unreachable (offline or blocked)');
+      } finally {
+        clearTimeout(timer);
+      }
+      return url;
+    }));
+    return results.filter(Boolean);
+  }
+
+  /**
+   * Records one failed asset
+   * @param {string} url
+   * @param {string} reason
+   */
+  fail(url, reason) {
+    if (this.failures.some(f => f.url === url)) return;
+    this.failures.push({ url, reason });
+    console.error(`[Assets] ${url}: ${reason}`);
+    this.render();
+  }
+
+  /**
+   * Records a problem that is not tied to one file
+   * @param {string} message
+   */
+  note(message) {
+    if (this.notes.includes(message)) return;
+    this.notes.push(message);
+    console.error(`[Assets] ${message}`);
+    this.render();
+  }
+
+  /**
+   * Shows (or refreshes) the report panel
+   */
+  render() {
+    if (!document.body) {
+      document.addEventListener('DOMContentLoaded', () => this.render(), { once: true });
+      return;
+    }
+    if (!this.panel || !this.panel.isConnected) {
+      this.panel = document.createElement('div');
+      this.panel.style.cssText = `
+        position: fixed;
+        bottom: 20px;
+        left: 50%;
+        transform: translateX(-50%);
+        background: rgba(255, 50, 50, 0.95);
+        color: white;
+        padding: 20px 30px;
+        border-radius: 10px;
+        font-family: Arial, sans-serif;
+        font-size: 14px;
+        max-width: 760px;
+        max-height: 60vh;
+        overflow: auto;
+        z-index: 10000;
+        box-shadow: 0 4px 20px rgba(0,0,0,0.5);
+      `;
+      document.body.appendChild(this.panel);
+    }
+
+    const escape = (s) => String(s).replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[c]);
+    const source = typeof ASSET_SOURCE !== 'undefined' ? ASSET_SOURCE.name : 'cdn';
+    const hint = source === 'cdn'
+      ? 'Without internet, serve the assets locally: run <code>vendor/fetch-assets.sh</code> once while online, then open the page with <code>?assets=local</code>.'
+      : `Assets are served from <code>${escape(source)}</code>. Run <code>vendor/fetch-assets.sh</code> to (re)download missing files.`;
+    this.panel.innerHTML = `
+      <h3 style="margin: 0 0 10px 0;">⚠️ Loading problem</h3>
+      <ul style="margin: 0 0 10px 0; padding-left: 20px; word-break: break-all;">
+        ${this.failures.map(f => `<li><code>${escape(f.url)}</code> – ${escape(f.reason)}</li>`).join('')}
+        ${this.notes.map(n => `<li>${escape(n)}</li>`).join('')}
+      </ul>
+      <p style="margin: 0;">
+        ${hint}
+        <a href="#" onclick="this.parentElement.parentElement.remove(); return false;" style="color: white; text-decoration: underline; margin-left: 10px;">Dismiss</a>
+      </p>
+    `;
+  }
+}
+
+const ASSET_SOURCE = resolveAssetSource();
+const assetReport = new AssetReport();
+assetReport.watch();
@@ -0,0 +1,209 @@
+/* ================================================================================
+   AUDIO ANALYSIS MODULE
+   Web Audio AnalyserNode-based loudness, band energy and onset detection
+
+   Feeds music into the visuals alongside body movement. Audio can come from the
+   microphone (live shows) or from a local audio file (offline testing).
+
+   Note: This file should be loaded BEFORE interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+/**
+ * Frequency bands analysed (Hz). Energies are reported per band, normalized 0-1
+ */
+const AUDIO_BANDS = {
+  bass: [20, 250],
+  mid: [250, 2000],
+  treble: [2000, 8000]
+};
+
+/**
+ * Real-time audio analyser
+ *
+ * Usage:
+ *   const audio = new AudioAnalyzer();
+ *   await audio.startMicrophone();   // or audio.startFile(file)
+ *   audio.update(dtSec);             // once per frame
+ *   audio.features.bass, audio.features.onset, ...
+ *
+ * Enhancement suggestions:
+ * - Add tempo (BPM) estimation from the onset history
+ * - Support line-in device selection
+ */
+class AudioAnalyzer {
+  constructor(options = {}) {
+    this.fftSize = options.fftSize || 2048;
+    this.smoothing = options.smoothing ?? 0.6;           // AnalyserNode time smoothing
+    this.onsetSensitivity = options.onsetSensitivity ?? 1.5; // Std-devs above mean flux for an onset
+    this.onsetCooldown = options.onsetCooldown ?? 0.12;  // Minimum seconds between onsets
+    this.beatDecay = options.beatDecay ?? 0.25;          // Seconds for the beat pulse to fall off
+
+    this.ctx = null;
+    this.analyser = null;
+    this.source = null;
+    this.stream = null;      // Microphone MediaStream (if any)
+    this.audioElement = null; // File playback element (if any)
+    this.mode = 'off';       // 'off' | 'mic' | 'file'
+
+    this.freqData = null;
+    this.timeData = null;
+    this.prevSpectrum = null;
+    this.fluxHistory = [];
+    this.timeSinceOnset = Infinity;
+    this.bandPeaks = { bass: 1e-3, mid: 1e-3, treble: 1e-3, loudness: 1e-3 };
+
+    // Latest analysis results (all 0-1 except onset, which is true on the frame it fires)
+    this.features = {
+      loudness: 0,
+      bass: 0,
+      mid: 0,
+      treble: 0,
+      onset: false,
+      beatPulse: 0
+    };
+  }
+
+  /**
+   * Whether audio is currently being analysed
+   * @returns {boolean}
+   */
+  get active() {
+    return this.mode !== 'off';
+  }
+
+  /**
+   * Lazily creates the AudioContext and AnalyserNode (must follow a user gesture)
+   */
+  ensureContext() {
+    if (!this.ctx) {
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      this.ctx = new Ctx();
+      this.analyser = this.ctx.createAnalyser();
+      this.analyser.fftSize = this.fftSize;
+      this.analyser.smoothingTimeConstant = this.smoothing;
+      this.freqData = new Uint8Array(this.analyser.frequencyBinCount);
+      this.timeData = new Float32Array(this.analyser.fftSize);
+      this.prevSpectrum = new Float32Array(this.analyser.frequencyBinCount);
+    }
+    if (this.ctx.state === 'suspended') this.ctx.resume();
+  }
+
+  /**
+   * Starts analysing the microphone (not routed to speakers to avoid feedback)
+   * @returns {Promise<void>}
+   */
+  async startMicrophone() {
+    this.stop();
+    this.ensureContext();
+    this.stream = await navigator.mediaDevices.getUserMedia({
+      audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    });
+    this.source = this.ctx.createMediaStreamSource(this.stream);
+    this.source.connect(this.analyser);
+    this.mode = 'mic';
+    console.log('[Audio] Microphone analysis started');
+  }
+
+  /**
+   * Starts playing and analysing a local audio file (looped)
+   * @param {File|Blob} file - Audio file chosen by the user
+   * @returns {Promise<void>}
+   */
+  async startFile(file) {
+    this.stop();
+    this.ensureContext();
+    this.audioElement = new Audio(URL.createObjectURL(file));
+    this.audioElement.loop = true;
+    this.source = this.ctx.createMediaElementSource(this.audioElement);
+    this.source.connect(this.analyser);
+    this.analyser.connect(this.ctx.destination); // Let the audience hear the file
+    await this.audioElement.play();
+    this.mode = 'file';
+    console.log(`[Audio] Playing ${file.name || 'audio file'}`);
+  }
+
+  /**
+   * Stops the current source and releases the microphone / file
+   */
+  stop() {
+    if (this.source) this.source.disconnect();
+    if (this.analyser) this.analyser.disconnect();
+    if (this.stream) this.stream.getTracks().forEach(t => t.stop());
+    if (this.audioElement) {
+      this.audioElement.pause();
+      URL.revokeObjectURL(this.audioElement.src);
+    }
+    this.source = null;
+    this.stream = null;
+    this.audioElement = null;
+    this.mode = 'off';
+    this.fluxHistory = [];
+    Object.assign(this.features, { loudness: 0, bass: 0, mid: 0, treble: 0, onset: false, beatPulse: 0 });
+  }
+
+  /**
+   * Analyses the current audio frame and updates this.features
+   * @param {number} dtSec - Delta time in seconds since the last update
+   */
+  update(dtSec) {
+    const f = this.features;
+    f.onset = false;
+    if (!this.active) return;
+
+    this.analyser.getByteFrequencyData(this.freqData);
+    this.analyser.getFloatTimeDomainData(this.timeData);
+
+    // --- Loudness (RMS of the waveform) ---
+    let sumSq = 0;
+    for (let i = 0; i < this.timeData.length; i++) sumSq += this.timeData[i] * this.timeData[i];
+    const rms = Math.sqrt(sumSq / this.timeData.length);
+
+    // --- Band energies ---
+    const hzPerBin = this.ctx.sampleRate / this.analyser.fftSize;
+    const raw = {};
+    for (const [band, [lo, hi]] of Object.entries(AUDIO_BANDS)) {
+      const start = Math.max(1, Math.floor(lo / hzPerBin));
+      const end = Math.min(this.freqData.length - 1, Math.ceil(hi / hzPerBin));
+      let sum = 0;
+      for (let i = start; i <= end; i++) sum += this.freqData[i];
+      raw[band] = sum / ((end - start + 1) * 255);
+    }
+    raw.loudness = rms;
+
+    // Auto-gain: normalize against a slowly decaying peak so quiet rooms still react
+    const peakDecay = Math.exp(-dtSec / 8.0);
+    for (const key of Object.keys(this.bandPeaks)) {
+      this.bandPeaks[key] = Math.max(raw[key], this.bandPeaks[key] * peakDecay, 1e-3);
+      const target = Math.min(raw[key] / this.bandPeaks[key], 1);
+      // Fast attack, slower release
+      const tau = target > f[key] ? 0.03 : 0.2;
+      f[key] += (target - f[key]) * (1 - Math.exp(-dtSec / tau));
+    }
+
+    // --- Onset detection (spectral flux against an adaptive threshold) ---
+    let flux = 0;
+    for (let i = 0; i < this.freqData.length; i++) {
+      const mag = this.freqData[i] / 255;
+      const diff = mag - this.prevSpectrum[i];
+      if (diff > 0) flux += diff;
+      this.prevSpectrum[i] = mag;
+    }
+
+    this.fluxHistory.push(flux);
+    if (this.fluxHistory.length > 43) this.fluxHistory.shift(); // ~0.7s at 60fps
+
+    const n = this.fluxHistory.length;
+    const mean = this.fluxHistory.reduce((a, b) => a + b, 0) / n;
+    const variance = this.fluxHistory.reduce((a, b) => a + (b - mean) * (b - mean), 0) / n;
+    const threshold = mean + this.onsetSensitivity * Math.sqrt(variance);
+
+    this.timeSinceOnset += dtSec;
+    if (n > 10 && flux > threshold && flux > 0.5 && this.timeSinceOnset > this.onsetCooldown) {
+      f.onset = true;
+      f.beatPulse = 1;
+      this.timeSinceOnset = 0;
+    } else {
+      f.beatPulse *= Math.exp(-dtSec / this.beatDecay);
+    }
+  }
+}
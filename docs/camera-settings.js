@@ -0,0 +1,339 @@
+/* ================================================================================
+   CAMERA SETTINGS MODULE
+   Camera device, capture resolution / frame rate and image orientation, with a
+   small picker panel
+
+   Orientation turns raw camera coordinates (as the trackers report them) into
+   view coordinates (what the audience sees): rotate clockwise by 0 / 90 / 180 /
+   270 degrees for cameras mounted sideways or upside down, then mirror (on by
+   default, like a mirror; off for rear projection or a camera behind the
+   dancers). Everything that places landmarks, masks or video goes through the
+   same matrix, so they always line up.
+
+   Settings are remembered in localStorage. URL parameters override them for one
+   session: ?camera=<deviceId>&mirror=0|1&rotate=0|90|180|270&resolution=1280x720&fps=30
+   Overrides are never saved; changing a setting in the panel saves only that
+   setting on top of what was stored.
+
+   Note: This file should be loaded BEFORE projection-calibration.js and
+   interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+const CAMERA_STORAGE_KEY = 'smoke-and-mirrors.camera';
+const CAMERA_ROTATIONS = [0, 90, 180, 270];
+const CAMERA_RESOLUTIONS = [[640, 480], [1280, 720], [1280, 960], [1920, 1080]];
+const CAMERA_FRAME_RATES = [15, 24, 30, 60];
+
+/**
+ * Raw camera → view matrix for normalized coordinates (0-1, y down)
+ * @param {boolean} mirror - Flip horizontally (after rotating)
+ * @param {number} rotation - Clockwise degrees: 0, 90, 180 or 270
+ * @returns {Array<number>} Row-major 3x3 affine matrix
+ */
+function cameraOrientationMatrix(mirror, rotation) {
+  const rotations = {
+    0: [1, 0, 0, 0, 1, 0],
+    90: [0, -1, 1, 1, 0, 0],    // (x, y) → (1 - y, x)
+    180: [-1, 0, 1, 0, -1, 1],  // (x, y) → (1 - x, 1 - y)
+    270: [0, 1, 0, -1, 0, 1]    // (x, y) → (y, 1 - x)
+  };
+  const [a, b, c, d, e, f] = rotations[rotation] || rotations[0];
+  return mirror
+    ? [-a, -b, 1 - c, d, e, f, 0, 0, 1]
+    : [a, b, c, d, e, f, 0, 0, 1];
+}
+
+/**
+ * Camera device, capture format and orientation, persisted in localStorage
+ *
+ * Usage:
+ *   const camera = new CameraSettings();
+ *   createPoseTracker(callbacks, { ...camera.constraints(), video });
+ *   calibration.setCameraOrientation(camera.toView);
+ *   camera.viewSize(video.videoWidth, video.videoHeight)
+ *   camera.update({ mirror: false });        // saved; onChange listeners fire
+ */
+class CameraSettings {
+  constructor(options = {}) {
+    this.deviceId = '';        // '' = browser default
+    this.width = options.width ?? 1280;
+    this.height = options.height ?? 960;
+    this.frameRate = options.frameRate ?? 30;
+    this.mirror = true;
+    this.rotation = 0;
+    this.stored = {};          // What localStorage holds (URL overrides are not in it)
+    this.listeners = [];
+    this.load();
+    this.applyUrlParams();
+    this.updateMatrices();
+  }
+
+  load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(CAMERA_STORAGE_KEY));
+      if (saved) this.stored = this.assign(saved);
+    } catch (err) {
+      console.warn('[Camera] Ignoring invalid saved settings:', err);
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(CAMERA_STORAGE_KEY, JSON.stringify(this.stored));
+    } catch (err) {
+      console.warn('[Camera] Could not save settings:', err);
+    }
+  }
+
+  /**
+   * Copies valid fields from a settings object
+   * @param {Object} values - Any of { deviceId, width, height, frameRate, mirror, rotation }
+   * @returns {Object} The fields that were applied (invalid ones are left out)
+   */
+  assign(values) {
+    const applied = {};
+    if (typeof values.deviceId === 'string') applied.deviceId = values.deviceId;
+    if (values.width > 0 && values.height > 0) {
+      applied.width = Math.round(values.width);
+      applied.height = Math.round(values.height);
+    }
+    if (values.frameRate > 0) applied.frameRate = values.frameRate;
+    if (typeof values.mirror === 'boolean') applied.mirror = values.mirror;
+    if (CAMERA_ROTATIONS.includes(values.rotation)) applied.rotation = values.rotation;
+    Object.assign(this, applied);
+    return applied;
+  }
+
+  applyUrlParams() {
+    const params = new URLSearchParams(window.location.search);
+    const values = {};
+    if (params.has('camera')) values.deviceId = params.get('camera');
+    if (params.has('mirror')) values.mirror = params.get('mirror') !== '0';
+    if (params.has('rotate')) values.rotation = parseInt(params.get('rotate'), 10);
+    if (params.has('fps')) values.frameRate = parseFloat(params.get('fps'));
+    const size = (params.get('resolution') || '').match(/^(\d+)x(\d+)$/);
+    if (size) {
+      values.width = parseInt(size[1], 10);
+      values.height = parseInt(size[2], 10);
+    }
+    this.assign(values);
+  }
+
+  updateMatrices() {
+    this.toView = cameraOrientationMatrix(this.mirror, this.rotation); // Raw camera → view
+  }
+
+  /**
+   * Changes settings, saves the changed ones and notifies listeners
+   * @param {Object} values - Any of { deviceId, width, height, frameRate, mirror, rotation }
+   */
+  update(values) {
+    const before = this.constraints();
+    Object.assign(this.stored, this.assign(values));
+    this.updateMatrices();
+    this.save();
+    const after = this.constraints();
+    const deviceChanged = Object.keys(after).some(k => after[k] !== before[k]);
+    for (const listener of this.listeners) listener(this, deviceChanged);
+  }
+
+  /**
+   * @param {Function} listener - (settings, deviceChanged) => void
+   */
+  onChange(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Tracker camera options (see PoseTracker.openCamera)
+   * @returns {{ deviceId: string, width: number, height: number, frameRate: number }}
+   */
+  constraints() {
+    return { deviceId: this.deviceId, width: this.width, height: this.height, frameRate: this.frameRate };
+  }
+
+  /**
+   * Size of a camera frame once oriented (90 / 270 swap width and height)
+   * @param {number} width - Camera frame width
+   * @param {number} height - Camera frame height
+   * @returns {{ width: number, height: number }}
+   */
+  viewSize(width, height) {
+    return this.rotation % 180 ? { width: height, height: width } : { width, height };
+  }
+
+  get label() {
+    return `${this.mirror ? 'mirrored' : 'unmirrored'}${this.rotation ? ` ${this.rotation}°` : ''}`;
+  }
+}
+
+/**
+ * Lists the video input devices (labels are empty until camera permission is granted)
+ * @returns {Promise<Array<MediaDeviceInfo>>}
+ */
+async function listCameras() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+  const devices = await navigator.mediaDevices.enumerateDevices();
+  return devices.filter(d => d.kind === 'videoinput');
+}
+
+/**
+ * Plain DOM picker for the camera settings (device, resolution, frame rate,
+ * mirror, rotation)
+ *
+ * Usage:
+ *   const panel = new CameraPanel(cameraSettings);
+ *   panel.toggle();
+ *   panel.setActual(tracker.camera);   // show what the camera actually delivers
+ */
+class CameraPanel {
+  /**
+   * @param {CameraSettings} settings
+   */
+  constructor(settings) {
+    this.settings = settings;
+    this.visible = false;
+    this.root = this.build();
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => this.refreshDevices());
+    }
+  }
+
+  build() {
+    const root = document.createElement('div');
+    root.style.cssText = `
+      position: fixed;
+      top: 10px;
+      left: 10px;
+      width: 280px;
+      background: rgba(10, 10, 20, 0.9);
+      color: #eee;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      padding: 10px 12px;
+      border-radius: 8px;
+      z-index: 10000;
+      display: none;
+    `;
+    root.addEventListener('keydown', e => e.stopPropagation());
+
+    const heading = document.createElement('div');
+    heading.textContent = 'Camera';
+    heading.style.cssText = 'font-weight: bold; margin-bottom: 6px; color: #9cf;';
+    root.appendChild(heading);
+
+    const addRow = (label, input) => {
+      const row = document.createElement('label');
+      row.style.cssText = 'display: grid; grid-template-columns: 80px 1fr; align-items: center; gap: 4px; margin-bottom: 4px;';
+      const name = document.createElement('span');
+      name.textContent = label;
+      row.append(name, input);
+      root.appendChild(row);
+      return input;
+    };
+    const select = (options, onChange) => {
+      const el = document.createElement('select');
+      for (const [value, text] of options) {
+        const opt = document.createElement('option');
+        opt.value = value;
+        opt.textContent = text;
+        el.appendChild(opt);
+      }
+      el.addEventListener('change', () => onChange(el.value));
+      return el;
+    };
+
+    this.deviceSelect = addRow('Device', select([], value => this.settings.update({ deviceId: value })));
+    this.resolutionSelect = addRow('Resolution', select(
+      CAMERA_RESOLUTIONS.map(([w, h]) => [`${w}x${h}`, `${w}×${h}`]),
+      value => {
+        const [w, h] = value.split('x').map(Number);
+        this.settings.update({ width: w, height: h });
+      }));
+    this.fpsSelect = addRow('Frame rate', select(
+      CAMERA_FRAME_RATES.map(fps => [fps, `${fps} fps`]),
+      value => this.settings.update({ frameRate: Number(value) })));
+    this.rotationSelect = addRow('Rotation', select(
+      CAMERA_ROTATIONS.map(r => [r, `${r}°`]),
+      value => this.settings.update({ rotation: Number(value) })));
+    this.mirrorInput = document.createElement('input');
+    this.mirrorInput.type = 'checkbox';
+    this.mirrorInput.addEventListener('change', () => this.settings.update({ mirror: this.mirrorInput.checked }));
+    addRow('Mirror', this.mirrorInput).style.justifySelf = 'start';
+
+    this.actual = document.createElement('div');
+    this.actual.style.cssText = 'margin-top: 6px; color: #aaa;';
+    root.appendChild(this.actual);
+
+    document.body.appendChild(root);
+    this.refresh();
+    return root;
+  }
+
+  /**
+   * Fills the device list (the remembered device stays selected while unplugged)
+   */
+  async refreshDevices() {
+    let cameras;
+    try {
+      cameras = await listCameras();
+    } catch (err) {
+      console.warn('[Camera] Could not list cameras:', err);
+      cameras = [];
+    }
+    const current = this.settings.deviceId;
+    this.deviceSelect.innerHTML = '';
+    const add = (value, text) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      this.deviceSelect.appendChild(opt);
+    };
+    add('', 'Default camera');
+    cameras.forEach((camera, i) => add(camera.deviceId, camera.label || `Camera ${i + 1}`));
+    if (current && !cameras.some(c => c.deviceId === current)) add(current, 'Remembered camera (not connected)');
+    this.deviceSelect.value = current;
+  }
+
+  /**
+   * Syncs the inputs with the settings
+   */
+  refresh() {
+    const s = this.settings;
+    const size = `${s.width}x${s.height}`;
+    if (![...this.resolutionSelect.options].some(o => o.value === size)) {
+      const opt = document.createElement('option');
+      opt.value = size;
+      opt.textContent = `${s.width}×${s.height}`;
+      this.resolutionSelect.appendChild(opt);
+    }
+    this.resolutionSelect.value = size;
+    const fps = String(s.frameRate);
+    if (![...this.fpsSelect.options].some(o => o.value === fps)) {
+      const opt = document.createElement('option');
+      opt.value = fps;
+      opt.textContent = `${fps} fps`;
+      this.fpsSelect.appendChild(opt);
+    }
+    this.fpsSelect.value = fps;
+    this.rotationSelect.value = String(s.rotation);
+    this.mirrorInput.checked = s.mirror;
+    this.refreshDevices();
+  }
+
+  /**
+   * Shows what the camera delivers (may differ from the request)
+   * @param {Object|null} camera - { label, width, height, frameRate } from the tracker
+   */
+  setActual(camera) {
+    this.actual.textContent = camera
+      ? `Delivering ${camera.width}×${camera.height}${camera.frameRate ? ` @ ${Math.round(camera.frameRate)} fps` : ''}`
+      : 'Camera not open';
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    this.root.style.display = this.visible ? 'block' : 'none';
+    if (this.visible) this.refresh();
+  }
+}
@@ -0,0 +1,105 @@
+/* ================================================================================
+   COLOR MAPPING MODULE
+   Speed → HSB palette with perceptual easing and time-constant smoothing
+
+   Pipeline per frame:
+   1. Speed × gain → t (0-1), optionally biased (e.g. by audio loudness)
+   2. Gamma + quintic ease-out so small movements already show color
+   3. While idle, t snaps back toward 0
+   4. Targets interpolated between the idle and active palette ends
+   5. Current color glides toward the targets (faster return when idle)
+
+   Note: This file should be loaded BEFORE any sketch script in the HTML
+   ================================================================================ */
+
+/**
+ * Interpolates between two hue values using shortest path around color wheel
+ * @param {number} h1 - Start hue (0-360)
+ * @param {number} h2 - End hue (0-360)
+ * @param {number} a - Interpolation amount (0-1)
+ * @returns {number} Interpolated hue
+ */
+function lerpHue(h1, h2, a) {
+  let dh = ((h2 - h1 + 540) % 360) - 180;
+  return (h1 + dh * constrain(a, 0, 1) + 360) % 360;
+}
+
+/**
+ * Quintic ease-out function for smooth, natural motion
+ * @param {number} x - Input value (0-1)
+ * @returns {number} Eased value (0-1)
+ */
+function easeOutQuint(x) {
+  x = constrain(x, 0, 1);
+  return 1 - pow(1 - x, 5);
+}
+
+/**
+ * Maps body speed onto a two-ended HSB palette (default: yellow idle → red fast)
+ *
+ * Usage:
+ *   const colors = new SpeedColorMap();
+ *   colors.update(speed.lp2, speed.idle, dtSec);   // once per frame
+ *   background(colors.hue, colors.sat, colors.bri);
+ */
+class SpeedColorMap {
+  constructor(options = {}) {
+    // Palette ends
+    this.idleHue = options.idleHue ?? 57;         // Idle/slow movement hue (bright yellow)
+    this.activeHue = options.activeHue ?? 5;      // Fast movement hue (deep red)
+    this.satMin = options.satMin ?? 85;
+    this.satMax = options.satMax ?? 98;
+    this.briMin = options.briMin ?? 90;
+    this.briMax = options.briMax ?? 100;
+
+    // Response curve
+    this.gain = options.gain ?? 3.0;              // Speed amplification (doubled internally for visibility)
+    this.gamma = options.gamma ?? 0.82;
+
+    // Transitions (seconds)
+    this.activeTau = options.activeTau ?? 0.80;   // Hue glide while moving
+    this.idleTau = options.idleTau ?? 0.35;       // Hue glide back when idle
+    this.satBriTau = options.satBriTau ?? 0.40;   // Saturation/brightness glide
+    this.snapTau = options.snapTau ?? 0.40;       // How quickly t collapses when idle
+    this.updateEvery = options.updateEvery ?? 2;  // Glide every N frames (reduces flicker)
+
+    this.t = 0;                                   // Linear speed value (0-1), for HUDs
+    this.hue = this.idleHue;
+    this.sat = this.satMin;
+    this.bri = this.briMin;
+    this.frame = 0;
+  }
+
+  /**
+   * Advances the palette by one frame
+   * @param {number} speed - Smoothed speed (SpeedTracker.lp2)
+   * @param {boolean} idle - Idle flag (SpeedTracker.idle)
+   * @param {number} dtSec - Delta time in seconds
+   * @param {number} [bias] - Added to t before easing (e.g. audio loudness)
+   */
+  update(speed, idle, dtSec, bias = 0) {
+    this.t = constrain(speed * this.gain * 2.0 + bias, 0, 1);
+    let tColor = easeOutQuint(pow(this.t, this.gamma));
+
+    // Quick snap back to the idle color when stopped
+    if (idle) {
+      const snap = 1.0 - Math.exp(-dtSec / this.snapTau);
+      tColor = lerp(tColor, 0, snap);
+    }
+
+    const hueTarget = lerpHue(this.idleHue, this.activeHue, tColor);
+    const satTarget = lerp(this.satMin, this.satMax, tColor);
+    const briTarget = lerp(this.briMin, this.briMax, tColor);
+
+    // Time-constant smoothing for natural color transitions
+    this.frame++;
+    if (this.frame % this.updateEvery === 0) {
+      const aHue = 1.0 - Math.exp(-dtSec / Math.max(1e-3, idle ? this.idleTau : this.activeTau));
+      const aSB = 1.0 - Math.exp(-dtSec / Math.max(1e-3, this.satBriTau));
+
+      this.hue = lerpHue(this.hue, hueTarget, aHue);
+      this.sat = lerp(this.sat, satTarget, aSB);
+      this.bri = lerp(this.bri, briTarget, aSB);
+    }
+  }
+}
@@ -48,6 +48,8 @@ function hsbToRgb(h, s, b) {
  * Initializes the WebGL fluid simulation canvas and context
  * @param {number} width - Canvas width in pixels
  * @param {number} height - Canvas height in pixels
+ * @param {Object} config - Fluid config (SIM_RESOLUTION, DYE_RESOLUTION, ...)
+ * @param {Object} [options] - FluidSimulation options (e.g. { snapshotInterval: 5000 })
  * @returns {{canvas: HTMLCanvasElement, gl: WebGLRenderingContext, sim: FluidSimulation}|null}
  *
  * Enhancement suggestions:
@@ -56,7 +58,7 @@ function hsbToRgb(h, s, b) {
  * - Add performance profiling to auto-adjust quality settings
  * - Support custom shader injection for advanced effects
  */
-function initFluidSimulation(width, height, config) {
+function initFluidSimulation(width, height, config, options = {}) {
   // Create a separate canvas for WebGL fluid
   const fluidCanvas = document.createElement('canvas');
   fluidCanvas.width = width;
@@ -113,28 +115,12 @@ function initFluidSimulation(width, height, config) {
     return null;
   }
 
-  // Set up context loss handlers
-  fluidCanvas.addEventListener('webglcontextlost', (event) => {
-    event.preventDefault();
-    console.error('[Fluid] WebGL context lost! Fluid simulation disabled.');
-  }, false);
-
-  fluidCanvas.addEventListener('webglcontextrestored', () => {
-    console.log('[Fluid] WebGL context restored');
-  }, false);
-
-  // Enable extensions for floating point textures
-  const ext1 = gl.getExtension('EXT_color_buffer_float');
-  const ext2 = gl.getExtension('OES_texture_float_linear');
-
-  // Log extension support (useful for debugging)
-  if (!ext1) console.warn('[Fluid] Float color buffers not supported');
-  if (!ext2) console.warn('[Fluid] Linear float filtering not supported');
+  // Float texture extensions and context loss / restore are handled by FluidSimulation
 
   // Wrap FluidSimulation creation in try-catch
   let fluidSim;
   try {
-    fluidSim = new FluidSimulation(gl, fluidCanvas.width, fluidCanvas.height, config);
+    fluidSim = new FluidSimulation(gl, fluidCanvas.width, fluidCanvas.height, config, options);
     console.log('[Fluid] Simulation initialized successfully');
   } catch (err) {
     console.error('[Fluid] Failed to create FluidSimulation:', err.message);
@@ -197,6 +183,13 @@ function injectSplat(fluidSim, x, y, dx, dy, color, radius, force) {
   );
 }
 
+// Saved fluid state (FluidSimulation.saveState / loadState):
+// uint32 header length (little-endian), JSON header, padding to 4 bytes, then
+// the RGBA data of each field in header order (float32, or uint8 from WebGL1)
+const FLUID_STATE_FORMAT = 'smoke-and-mirrors.fluid';
+const FLUID_STATE_VERSION = 1;
+const FLUID_STATE_FIELDS = ['density', 'velocity'];
+
 /* ================================================================================
    FLUID SIMULATION CLASS
 
@@ -208,8 +201,37 @@ function injectSplat(fluidSim, x, y, dx, dy, color, radius, force) {
 /**
  * Main fluid simulation class that manages WebGL state and shader programs
  *
+ * Obstacles:
+ * - setObstacles(canvas) uploads a mask (alpha = solid) each frame. Masked cells act
+ *   as solid boundaries in the advection, divergence, pressure and gradient passes,
+ *   moving with the mask (boundary velocity is estimated from mask motion).
+ * - setObstacles(texture) takes a mask already on the GPU in this context (e.g.
+ *   SilhouetteCompositor.maskTexture) without a CPU round trip.
+ *
+ * Ambient forces (read from config every frame, strength 0 = off):
+ * - FLOW_FIELD_STRENGTH / _SCALE / _SPEED: animated value-noise flow field
+ * - BOUNDARY_FORCE_STRENGTH / _WIDTH: inward push near the canvas edges
+ *
+ * Resizing:
+ * - resize(width, height) reallocates every field for a new output size and
+ *   resamples the current dye and velocity into it (no restart, no flash)
+ * - applyResolution() does the same after SIM_RESOLUTION / DYE_RESOLUTION change
+ *
+ * Context loss (driver reset, GPU switch, too many contexts):
+ * - While the context is lost every method is a no-op (isContextValid() is false)
+ * - On restore, programs, fields and buffers are rebuilt at the current size and
+ *   onContextRestored() listeners run (e.g. SilhouetteCompositor rebuilds itself)
+ * - options.snapshotInterval > 0 keeps a CPU copy of dye and velocity that often
+ *   (readPixels, so it costs a GPU sync); the fluid restarts from it instead of empty
+ * - simulateContextLoss() forces a loss / restore cycle for testing
+ *
+ * State:
+ * - pause() / resume() freeze the fluid (still drawn); step() advances one frame
+ * - saveState() packs dye + velocity into a Blob, loadState(blob) brings it back
+ *   (any grid size; it is resampled)
+ * - seedDye(image) paints an image into the dye, e.g. a prepared composition
+ *
  * Enhancement suggestions:
- * - Add obstacles/collision detection for interactive boundaries
  * - Support external force fields (gravity, wind, magnetic)
  * - Add particle system integration for hybrid effects
  * - Support 3D fluid simulation using WebGL2 3D textures
@@ -217,7 +239,15 @@ function injectSplat(fluidSim, x, y, dx, dy, color, radius, force) {
  * - Support multiple fluid types with different viscosities
  */
 class FluidSimulation {
-  constructor(gl, width, height, config) {
+  /**
+   * @param {WebGLRenderingContext} gl - Context of the fluid canvas
+   * @param {number} width - Output width in pixels
+   * @param {number} height - Output height in pixels
+   * @param {Object} config - Fluid config (read live, see FLUID_CONFIG)
+   * @param {Object} [options]
+   * @param {number} [options.snapshotInterval] - ms between CPU snapshots of dye + velocity (0 = off)
+   */
+  constructor(gl, width, height, config, options = {}) {
     // Validate WebGL context
     if (!gl) {
       throw new Error('FluidSimulation: WebGL context is null or undefined');
@@ -232,10 +262,34 @@ class FluidSimulation {
     this.width = width;
     this.height = height;
     this.config = config;
+    this.snapshotInterval = options.snapshotInterval ?? 0;
+    this.snapshot = null;        // { time, density, velocity } from takeSnapshot()
+    this.contextLost = false;
+    this.restoreListeners = [];
+    this.paused = false;         // pause() / resume()
+
+    this.createResources();
+
+    this.lastTime = performance.now();
+    this.flowFieldTime = 0;
+    this.lastSnapshotTime = this.lastTime;
+    this.watchContext();
+  }
+
+  /**
+   * Creates every GPU resource (programs, fields, obstacle textures, quad) for
+   * the current size and config. Used at construction and after a context restore.
+   */
+  createResources() {
+    const gl = this.gl;
+
+    // Float textures (extensions have to be enabled again on a restored context)
+    if (!gl.getExtension('EXT_color_buffer_float')) console.warn('[Fluid] Float color buffers not supported');
+    if (!gl.getExtension('OES_texture_float_linear')) console.warn('[Fluid] Linear float filtering not supported');
 
     // Calculate simulation resolution
-    const simRes = this.getResolution(config.SIM_RESOLUTION);
-    const dyeRes = this.getResolution(config.DYE_RESOLUTION);
+    const simRes = this.getResolution(this.config.SIM_RESOLUTION);
+    const dyeRes = this.getResolution(this.config.DYE_RESOLUTION);
 
     this.simWidth = simRes.width;
     this.simHeight = simRes.height;
@@ -256,14 +310,87 @@ class FluidSimulation {
       this.pressure = this.createDoubleFBO(this.simWidth, this.simHeight, gl.R, gl.FLOAT);
       this.divergence = this.createFBO(this.simWidth, this.simHeight, gl.R, gl.FLOAT);
       this.curl = this.createFBO(this.simWidth, this.simHeight, gl.R, gl.FLOAT);
+      this.obstacleVelocity = this.createFBO(this.simWidth, this.simHeight, gl.RG, gl.FLOAT);
     } catch (err) {
       throw new Error(`FluidSimulation: Failed to create framebuffers: ${err.message}`);
     }
 
+    // Obstacle mask textures (current + previous upload, for boundary velocity).
+    // Canvas uploads alternate between the two owned textures; GPU masks are
+    // referenced in place (see setObstacles)
+    this.obstacleTextures = [this.createMaskTexture(), this.createMaskTexture()];
+    this.obstacleCurrent = this.obstacleTextures[0];
+    this.obstaclePrevious = this.obstacleTextures[1];
+    this.hasObstacles = false;
+    this.lastObstacleTime = 0;
+
     // Create fullscreen quad for rendering
     this.quadBuffer = this.createQuadBuffer();
+  }
+
+  /**
+   * Listens for context loss / restore on the canvas behind the context
+   */
+  watchContext() {
+    const canvas = this.gl.canvas;
+    if (!canvas || !canvas.addEventListener) return;
+
+    this.onContextLost = (event) => {
+      event.preventDefault(); // Without this the browser never restores the context
+      this.contextLost = true;
+      console.error('[Fluid] WebGL context lost - fluid paused until the browser restores it');
+    };
+    this.onContextRestoredEvent = () => this.restore();
+    canvas.addEventListener('webglcontextlost', this.onContextLost, false);
+    canvas.addEventListener('webglcontextrestored', this.onContextRestoredEvent, false);
+  }
 
+  /**
+   * Rebuilds everything on a restored context, from the last snapshot if there is one
+   * Every old GL object died with the context, so nothing is freed here.
+   */
+  restore() {
+    console.log('[Fluid] WebGL context restored - rebuilding');
+    this.contextLost = false;
+    try {
+      this.createResources();
+    } catch (err) {
+      this.contextLost = true;
+      console.error('[Fluid] Could not rebuild after context restore:', err.message);
+      return;
+    }
+    if (this.snapshot) {
+      this.loadSnapshot(this.snapshot);
+      console.log(`[Fluid] Restored dye and velocity from a snapshot ${((performance.now() - this.snapshot.time) / 1000).toFixed(1)}s old`);
+    }
     this.lastTime = performance.now();
+    for (const listener of this.restoreListeners) listener(this);
+  }
+
+  /**
+   * Runs a listener after each context restore (once this simulation is rebuilt)
+   * @param {Function} listener - (fluidSim) => void
+   * @returns {Function} Call to remove the listener
+   */
+  onContextRestored(listener) {
+    this.restoreListeners.push(listener);
+    return () => {
+      this.restoreListeners = this.restoreListeners.filter(l => l !== listener);
+    };
+  }
+
+  /**
+   * Loses the context on purpose and restores it after a delay (testing aid,
+   * e.g. fluidSim.simulateContextLoss() from the console)
+   * @param {number} [restoreAfter] - ms before restoring
+   * @returns {boolean} False if WEBGL_lose_context isn't available
+   */
+  simulateContextLoss(restoreAfter = 1000) {
+    const ext = this.gl.getExtension('WEBGL_lose_context');
+    if (!ext) return false;
+    ext.loseContext();
+    setTimeout(() => ext.restoreContext(), restoreAfter);
+    return true;
   }
 
   /**
@@ -339,23 +466,41 @@ class FluidSimulation {
       }
     `;
 
+    // Solid fraction of a cell from the obstacle mask (alpha channel)
+    const obstacleFn = `
+      uniform sampler2D uObstacle;
+      uniform float obstacleStrength;
+
+      float solid(vec2 uv) {
+        return obstacleStrength * smoothstep(0.2, 0.8, texture2D(uObstacle, uv).a);
+      }
+    `;
+
     // Advection shader: Moves quantities along the velocity field
+    // Inside obstacles the quantity is replaced by the obstacle's own value
+    // (body velocity for the velocity field, nothing for dye)
     const advectionShader = `
       precision highp float;
       varying vec2 vUv;
       uniform sampler2D uVelocity;
       uniform sampler2D uSource;
+      uniform sampler2D uObstacleVelocity;
       uniform vec2 texelSize;
       uniform float dt;
       uniform float dissipation;
+      uniform float obstacleVelocityMix;
+      ${obstacleFn}
 
       void main() {
         vec2 coord = vUv - dt * texture2D(uVelocity, vUv).xy * texelSize;
-        gl_FragColor = dissipation * texture2D(uSource, coord);
+        vec4 result = dissipation * texture2D(uSource, coord);
+        vec4 inside = vec4(texture2D(uObstacleVelocity, vUv).xy * obstacleVelocityMix, 0.0, 0.0);
+        gl_FragColor = mix(result, inside, solid(vUv));
       }
     `;
 
     // Divergence shader: Calculates divergence of velocity field
+    // Solid neighbours contribute the obstacle's velocity instead of the fluid's
     const divergenceShader = `
       precision highp float;
       varying vec2 vUv;
@@ -364,12 +509,14 @@ class FluidSimulation {
       varying vec2 vT;
       varying vec2 vB;
       uniform sampler2D uVelocity;
+      uniform sampler2D uObstacleVelocity;
+      ${obstacleFn}
 
       void main() {
-        float L = texture2D(uVelocity, vL).x;
-        float R = texture2D(uVelocity, vR).x;
-        float T = texture2D(uVelocity, vT).y;
-        float B = texture2D(uVelocity, vB).y;
+        float L = mix(texture2D(uVelocity, vL).x, texture2D(uObstacleVelocity, vL).x, solid(vL));
+        float R = mix(texture2D(uVelocity, vR).x, texture2D(uObstacleVelocity, vR).x, solid(vR));
+        float T = mix(texture2D(uVelocity, vT).y, texture2D(uObstacleVelocity, vT).y, solid(vT));
+        float B = mix(texture2D(uVelocity, vB).y, texture2D(uObstacleVelocity, vB).y, solid(vB));
         float div = 0.5 * (R - L + T - B);
         gl_FragColor = vec4(div, 0.0, 0.0, 1.0);
       }
@@ -426,6 +573,7 @@ class FluidSimulation {
     `;
 
     // Pressure shader: Iteratively solves for pressure to enforce incompressibility
+    // Solid neighbours mirror the centre pressure (no flow through the boundary)
     const pressureShader = `
       precision highp float;
       varying vec2 vUv;
@@ -435,13 +583,14 @@ class FluidSimulation {
       varying vec2 vB;
       uniform sampler2D uPressure;
       uniform sampler2D uDivergence;
+      ${obstacleFn}
 
       void main() {
-        float L = texture2D(uPressure, vL).x;
-        float R = texture2D(uPressure, vR).x;
-        float T = texture2D(uPressure, vT).x;
-        float B = texture2D(uPressure, vB).x;
         float C = texture2D(uPressure, vUv).x;
+        float L = mix(texture2D(uPressure, vL).x, C, solid(vL));
+        float R = mix(texture2D(uPressure, vR).x, C, solid(vR));
+        float T = mix(texture2D(uPressure, vT).x, C, solid(vT));
+        float B = mix(texture2D(uPressure, vB).x, C, solid(vB));
         float divergence = texture2D(uDivergence, vUv).x;
         float pressure = (L + R + B + T - divergence) * 0.25;
         gl_FragColor = vec4(pressure, 0.0, 0.0, 1.0);
@@ -449,6 +598,7 @@ class FluidSimulation {
     `;
 
     // Gradient subtract shader: Removes pressure gradient from velocity to make it divergence-free
+    // Solid cells take the obstacle's velocity
     const gradientSubtractShader = `
       precision highp float;
       varying vec2 vUv;
@@ -458,18 +608,106 @@ class FluidSimulation {
       varying vec2 vB;
       uniform sampler2D uPressure;
       uniform sampler2D uVelocity;
+      uniform sampler2D uObstacleVelocity;
+      ${obstacleFn}
 
       void main() {
-        float L = texture2D(uPressure, vL).x;
-        float R = texture2D(uPressure, vR).x;
-        float T = texture2D(uPressure, vT).x;
-        float B = texture2D(uPressure, vB).x;
+        float C = texture2D(uPressure, vUv).x;
+        float L = mix(texture2D(uPressure, vL).x, C, solid(vL));
+        float R = mix(texture2D(uPressure, vR).x, C, solid(vR));
+        float T = mix(texture2D(uPressure, vT).x, C, solid(vT));
+        float B = mix(texture2D(uPressure, vB).x, C, solid(vB));
         vec2 velocity = texture2D(uVelocity, vUv).xy;
         velocity.xy -= vec2(R - L, T - B);
+        velocity = mix(velocity, texture2D(uObstacleVelocity, vUv).xy, solid(vUv));
         gl_FragColor = vec4(velocity, 0.0, 1.0);
       }
     `;
 
+    // Force shader: Ambient flow field + edge containment, applied as accelerations
+    // Strengths are per-frame impulses at 60fps (dt * 60) so values match the old splat-based forces
+    const forceShader = `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uVelocity;
+      uniform vec2 resolution;
+      uniform float dt;
+      uniform float flowStrength;
+      uniform float flowScale;
+      uniform float flowTime;
+      uniform float boundaryStrength;
+      uniform float boundaryWidth;
+
+      float hash(vec3 p) {
+        p = fract(p * 0.3183099 + 0.1);
+        p *= 17.0;
+        return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+      }
+
+      // Smooth 3D value noise (0-1)
+      float noise(vec3 x) {
+        vec3 i = floor(x);
+        vec3 f = fract(x);
+        f = f * f * (3.0 - 2.0 * f);
+        return mix(mix(mix(hash(i + vec3(0, 0, 0)), hash(i + vec3(1, 0, 0)), f.x),
+                       mix(hash(i + vec3(0, 1, 0)), hash(i + vec3(1, 1, 0)), f.x), f.y),
+                   mix(mix(hash(i + vec3(0, 0, 1)), hash(i + vec3(1, 0, 1)), f.x),
+                       mix(hash(i + vec3(0, 1, 1)), hash(i + vec3(1, 1, 1)), f.x), f.y), f.z);
+      }
+
+      void main() {
+        vec2 force = vec2(0.0);
+
+        if (flowStrength > 0.0) {
+          // Two octaves, like p5's noise() defaults; pixel-space coordinates so
+          // flowScale means the same as it did on the CPU
+          vec3 p = vec3(vUv * resolution * flowScale, flowTime);
+          float n = 0.5 * noise(p) + 0.25 * noise(p * 2.0 + 17.0);
+          float angle = n / 0.75 * 6.2831853;
+          force += flowStrength * vec2(cos(angle), -sin(angle));
+        }
+
+        if (boundaryStrength > 0.0 && boundaryWidth > 0.0) {
+          // Linear falloff from each edge to the inner edge of the boundary zone
+          vec2 nearLow = clamp(1.0 - vUv / boundaryWidth, 0.0, 1.0);
+          vec2 nearHigh = clamp(1.0 - (1.0 - vUv) / boundaryWidth, 0.0, 1.0);
+          force += boundaryStrength * (nearLow - nearHigh);
+        }
+
+        vec2 vel = texture2D(uVelocity, vUv).xy;
+        gl_FragColor = vec4(vel + force * dt * 60.0, 0.0, 1.0);
+      }
+    `;
+
+    // Obstacle velocity shader: Estimates how the mask boundary is moving
+    // Normal flow from the mask's change over time: v = -dM/dt * grad(M) / |grad(M)|^2
+    const obstacleVelocityShader = `
+      precision highp float;
+      varying vec2 vUv;
+      varying vec2 vL;
+      varying vec2 vR;
+      varying vec2 vT;
+      varying vec2 vB;
+      uniform sampler2D uObstacle;
+      uniform sampler2D uObstaclePrevious;
+      uniform float dt;
+      uniform float maxSpeed;
+
+      void main() {
+        float current = texture2D(uObstacle, vUv).a;
+        float previous = texture2D(uObstaclePrevious, vUv).a;
+        vec2 grad = 0.5 * vec2(
+          texture2D(uObstacle, vR).a - texture2D(uObstacle, vL).a,
+          texture2D(uObstacle, vT).a - texture2D(uObstacle, vB).a
+        );
+        float dMdt = (current - previous) / dt;
+        vec2 v = -dMdt * grad / (dot(grad, grad) + 0.001);
+        float len = length(v);
+        if (len > maxSpeed) v *= maxSpeed / len;
+        gl_FragColor = vec4(v, 0.0, 1.0);
+      }
+    `;
+
     // Display shader: Renders the final fluid with proper alpha blending
     const displayShader = `
       precision highp float;
@@ -483,6 +721,35 @@ class FluidSimulation {
       }
     `;
 
+    // Resample shader: Copies a field into a differently sized FBO (bilinear),
+    // scaling the values on the way (velocity is stored in grid texels)
+    const resampleShader = `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform vec4 scale;
+
+      void main() {
+        gl_FragColor = scale * texture2D(uTexture, vUv);
+      }
+    `;
+
+    // Seed shader: Paints an image into the dye (keep = 0 replaces it, 1 adds to it)
+    const seedShader = `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uTarget;
+      uniform sampler2D uImage;
+      uniform float intensity;
+      uniform float keep;
+
+      void main() {
+        vec4 image = texture2D(uImage, vUv);
+        vec3 base = keep * texture2D(uTarget, vUv).rgb;
+        gl_FragColor = vec4(base + intensity * image.rgb * image.a, 1.0);
+      }
+    `;
+
     // Clear shader: Gradually fades the simulation (dissipation)
     const clearShader = `
       precision highp float;
@@ -504,7 +771,11 @@ class FluidSimulation {
       pressure: this.createProgram(vertexShader, pressureShader),
       gradientSubtract: this.createProgram(vertexShader, gradientSubtractShader),
       display: this.createProgram(vertexShader, displayShader),
-      clear: this.createProgram(vertexShader, clearShader)
+      clear: this.createProgram(vertexShader, clearShader),
+      resample: this.createProgram(vertexShader, resampleShader),
+      seed: this.createProgram(vertexShader, seedShader),
+      obstacleVelocity: this.createProgram(vertexShader, obstacleVelocityShader),
+      forces: this.createProgram(vertexShader, forceShader)
     };
   }
 
@@ -529,6 +800,9 @@ class FluidSimulation {
     gl.attachShader(program, vertexShader);
     gl.attachShader(program, fragmentShader);
     gl.linkProgram(program);
+    // Flagged for deletion; they go with the program (see destroy())
+    gl.deleteShader(vertexShader);
+    gl.deleteShader(fragmentShader);
 
     return {
       program,
@@ -631,6 +905,36 @@ class FluidSimulation {
     };
   }
 
+  /**
+   * Creates an 8-bit RGBA texture for uploading obstacle masks from a canvas
+   * Starts as a single transparent texel (no obstacles)
+   * @returns {WebGLTexture}
+   */
+  createMaskTexture() {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4));
+    return texture;
+  }
+
+  /**
+   * Binds a plain texture to a texture unit
+   * @param {WebGLTexture} texture
+   * @param {number} id - Texture unit index
+   * @returns {number} The unit index (for gl.uniform1i)
+   */
+  bindTexture(texture, id) {
+    const gl = this.gl;
+    gl.activeTexture(gl.TEXTURE0 + id);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    return id;
+  }
+
   /**
    * Creates a double-buffered FBO for ping-pong rendering
    * Double buffering allows reading from one buffer while writing to another
@@ -661,6 +965,43 @@ class FluidSimulation {
     };
   }
 
+  /**
+   * Frees an FBO's framebuffer and texture
+   * @param {Object} fbo - FBO from createFBO()
+   */
+  deleteFBO(fbo) {
+    const gl = this.gl;
+    gl.deleteFramebuffer(fbo.fbo);
+    gl.deleteTexture(fbo.texture);
+  }
+
+  /**
+   * Reallocates a double FBO at a new size and carries its contents over
+   * The old buffers are freed
+   * @param {Object} target - Double FBO from createDoubleFBO()
+   * @param {number} w - New width
+   * @param {number} h - New height
+   * @param {number} internalFormat - Internal format
+   * @param {number} format - Format type
+   * @param {Array<number>} scale - Per-channel multiplier applied while copying
+   * @returns {Object} The new double FBO
+   */
+  resampleDoubleFBO(target, w, h, internalFormat, format, scale) {
+    const gl = this.gl;
+    const next = this.createDoubleFBO(w, h, internalFormat, format);
+
+    const prog = this.programs.resample;
+    gl.useProgram(prog.program);
+    gl.uniform1i(prog.uniforms.uTexture, target.read.attach(0));
+    gl.uniform4f(prog.uniforms.scale, scale[0], scale[1], scale[2], scale[3]);
+    this.blit(next.write);
+    next.swap();
+
+    this.deleteFBO(target.read);
+    this.deleteFBO(target.write);
+    return next;
+  }
+
   /**
    * Creates a fullscreen quad vertex buffer for rendering
    * @returns {WebGLBuffer} Buffer containing quad vertices
@@ -670,7 +1011,8 @@ class FluidSimulation {
     const buffer = gl.createBuffer();
     gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
     gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, -1, 1, 1, 1, 1, -1]), gl.STATIC_DRAW);
-    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, gl.createBuffer());
+    this.indexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.indexBuffer);
     gl.bufferData(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array([0, 1, 2, 0, 2, 3]), gl.STATIC_DRAW);
     return buffer;
   }
@@ -732,12 +1074,201 @@ class FluidSimulation {
     this.density.swap();
   }
 
+  /**
+   * Adds the ambient flow field and boundary containment forces to the velocity field
+   * Both run in a single pass; skipped entirely when both strengths are 0
+   * @param {number} dt - Time step in seconds
+   */
+  applyForces(dt) {
+    const flowStrength = this.config.FLOW_FIELD_STRENGTH || 0;
+    const boundaryStrength = this.config.BOUNDARY_FORCE_STRENGTH || 0;
+
+    // Frame-based speed (as on the CPU) converted to time-based
+    this.flowFieldTime += (this.config.FLOW_FIELD_SPEED || 0) * dt * 60;
+
+    if (flowStrength <= 0 && boundaryStrength <= 0) return;
+
+    const gl = this.gl;
+    const prog = this.programs.forces;
+    gl.useProgram(prog.program);
+    gl.uniform2f(prog.uniforms.texelSize, this.velocity.texelSizeX, this.velocity.texelSizeY);
+    gl.uniform1i(prog.uniforms.uVelocity, this.velocity.read.attach(0));
+    gl.uniform2f(prog.uniforms.resolution, this.width, this.height);
+    gl.uniform1f(prog.uniforms.dt, dt);
+    gl.uniform1f(prog.uniforms.flowStrength, flowStrength);
+    gl.uniform1f(prog.uniforms.flowScale, this.config.FLOW_FIELD_SCALE || 0.003);
+    gl.uniform1f(prog.uniforms.flowTime, this.flowFieldTime);
+    gl.uniform1f(prog.uniforms.boundaryStrength, boundaryStrength);
+    gl.uniform1f(prog.uniforms.boundaryWidth, this.config.BOUNDARY_FORCE_WIDTH || 0);
+    this.blit(this.velocity.write);
+    this.velocity.swap();
+  }
+
+  /**
+   * Uploads a new obstacle mask. Call whenever the mask changes (not every frame
+   * if the source updates slower than the render loop), so boundary velocity is
+   * estimated over the real interval between masks.
+   * @param {HTMLCanvasElement|ImageBitmap|WebGLTexture} source - Mask in fluid space
+   *   (alpha = solid). Images use a top-left origin like the rest of the page;
+   *   a texture from this context is used as is (GL y-up) and must stay intact
+   *   until the next call, so producers should alternate between two textures
+   */
+  setObstacles(source) {
+    if (!this.isContextValid()) return;
+    const gl = this.gl;
+
+    const now = performance.now();
+    const dt = this.hasObstacles
+      ? Math.min(Math.max((now - this.lastObstacleTime) / 1000, 1 / 120), 0.1)
+      : 0.1;
+    this.lastObstacleTime = now;
+
+    // Keep the previous mask for the velocity estimate
+    this.obstaclePrevious = this.obstacleCurrent;
+
+    if (source instanceof WebGLTexture) {
+      this.obstacleCurrent = source;
+    } else {
+      // Upload into whichever owned texture isn't holding the previous mask
+      this.obstacleCurrent = this.obstacleTextures[0] === this.obstaclePrevious
+        ? this.obstacleTextures[1]
+        : this.obstacleTextures[0];
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, this.obstacleCurrent);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true); // Page space is y-down, GL is y-up
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+      gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    }
+
+    if (!this.hasObstacles) {
+      // First mask: no motion history yet
+      this.hasObstacles = true;
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.obstacleVelocity.fbo);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      return;
+    }
+
+    const prog = this.programs.obstacleVelocity;
+    gl.useProgram(prog.program);
+    gl.uniform2f(prog.uniforms.texelSize, 1.0 / this.simWidth, 1.0 / this.simHeight);
+    gl.uniform1i(prog.uniforms.uObstacle, this.bindTexture(this.obstacleCurrent, 0));
+    gl.uniform1i(prog.uniforms.uObstaclePrevious, this.bindTexture(this.obstaclePrevious, 1));
+    gl.uniform1f(prog.uniforms.dt, dt);
+    gl.uniform1f(prog.uniforms.maxSpeed, Math.max(this.simWidth, this.simHeight) * 2.0);
+    this.blit(this.obstacleVelocity);
+  }
+
+  /**
+   * Removes all obstacles (fluid flows freely again)
+   */
+  clearObstacles() {
+    if (!this.isContextValid() || !this.hasObstacles) return;
+    const gl = this.gl;
+    for (const texture of this.obstacleTextures) {
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 1, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, new Uint8Array(4));
+    }
+    // Drop any external (GPU) mask reference
+    this.obstacleCurrent = this.obstacleTextures[0];
+    this.obstaclePrevious = this.obstacleTextures[1];
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.obstacleVelocity.fbo);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+    this.hasObstacles = false;
+  }
+
+  /**
+   * Binds the obstacle mask + velocity for a program that declares them
+   * Uses texture units 2 and 3 (0 and 1 are taken by the simulation fields)
+   * @param {Object} prog - Program from createPrograms()
+   */
+  bindObstacles(prog) {
+    const gl = this.gl;
+    const strength = this.config.OBSTACLE_STRENGTH ?? 1.0;
+    gl.uniform1i(prog.uniforms.uObstacle, this.bindTexture(this.obstacleCurrent, 2));
+    gl.uniform1f(prog.uniforms.obstacleStrength, this.hasObstacles ? strength : 0.0);
+    if (prog.uniforms.uObstacleVelocity) {
+      gl.uniform1i(prog.uniforms.uObstacleVelocity, this.obstacleVelocity.attach(3));
+    }
+  }
+
+  /**
+   * Changes the output size (and the canvas behind the context) without
+   * restarting the simulation: dye, velocity and pressure are resampled into
+   * the new grids, so whatever is on screen stretches to the new shape
+   * @param {number} width - New output width in pixels
+   * @param {number} height - New output height in pixels
+   * @returns {boolean} True if the size changed
+   */
+  resize(width, height) {
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+    if (width === this.width && height === this.height) return false;
+    if (!this.isContextValid()) return false;
+
+    const gl = this.gl;
+    this.width = width;
+    this.height = height;
+    if (gl.canvas) {
+      gl.canvas.width = width;
+      gl.canvas.height = height;
+    }
+    this.applyResolution();
+    return true;
+  }
+
+  /**
+   * Brings the grids in line with config.SIM_RESOLUTION / DYE_RESOLUTION
+   * (call after changing them), resampling the current state like resize()
+   * @returns {boolean} True if any grid was reallocated
+   */
+  applyResolution() {
+    if (!this.isContextValid()) return false;
+    const gl = this.gl;
+    let changed = false;
+
+    const simRes = this.getResolution(this.config.SIM_RESOLUTION);
+    const dyeRes = this.getResolution(this.config.DYE_RESOLUTION);
+
+    if (dyeRes.width !== this.dyeWidth || dyeRes.height !== this.dyeHeight) {
+      this.density = this.resampleDoubleFBO(this.density, dyeRes.width, dyeRes.height,
+        gl.RGBA, gl.FLOAT, [1, 1, 1, 1]);
+      this.dyeWidth = dyeRes.width;
+      this.dyeHeight = dyeRes.height;
+      changed = true;
+    }
+
+    if (simRes.width !== this.simWidth || simRes.height !== this.simHeight) {
+      // Velocity is measured in grid texels per second, so it scales with the grid
+      const sx = simRes.width / this.simWidth;
+      const sy = simRes.height / this.simHeight;
+      this.velocity = this.resampleDoubleFBO(this.velocity, simRes.width, simRes.height,
+        gl.RG, gl.FLOAT, [sx, sy, 0, 0]);
+      this.pressure = this.resampleDoubleFBO(this.pressure, simRes.width, simRes.height,
+        gl.R, gl.FLOAT, [1, 0, 0, 0]);
+
+      // Per-step scratch fields are rebuilt from scratch
+      for (const name of ['divergence', 'curl']) {
+        this.deleteFBO(this[name]);
+        this[name] = this.createFBO(simRes.width, simRes.height, gl.R, gl.FLOAT);
+      }
+      this.deleteFBO(this.obstacleVelocity);
+      this.obstacleVelocity = this.createFBO(simRes.width, simRes.height, gl.RG, gl.FLOAT);
+
+      this.simWidth = simRes.width;
+      this.simHeight = simRes.height;
+      changed = true;
+    }
+    return changed;
+  }
+
   /**
    * Checks if the WebGL context is still valid
    * @returns {boolean} True if context is valid, false otherwise
    */
   isContextValid() {
-    if (!this.gl) return false;
+    if (!this.gl || this.contextLost) return false;
     if (this.gl.isContextLost && this.gl.isContextLost()) return false;
     return true;
   }
@@ -745,27 +1276,73 @@ class FluidSimulation {
   /**
    * Updates the fluid simulation by one time step
    * Performs the full Navier-Stokes solve: advection, diffusion, pressure projection
+   * @param {number} [maxDt] - Longest time step in seconds (raise it when updates are skipped)
+   * @param {boolean} [display] - Draw the dye to the canvas afterwards (false when
+   *   something else composites it, e.g. SilhouetteCompositor)
+   *
+   * While paused (pause()) only the display part runs.
    *
    * Enhancement suggestions:
    * - Add variable time stepping for better stability
-   * - Support simulation pause/resume
-   * - Add simulation state saving/loading
    * - Implement multi-grid solver for faster pressure solve
    * - Add turbulence noise for more chaotic motion
    */
-  update() {
-    // Check context validity before each update
-    if (!this.isContextValid()) {
-      console.error('[Fluid] WebGL context lost during update');
-      return; // Skip update
-    }
+  update(maxDt = 0.016666, display = true) {
+    // Context lost: skip (logged once by the lost handler, rebuilt on restore)
+    if (!this.isContextValid()) return;
 
-    const gl = this.gl;
     const now = performance.now();
     let dt = (now - this.lastTime) / 1000;
-    dt = Math.min(dt, 0.016666); // Cap at ~60fps
+    dt = Math.min(dt, maxDt); // Cap at ~60fps by default
     this.lastTime = now;
 
+    if (!this.paused) {
+      // Periodic CPU copy for context-loss recovery
+      if (this.snapshotInterval > 0 && now - this.lastSnapshotTime >= this.snapshotInterval) {
+        this.lastSnapshotTime = now;
+        this.snapshot = this.takeSnapshot();
+      }
+      this.simulate(dt);
+    }
+
+    // Display the final result
+    if (display) this.render();
+  }
+
+  /**
+   * Holds the fluid still: update() keeps drawing it but no longer advances it
+   * (splats still land in the frozen fields)
+   */
+  pause() {
+    this.paused = true;
+  }
+
+  /**
+   * Continues after pause() without a jump in time
+   */
+  resume() {
+    this.paused = false;
+    this.lastTime = performance.now();
+  }
+
+  /**
+   * Advances exactly one time step, paused or not (frame-by-frame stepping)
+   * @param {number} [dt] - Time step in seconds
+   * @param {boolean} [display] - Draw the dye to the canvas afterwards
+   */
+  step(dt = 1 / 60, display = true) {
+    if (!this.isContextValid()) return;
+    this.simulate(dt);
+    if (display) this.render();
+  }
+
+  /**
+   * One Navier-Stokes step (no display)
+   * @param {number} dt - Time step in seconds
+   */
+  simulate(dt) {
+    const gl = this.gl;
+
     // Step 1: Calculate curl (vorticity) of velocity field
     gl.useProgram(this.programs.curl.program);
     gl.uniform2f(this.programs.curl.uniforms.texelSize, this.velocity.texelSizeX, this.velocity.texelSizeY);
@@ -782,10 +1359,14 @@ class FluidSimulation {
     this.blit(this.velocity.write);
     this.velocity.swap();
 
+    // Step 2b: Ambient forces (flow field + boundary containment)
+    this.applyForces(dt);
+
     // Step 3: Calculate divergence of velocity field
     gl.useProgram(this.programs.divergence.program);
     gl.uniform2f(this.programs.divergence.uniforms.texelSize, this.velocity.texelSizeX, this.velocity.texelSizeY);
     gl.uniform1i(this.programs.divergence.uniforms.uVelocity, this.velocity.read.attach(0));
+    this.bindObstacles(this.programs.divergence);
     this.blit(this.divergence);
 
     // Step 4: Clear/fade pressure from previous frame
@@ -799,6 +1380,7 @@ class FluidSimulation {
     gl.useProgram(this.programs.pressure.program);
     gl.uniform2f(this.programs.pressure.uniforms.texelSize, this.velocity.texelSizeX, this.velocity.texelSizeY);
     gl.uniform1i(this.programs.pressure.uniforms.uDivergence, this.divergence.attach(0));
+    this.bindObstacles(this.programs.pressure);
     for (let i = 0; i < this.config.PRESSURE_ITERATIONS; i++) {
       gl.uniform1i(this.programs.pressure.uniforms.uPressure, this.pressure.read.attach(1));
       this.blit(this.pressure.write);
@@ -810,6 +1392,7 @@ class FluidSimulation {
     gl.uniform2f(this.programs.gradientSubtract.uniforms.texelSize, this.velocity.texelSizeX, this.velocity.texelSizeY);
     gl.uniform1i(this.programs.gradientSubtract.uniforms.uPressure, this.pressure.read.attach(0));
     gl.uniform1i(this.programs.gradientSubtract.uniforms.uVelocity, this.velocity.read.attach(1));
+    this.bindObstacles(this.programs.gradientSubtract);
     this.blit(this.velocity.write);
     this.velocity.swap();
 
@@ -820,6 +1403,8 @@ class FluidSimulation {
     gl.uniform1i(this.programs.advection.uniforms.uSource, this.velocity.read.attach(0));
     gl.uniform1f(this.programs.advection.uniforms.dt, dt);
     gl.uniform1f(this.programs.advection.uniforms.dissipation, this.config.VELOCITY_DISSIPATION);
+    gl.uniform1f(this.programs.advection.uniforms.obstacleVelocityMix, 1.0);
+    this.bindObstacles(this.programs.advection);
     this.blit(this.velocity.write);
     this.velocity.swap();
 
@@ -828,25 +1413,239 @@ class FluidSimulation {
     gl.uniform1i(this.programs.advection.uniforms.uVelocity, this.velocity.read.attach(0));
     gl.uniform1i(this.programs.advection.uniforms.uSource, this.density.read.attach(1));
     gl.uniform1f(this.programs.advection.uniforms.dissipation, this.config.DENSITY_DISSIPATION);
+    gl.uniform1f(this.programs.advection.uniforms.obstacleVelocityMix, 0.0);
     this.blit(this.density.write);
     this.density.swap();
+  }
 
-    // Step 9: Display the final result
+  /**
+   * Draws the current dye field to the canvas without advancing the simulation
+   * (used directly while the sim is frozen)
+   */
+  render() {
+    if (!this.isContextValid()) return;
+    const gl = this.gl;
     gl.useProgram(this.programs.display.program);
     gl.uniform1i(this.programs.display.uniforms.uTexture, this.density.read.attach(0));
     this.blit(null);
   }
 
   /**
-   * Cleans up WebGL resources
-   *
-   * Enhancement suggestions:
-   * - Add resource pooling to avoid allocation overhead
-   * - Implement automatic cleanup on context loss
+   * Clears all dye, velocity and pressure (obstacles are kept)
+   */
+  clear() {
+    if (!this.isContextValid()) return;
+    const gl = this.gl;
+    gl.clearColor(0, 0, 0, 0);
+    for (const fbo of [this.density.read, this.density.write, this.velocity.read, this.velocity.write,
+      this.pressure.read, this.pressure.write]) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.fbo);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+  }
+
+  /**
+   * Reads one field back to the CPU
+   * WebGL2 fields are half float and read as RGBA floats; WebGL1 fields are
+   * 8-bit and read as RGBA bytes.
+   * @param {Object} fbo - FBO from createFBO()
+   * @returns {{width: number, height: number, data: Float32Array|Uint8Array}}
+   */
+  readField(fbo) {
+    const gl = this.gl;
+    const float = gl instanceof WebGL2RenderingContext;
+    const data = float
+      ? new Float32Array(fbo.width * fbo.height * 4)
+      : new Uint8Array(fbo.width * fbo.height * 4);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.fbo);
+    gl.readPixels(0, 0, fbo.width, fbo.height, gl.RGBA, float ? gl.FLOAT : gl.UNSIGNED_BYTE, data);
+    return { width: fbo.width, height: fbo.height, data };
+  }
+
+  /**
+   * Uploads a field read with readField() into a double FBO, resampling it if
+   * the grid size has changed since
+   * @param {Object} target - Double FBO from createDoubleFBO()
+   * @param {Object} field - { width, height, data } from readField()
+   * @param {Array<number>} scale - Per-channel multiplier (velocity scales with the grid)
+   */
+  writeField(target, field, scale) {
+    const gl = this.gl;
+    // Fields saved from the other context type are converted (8-bit is 0-1)
+    const float = gl instanceof WebGL2RenderingContext;
+    let data = field.data;
+    if (float && data instanceof Uint8Array) {
+      data = Float32Array.from(data, v => v / 255);
+    } else if (!float && data instanceof Float32Array) {
+      data = Uint8Array.from(data, v => Math.min(Math.max(v * 255, 0), 255));
+    }
+
+    const texture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+    if (float) {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA16F, field.width, field.height, 0, gl.RGBA, gl.FLOAT, data);
+    } else {
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, field.width, field.height, 0, gl.RGBA, gl.UNSIGNED_BYTE, data);
+    }
+
+    const prog = this.programs.resample;
+    gl.useProgram(prog.program);
+    gl.uniform1i(prog.uniforms.uTexture, this.bindTexture(texture, 0));
+    gl.uniform4f(prog.uniforms.scale, scale[0], scale[1], scale[2], scale[3]);
+    this.blit(target.write);
+    target.swap();
+    gl.deleteTexture(texture);
+  }
+
+  /**
+   * Copies dye and velocity to the CPU (a GPU sync - not every frame)
+   * @returns {{time: number, density: Object, velocity: Object}|null} Null while the context is lost
+   */
+  takeSnapshot() {
+    if (!this.isContextValid()) return null;
+    return {
+      time: performance.now(),
+      density: this.readField(this.density.read),
+      velocity: this.readField(this.velocity.read)
+    };
+  }
+
+  /**
+   * Replaces dye and velocity with a snapshot (pressure starts over)
+   * @param {Object} snapshot - From takeSnapshot()
+   */
+  loadSnapshot(snapshot) {
+    if (!this.isContextValid() || !snapshot) return;
+    const sx = this.simWidth / snapshot.velocity.width;
+    const sy = this.simHeight / snapshot.velocity.height;
+    this.writeField(this.density, snapshot.density, [1, 1, 1, 1]);
+    this.writeField(this.velocity, snapshot.velocity, [sx, sy, 0, 0]);
+  }
+
+  /**
+   * Packs the dye and velocity into a file (see FLUID_STATE_FORMAT)
+   * @returns {Blob|null} Null while the context is lost
+   */
+  saveState() {
+    const snapshot = this.takeSnapshot();
+    if (!snapshot) return null;
+    const header = JSON.stringify({
+      format: FLUID_STATE_FORMAT,
+      version: FLUID_STATE_VERSION,
+      width: this.width,
+      height: this.height,
+      type: snapshot.density.data instanceof Float32Array ? 'float32' : 'uint8',
+      fields: FLUID_STATE_FIELDS.map(name => ({
+        name,
+        width: snapshot[name].width,
+        height: snapshot[name].height
+      }))
+    });
+    const headerBytes = new TextEncoder().encode(header);
+    const prefix = new Uint8Array(4 + Math.ceil(headerBytes.length / 4) * 4); // Keeps the float data aligned
+    new DataView(prefix.buffer).setUint32(0, headerBytes.length, true);
+    prefix.set(headerBytes, 4);
+    return new Blob([prefix, ...FLUID_STATE_FIELDS.map(name => snapshot[name].data)],
+      { type: 'application/octet-stream' });
+  }
+
+  /**
+   * Replaces dye and velocity with a file from saveState(), resampled to the
+   * current grids
+   * @param {Blob|ArrayBuffer} source
+   * @returns {Promise<void>} Rejects if the file isn't a fluid state
+   */
+  async loadState(source) {
+    const buffer = source instanceof ArrayBuffer ? source : await source.arrayBuffer();
+    const view = new DataView(buffer);
+    const headerLength = buffer.byteLength >= 4 ? view.getUint32(0, true) : 0;
+    let header = null;
+    try {
+      header = JSON.parse(new TextDecoder().decode(new Uint8Array(buffer, 4, headerLength)));
+    } catch (err) {
+      // Reported below
+    }
+    if (!header || header.format !== FLUID_STATE_FORMAT) {
+      throw new Error('Not a fluid state file');
+    }
+    if (header.version > FLUID_STATE_VERSION) {
+      throw new Error(`Fluid state version ${header.version} is newer than this sketch (${FLUID_STATE_VERSION})`);
+    }
+
+    const ArrayType = header.type === 'float32' ? Float32Array : Uint8Array;
+    const snapshot = { time: performance.now() };
+    let offset = 4 + Math.ceil(headerLength / 4) * 4;
+    for (const field of header.fields) {
+      const length = field.width * field.height * 4;
+      if (offset + length * ArrayType.BYTES_PER_ELEMENT > buffer.byteLength) {
+        throw new Error(`Fluid state file is truncated (${field.name})`);
+      }
+      snapshot[field.name] = { width: field.width, height: field.height, data: new ArrayType(buffer, offset, length) };
+      offset += length * ArrayType.BYTES_PER_ELEMENT;
+    }
+    if (!snapshot.density || !snapshot.velocity) throw new Error('Fluid state file is missing fields');
+    this.loadSnapshot(snapshot);
+  }
+
+  /**
+   * Paints an image into the dye, stretched over the whole fluid area
+   * (bright = dense dye, transparent = none)
+   * @param {CanvasImageSource} image - Image, canvas, ImageBitmap or video frame
+   * @param {Object} [options]
+   * @param {string} [options.mode] - 'replace' (default) clears the dye first, 'add' paints over it
+   * @param {number} [options.intensity] - Dye multiplier (default 1)
+   */
+  seedDye(image, options = {}) {
+    if (!this.isContextValid()) return;
+    const gl = this.gl;
+    const texture = this.createMaskTexture();
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true); // Page space is y-down, GL is y-up
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, image);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+
+    const prog = this.programs.seed;
+    gl.useProgram(prog.program);
+    gl.uniform1i(prog.uniforms.uTarget, this.density.read.attach(0));
+    gl.uniform1i(prog.uniforms.uImage, this.bindTexture(texture, 1));
+    gl.uniform1f(prog.uniforms.intensity, options.intensity ?? 1.0);
+    gl.uniform1f(prog.uniforms.keep, options.mode === 'add' ? 1.0 : 0.0);
+    this.blit(this.density.write);
+    this.density.swap();
+    gl.deleteTexture(texture);
+  }
+
+  /**
+   * Frees every GPU resource and stops listening for context events
+   * The context and its canvas belong to the caller (see initFluidSimulation).
    */
   destroy() {
     const gl = this.gl;
-    // Clean up framebuffers, textures, and programs
-    // (Implementation depends on specific cleanup needs)
+    const canvas = gl && gl.canvas;
+    if (canvas && this.onContextLost) {
+      canvas.removeEventListener('webglcontextlost', this.onContextLost, false);
+      canvas.removeEventListener('webglcontextrestored', this.onContextRestoredEvent, false);
+    }
+    this.restoreListeners = [];
+    this.snapshot = null;
+
+    // Objects of a lost context are already gone
+    if (this.isContextValid()) {
+      for (const field of [this.density, this.velocity, this.pressure]) {
+        this.deleteFBO(field.read);
+        this.deleteFBO(field.write);
+      }
+      for (const fbo of [this.divergence, this.curl, this.obstacleVelocity]) this.deleteFBO(fbo);
+      for (const texture of this.obstacleTextures) gl.deleteTexture(texture);
+      for (const prog of Object.values(this.programs)) gl.deleteProgram(prog.program);
+      gl.deleteBuffer(this.quadBuffer);
+      gl.deleteBuffer(this.indexBuffer);
+    }
+    this.contextLost = true; // Every later call is a no-op
   }
 }
@@ -0,0 +1,208 @@
+/* ================================================================================
+   HAND GESTURE RECOGNIZER MODULE
+   Classifies MediaPipe Hands landmarks into named gestures and emits events
+
+   Static gestures (per hand): open_palm, fist, pinch, point, peace
+   Two-hand gesture:           clap
+
+   Classification is scale-invariant (distances are relative to palm size), so it
+   works the same close to and far from the camera. A gesture must be held for a
+   few consecutive results before it fires, and each gesture has a cooldown, so a
+   dancer passing through a hand shape mid-movement does not trigger it.
+
+   Note: This file should be loaded BEFORE interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+/**
+ * MediaPipe Hands landmark indices used for classification
+ */
+const HAND_LANDMARKS = {
+  WRIST: 0,
+  THUMB_IP: 3, THUMB_TIP: 4,
+  INDEX_MCP: 5, INDEX_PIP: 6, INDEX_TIP: 8,
+  MIDDLE_MCP: 9, MIDDLE_PIP: 10, MIDDLE_TIP: 12,
+  RING_PIP: 14, RING_TIP: 16,
+  PINKY_MCP: 17, PINKY_PIP: 18, PINKY_TIP: 20
+};
+
+const GESTURE_NAMES = ['open_palm', 'fist', 'pinch', 'point', 'peace', 'clap'];
+
+/**
+ * Distance between two landmarks (normalized image space)
+ */
+function landmarkDist(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+/**
+ * Recognizes hand gestures and emits named events
+ *
+ * Usage:
+ *   const gestures = new GestureRecognizer();
+ *   gestures.on('fist', (e) => clearFluid());
+ *   gestures.update(results.multiHandLandmarks, results.multiHandedness); // per Hands result
+ *
+ * Event payload: { gesture, hand ('left' | 'right' | 'both'), x, y } with x/y the
+ * normalized position of the gesture, in the same frame as the landmarks passed in
+ *
+ * Enhancement suggestions:
+ * - Dynamic gestures (swipe, circle) from the palm trajectory
+ * - Per-dancer gesture ownership when several people are on stage
+ */
+class GestureRecognizer {
+  constructor(options = {}) {
+    this.holdFrames = options.holdFrames ?? 4;        // Consecutive results a gesture must persist
+    this.cooldownMs = options.cooldownMs ?? 1000;     // Minimum time between events of the same gesture
+    this.pinchRatio = options.pinchRatio ?? 0.3;      // Thumb-index distance / palm size for a pinch
+    this.extendRatio = options.extendRatio ?? 1.15;   // Tip must be this much further from the wrist than the PIP
+    this.clapRatio = options.clapRatio ?? 1.2;        // Palm-to-palm distance / palm size to count as touching
+    this.clapReleaseRatio = options.clapReleaseRatio ?? 2.5; // Hands must separate this far to re-arm the clap
+
+    this.listeners = {};
+    this.hands = {};          // handKey -> { candidate, count, active }
+    this.lastFired = {};      // gesture -> timestamp
+    this.clapArmed = false;
+    this.current = {};        // handKey -> recognized (held) gesture, for HUD display
+  }
+
+  /**
+   * Subscribes to a gesture event ('*' receives every gesture)
+   * @param {string} gesture - One of GESTURE_NAMES or '*'
+   * @param {Function} callback - Called with the event payload
+   */
+  on(gesture, callback) {
+    (this.listeners[gesture] = this.listeners[gesture] || []).push(callback);
+  }
+
+  emit(event, now) {
+    if (now - (this.lastFired[event.gesture] ?? -Infinity) < this.cooldownMs) return;
+    this.lastFired[event.gesture] = now;
+    for (const cb of this.listeners[event.gesture] || []) cb(event);
+    for (const cb of this.listeners['*'] || []) cb(event);
+  }
+
+  /**
+   * Palm size used to normalize distances (wrist to middle-finger knuckle)
+   */
+  palmSize(lm) {
+    return Math.max(landmarkDist(lm[HAND_LANDMARKS.WRIST], lm[HAND_LANDMARKS.MIDDLE_MCP]), 1e-4);
+  }
+
+  /**
+   * Palm center (average of wrist and the index/pinky knuckles)
+   */
+  palmCenter(lm) {
+    const w = lm[HAND_LANDMARKS.WRIST], i = lm[HAND_LANDMARKS.INDEX_MCP], p = lm[HAND_LANDMARKS.PINKY_MCP];
+    return { x: (w.x + i.x + p.x) / 3, y: (w.y + i.y + p.y) / 3 };
+  }
+
+  /**
+   * Which fingers are extended
+   * @param {Array} lm - 21 hand landmarks
+   * @returns {{thumb: boolean, index: boolean, middle: boolean, ring: boolean, pinky: boolean}}
+   */
+  fingerStates(lm) {
+    const H = HAND_LANDMARKS;
+    const wrist = lm[H.WRIST];
+    const extended = (tip, pip) => landmarkDist(lm[tip], wrist) > landmarkDist(lm[pip], wrist) * this.extendRatio;
+    return {
+      // The thumb folds across the palm, so compare against the pinky knuckle instead of the wrist
+      thumb: landmarkDist(lm[H.THUMB_TIP], lm[H.PINKY_MCP]) > landmarkDist(lm[H.THUMB_IP], lm[H.PINKY_MCP]) * 1.05,
+      index: extended(H.INDEX_TIP, H.INDEX_PIP),
+      middle: extended(H.MIDDLE_TIP, H.MIDDLE_PIP),
+      ring: extended(H.RING_TIP, H.RING_PIP),
+      pinky: extended(H.PINKY_TIP, H.PINKY_PIP)
+    };
+  }
+
+  /**
+   * Classifies a single hand's static gesture
+   * @param {Array} lm - 21 hand landmarks
+   * @returns {string|null} Gesture name or null if no gesture matches
+   */
+  classify(lm) {
+    const H = HAND_LANDMARKS;
+    const f = this.fingerStates(lm);
+    const palm = this.palmSize(lm);
+
+    // Pinch first: the other fingers can be in any state
+    if (landmarkDist(lm[H.THUMB_TIP], lm[H.INDEX_TIP]) / palm < this.pinchRatio) return 'pinch';
+
+    const others = f.ring || f.pinky;
+    if (f.index && f.middle && f.ring && f.pinky) return 'open_palm';
+    if (!f.index && !f.middle && !f.ring && !f.pinky) return 'fist';
+    if (f.index && !f.middle && !others) return 'point';
+    if (f.index && f.middle && !others) return 'peace';
+    return null;
+  }
+
+  /**
+   * Feeds one Hands result. Call once per result (not per render frame), since
+   * the hold count is measured in results.
+   * @param {Array} multiHandLandmarks - From Hands results
+   * @param {Array} [multiHandedness] - From Hands results
+   * @param {number} [now] - Timestamp in ms (defaults to performance.now())
+   */
+  update(multiHandLandmarks, multiHandedness = [], now = performance.now()) {
+    const seen = new Set();
+    const hands = multiHandLandmarks || [];
+
+    hands.forEach((lm, i) => {
+      if (!lm || lm.length < 21) return;
+      let handKey = (multiHandedness[i]?.label || `hand${i}`).toLowerCase();
+      if (seen.has(handKey)) handKey = `${handKey}${i}`; // Same label twice (two dancers)
+      seen.add(handKey);
+
+      const state = this.hands[handKey] || (this.hands[handKey] = { candidate: null, count: 0, active: null });
+      const gesture = this.classify(lm);
+
+      if (gesture === state.candidate) {
+        state.count++;
+      } else {
+        state.candidate = gesture;
+        state.count = 1;
+      }
+
+      // Fire once when the gesture has been held long enough
+      if (gesture && state.count === this.holdFrames && state.active !== gesture) {
+        state.active = gesture;
+        const c = this.palmCenter(lm);
+        this.emit({ gesture, hand: handKey, x: c.x, y: c.y }, now);
+      } else if (state.count >= this.holdFrames) {
+        state.active = gesture;
+      }
+      this.current[handKey] = state.active;
+    });
+
+    // Forget hands that left the frame
+    for (const key of Object.keys(this.hands)) {
+      if (!seen.has(key)) {
+        delete this.hands[key];
+        delete this.current[key];
+      }
+    }
+
+    this.updateClap(hands, now);
+  }
+
+  /**
+   * Two-hand clap: palms come together after having been apart
+   */
+  updateClap(hands, now) {
+    if (hands.length < 2 || !hands[0] || !hands[1]) {
+      this.clapArmed = false;
+      return;
+    }
+    const a = this.palmCenter(hands[0]);
+    const b = this.palmCenter(hands[1]);
+    const palm = (this.palmSize(hands[0]) + this.palmSize(hands[1])) / 2;
+    const ratio = Math.hypot(a.x - b.x, a.y - b.y) / palm;
+
+    if (ratio > this.clapReleaseRatio) {
+      this.clapArmed = true;
+    } else if (this.clapArmed && ratio < this.clapRatio) {
+      this.clapArmed = false;
+      this.emit({ gesture: 'clap', hand: 'both', x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 }, now);
+    }
+  }
+}
@@ -17,9 +17,10 @@
  *
  * Dependencies:
  * - p5.js (canvas rendering)
- * - ml5.js bodyPose (BlazePose model)
- * - ml5.js bodySegmentation (SelfieSegmentation)
+ * - tracking-backends.js (ml5 bodyPose + bodySegmentation by default, or
+ *   MediaPipe / a recorded session via ?tracker=)
  * - fluid-simulation.js (WebGL fluid dynamics module - must be loaded first)
+ * - Shared core: pose-tracking.js, keypoint-smoothing.js, motion-metrics.js, color-mapping.js
  *
  * Enhancement suggestions:
  * - Add gesture recognition for interactive controls
@@ -35,12 +36,11 @@
    GLOBAL VARIABLES
    =============================================================================== */
 
-// Video and ML5 models
+// Video and tracking backend
 let video;
-let bodyPose, bodySegmentation;
+let tracker;
 let poses = [];
-let connections = [];
-let segmentation = null;
+let segmentationMask = null; // Latest tracker mask (opaque = person)
 
 /* ---------- Visual Configuration ---------- */
 const SHOW_MASKED_VIDEO = true; // Whether to show segmented video
@@ -51,48 +51,26 @@ const RENDER_HEIGHT = 720;
 let renderOffsetX = 0;  // Calculated in setup
 let renderOffsetY = 0;
 
-/* ---------- Color Palette (Yellow → Red) ----------
+/* ---------- Speed → Color (Yellow idle → Red fast) ----------
+   Shared core: motion-metrics.js (velocity + smoothing), color-mapping.js (palette)
    Enhancement suggestions:
    - Add more color schemes (cool colors, rainbow, etc.)
-   - Support custom color palettes from user input
-   - Add color transitions based on different emotions/gestures
-*/
-const RED_HUE   = 5;    // Fast movement hue (deep red)
-const YEL_HUE   = 57;   // Idle/slow movement hue (bright yellow)
-const SAT_MIN   = 85, SAT_MAX = 98; // Saturation range
-const BRI_MIN   = 90, BRI_MAX = 100; // Brightness range
-
-/* ---------- Motion Tracking Parameters ----------
-   Enhancement suggestions:
-   - Make these adjustable via UI sliders
    - Add presets for different sensitivity levels
    - Implement auto-calibration based on user movement patterns
 */
-const SMOOTH_SPEED_1  = 0.48;  // First-level speed smoothing (higher = less smooth)
-const SMOOTH_SPEED_2  = 0.28;  // Second-level speed smoothing
-const MOTION_DEADZONE = 0.080; // Minimum motion threshold
-const SPEED_GAIN      = 3.0;   // Speed amplification factor
-
-/* ---------- Color Transition Parameters ---------- */
-const ACTIVE_TAU_SEC  = 0.80; // Time constant when moving (slower transition)
-const IDLE_TAU_SEC    = 0.35; // Time constant when idle (faster snap back)
-const SATBRI_TAU_SEC  = 0.40; // Time constant for saturation/brightness
-const IDLE_ENTER      = 0.010; // Speed threshold to enter idle state
-const IDLE_EXIT       = 0.020; // Speed threshold to exit idle state
+const velocityMeter = new BodyVelocityMeter();
+const speedTracker = new SpeedTracker({ deadzone: 0.080 });
+const speedColors = new SpeedColorMap({ idleHue: 57, activeHue: 5, gain: 3.0 });
 
 /* ---------- Runtime State ---------- */
-let spdRaw = 0, spdLP1 = 0, spdLP2 = 0; // Speed values (raw, smoothed 1, smoothed 2)
-let isIdle = true; // Idle state flag
 let showDebug = true; // Show debug HUD
 let showSkeleton = true; // Show skeleton overlay
 let showFluid = true; // Show fluid simulation
-let hueNow = YEL_HUE, satNow = SAT_MIN, briNow = BRI_MIN; // Current HSB values
 
 /* ---------- Color Cycling Configuration ---------- */
 let colorCycleOffset = 0;        // Current hue offset for cycling
 const COLOR_CYCLE_SPEED = 0.5;  // How fast colors cycle (degrees per frame)
 
-let lastPts = null; // Previous keypoint positions for velocity calculation
 let lastTime = 0; // Previous frame timestamp
 let frameCounter = 0; // Total frames rendered
 let fps = 0, fpsUpdateTime = 0, fpsFrameCount = 0; // FPS tracking
@@ -103,9 +81,20 @@ let fps = 0, fpsUpdateTime = 0, fpsFrameCount = 0; // FPS tracking
    - Add adaptive noise parameters based on confidence scores
    - Implement multi-hypothesis tracking for occlusions
 */
-const PROCESS_NOISE = 0.8;    // Higher = less trust in predictions
-const MEASUREMENT_NOISE = 1.5; // Lower = more trust in ML5 measurements
-let kalmanFilters = [];
+const skeletonSmoother = new KeypointSmoother({
+  processNoise: 0.8,     // Higher = less trust in predictions
+  measurementNoise: 1.5  // Lower = more trust in ML5 measurements
+});
+
+// Filters once per frame; each consumer picks a view ('raw' | 'smoothed' | 'predicted')
+const posePipeline = new PosePipeline(skeletonSmoother, {
+  leadTime: 0.05 // Seconds the predicted view runs ahead (hides tracking latency)
+});
+const POSE_SOURCES = {
+  color: 'smoothed',    // Body velocity -> speed -> palette
+  splats: 'predicted',  // Body splats
+  skeleton: 'smoothed'  // Skeleton overlay
+};
 
 /* ---------- Segmentation Mask Smoothing ----------
    Simple Exponential Smoothing (SES) for stable mask edges
@@ -151,21 +140,6 @@ const FLUID_CONFIG = {
    P5.JS LIFECYCLE FUNCTIONS
    =============================================================================== */
 
-/**
- * p5.js preload function - loads ML5 models before setup
- * Enhancement suggestions:
- * - Add loading progress indicator
- * - Support model selection (different pose/segmentation models)
- * - Implement model caching for faster subsequent loads
- */
-function preload() {
-  bodyPose = ml5.bodyPose('BlazePose');
-  bodySegmentation = ml5.bodySegmentation('SelfieSegmentation', {
-    maskType: 'background',
-    smoothSegmentation: true
-  });
-}
-
 /**
  * p5.js setup function - initializes canvas, video, and models
  * Enhancement suggestions:
@@ -185,14 +159,20 @@ function setup() {
   renderOffsetX = (windowWidth - RENDER_WIDTH) / 2;
   renderOffsetY = (windowHeight - RENDER_HEIGHT) / 2;
 
-  video = createCapture(VIDEO);
+  video = createCapture(VIDEO, () => {
+    tracker.start().catch(err => console.error('Failed to start tracker:', err));
+  });
   video.size(320, 240); // Lower res for faster ML5 processing, display scales up
   video.hide();
 
-  bodyPose.detectStart(video, r => poses = r);
-  bodySegmentation.detectStart(video, r => segmentation = r);
-
-  if (bodyPose.getSkeleton) connections = bodyPose.getSkeleton() || [];
+  // ml5 unless ?tracker=mediapipe / ?tracker=recording&session=<url>
+  tracker = createPoseTracker({
+    onPose: r => {
+      poses = resultsToPoses(r, video.width, video.height);
+      if (r.segmentationMask) segmentationMask = r.segmentationMask;
+    },
+    onSegmentation: r => segmentationMask = r.segmentationMask
+  }, { backend: 'ml5', video: video.elt, hands: false });
   lastTime = millis();
 
   // Initialize WebGL fluid simulation at smaller render size
@@ -293,6 +273,9 @@ function draw() {
   background(0);
   frameCounter++;
 
+  // --- Replay recorded results (only the recording backend does anything here) ---
+  tracker.update();
+
   // --- FPS calculation ---
   fpsFrameCount++;
   const now = millis();
@@ -306,62 +289,24 @@ function draw() {
   const dtSec = max(0.001, (now - lastTime) / 1000.0);
   lastTime = now;
 
-  // --- Measure and smooth body velocity ---
-  const v = measureBodyVelocity(poses, dtSec) || 0;
-  spdRaw = max(0, v - MOTION_DEADZONE);
-  spdLP1 = lerp(spdLP1, spdRaw, SMOOTH_SPEED_1);
-  spdLP2 = lerp(spdLP2, spdLP1, SMOOTH_SPEED_2);
-
-  // --- Idle state detection with hysteresis ---
-  if (isIdle) {
-    if (spdLP2 > IDLE_EXIT) isIdle = false;
-  } else {
-    if (spdLP2 < IDLE_ENTER) isIdle = true;
-  }
-
-  // --- Speed to color mapping with perceptual ease-out curve ---
-  const EFFECTIVE_GAIN = SPEED_GAIN * 2.0; // Extra multiplier for visibility
-  let tLinear = constrain(spdLP2 * EFFECTIVE_GAIN, 0, 1);
+  // --- Filter keypoints once per frame (skeleton shown or not) ---
+  posePipeline.update(poses.slice(0, 1), dtSec);
 
-  // Apply gamma and ease-out for better perceptual response
-  const GAMMA = 0.82;
-  let tColor = easeOutQuint(pow(tLinear, GAMMA));
-
-  // Quick snap back to idle color when stopped
-  if (isIdle) {
-    const SNAP_TAU = 0.40;
-    const snap = 1.0 - Math.exp(-dtSec / SNAP_TAU);
-    tColor = lerp(tColor, 0, snap);
-  }
-
-  // Map to color range: yellow (idle) → red (fast)
-  const hueTarget = lerpHue(YEL_HUE, RED_HUE, tColor);
-  const satTarget = lerp(SAT_MIN, SAT_MAX, tColor);
-  const briTarget = lerp(BRI_MIN, BRI_MAX, tColor);
-
-  // --- Time-constant smoothing for natural color transitions ---
-  // Only update every other frame to reduce flickering
-  if (frameCounter % 2 === 0) {
-    const tauHue = isIdle ? IDLE_TAU_SEC : ACTIVE_TAU_SEC;
-    const tauSB = SATBRI_TAU_SEC;
-
-    const aHue = 1.0 - Math.exp(-dtSec / max(1e-3, tauHue));
-    const aSB = 1.0 - Math.exp(-dtSec / max(1e-3, tauSB));
-
-    hueNow = lerpHue(hueNow, hueTarget, aHue);
-    satNow = lerp(satNow, satTarget, aSB);
-    briNow = lerp(briNow, briTarget, aSB);
-  }
+  // --- Measure body velocity and map speed to color ---
+  const v = velocityMeter.measure(posePipeline.get(POSE_SOURCES.color), dtSec, Math.hypot(RENDER_WIDTH, RENDER_HEIGHT));
+  speedTracker.update(v);
+  speedColors.update(speedTracker.lp2, speedTracker.idle, dtSec);
 
   // --- Render background (fluid or simple black) ---
   // All rendering is offset to the centered render area
   background(0); // Black background fills entire screen
 
-  if (showFluid && fluidSim) {
+  // While the WebGL context is lost the fluid waits (it rebuilds itself on restore)
+  if (showFluid && fluidSim && fluidSim.isContextValid()) {
     // Wrap fluid operations in try-catch for runtime error handling
     try {
       // Inject fluid splats at body keypoints
-      injectBodySplats(poses, dtSec);
+      injectBodySplats(posePipeline.get(POSE_SOURCES.splats), dtSec);
 
       // Update fluid simulation physics
       fluidSim.update();
@@ -369,17 +314,27 @@ function draw() {
       // Draw fluid to p5 canvas (centered)
       drawingContext.drawImage(fluidCanvas, renderOffsetX, renderOffsetY, RENDER_WIDTH, RENDER_HEIGHT);
     } catch (err) {
-      console.error('[Fluid] Runtime error:', err.message);
-      // Disable fluid to prevent error spam
-      showFluid = false;
-      fluidSim = null;
-      displayWebGLError(); // Show error once
+      if (!fluidSim.isContextValid()) {
+        // Context lost mid-frame: skip, the restore handler rebuilds everything
+        console.warn('[Fluid] Frame interrupted by context loss:', err.message);
+      } else {
+        console.error('[Fluid] Runtime error:', err.message);
+        // Disable fluid to prevent error spam, freeing its GPU resources first
+        showFluid = false;
+        try {
+          fluidSim.destroy();
+        } catch (cleanupErr) {
+          console.warn('[Fluid] Cleanup after runtime error failed:', cleanupErr.message);
+        }
+        fluidSim = null;
+        displayWebGLError(); // Show error once
+      }
     }
   }
 
   // --- Render segmented person on top ---
-  if (SHOW_MASKED_VIDEO && segmentation && segmentation.mask) {
-    const processedMask = segmentation.mask.get();
+  if (SHOW_MASKED_VIDEO && segmentationMask) {
+    const processedMask = maskToImage(segmentationMask, video.width, video.height);
 
     // Apply temporal smoothing to mask for stability
     if (!smoothedMask) {
@@ -402,230 +357,17 @@ function draw() {
   if (showSkeleton && poses && poses.length) {
     push();
     translate(renderOffsetX, renderOffsetY);
-    const smoothed = smoothKeypoints(poses);
-    drawSkeletonAndChest(smoothed, RENDER_WIDTH, RENDER_HEIGHT);
+    const sX = RENDER_WIDTH / video.width, sY = RENDER_HEIGHT / video.height;
+    drawSkeletonAndChest(posePipeline.get(POSE_SOURCES.skeleton), {
+      connections: POSE_CONNECTIONS,
+      project: kp => ({ x: kp.x * sX, y: kp.y * sY })
+    });
     pop();
   }
 
   // --- Debug HUD (top-left corner, not offset) ---
   if (showDebug) {
-    drawDebugHUD(tLinear);
-  }
-}
-
-/* ===============================================================================
-   KALMAN FILTER FOR SKELETON SMOOTHING
-   =============================================================================== */
-
-/**
- * 2D Kalman Filter for tracking a point with velocity
- * State vector: [x, y, vx, vy]
- *
- * Enhancement suggestions:
- * - Add acceleration to state for smoother predictions
- * - Implement adaptive noise based on tracking confidence
- * - Support occlusion handling (keep predicting when confidence drops)
- */
-class KalmanFilter2D {
-  constructor(processNoise, measurementNoise) {
-    // State: [x, y, vx, vy]
-    this.state = [0, 0, 0, 0];
-
-    // Error covariance matrix (simplified as diagonal)
-    this.P = [1000, 1000, 1000, 1000];
-
-    // Process noise (uncertainty in motion model)
-    this.Q = processNoise;
-
-    // Measurement noise (uncertainty in sensor)
-    this.R = measurementNoise;
-
-    this.initialized = false;
-  }
-
-  /**
-   * Prediction step: estimate next state using motion model
-   * @param {number} dt - Time step in seconds
-   */
-  predict(dt = 1 / 60) {
-    // Update position based on velocity: x = x + vx*dt
-    this.state[0] += this.state[2] * dt;
-    this.state[1] += this.state[3] * dt;
-
-    // Increase uncertainty due to process noise
-    this.P[0] += this.Q;
-    this.P[1] += this.Q;
-    this.P[2] += this.Q;
-    this.P[3] += this.Q;
-  }
-
-  /**
-   * Update step: incorporate new measurement
-   * @param {number} measuredX - Measured x position
-   * @param {number} measuredY - Measured y position
-   */
-  update(measuredX, measuredY) {
-    if (!this.initialized) {
-      this.state = [measuredX, measuredY, 0, 0];
-      this.initialized = true;
-      return;
-    }
-
-    // Calculate Kalman gain
-    const Kx = this.P[0] / (this.P[0] + this.R);
-    const Ky = this.P[1] / (this.P[1] + this.R);
-
-    // Calculate innovation (measurement - prediction)
-    const innovationX = measuredX - this.state[0];
-    const innovationY = measuredY - this.state[1];
-
-    // Update position state
-    this.state[0] += Kx * innovationX;
-    this.state[1] += Ky * innovationY;
-
-    // Update velocity based on innovation
-    const Kv = 0.5; // Velocity learning rate
-    this.state[2] += Kv * innovationX;
-    this.state[3] += Kv * innovationY;
-
-    // Update error covariance
-    this.P[0] *= (1 - Kx);
-    this.P[1] *= (1 - Ky);
-  }
-
-  getPosition() {
-    return { x: this.state[0], y: this.state[1] };
-  }
-}
-
-/**
- * Applies Kalman filtering to all skeleton keypoints
- * @param {Array} poses - Array of pose objects from ml5
- * @returns {Array} Poses with smoothed keypoints
- *
- * Enhancement suggestions:
- * - Add per-joint filter tuning (hands need different smoothing than torso)
- * - Implement outlier rejection before filtering
- * - Add smoothness metrics for quality assessment
- */
-function smoothKeypoints(poses) {
-  if (!poses || !poses.length || !poses[0].keypoints) {
-    kalmanFilters = [];
-    return poses;
-  }
-
-  const currentKeypoints = poses[0].keypoints;
-
-  // Initialize filters on first frame
-  if (kalmanFilters.length !== currentKeypoints.length) {
-    kalmanFilters = currentKeypoints.map(() =>
-      new KalmanFilter2D(PROCESS_NOISE, MEASUREMENT_NOISE)
-    );
-  }
-
-  // Apply filter to each keypoint
-  const dt = 1 / 60; // Assume 60 FPS
-  const smoothedKps = currentKeypoints.map((kp, i) => {
-    const filter = kalmanFilters[i];
-
-    filter.predict(dt);
-    filter.update(kp.x, kp.y);
-
-    const filtered = filter.getPosition();
-
-    return {
-      x: filtered.x,
-      y: filtered.y,
-      confidence: kp.confidence,
-      name: kp.name
-    };
-  });
-
-  return [{ ...poses[0], keypoints: smoothedKps }];
-}
-
-/* ===============================================================================
-   SKELETON AND BODY VISUALIZATION
-   =============================================================================== */
-
-/**
- * Draws skeleton lines, keypoints, virtual chest, and facing arrow
- * @param {Array} poses - Smoothed pose data
- * @param {number} renderW - Render area width (defaults to RENDER_WIDTH)
- * @param {number} renderH - Render area height (defaults to RENDER_HEIGHT)
- *
- * Enhancement suggestions:
- * - Add depth visualization (3D pose if available)
- * - Implement stylized skeleton rendering (neon, particles, etc.)
- * - Add gesture-specific visual effects
- * - Support custom bone coloring based on joint angles
- */
-function drawSkeletonAndChest(poses, renderW = RENDER_WIDTH, renderH = RENDER_HEIGHT) {
-  const sX = renderW / video.width;
-  const sY = renderH / video.height;
-
-  stroke(255, 0, 0);
-  strokeWeight(2);
-
-  for (const pose of poses) {
-    // Draw skeleton connections
-    for (const [aIndex, bIndex] of connections) {
-      const a = pose.keypoints[aIndex];
-      const b = pose.keypoints[bIndex];
-      if (confOK(a) && confOK(b)) {
-        line(a.x * sX, a.y * sY, b.x * sX, b.y * sY);
-      }
-    }
-
-    // Draw keypoints as circles
-    noStroke();
-    fill(0, 255, 0);
-    for (const kp of pose.keypoints) {
-      if (confOK(kp)) circle(kp.x * sX, kp.y * sY, 6);
-    }
-
-    // Calculate and draw virtual chest point
-    const LS = getKP(pose, 'left_shoulder');
-    const RS = getKP(pose, 'right_shoulder');
-    const LH = getKP(pose, 'left_hip');
-    const RH = getKP(pose, 'right_hip');
-
-    if (LS && RS) {
-      const shoulderMid = { x: (LS.x + RS.x) / 2, y: (LS.y + RS.y) / 2 };
-      let chestX = shoulderMid.x, chestY = shoulderMid.y;
-
-      // Refine chest position using hip midpoint
-      if (LH && RH) {
-        const hipMid = { x: (LH.x + RH.x) / 2, y: (LH.y + RH.y) / 2 };
-        chestX = 0.7 * shoulderMid.x + 0.3 * hipMid.x;
-        chestY = 0.7 * shoulderMid.y + 0.3 * hipMid.y;
-      }
-      chestX *= sX; chestY *= sY;
-
-      // Draw chest point
-      fill(0, 255, 255);
-      noStroke();
-      circle(chestX, chestY, 10);
-
-      // Draw connectors from chest to shoulders and hips
-      stroke(255);
-      strokeWeight(2);
-      line(chestX, chestY, LS.x * sX, LS.y * sY);
-      line(chestX, chestY, RS.x * sX, RS.y * sY);
-      if (LH) line(chestX, chestY, LH.x * sX, LH.y * sY);
-      if (RH) line(chestX, chestY, RH.x * sX, RH.y * sY);
-
-      // Draw facing direction arrow (perpendicular to shoulders)
-      const vS = createVector((RS.x - LS.x) * sX, (RS.y - LS.y) * sY);
-      if (vS.mag() > 1e-3) {
-        const n = createVector(-vS.y, vS.x).normalize();
-        const L = constrain(vS.mag() * 0.4, 30, 120);
-        stroke(255);
-        strokeWeight(3);
-        drawArrow(createVector(chestX, chestY),
-          p5.Vector.add(createVector(chestX, chestY), n.mult(L)));
-      }
-    }
+    drawDebugHUD(speedColors.t);
   }
 }
 
@@ -693,9 +435,12 @@ function injectBodySplats(posesArr, dtSec) {
     const x = kp.x * sX;
     const y = kp.y * sY;
 
-    // Calculate velocity from previous frame
+    // Kalman-filtered velocity, or the change since the previous frame
     let dx = 0, dy = 0;
-    if (prevKeypoints[pt.name]) {
+    if (kp.vx !== undefined) {
+      dx = kp.vx * sX;
+      dy = kp.vy * sY;
+    } else if (prevKeypoints[pt.name]) {
       dx = (x - prevKeypoints[pt.name].x) / Math.max(0.016, dtSec);
       dy = (y - prevKeypoints[pt.name].y) / Math.max(0.016, dtSec);
     }
@@ -720,7 +465,7 @@ function injectBodySplats(posesArr, dtSec) {
       };
 
       // Scale force by speed and point importance
-      const forceMult = Math.min(speed / 100, 3) * pt.force * (1 + spdLP2 * 2);
+      const forceMult = Math.min(speed / 100, 3) * pt.force * (1 + speedTracker.lp2 * 2);
 
       injectSplat(
         fluidSim,
@@ -736,66 +481,6 @@ function injectBodySplats(posesArr, dtSec) {
   }
 }
 
-/* ===============================================================================
-   MOTION TRACKING
-   =============================================================================== */
-
-/**
- * Measures overall body velocity by tracking multiple keypoints
- * @param {Array} posesArr - Current pose data
- * @param {number} dtSec - Delta time in seconds
- * @returns {number} Normalized velocity (0-1+ range)
- *
- * Enhancement suggestions:
- * - Add per-limb velocity tracking for detailed motion analysis
- * - Implement acceleration tracking for more reactive visuals
- * - Support different weighting schemes (upper body vs lower body)
- * - Add directional motion detection (moving left/right/up/down)
- */
-function measureBodyVelocity(posesArr, dtSec) {
-  if (!posesArr || !posesArr.length) { lastPts = null; return 0; }
-  const pose = posesArr[0];
-  if (!pose.keypoints || !pose.keypoints.length) { lastPts = null; return 0; }
-
-  // Keypoints to track for velocity
-  const names = [
-    'nose',
-    'left_shoulder', 'right_shoulder',
-    'left_elbow', 'right_elbow',
-    'left_wrist', 'right_wrist',
-    'left_hip', 'right_hip',
-    'left_knee', 'right_knee'
-  ];
-
-  const curr = [], conf = [];
-  for (const nm of names) {
-    const kp = getKP(pose, nm);
-    if (kp) {
-      curr.push({ x: kp.x, y: kp.y });
-      conf.push(kp.confidence);
-    }
-  }
-  if (curr.length < 4) { lastPts = null; return 0; }
-
-  // Calculate weighted average displacement
-  let disp = 0, wsum = 0;
-  if (lastPts && lastPts.length === curr.length) {
-    for (let i = 0; i < curr.length; i++) {
-      const d = Math.hypot(curr[i].x - lastPts[i].x, curr[i].y - lastPts[i].y);
-      const w = conf[i];
-      disp += d * w;
-      wsum += w;
-    }
-    if (wsum > 0) disp /= wsum;
-  }
-  lastPts = curr;
-
-  // Convert to normalized velocity using render dimensions
-  const pixPerSec = disp / max(0.001, dtSec);
-  const diag = Math.hypot(RENDER_WIDTH, RENDER_HEIGHT);
-  return pixPerSec / (diag * 2.0);
-}
-
 /* ===============================================================================
    DEBUG AND UI
    =============================================================================== */
@@ -817,88 +502,7 @@ function drawDebugHUD(tLinear) {
   fill(0, 0, 100);
   textSize(12);
   text(`FPS: ${fps}`, 20, 30);
-  text(`speed raw:${spdRaw.toFixed(3)}  lp:${spdLP2.toFixed(3)}  t:${tLinear.toFixed(2)}`, 20, 46);
-  text(`hue:${hueNow.toFixed(1)}  sat:${satNow.toFixed(0)}  bri:${briNow.toFixed(0)}  idle:${isIdle}`, 20, 62);
-  text(`[D] HUD  [S] skeleton  [F] fluid:${showFluid}  gain:${SPEED_GAIN}  deadzone:${MOTION_DEADZONE}`, 20, 78);
-}
-
-/* ===============================================================================
-   UTILITY FUNCTIONS
-   =============================================================================== */
-
-/**
- * Checks if a keypoint has sufficient confidence
- * @param {Object} kp - Keypoint object
- * @returns {boolean} True if confidence > 0.1
- */
-function confOK(kp) {
-  return kp && kp.confidence > 0.1;
-}
-
-/**
- * Finds a keypoint by name in a pose
- * @param {Object} pose - Pose object
- * @param {string} name - Keypoint name
- * @returns {Object|null} Keypoint or null if not found/low confidence
- */
-function getKP(pose, name) {
-  if (!pose || !pose.keypoints) return null;
-  return pose.keypoints.find(k =>
-    (k.name === name || k.part === name) && k.confidence > 0.1
-  ) || null;
-}
-
-/**
- * Draws an arrow from one point to another
- * @param {p5.Vector} from - Start point
- * @param {p5.Vector} to - End point
- */
-function drawArrow(from, to) {
-  line(from.x, from.y, to.x, to.y);
-  const v = p5.Vector.sub(to, from).normalize();
-  const head = 10;
-  const L = p5.Vector.add(to, p5.Vector.mult(rotate2D(v, radians(150)), head));
-  const R = p5.Vector.add(to, p5.Vector.mult(rotate2D(v, radians(-150)), head));
-  triangle(to.x, to.y, L.x, L.y, R.x, R.y);
-}
-
-/**
- * Rotates a 2D vector by an angle
- * @param {p5.Vector} v - Vector to rotate
- * @param {number} a - Angle in radians
- * @returns {p5.Vector} Rotated vector
- */
-function rotate2D(v, a) {
-  const c = cos(a), s = sin(a);
-  return createVector(v.x * c - v.y * s, v.x * s + v.y * c);
-}
-
-/**
- * Interpolates between two hue values using shortest path around color wheel
- * @param {number} h1 - Start hue (0-360)
- * @param {number} h2 - End hue (0-360)
- * @param {number} a - Interpolation amount (0-1)
- * @returns {number} Interpolated hue
- *
- * Enhancement suggestions:
- * - Support different interpolation curves (ease-in, ease-out, etc.)
- * - Add saturation/brightness interpolation functions
- */
-function lerpHue(h1, h2, a) {
-  let dh = ((h2 - h1 + 540) % 360) - 180;
-  return (h1 + dh * constrain(a, 0, 1) + 360) % 360;
-}
-
-/**
- * Quintic ease-out function for smooth, natural motion
- * @param {number} x - Input value (0-1)
- * @returns {number} Eased value (0-1)
- *
- * Enhancement suggestions:
- * - Add other easing functions (elastic, bounce, etc.)
- * - Support custom bezier curves
- */
-function easeOutQuint(x) {
-  x = constrain(x, 0, 1);
-  return 1 - pow(1 - x, 5);
+  text(`speed raw:${speedTracker.raw.toFixed(3)}  lp:${speedTracker.lp2.toFixed(3)}  t:${tLinear.toFixed(2)}`, 20, 46);
+  text(`hue:${speedColors.hue.toFixed(1)}  sat:${speedColors.sat.toFixed(0)}  bri:${speedColors.bri.toFixed(0)}  idle:${speedTracker.idle}`, 20, 62);
+  text(`[D] HUD  [S] skeleton  [F] fluid:${showFluid}  gain:${speedColors.gain}  deadzone:${speedTracker.deadzone}`, 20, 78);
 }
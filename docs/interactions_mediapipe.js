@@ -15,6 +15,16 @@
  * - Depth-aware occlusion (fluid flows behind body)
  * - Boundary forces (inward push from edges for containment)
  * - Hand tracking with detailed finger landmarks (21 points per hand)
+ * - Multi-person tracking with stable per-dancer identities and colors
+ * - Audio reactivity (microphone or local file) alongside movement
+ * - Projection-mapping calibration (four-corner keystone, mesh warp, camera correction)
+ * - Runtime tuning panel with savable presets
+ * - Pose session recording and camera-free replay
+ * - Swappable tracking backend (MediaPipe, ml5, recorded session)
+ * - Camera picker (remembered), capture format negotiation, mirror / rotation
+ * - On-screen startup states (loading, camera permission, no camera, no one in
+ *   view) with automatic recovery when the camera is unplugged
+ * - MediaPipe inference in a Web Worker, off the render thread
  *
  * Controls:
  * - [D] Toggle debug HUD
@@ -24,13 +34,39 @@
  * - [B] Toggle boundary forces
  * - [H] Toggle hand tracking
  * - [W] Toggle flow field
+ * - [A] Toggle microphone audio reactivity
+ * - [U] Load a local audio file for audio reactivity
+ * - [T] Toggle tuning panel
+ * - [E] Toggle camera panel (device, resolution, frame rate, mirror, rotation)
+ * - [L] Cycle render layout (fit / fill / stretch)
+ * - [Y] Toggle automatic quality scaling (tier shown on the HUD)
+ * - [R] Start/stop recording a pose session (downloads when stopped)
+ * - [P] Replay a recorded pose session (press again to return to the camera)
+ * - [Z] Freeze / release the fluid (same as the pinch gesture), [.] step one frame
+ * - [1] Save the fluid state (.fluid), [I] load a .fluid state or seed the dye
+ *       from an image. ?fluid=<url> starts from one (add &freeze=1 to hold it)
+ * - [K] Toggle projection calibration mode ([1] corners, [2] mesh, [3] camera,
+ *       [R] reset, [E] export JSON, [I] import JSON, drag handles with the mouse)
  *
  * Dependencies:
  * - p5.js (canvas rendering)
- * - MediaPipe Pose (pose detection)
- * - MediaPipe Hands (hand tracking)
- * - MediaPipe SelfieSegmentation (body segmentation)
+ * - tracking-backends.js (tracker abstraction - must be loaded first). Default
+ *   backend is MediaPipe: Tasks PoseLandmarker (multi-person, loaded on demand),
+ *   Pose (single-person fallback), Hands, SelfieSegmentation. ?tracker=ml5 or
+ *   ?tracker=recording&session=<url> switch backends.
  * - fluid-simulation.js (WebGL fluid dynamics module - must be loaded first)
+ * - audio-reactive.js (Web Audio analysis module - must be loaded first)
+ * - projection-calibration.js (keystone/mesh warp module - must be loaded first)
+ * - camera-settings.js (camera device / format / orientation - must be loaded first)
+ * - startup-status.js (on-screen startup / camera state - must be loaded first)
+ * - tuning-panel.js (runtime control panel module - must be loaded first)
+ * - pose-recorder.js (pose session record/replay module - must be loaded first)
+ * - render-layout.js (render area placement + buffer size - must be loaded first)
+ * - silhouette-compositor.js (GPU mask / glow / ghost / occlusion in the fluid's
+ *   WebGL context - must be loaded first, after fluid-simulation.js)
+ * - quality-governor.js (adaptive quality tiers - must be loaded first)
+ * - Shared core: pose-tracking.js, keypoint-smoothing.js, motion-metrics.js,
+ *   color-mapping.js (keypoints, Kalman smoothing, body speed, speed → color)
  *
  * ===============================================================================
  */
@@ -39,234 +75,279 @@
    GLOBAL VARIABLES
    =============================================================================== */
 
-// Video and MediaPipe models
+// Video and tracking backend
 let videoElement;
-let mpPose, mpHands, mpSegmentation, mpCamera;
+let tracker = null;        // Live tracker (backend picked with ?tracker=, see tracking-backends.js)
+let replayTracker = null;  // RecordedTracker while a session file is replaying
 let poses = [];
-let handResults = null;  // MediaPipe Hands results
+let handResults = null;  // Hand landmark results (MediaPipe Hands format)
 let segmentationMask = null;
-let smoothedMaskCanvas = null;  // For temporal smoothing
-let smoothedMaskCtx = null;
+let segmentationMaskVersion = 0; // Bumped on every new mask (mask processing + obstacle upload only when it changes)
 let videoReady = false;
-
-// Mask smoothing configuration
-const MASK_EDGE_BLUR = 12;        // Pixels of blur on mask edges (higher = more blob-like)
-
-// MediaPipe landmark connections (for skeleton drawing)
-const POSE_CONNECTIONS = [
-  [11, 12], // shoulders
-  [11, 13], [13, 15], // left arm
-  [12, 14], [14, 16], // right arm
-  [11, 23], [12, 24], // torso
-  [23, 24], // hips
-  [23, 25], [25, 27], // left leg
-  [24, 26], [26, 28], // right leg
-];
-
-// MediaPipe landmark name mapping (index to name)
-const LANDMARK_NAMES = {
-  0: 'nose',
-  11: 'left_shoulder',
-  12: 'right_shoulder',
-  13: 'left_elbow',
-  14: 'right_elbow',
-  15: 'left_wrist',
-  16: 'right_wrist',
-  23: 'left_hip',
-  24: 'right_hip',
-  25: 'left_knee',
-  26: 'right_knee',
-  27: 'left_ankle',
-  28: 'right_ankle'
-};
-
-// MediaPipe Hand landmark names (21 per hand)
-const HAND_LANDMARK_NAMES = [
-  'wrist',
-  'thumb_cmc', 'thumb_mcp', 'thumb_ip', 'thumb_tip',
-  'index_mcp', 'index_pip', 'index_dip', 'index_tip',
-  'middle_mcp', 'middle_pip', 'middle_dip', 'middle_tip',
-  'ring_mcp', 'ring_pip', 'ring_dip', 'ring_tip',
-  'pinky_mcp', 'pinky_pip', 'pinky_dip', 'pinky_tip'
-];
+let startup = null;        // StartupStatus: on-screen loading / camera state, camera recovery
+
+// Pose session recording / replay
+let poseRecorder = null;   // Captures result callbacks to a downloadable file
+let sessionFileInput = null; // Hidden <input type="file"> for loading sessions
+
+// Performance capture (WebM recording + high-res stills)
+let performanceCapture = null;
+const CAPTURE_OVERLAY_MODES = ['clean', 'skeleton', 'all']; // What gets burned into captures
+let captureOverlay = 'clean';  // clean = visuals only, skeleton = + skeleton, all = whole screen incl. HUD
+let CAPTURE_WITH_MIC = false;  // Mux microphone audio into recordings
+const SNAPSHOT_SCALE = 3;      // Still snapshots render at this multiple of the render size (GPU limits permitting)
+let snapshotState = null;      // null | 'pending' | 'rendering' | 'restore'
+
+// Hand gesture control (dancers trigger show events without a keyboard)
+let gestureRecognizer = null;
+let GESTURES_ENABLED = true;
+let fluidFrozen = false;   // Fluid held still (display only) - see setFluidFrozen()
+let fluidFileInput = null; // Hidden <input type="file"> for loading fluid states / images
+let fluidCompositionWaiting = false; // A loaded composition is shown (held) until someone steps in
+let lastGesture = null;    // { gesture, hand, time } for the HUD
+
+// Mask smoothing configuration (processed on the GPU by the silhouette compositor)
+let MASK_EDGE_BLUR = 12;        // Pixels of blur on mask edges (higher = more blob-like)
+let MASK_DILATION = 3;          // Pixels the silhouette is grown by (less clipping at limbs)
 
 // Hand tracking state
-let prevHandPositions = { left: {}, right: {} };
 let HAND_TRACKING_ENABLED = true;
-let cameraFrameCount = 0;  // For frame-skipping hand detection
 
 /* ---------- Visual Configuration ---------- */
 let SHOW_MASKED_VIDEO = false; // Whether to show segmented video (toggle with [M]) - default off
 
-// Internal rendering resolution (higher quality)
-const RENDER_WIDTH = 1280;   // Higher resolution display
-const RENDER_HEIGHT = 960;   // Higher resolution display
-let renderOffsetX = 0;  // Calculated in setup
-let renderOffsetY = 0;
+// Render area: scaled onto the window by renderLayout (?layout=fit|fill|stretch, ?aspect=16:9|window)
+let renderLayout = null;  // RenderLayout instance (created in setup)
+let renderWidth = 1280;   // Render buffer resolution (follows the layout)
+let renderHeight = 960;
+
+// Reference size that motion speeds, splat thresholds and footsteps were tuned at,
+// so the feel stays the same whatever the render resolution
+const MOTION_SPACE_WIDTH = 1280;
+const MOTION_SPACE_HEIGHT = 960;
+
+/* ---------- Camera ---------- */
+let cameraSettings = null; // CameraSettings (device, format, mirror / rotation; remembered)
+let cameraPanel = null;    // CameraPanel instance (toggle with [E])
+
+/* ---------- Projection Calibration ---------- */
+let calibration = null;   // ProjectionCalibration instance (loaded from localStorage)
+let warpCanvas = null;    // Render-area copy that gets warped onto the projector output
 
 /* ---------- Edge Glow Configuration ---------- */
 const EDGE_GLOW_ENABLED = true;   // Enable/disable edge glow effect
 const EDGE_GLOW_ONLY = false;      // If true, only show glow (no video inside)
-const EDGE_GLOW_BLUR = 220;       // Blur radius for glow (higher = softer, more blob-like)
-let EDGE_GLOW_COLOR = '#f7edcccc'; // Purple glow (will shift with palette)
-const EDGE_GLOW_INTENSITY = 0.35; // Glow opacity (0-1) - slightly reduced for subtler effect
+let EDGE_GLOW_BLUR = 220;       // Blur radius for glow (higher = softer, more blob-like)
+let EDGE_GLOW_COLOR = { r: 0.97, g: 0.93, b: 0.8, a: 0.8 }; // Purple glow (will shift with palette), 0-1
+const SILHOUETTE_BLOB_COLOR = { r: 15 / 255, g: 25 / 255, b: 40 / 255, a: 0.08 * 0.6 }; // Faint dark body fill (glow-only look)
+const SILHOUETTE_BLOB_BLUR = 30;  // Blob softness (px)
+let EDGE_GLOW_INTENSITY = 0.35; // Glow opacity (0-1) - slightly reduced for subtler effect
 
 // Person variation hue offsets (each person gets a different color shift)
 const PERSON_HUE_OFFSETS = [0, 60, 120, 180, 240, 300]; // 6 distinct hue variations
-let currentPersonHueOffset = PERSON_HUE_OFFSETS[Math.floor(Math.random() * PERSON_HUE_OFFSETS.length)];  // Random on load
+let personHueBaseIndex = Math.floor(Math.random() * PERSON_HUE_OFFSETS.length); // Random on load, advanced by gesture
+
+/* ---------- Multi-Person Configuration ---------- */
+const MAX_PEOPLE = 4;               // Max dancers tracked at once (1 = single-person Pose only)
+const PERSON_MATCH_MAX_DIST = 0.25; // Max torso-center jump (normalized) to keep the same identity
+const PERSON_LOST_FRAMES = 15;      // Detection frames a person can be missing before their id is retired
+let trackedPeople = [];             // [{id, center, missed}] - identities carried across frames
+let nextPersonId = 0;               // Next identity to hand out
+let personStates = {};              // Per-person motion state, keyed by person id
 
 /* ---------- Occlusion Configuration ---------- */
 let OCCLUSION_ENABLED = true;     // Enable depth-based occlusion (fluid behind body)
-let fluidBackBuffer = null;        // Off-screen buffer for compositing fluid behind body
+
+/* ---------- Solid Obstacle Configuration ---------- */
+let OBSTACLES_ENABLED = true;      // Body mask acts as a solid boundary inside the fluid solver
+let obstacleMaskVersion = -1;      // segmentationMaskVersion last handed to the fluid sim
 
 /* ---------- Boundary Force Configuration ---------- */
 let BOUNDARY_FORCES_ENABLED = true;  // Enable inward boundary forces
-const BOUNDARY_FORCE_STRENGTH = 80;  // Strength of boundary push (0-200)
-const BOUNDARY_FORCE_WIDTH = 0.15;   // Width of boundary zone (0-0.5, as fraction of canvas)
-const BOUNDARY_FORCE_SAMPLES = 12;   // Number of force injection points per edge
+let BOUNDARY_FORCE_STRENGTH = 80;  // Strength of boundary push (0-200)
+let BOUNDARY_FORCE_WIDTH = 0.15;   // Width of boundary zone (0-0.5, as fraction of canvas)
 
 /* ---------- Flow Field Configuration ---------- */
 let FLOW_FIELD_ENABLED = true;       // Enable ambient flow field
-const FLOW_FIELD_STRENGTH = 25;      // Force of flow field (0-100)
-const FLOW_FIELD_SCALE = 0.003;      // Noise scale (lower = larger patterns)
-const FLOW_FIELD_SPEED = 0.02;       // Animation speed (noise offset increment)
-const FLOW_FIELD_GRID_SIZE = 16;     // Grid resolution (lower = fewer injection points)
-let flowFieldTime = 0;               // Time offset for animated noise
-
-/* ---------- Color Palette (Yellow → Red) ---------- */
-const RED_HUE   = 5;    // Fast movement hue (deep red)
-const YEL_HUE   = 57;   // Idle/slow movement hue (bright yellow)
-const SAT_MIN   = 85, SAT_MAX = 98; // Saturation range
-const BRI_MIN   = 90, BRI_MAX = 100; // Brightness range
-
-/* ---------- Motion Tracking Parameters ---------- */
-const SMOOTH_SPEED_1  = 0.48;  // First-level speed smoothing (higher = less smooth)
-const SMOOTH_SPEED_2  = 0.28;  // Second-level speed smoothing
-const MOTION_DEADZONE = 0.080; // Minimum motion threshold
-const SPEED_GAIN      = 3.0;   // Speed amplification factor
-
-/* ---------- Color Transition Parameters ---------- */
-const ACTIVE_TAU_SEC  = 0.80; // Time constant when moving (slower transition)
-const IDLE_TAU_SEC    = 0.35; // Time constant when idle (faster snap back)
-const SATBRI_TAU_SEC  = 0.40; // Time constant for saturation/brightness
-const IDLE_ENTER      = 0.010; // Speed threshold to enter idle state
-const IDLE_EXIT       = 0.020; // Speed threshold to exit idle state
+let FLOW_FIELD_STRENGTH = 25;      // Force of flow field (0-100)
+let FLOW_FIELD_SCALE = 0.003;      // Noise scale (lower = larger patterns)
+let FLOW_FIELD_SPEED = 0.02;       // Animation speed (noise offset increment per 60fps frame)
+
+/* ---------- Speed → Color (Yellow idle → Red fast) ---------- */
+const velocityMeter = new BodyVelocityMeter();                            // Per-person body velocity
+const speedTracker = new SpeedTracker({ deadzone: 0.080 });               // Deadzone, smoothing, idle hysteresis
+const speedColors = new SpeedColorMap({ idleHue: 57, activeHue: 5, gain: 3.0 }); // Palette + transitions
 
 /* ---------- Runtime State ---------- */
-let spdRaw = 0, spdLP1 = 0, spdLP2 = 0; // Speed values (raw, smoothed 1, smoothed 2)
-let isIdle = true; // Idle state flag
 let showDebug = false; // Show debug HUD (initially hidden)
 let showSkeleton = false; // Show skeleton overlay (initially hidden)
 let showFluid = true; // Show fluid simulation
-let hueNow = YEL_HUE, satNow = SAT_MIN, briNow = BRI_MIN; // Current HSB values
 
 /* ---------- Motion Ghosting Configuration ---------- */
 const GHOST_ENABLED = true;       // Enable motion ghosting effect
-const GHOST_OPACITY = 0.4;        // Opacity of ghost trail (0-1, higher = more visible)
-const GHOST_BLUR = 8;             // Blur amount for ghost (px)
-let ghostCanvas = null;           // Off-screen canvas for ghost effect
+let GHOST_OPACITY = 0.4;        // Opacity of ghost trail (0-1, higher = more visible)
+let GHOST_BLUR = 8;             // Blur amount for ghost (px)
 
 /* ---------- Footstep Configuration ---------- */
 const FOOTSTEP_ENABLED = true;    // Enable footstep marks
 const FOOTSTEP_Y_THRESHOLD = 0.8; // Y position threshold (higher = must be near bottom)
 const FOOTSTEP_VELOCITY_THRESHOLD = 15; // Minimum downward velocity to trigger (lower = more sensitive)
-let prevAnkleY = { left: 0, right: 0, left_vel: 0, right_vel: 0, left_maxVel: 0, right_maxVel: 0 };
-let ankleMovingDown = { left: false, right: false };
 
 /* ---------- Color Cycling Configuration ---------- */
 let colorCycleOffset = 0;        // Current hue offset for cycling
-const COLOR_CYCLE_SPEED = 0.3;  // How fast colors cycle (degrees per frame) - slower for gradual shifts
+let COLOR_CYCLE_SPEED = 0.3;  // How fast colors cycle (degrees per frame) - slower for gradual shifts
+
+/* ---------- Audio Reactivity Configuration ---------- */
+let audioAnalyzer = null;             // AudioAnalyzer instance (created on first use)
+let audioFileInput = null;            // Hidden <input type="file"> for loading audio
+const AUDIO_CURL_GAIN = 1.2;          // Extra CURL from bass energy (x base CURL)
+const AUDIO_CURL_BEAT = 0.8;          // Extra CURL on each beat pulse (x base CURL)
+const AUDIO_FORCE_GAIN = 1.5;         // Extra splat force from loudness (x base force)
+const AUDIO_FORCE_BEAT = 1.0;         // Extra splat force on each beat pulse (x base force)
+const AUDIO_CYCLE_GAIN = 6.0;         // Extra color cycling from treble energy (x COLOR_CYCLE_SPEED)
+const AUDIO_HUE_GAIN = 0.6;           // How much loudness pushes the speed→hue map toward red
+let audioMod = { curl: 1, force: 1, cycle: 1, hue: 0 }; // Current audio modulation multipliers
+
+/* ---------- Movement Quality Configuration ---------- */
+let movementAnalyzer = null;          // MovementAnalyzer for the lead dancer
+let movementSubjectId = null;         // Person id the analyzer is following
+let MOVEMENT_QUALITIES_ENABLED = true; // Movement quality drives fluid feel + palette
+const MOVEMENT_FADE_TIME = 1.5;       // Seconds to cross-fade between quality states
+// Per-quality look: curl/force/radius multiply the base values, trail is added to
+// dye dissipation, hue shifts the palette (degrees, -180..180), sat scales palette saturation
+const MOVEMENT_STATES = {
+  still:     { curl: 0.5, force: 0.6, radius: 1.4, trail: 0.006, hue: 0, sat: 0.6 },
+  sustained: { curl: 0.7, force: 0.8, radius: 1.5, trail: 0.004, hue: -40, sat: 0.85 },
+  flowing:   { curl: 1.0, force: 1.0, radius: 1.1, trail: 0.002, hue: 0, sat: 1.0 },
+  sudden:    { curl: 1.8, force: 1.6, radius: 0.8, trail: -0.01, hue: 40, sat: 1.0 },
+  staccato:  { curl: 1.4, force: 1.3, radius: 0.6, trail: -0.02, hue: 80, sat: 1.0 }
+};
+const MOVEMENT_NEUTRAL = MOVEMENT_STATES.flowing; // Used while the feature is off
+let movementMod = { ...MOVEMENT_NEUTRAL };         // Current (cross-faded) modulation
 
-let lastPts = null; // Previous keypoint positions for velocity calculation
 let lastTime = 0; // Previous frame timestamp
 let frameCounter = 0; // Total frames rendered
 let fps = 0, fpsUpdateTime = 0, fpsFrameCount = 0; // FPS tracking
 
-/* ---------- Kalman Filter Configuration ---------- */
-const PROCESS_NOISE = 0.9;    // Higher = less trust in predictions
-const MEASUREMENT_NOISE = 1.5; // Lower = more trust in MediaPipe measurements
-let kalmanFilters = [];
+/* ---------- Keypoint Smoothing Configuration ---------- */
+// Strategy: kalman (default), oneEuro, ses or none - pick with ?smoothing=
+const skeletonSmoother = new KeypointSmoother({
+  strategy: new URLSearchParams(window.location.search).get('smoothing') || 'kalman',
+  processNoise: 0.9,     // Kalman: higher = less trust in predictions
+  measurementNoise: 1.5, // Kalman: lower = more trust in MediaPipe measurements
+  minCutoff: 1.0,        // One Euro: cutoff at rest (Hz), lower = calmer when still
+  beta: 0.007            // One Euro: cutoff gain with speed, higher = less lag when moving
+}); // One filter set per person id
+
+/* ---------- Pose Pipeline (filters once per frame) ---------- */
+const posePipeline = new PosePipeline(skeletonSmoother, {
+  leadTime: 0.05 // Seconds the predicted view runs ahead along the filtered velocity (hides tracking latency)
+});
+
+// Which pipeline view each consumer reads ('raw' | 'smoothed' | 'predicted')
+const POSE_SOURCES = {
+  color: 'smoothed',     // Body velocity -> speed -> palette
+  movement: 'smoothed',  // Movement quality analysis
+  splats: 'predicted',   // Body splats
+  footsteps: 'smoothed', // Foot landing detection
+  skeleton: 'smoothed',  // Skeleton overlay
+  gestures: 'raw',       // Matching hands to people
+  hud: 'raw'             // Pose count / ids
+};
 
 /* ---------- Segmentation Mask Smoothing ---------- */
-const MASK_SES_ALPHA = 0.3; // 0.3-0.5 recommended, higher = more responsive
-let smoothedMask = null;
-let maskGraphics = null; // Off-screen graphics for mask processing
-let glowCanvas = null; // Reusable canvas for glow effect
+let MASK_SES_ALPHA = 0.3; // Temporal smoothing between masks: 0.3-0.5 recommended, higher = more responsive, 1 = off
 
 /* ---------- WebGL Fluid Simulation ---------- */
 let fluidCanvas, gl; // Fluid canvas and WebGL context
 let fluidSim = null; // Fluid simulation instance
-
-// Track previous keypoint positions for velocity calculation
-let prevKeypoints = {};
+let compositor = null; // SilhouetteCompositor sharing the fluid's context (mask, glow, ghost, occlusion)
+let compositorMaskVersion = -1; // segmentationMaskVersion last processed by the compositor
 
 // Debug: track z-coordinate range
 let minZ = Infinity, maxZ = -Infinity, avgZ = 0;
 
-/* ---------- WebGL Shader for Video Masking ---------- */
-let maskShader = null; // p5 shader object
-let shaderGraphics = null; // WebGL graphics buffer for shader rendering
-
-// Vertex shader - passes texture coordinates to fragment shader
-const vertexShaderCode = `
-attribute vec3 aPosition;
-attribute vec2 aTexCoord;
-varying vec2 vTexCoord;
-
-void main() {
-  vTexCoord = aTexCoord;
-  vec4 positionVec4 = vec4(aPosition, 1.0);
-  positionVec4.xy = positionVec4.xy * 2.0 - 1.0;
-  gl_Position = positionVec4;
-}
-`;
-
-// Fragment shader - applies mask to video
-const fragmentShaderCode = `
-precision mediump float;
-
-varying vec2 vTexCoord;
-uniform sampler2D uVideoTexture;  // The video feed
-uniform sampler2D uMaskTexture;   // The segmentation mask
-uniform bool uMirror;              // Whether to mirror horizontally
-
-void main() {
-  // Mirror texture coordinates if needed
-  vec2 texCoord = vTexCoord;
-  if (uMirror) {
-    texCoord.x = 1.0 - texCoord.x;
-  }
-
-  // Sample video and mask
-  vec4 videoColor = texture2D(uVideoTexture, texCoord);
-  vec4 maskColor = texture2D(uMaskTexture, texCoord);
-
-  // Use mask's red channel as alpha (MediaPipe stores mask in R channel)
-  float alpha = maskColor.r;
-
-  // Apply mask as alpha
-  gl_FragColor = vec4(videoColor.rgb, alpha);
-}
-`;
-
 /* ---------- Performance Optimization ---------- */
 let fluidUpdateCounter = 0;
-const FLUID_UPDATE_SKIP = 0; // 0 = every frame, 1 = every other frame, etc.
+let FLUID_UPDATE_SKIP = 0; // 0 = every frame, 1 = every other frame, etc. (set by the quality tier)
+let GLOW_LAYERS = 6;       // Blurred edge-glow layers (set by the quality tier)
+
+// Quality tiers, lowest first. The governor moves between them to hold
+// QUALITY_TARGET_FPS; ?quality=<name> pins one instead ([Y] toggles auto)
+const QUALITY_TARGET_FPS = 30;
+const QUALITY_TIERS = [
+  { name: 'low', simResolution: 96, dyeResolution: 192, pressureIterations: 4, fluidUpdateSkip: 1,
+    modelComplexity: 0, handsEvery: 4, glowLayers: 2 },
+  { name: 'medium', simResolution: 128, dyeResolution: 256, pressureIterations: 6, fluidUpdateSkip: 0,
+    modelComplexity: 0, handsEvery: 3, glowLayers: 4 },
+  { name: 'high', simResolution: 192, dyeResolution: 356, pressureIterations: 8, fluidUpdateSkip: 0,
+    modelComplexity: 1, handsEvery: 2, glowLayers: 6 },
+  { name: 'ultra', simResolution: 256, dyeResolution: 512, pressureIterations: 12, fluidUpdateSkip: 0,
+    modelComplexity: 1, handsEvery: 1, glowLayers: 8 }
+];
+const QUALITY_DEFAULT_TIER = 2; // 'high' = the settings this sketch was tuned with
+let qualityGovernor = null;     // QualityGovernor instance (created in setup)
 
 /**
  * Fluid simulation configuration - optimized for performance
  */
 const FLUID_CONFIG = {
-  SIM_RESOLUTION: 192,          // Velocity field resolution (lower = faster)
-  DYE_RESOLUTION: 356,          // Color field resolution (balanced quality/speed)
+  SIM_RESOLUTION: 192,          // Velocity field resolution (lower = faster) - set by the quality tier
+  DYE_RESOLUTION: 356,          // Color field resolution (balanced quality/speed) - set by the quality tier
   DENSITY_DISSIPATION: 0.99,   // How fast colors fade (0.9-0.99, higher = longer trails)
   VELOCITY_DISSIPATION: 0.96,  // How fast motion dies down (0.9-0.99)
-  PRESSURE_ITERATIONS: 8,       // Reduced iterations (still looks good)
+  PRESSURE_ITERATIONS: 8,       // Reduced iterations (still looks good) - tuned base scaled by the quality tier
+  OBSTACLE_STRENGTH: 1.0,       // How solid the body is to the fluid (0 = fluid passes through)
   CURL: 65,                     // Vorticity confinement (INCREASED for dramatic swirls)
   SPLAT_RADIUS: 0.10,          // Base size of fluid splats
   SPLAT_FORCE: 6000,           // Force multiplier for splats
+  FLOW_FIELD_STRENGTH: 0,       // Ambient forces - driven each frame by updateFluidForces()
+  FLOW_FIELD_SCALE: 0.003,
+  FLOW_FIELD_SPEED: 0.02,
+  BOUNDARY_FORCE_STRENGTH: 0,
+  BOUNDARY_FORCE_WIDTH: 0.15,
   COLOR_UPDATE_SPEED: 10       // Unused - reserved for future color animation
 };
+// CPU copy of dye + velocity for recovering from a WebGL context loss (ms, 0 = off:
+// the fluid restarts empty, which with this dissipation is back to normal within seconds)
+const FLUID_SNAPSHOT_INTERVAL = 0;
+let FLUID_BASE_CURL = FLUID_CONFIG.CURL; // Un-modulated CURL (audio scales CURL around this)
+let FLUID_BASE_DISSIPATION = FLUID_CONFIG.DENSITY_DISSIPATION; // Un-modulated dye dissipation (movement quality offsets it)
+let FLUID_BASE_PRESSURE_ITERATIONS = FLUID_CONFIG.PRESSURE_ITERATIONS; // Tuned iterations at the default tier (other tiers scale it)
+
+/* ---------- Runtime Tuning ---------- */
+let tuningPanel = null; // TuningPanel instance (toggle with [T])
+
+// Built-in looks for the tuning panel (values not listed keep their current setting)
+const TUNING_PRESETS = {
+  smoky: {
+    'FLUID.CURL': 20,
+    'FLUID.DENSITY_DISSIPATION': 0.995,
+    'FLUID.VELOCITY_DISSIPATION': 0.98,
+    'FLUID.SPLAT_RADIUS': 0.18,
+    SPEED_GAIN: 2.0,
+    COLOR_CYCLE_SPEED: 0.1,
+    FLOW_FIELD_STRENGTH: 15
+  },
+  electric: {
+    'FLUID.CURL': 120,
+    'FLUID.DENSITY_DISSIPATION': 0.95,
+    'FLUID.VELOCITY_DISSIPATION': 0.93,
+    'FLUID.SPLAT_RADIUS': 0.05,
+    SPEED_GAIN: 5.0,
+    COLOR_CYCLE_SPEED: 1.5,
+    FLOW_FIELD_STRENGTH: 40
+  },
+  watery: {
+    'FLUID.CURL': 8,
+    'FLUID.DENSITY_DISSIPATION': 0.985,
+    'FLUID.VELOCITY_DISSIPATION': 0.99,
+    'FLUID.SPLAT_RADIUS': 0.14,
+    SPEED_GAIN: 2.5,
+    COLOR_CYCLE_SPEED: 0.3,
+    FLOW_FIELD_STRENGTH: 30
+  }
+};
 
 /* ===============================================================================
    P5.JS LIFECYCLE FUNCTIONS
@@ -292,126 +373,112 @@ function setup() {
   createCanvas(windowWidth, windowHeight);
   colorMode(HSB, 360, 100, 100, 100);
 
-  // Calculate centered offset for render area
-  renderOffsetX = (windowWidth - RENDER_WIDTH) / 2;
-  renderOffsetY = (windowHeight - RENDER_HEIGHT) / 2;
-
-  // Create off-screen graphics for mask processing
-  maskGraphics = createGraphics(RENDER_WIDTH, RENDER_HEIGHT);
-
-  // Create reusable canvas for glow effect
-  glowCanvas = document.createElement('canvas');
-  glowCanvas.width = RENDER_WIDTH;
-  glowCanvas.height = RENDER_HEIGHT;
-
-  // Create canvas for temporal mask smoothing
-  smoothedMaskCanvas = document.createElement('canvas');
-  smoothedMaskCanvas.width = RENDER_WIDTH;
-  smoothedMaskCanvas.height = RENDER_HEIGHT;
-  smoothedMaskCtx = smoothedMaskCanvas.getContext('2d');
-
-  // Create off-screen buffer for fluid behind body (occlusion)
-  fluidBackBuffer = createGraphics(RENDER_WIDTH, RENDER_HEIGHT);
-
-  // Create canvas for motion ghosting effect
-  ghostCanvas = createGraphics(RENDER_WIDTH, RENDER_HEIGHT);
+  // Render area placement + buffer size for this window
+  renderLayout = createRenderLayout({ mode: 'fit', aspect: 4 / 3 });
+  renderLayout.update(windowWidth, windowHeight);
+  allocateRenderBuffers();
+
+  // Projection calibration (keystone/mesh warp + camera correction)
+  calibration = new ProjectionCalibration();
+  calibration.load();
+  calibration.ensureCorners(renderRect(), windowWidth, windowHeight);
+
+  // Camera device / format / orientation (every camera → screen mapping goes
+  // through calibration, which applies the orientation first)
+  cameraSettings = new CameraSettings();
+  calibration.setCameraOrientation(cameraSettings.toView);
+  cameraSettings.onChange(onCameraSettingsChange);
+  cameraPanel = new CameraPanel(cameraSettings);
+
+  // Pose session recorder
+  poseRecorder = new PoseRecorder();
+
+  // Performance capture
+  performanceCapture = new PerformanceCapture();
+
+  // Movement quality analysis (lead dancer)
+  movementAnalyzer = new MovementAnalyzer();
+
+  // Hand gestures -> show actions
+  gestureRecognizer = new GestureRecognizer();
+  gestureRecognizer.on('*', onGesture);
+
+  // Adaptive quality (fluid grids, tracker model, hand cadence, glow layers)
+  const pinnedTier = QUALITY_TIERS.findIndex(t => t.name === new URLSearchParams(window.location.search).get('quality'));
+  qualityGovernor = new QualityGovernor(QUALITY_TIERS, {
+    targetFps: QUALITY_TARGET_FPS,
+    initialTier: pinnedTier >= 0 ? pinnedTier : QUALITY_DEFAULT_TIER,
+    enabled: pinnedTier < 0,
+    onChange: applyQualityTier
+  });
 
-  // Note: Removed WebGL shader-based masking to reduce WebGL context usage
-  // The shader was defined but never actually used in the rendering pipeline
-  // All masking is done via Canvas 2D composite operations instead
+  // Runtime tuning panel (hidden until [T])
+  tuningPanel = new TuningPanel(buildTuningParams(), { presets: TUNING_PRESETS });
 
   // Get video element from HTML
   videoElement = document.getElementById('mediapipe-video');
-  console.log('Video element:', videoElement);
-
-  try {
-    // Initialize MediaPipe Pose
-    console.log('Initializing MediaPipe Pose...');
-    mpPose = new Pose({
-      locateFile: (file) => {
-        return `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`;
-      }
-    });
-
-    mpPose.setOptions({
-      modelComplexity: 1,        // 0=lite, 1=full, 2=heavy (accuracy vs speed)
-      smoothLandmarks: true,     // Temporal smoothing
-      enableSegmentation: true,  // Use MediaPipe's built-in segmentation (OPTION 1)
-      smoothSegmentation: true,  // Smooth the segmentation mask over time
-      minDetectionConfidence: 0.5,
-      minTrackingConfidence: 0.5
-    });
-
-    mpPose.onResults(onPoseResults);
-    console.log('MediaPipe Pose initialized');
-
-    // Initialize MediaPipe Hands for detailed finger tracking
-    console.log('Initializing MediaPipe Hands...');
-    mpHands = new Hands({
-      locateFile: (file) => {
-        return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-      }
-    });
 
-    mpHands.setOptions({
-      maxNumHands: 2,              // Track both hands
-      modelComplexity: 1,          // 0=lite, 1=full (accuracy vs speed)
-      minDetectionConfidence: 0.5,
-      minTrackingConfidence: 0.5
-    });
-
-    mpHands.onResults(onHandResults);
-    console.log('MediaPipe Hands initialized');
-
-    // Initialize camera using MediaPipe Camera Utils
-    console.log('Starting camera...');
-    mpCamera = new Camera(videoElement, {
-      onFrame: async () => {
-        try {
-          if (videoElement.readyState >= 2) {
-            if (!videoReady) {
-              console.log('Video ready! Starting detection...');
-              videoReady = true;
-            }
-            // Send to Pose every frame, Hands every other frame for performance
-            await mpPose.send({ image: videoElement });
-            cameraFrameCount++;
-            if (HAND_TRACKING_ENABLED && cameraFrameCount % 2 === 0) {
-              await mpHands.send({ image: videoElement });
-            }
-          }
-        } catch (err) {
-          console.error('Error in camera frame callback:', err);
-        }
-      },
-      width: 1280,   // Higher resolution capture
-      height: 960
-    });
-
-    mpCamera.start().then(() => {
-      console.log('Camera started successfully');
-    }).catch(err => {
-      console.error('Failed to start camera:', err);
-    });
-  } catch (err) {
-    console.error('Error during MediaPipe setup:', err);
-  }
+  // Startup states on screen; retries restart the camera (denied, missing, unplugged)
+  startup = new StartupStatus({ retry: () => tracker.retry().then(() => cameraPanel.setActual(tracker.camera)) });
+
+  // Start tracking (MediaPipe unless ?tracker=ml5 / ?tracker=recording&session=...)
+  tracker = createPoseTracker({
+    onPose: onPoseResults,
+    onHands: onHandResults,
+    onSegmentation: onSegmentationResults,
+    onStatus: status => startup.trackerStatus(status),
+    onReady: () => {
+      console.log('Video ready! Starting detection...');
+      videoReady = true;
+      startup.set('running');
+      cameraPanel.setActual(tracker.camera);
+    }
+  }, {
+    backend: 'mediapipe',
+    video: videoElement,
+    maxPeople: MAX_PEOPLE,
+    ...cameraSettings.constraints() // Device, capture size (1280×960 by default) and frame rate
+  });
+  console.log(`Starting ${tracker.backend} tracker...`);
+  tracker.start().catch(err => {
+    console.error('Failed to start tracker:', err);
+    startup.fail(err);
+  });
 
   lastTime = millis();
 
   // Initialize WebGL fluid simulation at smaller render size
   console.log('Initializing fluid simulation...');
-  const fluidInit = initFluidSimulation(RENDER_WIDTH, RENDER_HEIGHT, FLUID_CONFIG);
+  const fluidInit = initFluidSimulation(renderWidth, renderHeight, FLUID_CONFIG,
+    { snapshotInterval: FLUID_SNAPSHOT_INTERVAL });
   if (fluidInit) {
     fluidCanvas = fluidInit.canvas;
     gl = fluidInit.gl;
     fluidSim = fluidInit.sim;
     console.log('Fluid simulation initialized');
+
+    // After a context loss the fluid and compositor rebuild themselves; the
+    // current mask has to go through the new pipeline again
+    fluidSim.onContextRestored(() => {
+      compositorMaskVersion = -1;
+      obstacleMaskVersion = -1;
+    });
+
+    // Silhouette compositing runs in the same context (no second WebGL context)
+    try {
+      compositor = new SilhouetteCompositor(fluidSim);
+    } catch (err) {
+      console.error('[Fluid] Failed to create silhouette compositor:', err.message);
+    }
   } else {
     console.error('Failed to initialize fluid simulation');
     showFluid = false; // Disable fluid simulation
     displayWebGLError(); // Show user-friendly error message
   }
+  loadStartupComposition();
+
+  // Starting quality tier (the governor takes over from here)
+  applyQualityTier(qualityGovernor.tier);
 
   console.log('Setup complete');
 }
@@ -448,7 +515,7 @@ function displayWebGLError() {
       <li>Your GPU drivers need updating</li>
     </ul>
     <p style="margin: 10px 0 0 0; font-size: 14px;">
-      <strong>The visualization will continue without fluid effects.</strong>
+      <strong>The visualization will continue without fluid and silhouette effects.</strong>
       <a href="#" onclick="this.parentElement.parentElement.remove(); return false;" style="color: white; text-decoration: underline; margin-left: 10px;">Dismiss</a>
     </p>
   `;
@@ -465,31 +532,30 @@ function displayWebGLError() {
 }
 
 /**
- * Handle MediaPipe pose detection results
+ * Handle pose detection results (normalized multiPoseLandmarks from any backend)
  */
 function onPoseResults(results) {
   try {
-    if (results.poseLandmarks) {
-      // Convert MediaPipe format to ml5-compatible format
-      const keypoints = results.poseLandmarks.map((landmark, index) => ({
-        x: landmark.x * videoElement.videoWidth,
-        y: landmark.y * videoElement.videoHeight,
-        z: landmark.z, // MediaPipe provides depth!
-        confidence: landmark.visibility || 0.5,
-        name: LANDMARK_NAMES[index] || `landmark_${index}`
-      }));
-
-      poses = [{
-        keypoints: keypoints,
-        score: 1.0
-      }];
-    } else {
-      poses = [];
-    }
+    poseRecorder.recordPose(results);
+
+    // Correct camera → projection mapping so splats land on the dancer's body
+    const detections = results.multiPoseLandmarks.map(calibrateLandmarks);
+
+    // Match detections to the people seen last frame so ids stay stable
+    const ids = assignPersonIds(detections);
 
-    // Get segmentation mask from Pose results (Option 1 - built-in)
+    poses = detections.map((landmarks, i) => ({
+      // Convert normalized landmarks to ml5-compatible keypoints (z = depth)
+      keypoints: landmarksToKeypoints(landmarks, sourceWidth(), sourceHeight()),
+      score: 1.0,
+      id: ids[i],
+      hueOffset: personHueOffset(ids[i])
+    }));
+
+    // Segmentation mask bundled with the pose results (MediaPipe Pose)
     if (results.segmentationMask) {
       segmentationMask = results.segmentationMask;
+      segmentationMaskVersion++;
     }
   } catch (err) {
     console.error('Error in onPoseResults:', err);
@@ -497,23 +563,34 @@ function onPoseResults(results) {
 }
 
 /**
- * Handle MediaPipe hand detection results
+ * Handle hand detection results
  */
 function onHandResults(results) {
   try {
-    handResults = results;
+    poseRecorder.recordHands(results);
+
+    handResults = results.multiHandLandmarks
+      ? { ...results, multiHandLandmarks: results.multiHandLandmarks.map(calibrateLandmarks) }
+      : results;
+
+    if (GESTURES_ENABLED && HAND_TRACKING_ENABLED) {
+      gestureRecognizer.update(handResults.multiHandLandmarks, handResults.multiHandedness);
+    }
   } catch (err) {
     console.error('Error in onHandResults:', err);
   }
 }
 
 /**
- * Handle MediaPipe segmentation results
+ * Handle segmentation results
  */
 function onSegmentationResults(results) {
   try {
+    poseRecorder.recordSegmentation(results);
+
     if (results.segmentationMask) {
       segmentationMask = results.segmentationMask;
+      segmentationMaskVersion++;
     }
   } catch (err) {
     console.error('Error in onSegmentationResults:', err);
@@ -521,47 +598,279 @@ function onSegmentationResults(results) {
 }
 
 /**
- * Update the smoothed segmentation mask with edge blur
- * Call once per frame before using the mask
+ * Runs a new segmentation mask through the GPU mask pipeline (camera correction,
+ * temporal smoothing, dilation, edge blur). Only when a new mask arrived.
+ */
+function updateSilhouetteMask() {
+  if (!compositor || !segmentationMask) return;
+  if (compositorMaskVersion === segmentationMaskVersion) return;
+  compositorMaskVersion = segmentationMaskVersion;
+
+  compositor.updateMask(segmentationMask, {
+    cameraMatrix: calibration.cameraSampleMatrix(),
+    temporal: MASK_SES_ALPHA,
+    dilation: MASK_DILATION,
+    blur: MASK_EDGE_BLUR
+  });
+}
+
+/**
+ * Hands the body silhouette to the fluid solver as a solid obstacle
+ * Only when a new mask was processed, so the solver's boundary velocity
+ * (estimated from mask-to-mask change) uses the real interval between masks.
+ * The mask stays on the GPU (compositor texture in the same context).
+ */
+function updateFluidObstacles() {
+  if (!fluidSim) return;
+  if (!OBSTACLES_ENABLED || !segmentationMask || !compositor) {
+    fluidSim.clearObstacles();
+    obstacleMaskVersion = -1;
+    return;
+  }
+  if (obstacleMaskVersion === compositorMaskVersion) return;
+  obstacleMaskVersion = compositorMaskVersion;
+  fluidSim.setObstacles(compositor.maskTexture);
+}
+
+/**
+ * Maps normalized camera landmarks through the camera orientation and calibration
+ * @param {Array} landmarks - MediaPipe landmarks (normalized 0-1, raw camera frame)
+ * @returns {Array} Landmarks in the oriented, corrected (projection-aligned) frame
+ */
+function calibrateLandmarks(landmarks) {
+  return landmarks.map(lm => ({ ...lm, ...calibration.mapCameraPoint(lm.x, lm.y) }));
+}
+
+/**
+ * Applies changed camera settings: a new orientation right away, a new device
+ * or format by reopening the camera
+ * @param {CameraSettings} settings
+ * @param {boolean} deviceChanged - Device, size or frame rate changed
+ */
+function onCameraSettingsChange(settings, deviceChanged) {
+  calibration.setCameraOrientation(settings.toView);
+
+  // Everyone jumps to a new place: restart their filters and motion state
+  for (const person of trackedPeople) {
+    posePipeline.forget(person.id);
+    velocityMeter.forget(person.id);
+  }
+  trackedPeople = [];
+  personStates = {};
+  if (compositor) compositor.reset();
+  segmentationMaskVersion++; // Re-run the mask pipeline with the new orientation
+
+  if (deviceChanged) {
+    tracker.restartCamera(settings.constraints()).then(() => {
+      cameraPanel.setActual(tracker.camera);
+      if (!replayTracker) startup.set('running');
+    }).catch(err => {
+      console.error('[Camera] Failed to reopen the camera:', err);
+      cameraPanel.setActual(null);
+      startup.fail(err);
+    });
+  }
+}
+
+/**
+ * Current render area in window pixels
+ * @returns {{x: number, y: number, w: number, h: number}}
+ */
+function renderRect() {
+  return renderLayout.rect;
+}
+
+/**
+ * (Re)creates every render-resolution buffer at renderLayout's size
+ * The fluid simulation is resized in place so the current dye survives
+ */
+function allocateRenderBuffers() {
+  renderWidth = renderLayout.width;
+  renderHeight = renderLayout.height;
+
+  // Render-area copy for the projection warp
+  warpCanvas = warpCanvas || document.createElement('canvas');
+  warpCanvas.width = renderWidth;
+  warpCanvas.height = renderHeight;
+
+  if (fluidSim) fluidSim.resize(renderWidth, renderHeight);
+
+  // GPU mask / glow / ghost buffers: the latest mask is reprocessed right away
+  // and the fluid drops its reference to the freed obstacle texture
+  if (compositor && compositor.resize(renderWidth, renderHeight)) {
+    compositorMaskVersion = -1;
+    obstacleMaskVersion = -1;
+    if (fluidSim) fluidSim.clearObstacles();
+    if (calibration) updateSilhouetteMask();
+  }
+}
+
+/**
+ * Applies a quality tier to the fluid, the tracker and the glow
+ * Pressure iterations are tunable, so the tier scales the tuned base value
+ * (relative to the default tier) instead of replacing it
+ * @param {Object} tier - Entry of QUALITY_TIERS
+ */
+function applyQualityTier(tier) {
+  FLUID_CONFIG.SIM_RESOLUTION = tier.simResolution;
+  FLUID_CONFIG.DYE_RESOLUTION = tier.dyeResolution;
+  FLUID_CONFIG.PRESSURE_ITERATIONS = tierPressureIterations(tier);
+  FLUID_UPDATE_SKIP = tier.fluidUpdateSkip;
+  GLOW_LAYERS = tier.glowLayers;
+  if (fluidSim) fluidSim.applyResolution();
+
+  tracker.setModelComplexity(tier.modelComplexity);
+  tracker.handsEvery = tier.handsEvery;
+}
+
+/**
+ * Pressure iterations for a tier: the tuned base scaled by the tier's share of the default tier
+ * @param {Object} tier - Entry of QUALITY_TIERS
+ * @returns {number} Iterations (at least 1)
+ */
+function tierPressureIterations(tier) {
+  const scale = tier.pressureIterations / QUALITY_TIERS[QUALITY_DEFAULT_TIER].pressureIterations;
+  return Math.max(1, Math.round(FLUID_BASE_PRESSURE_ITERATIONS * scale));
+}
+
+/**
+ * Re-lays out the render area for the current window / layout mode
+ * Buffers are only reallocated when the render resolution actually changes
  */
-function updateSmoothedMask() {
-  if (!segmentationMask || !smoothedMaskCtx) return;
-  smoothedMaskCtx.clearRect(0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-  smoothedMaskCtx.filter = `blur(${MASK_EDGE_BLUR}px)`;
-  smoothedMaskCtx.globalAlpha = 1.0;
-  smoothedMaskCtx.drawImage(segmentationMask, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-  smoothedMaskCtx.filter = 'none';
+function updateRenderLayout() {
+  if (renderLayout.update(windowWidth, windowHeight)) allocateRenderBuffers();
+  calibration.followRenderRect(renderRect(), windowWidth, windowHeight);
 }
 
 /**
- * Handle window resize - recalculate offsets (fluid stays same size)
+ * Handle window resize - re-fit the render area (fluid is resized, not restarted)
  */
 function windowResized() {
   resizeCanvas(windowWidth, windowHeight);
-
-  // Recalculate centered offset
-  renderOffsetX = (windowWidth - RENDER_WIDTH) / 2;
-  renderOffsetY = (windowHeight - RENDER_HEIGHT) / 2;
+  updateRenderLayout();
 }
 
 /**
  * Handles keyboard input for toggling features
  */
 function keyPressed() {
+  if (key === 'k' || key === 'K') {
+    calibration.active = !calibration.active;
+    return;
+  }
+  if (calibration.active && handleCalibrationKey()) return;
+
   if (key === 'd' || key === 'D') showDebug = !showDebug;
   if (key === 's' || key === 'S') showSkeleton = !showSkeleton;
   if (key === 'f' || key === 'F') showFluid = !showFluid;
   if (key === 'o' || key === 'O') OCCLUSION_ENABLED = !OCCLUSION_ENABLED;
+  if (key === 'x' || key === 'X') OBSTACLES_ENABLED = !OBSTACLES_ENABLED;
   if (key === 'b' || key === 'B') BOUNDARY_FORCES_ENABLED = !BOUNDARY_FORCES_ENABLED;
   if (key === 'w' || key === 'W') FLOW_FIELD_ENABLED = !FLOW_FIELD_ENABLED;
-  if (key === 'h' || key === 'H') HAND_TRACKING_ENABLED = !HAND_TRACKING_ENABLED;
+  if (key === 'h' || key === 'H') {
+    HAND_TRACKING_ENABLED = !HAND_TRACKING_ENABLED;
+    activeTracker().handsEnabled = HAND_TRACKING_ENABLED;
+  }
+  if (key === 'g' || key === 'G') GESTURES_ENABLED = !GESTURES_ENABLED;
+  if (key === 'q' || key === 'Q') MOVEMENT_QUALITIES_ENABLED = !MOVEMENT_QUALITIES_ENABLED;
+  if (key === 'v' || key === 'V') togglePerformanceCapture();
+  if (key === 'c' || key === 'C') {
+    captureOverlay = CAPTURE_OVERLAY_MODES[(CAPTURE_OVERLAY_MODES.indexOf(captureOverlay) + 1) % CAPTURE_OVERLAY_MODES.length];
+  }
+  if (key === 'n' || key === 'N') CAPTURE_WITH_MIC = !CAPTURE_WITH_MIC;
+  if ((key === 'j' || key === 'J') && !snapshotState) snapshotState = 'pending';
   if (key === 'm' || key === 'M') SHOW_MASKED_VIDEO = !SHOW_MASKED_VIDEO;
+  if (key === 'a' || key === 'A') toggleMicrophoneAudio();
+  if (key === 'u' || key === 'U') openAudioFilePicker();
+  if (key === 't' || key === 'T') tuningPanel.toggle();
+  if (key === 'e' || key === 'E') cameraPanel.toggle();
+  if (key === 'y' || key === 'Y') qualityGovernor.enabled = !qualityGovernor.enabled;
+  if (key === 'l' || key === 'L') {
+    renderLayout.cycleMode();
+    updateRenderLayout();
+  }
+  if (key === 'r' || key === 'R') toggleSessionRecording();
+  if (key === 'p' || key === 'P') toggleSessionPlayback();
+  if (key === 'z' || key === 'Z') setFluidFrozen(!fluidFrozen);
+  if (key === '.' && fluidFrozen && fluidSim) fluidSim.step(1 / 60, false);
+  if (key === '1') saveFluidState();
+  if (key === 'i' || key === 'I') openFluidFilePicker();
+}
+
+/**
+ * Handles keys while calibration mode is active
+ * @returns {boolean} True if the key was consumed by calibration
+ */
+function handleCalibrationKey() {
+  const modes = { '1': 'corners', '2': 'mesh', '3': 'camera' };
+  if (modes[key]) {
+    calibration.editMode = modes[key];
+  } else if (key === 'r' || key === 'R') {
+    calibration.resetMode(renderRect(), windowWidth, windowHeight);
+  } else if (key === 'e' || key === 'E') {
+    calibration.exportFile();
+  } else if (key === 'i' || key === 'I') {
+    calibration.importFile();
+  } else {
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Mouse handlers - drag calibration handles while calibration mode is active
+ */
+function mousePressed() {
+  if (calibration && calibration.active) {
+    calibration.pointerDown(mouseX, mouseY, windowWidth, windowHeight, renderRect());
+  }
+}
+
+function mouseDragged() {
+  if (calibration && calibration.active) {
+    calibration.pointerMove(mouseX, mouseY, windowWidth, windowHeight, renderRect());
+  }
+}
+
+function mouseReleased() {
+  if (calibration) calibration.pointerUp();
+}
+
+/**
+ * Warps the composited render area onto the projector output (keystone + mesh)
+ * Leaves the frame untouched when no output calibration has been made
+ */
+function applyProjectionWarp() {
+  if (!calibration || !calibration.customOutput) return;
+
+  const pd = pixelDensity(); // Canvas pixels per CSS pixel (>1 while rendering a snapshot)
+  const w = Math.round(renderWidth * pd), h = Math.round(renderHeight * pd);
+  if (warpCanvas.width !== w || warpCanvas.height !== h) {
+    warpCanvas.width = w;
+    warpCanvas.height = h;
+  }
+  const warpCtx = warpCanvas.getContext('2d');
+  warpCtx.clearRect(0, 0, w, h);
+  const rect = renderRect();
+  warpCtx.drawImage(drawingContext.canvas, rect.x * pd, rect.y * pd, rect.w * pd, rect.h * pd, 0, 0, w, h);
+
+  background(0);
+  calibration.drawWarpedOutput(drawingContext, warpCanvas, width, height);
 }
 
 /**
  * Main draw loop - renders every frame
  */
 function draw() {
+  // --- High-res still: render this one frame at the snapshot scale (the composite goes to its own target) ---
+  if (snapshotState === 'pending') {
+    pixelDensity(snapshotScale());
+    snapshotState = 'rendering';
+  } else if (snapshotState === 'restore') {
+    pixelDensity(1);
+    snapshotState = null;
+  }
+
   background(0);
   frameCounter++;
 
@@ -574,478 +883,299 @@ function draw() {
     fpsUpdateTime = now;
   }
 
+  // --- Replay recorded results (fires the same callbacks the camera would) ---
+  activeTracker().update();
+
   // --- Delta time calculation for frame-rate independent motion ---
   const dtSec = max(0.001, (now - lastTime) / 1000.0);
   lastTime = now;
 
-  // --- Measure and smooth body velocity ---
-  const v = measureBodyVelocity(poses, dtSec) || 0;
-  spdRaw = max(0, v - MOTION_DEADZONE);
-  spdLP1 = lerp(spdLP1, spdRaw, SMOOTH_SPEED_1);
-  spdLP2 = lerp(spdLP2, spdLP1, SMOOTH_SPEED_2);
+  // --- Adaptive quality (frame time + tracker inference time) ---
+  qualityGovernor.update(dtSec, activeTracker().inferenceMs);
 
-  // --- Idle state detection with hysteresis ---
-  if (isIdle) {
-    if (spdLP2 > IDLE_EXIT) isIdle = false;
-  } else {
-    if (spdLP2 < IDLE_ENTER) isIdle = true;
-  }
+  // --- Filter keypoints once per frame (publishes raw / smoothed / predicted poses) ---
+  posePipeline.update(poses, dtSec);
+  startup.updatePeople(posePipeline.get('raw').length);
 
-  // --- Speed to color mapping with perceptual ease-out curve ---
-  const EFFECTIVE_GAIN = SPEED_GAIN * 2.0; // Extra multiplier for visibility
-  let tLinear = constrain(spdLP2 * EFFECTIVE_GAIN, 0, 1);
+  // --- Measure and smooth body velocity (fastest mover drives the speed) ---
+  speedTracker.update(velocityMeter.measure(posePipeline.get(POSE_SOURCES.color), dtSec, Math.hypot(MOTION_SPACE_WIDTH, MOTION_SPACE_HEIGHT)));
 
-  // Apply gamma and ease-out for better perceptual response
-  const GAMMA = 0.82;
-  let tColor = easeOutQuint(pow(tLinear, GAMMA));
+  // --- Movement quality (cross-fades fluid feel + palette per detected state) ---
+  if (posePipeline.fresh) analyzeLeadMovement(posePipeline.get(POSE_SOURCES.movement)); // Sampled at tracker rate
+  updateMovementModulation(dtSec);
 
-  // Quick snap back to idle color when stopped
-  if (isIdle) {
-    const SNAP_TAU = 0.40;
-    const snap = 1.0 - Math.exp(-dtSec / SNAP_TAU);
-    tColor = lerp(tColor, 0, snap);
-  }
+  // --- Audio analysis (modulates fluid alongside movement) ---
+  updateAudioModulation(dtSec);
 
-  // Map to color range: yellow (idle) → red (fast)
-  const hueTarget = lerpHue(YEL_HUE, RED_HUE, tColor);
-  const satTarget = lerp(SAT_MIN, SAT_MAX, tColor);
-  const briTarget = lerp(BRI_MIN, BRI_MAX, tColor);
-
-  // --- Time-constant smoothing for natural color transitions ---
-  // Only update every other frame to reduce flickering
-  if (frameCounter % 2 === 0) {
-    const tauHue = isIdle ? IDLE_TAU_SEC : ACTIVE_TAU_SEC;
-    const tauSB = SATBRI_TAU_SEC;
-
-    const aHue = 1.0 - Math.exp(-dtSec / max(1e-3, tauHue));
-    const aSB = 1.0 - Math.exp(-dtSec / max(1e-3, tauSB));
-
-    hueNow = lerpHue(hueNow, hueTarget, aHue);
-    satNow = lerp(satNow, satTarget, aSB);
-    briNow = lerp(briNow, briTarget, aSB);
-  }
+  // --- Speed to color mapping (loudness pushes the palette toward red) ---
+  speedColors.update(speedTracker.lp2, speedTracker.idle, dtSec, audioMod.hue);
 
   // --- Render background (fluid or simple black) ---
   // All rendering is offset to the centered render area
-  background(0); // Black background fills entire screen
 
-  // Update smoothed mask for this frame (temporal smoothing + edge blur)
-  if (segmentationMask) {
-    updateSmoothedMask();
-  }
+  // Process a newly arrived mask on the GPU (smoothing, dilation, edge blur)
+  updateSilhouetteMask();
 
-  // Only render visuals when a person is detected
+  // Visuals run while a person is detected. A frozen fluid or a freshly loaded
+  // composition stays on screen (held still) with nobody in view.
   const personDetected = poses && poses.length > 0;
+  if (personDetected) fluidCompositionWaiting = false; // The dancer takes over
+  const fluidOnStage = personDetected || fluidFrozen || fluidCompositionWaiting;
 
-  if (personDetected && showFluid && fluidSim) {
+  // While the WebGL context is lost the fluid waits (it rebuilds itself on restore)
+  if (fluidOnStage && fluidSim && fluidSim.isContextValid()) {
     // Wrap fluid operations in try-catch for runtime error handling
     try {
-      // Inject fluid splats at body keypoints
-      injectBodySplats(poses, dtSec);
-
-      // Inject fluid splats at hand landmarks (detailed finger tracking)
-      injectHandSplats(dtSec);
-
-      // Update fluid simulation physics
-      fluidSim.update();
-
-      // --- OCCLUSION SYSTEM: Fluid always flows around body (never through it) ---
-      if (OCCLUSION_ENABLED && segmentationMask && smoothedMaskCanvas && videoReady) {
-        // Draw fluid with body cutout (works for both masked and glow-only modes)
-        fluidBackBuffer.clear();
-        const fluidCtx = fluidBackBuffer.drawingContext;
-
-        // Draw fluid
-        fluidCtx.globalCompositeOperation = 'source-over';
-        fluidCtx.drawImage(fluidCanvas, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-
-        // Cut out body silhouette (use smoothed mask for cleaner edges)
-        fluidCtx.globalCompositeOperation = 'destination-out';
-        fluidCtx.save();
-        fluidCtx.scale(-1, 1);
-        fluidCtx.translate(-RENDER_WIDTH, 0);
-        fluidCtx.drawImage(smoothedMaskCanvas, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-        fluidCtx.restore();
-        fluidCtx.globalCompositeOperation = 'source-over';
-
-        // Draw occluded fluid to main canvas
-        image(fluidBackBuffer, renderOffsetX, renderOffsetY);
-      } else {
-        // Standard rendering: fluid on top of everything
-        drawingContext.drawImage(fluidCanvas, renderOffsetX, renderOffsetY, RENDER_WIDTH, RENDER_HEIGHT);
-      }
-    } catch (err) {
-      console.error('[Fluid] Runtime error:', err.message);
-      // Disable fluid to prevent error spam
-      showFluid = false;
-      fluidSim = null;
-      displayWebGLError(); // Show error once
-    }
-  }
+      // Frozen by gesture (or hidden, or nobody in view): the current fluid is shown without advancing it
+      if (showFluid && !fluidFrozen && personDetected) {
+        // Inject fluid splats at body keypoints
+        injectBodySplats(posePipeline.get(POSE_SOURCES.splats), dtSec);
 
-  // --- Render segmented person (when mask is enabled and not using inline occlusion) ---
-  if (personDetected && SHOW_MASKED_VIDEO && segmentationMask && videoReady) {
-    drawSegmentedVideo();
-  }
+        // Zero-velocity marks where feet land
+        injectFootsteps(posePipeline.get(POSE_SOURCES.footsteps), dtSec);
 
+        // Inject fluid splats at hand landmarks (detailed finger tracking)
+        injectHandSplats(dtSec);
 
-  // --- Draw glow only when mask is disabled but we still have segmentation ---
-  if (personDetected && !SHOW_MASKED_VIDEO && segmentationMask && videoReady) {
-    // Draw previous frame ghost first (behind current)
-    if (GHOST_ENABLED && ghostCanvas) {
-      drawingContext.save();
-      drawingContext.globalAlpha = GHOST_OPACITY;
-      drawingContext.filter = `blur(${GHOST_BLUR}px)`;
-      drawingContext.drawImage(ghostCanvas.canvas, renderOffsetX, renderOffsetY);
-      drawingContext.restore();
-    }
+        // Body silhouette as a solid boundary the fluid flows around
+        updateFluidObstacles();
+
+        // Ambient flow field + edge containment (applied on the GPU inside update())
+        updateFluidForces();
 
-    drawGlowOnly();
+        // Update fluid simulation physics (low tiers skip frames and take bigger steps)
+        if (fluidUpdateCounter++ % (FLUID_UPDATE_SKIP + 1) === 0) {
+          fluidSim.update(0.016666 * (FLUID_UPDATE_SKIP + 1), false);
+        }
+      }
 
-    // Capture current glow frame for next frame's ghost
-    if (GHOST_ENABLED && ghostCanvas) {
-      ghostCanvas.clear();
-      ghostCanvas.image(maskGraphics, 0, 0);
+      // --- Composite on the GPU: fluid (body cut out) → ghost → glow / masked video ---
+      const rect = renderRect();
+      if (compositor) {
+        const settings = silhouetteSettings(personDetected);
+        // A still gets the composite rendered at its own size (before render() moves the ghost on)
+        const still = snapshotState === 'rendering'
+          ? compositor.renderStill(settings, rect.w * pixelDensity(), rect.h * pixelDensity())
+          : null;
+        compositor.render(settings);
+        drawingContext.drawImage(still || fluidCanvas, rect.x, rect.y, rect.w, rect.h);
+      } else if (showFluid) {
+        fluidSim.render(); // Plain fluid on top if the compositor couldn't be created
+        drawingContext.drawImage(fluidCanvas, rect.x, rect.y, rect.w, rect.h);
+      }
+    } catch (err) {
+      if (!fluidSim.isContextValid()) {
+        // Context lost mid-frame: skip, the restore handler rebuilds everything
+        console.warn('[Fluid] Frame interrupted by context loss:', err.message);
+      } else {
+        console.error('[Fluid] Runtime error:', err.message);
+        // Disable fluid (and the compositor sharing its context) to prevent error spam,
+        // freeing their GPU resources first
+        showFluid = false;
+        try {
+          if (compositor) compositor.destroy();
+          fluidSim.destroy();
+        } catch (cleanupErr) {
+          console.warn('[Fluid] Cleanup after runtime error failed:', cleanupErr.message);
+        }
+        fluidSim = null;
+        compositor = null;
+        displayWebGLError(); // Show error once
+      }
     }
   }
+  captureStage('clean');
 
   // --- Render skeleton overlay (offset to render area) ---
   if (showSkeleton && personDetected) {
+    const rect = renderRect();
     push();
-    translate(renderOffsetX, renderOffsetY);
-    const smoothed = smoothKeypoints(poses);
-    drawSkeletonAndChest(smoothed, RENDER_WIDTH, RENDER_HEIGHT);
+    translate(rect.x, rect.y);
+    drawDepthSkeleton(posePipeline.get(POSE_SOURCES.skeleton), rect.w, rect.h);
     pop();
   }
+  captureStage('skeleton');
+
+  // --- Projection warp (everything above is in render space) ---
+  applyProjectionWarp();
+  if (calibration.active) {
+    calibration.drawOverlay(drawingContext, width, height, renderRect(), videoElement);
+  }
 
   // --- Debug HUD (top-left corner, not offset) ---
   if (showDebug) {
-    drawDebugHUD(tLinear);
+    drawDebugHUD(speedColors.t);
   }
+  captureStage('all');
 }
 
 /**
- * Draw the segmented video (person isolated from background)
- * Uses off-screen canvas with composite operations + edge glow effect
+ * Compositor settings for this frame: fluid with the body cut out, then the
+ * last frame's ghost, then edge glow over a faint silhouette (or the masked
+ * camera video over the glow with [M])
+ * @param {boolean} [bodyInView] - False draws the fluid alone (no silhouette or cutout)
+ * @returns {Object} Settings for SilhouetteCompositor.render()
  */
-function drawSegmentedVideo() {
-  if (!videoElement || !segmentationMask || !smoothedMaskCanvas || videoElement.videoWidth === 0) return;
-
-  try {
-    // Clear the mask graphics buffer
-    maskGraphics.clear();
-
-    // Get the context of the off-screen buffer
-    const ctx = maskGraphics.drawingContext;
-
-    // --- MASKED VIDEO (draw first) ---
-    ctx.globalAlpha = 1.0;
-    ctx.shadowBlur = 0;
-
-    // Draw mirrored video
-    ctx.save();
-    ctx.scale(-1, 1);
-    ctx.translate(-RENDER_WIDTH, 0);
-    ctx.drawImage(videoElement, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-    ctx.restore();
-
-    // Use 'destination-in' to keep only the video where the mask is opaque
-    ctx.globalCompositeOperation = 'destination-in';
-
-    // Draw the segmentation mask (also mirrored to match video) - use smoothed version
-    ctx.save();
-    ctx.scale(-1, 1);
-    ctx.translate(-RENDER_WIDTH, 0);
-    ctx.drawImage(smoothedMaskCanvas, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-    ctx.restore();
-
-    // Reset composite operation
-    ctx.globalCompositeOperation = 'source-over';
-
-    // --- EDGE GLOW EFFECT (draw BEHIND the masked video) ---
-    if (EDGE_GLOW_ENABLED && glowCanvas) {
-      const glowCtx = glowCanvas.getContext('2d');
-
-      // Clear and prepare glow canvas
-      glowCtx.clearRect(0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-      glowCtx.globalCompositeOperation = 'source-over';
-
-      // Draw the mask to the glow canvas (mirrored) - use smoothed version
-      glowCtx.save();
-      glowCtx.scale(-1, 1);
-      glowCtx.translate(-RENDER_WIDTH, 0);
-      glowCtx.drawImage(smoothedMaskCanvas, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-      glowCtx.restore();
-
-      // Fill it with the glow color
-      glowCtx.globalCompositeOperation = 'source-in';
-      glowCtx.fillStyle = EDGE_GLOW_COLOR;
-      glowCtx.fillRect(0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-      glowCtx.globalCompositeOperation = 'source-over';
-
-      // Now draw this colored mask multiple times with blur BEHIND the video
-      // Reduced to 6 layers for better performance
-      ctx.globalCompositeOperation = 'destination-over';
-      for (let i = 0; i < 6; i++) {
-        const blurAmount = EDGE_GLOW_BLUR * (i + 1) / 6;
-        const layerAlpha = EDGE_GLOW_INTENSITY * 0.25;
-
-        ctx.save();
-        ctx.globalAlpha = layerAlpha;
-        ctx.filter = `blur(${blurAmount}px)`;
-        ctx.drawImage(glowCanvas, 0, 0);
-        ctx.restore();
-      }
-
-      ctx.globalCompositeOperation = 'source-over';
-    }
-
-    // Draw the masked result to the main canvas
-    image(maskGraphics, renderOffsetX, renderOffsetY);
-  } catch (err) {
-    console.error('Error in drawSegmentedVideo:', err);
-  }
+function silhouetteSettings(bodyInView = true) {
+  const silhouette = bodyInView && !!segmentationMask && videoReady;
+  return {
+    fluid: showFluid,
+    occlusion: OCCLUSION_ENABLED && bodyInView,
+    silhouette,
+    video: SHOW_MASKED_VIDEO ? videoElement : null,
+    cameraMatrix: calibration.cameraSampleMatrix(),
+    glow: EDGE_GLOW_ENABLED,
+    glowColor: EDGE_GLOW_COLOR,
+    glowBlur: EDGE_GLOW_BLUR,
+    glowIntensity: EDGE_GLOW_INTENSITY,
+    glowLayers: GLOW_LAYERS,
+    blobColor: SILHOUETTE_BLOB_COLOR,
+    blobBlur: SILHOUETTE_BLOB_BLUR,
+    ghost: GHOST_ENABLED,
+    ghostOpacity: GHOST_OPACITY,
+    ghostBlur: GHOST_BLUR
+  };
 }
 
 /**
- * Draw only the edge glow effect (no video/mask) plus a subtle silhouette
- * Used when SHOW_MASKED_VIDEO is disabled but we still want to see the person shape
+ * Pixel density for a still: SNAPSHOT_SCALE, reduced so the canvas and the
+ * composite stay within the GPU's texture / viewport limits
+ * @returns {number}
  */
-function drawGlowOnly() {
-  if (!segmentationMask || !glowCanvas || !smoothedMaskCanvas) return;
-
-  try {
-    // Clear the mask graphics buffer
-    maskGraphics.clear();
-    const ctx = maskGraphics.drawingContext;
-
-    const glowCtx = glowCanvas.getContext('2d');
-
-    // --- Draw subtle blob-like silhouette fill first ---
-    // Clear and prepare glow canvas for silhouette
-    glowCtx.clearRect(0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-    glowCtx.globalCompositeOperation = 'source-over';
-
-    // Draw the mask to the glow canvas (mirrored) with heavy blur for blob effect
-    glowCtx.save();
-    glowCtx.filter = 'blur(25px)';  // Heavy blur to make it blob-like
-    glowCtx.scale(-1, 1);
-    glowCtx.translate(-RENDER_WIDTH, 0);
-    glowCtx.drawImage(smoothedMaskCanvas, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-    glowCtx.restore();
-    glowCtx.filter = 'none';
-
-    // Fill silhouette with very faded dark color
-    glowCtx.globalCompositeOperation = 'source-in';
-    glowCtx.fillStyle = 'rgba(15, 25, 40, 0.08)'; // Very faded dark blue blob
-    glowCtx.fillRect(0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-    glowCtx.globalCompositeOperation = 'source-over';
-
-    // Draw silhouette to main buffer with additional blur
-    ctx.globalCompositeOperation = 'source-over';
-    ctx.save();
-    ctx.filter = 'blur(15px)';  // Extra blur when drawing to main canvas
-    ctx.globalAlpha = 0.6;      // More transparent
-    ctx.drawImage(glowCanvas, 0, 0);
-    ctx.restore();
-
-    // --- Now draw the glow effect on top ---
-    if (EDGE_GLOW_ENABLED) {
-      // Prepare glow canvas again for the glow color
-      glowCtx.clearRect(0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-      glowCtx.globalCompositeOperation = 'source-over';
-
-      // Draw the mask to the glow canvas (mirrored) - use smoothed version
-      glowCtx.save();
-      glowCtx.scale(-1, 1);
-      glowCtx.translate(-RENDER_WIDTH, 0);
-      glowCtx.drawImage(smoothedMaskCanvas, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-      glowCtx.restore();
-
-      // Fill it with the glow color
-      glowCtx.globalCompositeOperation = 'source-in';
-      glowCtx.fillStyle = EDGE_GLOW_COLOR;
-      glowCtx.fillRect(0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-      glowCtx.globalCompositeOperation = 'source-over';
-
-      // Draw glow layers (reduced to 6 for performance)
-      for (let i = 0; i < 6; i++) {
-        const blurAmount = EDGE_GLOW_BLUR * (i + 1) / 6;
-        const layerAlpha = EDGE_GLOW_INTENSITY * 0.25;
-
-        ctx.save();
-        ctx.globalAlpha = layerAlpha;
-        ctx.filter = `blur(${blurAmount}px)`;
-        ctx.drawImage(glowCanvas, 0, 0);
-        ctx.restore();
-      }
-    }
-
-    // Draw the result to the main canvas
-    image(maskGraphics, renderOffsetX, renderOffsetY);
-  } catch (err) {
-    console.error('Error in drawGlowOnly:', err);
-  }
-}
-
-/**
- * Draw fluid with depth-based occlusion - fluid appears BEHIND the body
- * Compositing order: Black BG → Fluid (masked out where body is) → Body Video → Edge Glow
- */
-function drawFluidWithOcclusion() {
-  if (!videoElement || !segmentationMask || !smoothedMaskCanvas || videoElement.videoWidth === 0) return;
-
-  try {
-    // Clear the fluid back buffer
-    fluidBackBuffer.clear();
-    const fluidCtx = fluidBackBuffer.drawingContext;
-
-    // --- STEP 1: Draw fluid to back buffer ---
-    fluidCtx.globalCompositeOperation = 'source-over';
-    fluidCtx.drawImage(fluidCanvas, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-
-    // --- STEP 2: Cut out the body silhouette from fluid (destination-out) ---
-    fluidCtx.globalCompositeOperation = 'destination-out';
-
-    // Draw inverted mask (mirrored to match video) - use smoothed version
-    fluidCtx.save();
-    fluidCtx.scale(-1, 1);
-    fluidCtx.translate(-RENDER_WIDTH, 0);
-    fluidCtx.drawImage(smoothedMaskCanvas, 0, 0, RENDER_WIDTH, RENDER_HEIGHT);
-    fluidCtx.restore();
-
-    fluidCtx.globalCompositeOperation = 'source-over';
-
-    // --- STEP 3: Draw occluded fluid to main canvas ---
-    image(fluidBackBuffer, renderOffsetX, renderOffsetY);
-
-    // --- STEP 4: Draw segmented person on top ---
-    drawSegmentedVideo();
-
-  } catch (err) {
-    console.error('Error in drawFluidWithOcclusion:', err);
-  }
+function snapshotScale() {
+  if (!compositor || !fluidSim || !fluidSim.isContextValid()) return SNAPSHOT_SCALE;
+  const largest = Math.max(width, height, renderWidth, renderHeight);
+  return Math.max(1, Math.min(SNAPSHOT_SCALE, compositor.maxStillSize / largest));
 }
 
 /* ===============================================================================
-   KALMAN FILTER FOR SKELETON SMOOTHING
+   MULTI-PERSON TRACKING
    =============================================================================== */
 
 /**
- * 2D Kalman Filter for tracking a point with velocity
- * State vector: [x, y, vx, vy]
+ * Computes a stable body center from normalized landmarks (torso if visible)
+ * @param {Array} landmarks - MediaPipe landmarks (normalized 0-1)
+ * @returns {{x: number, y: number}|null} Normalized center or null if nothing is visible
  */
-class KalmanFilter2D {
-  constructor(processNoise, measurementNoise) {
-    // State: [x, y, vx, vy]
-    this.state = [0, 0, 0, 0];
-
-    // Error covariance matrix (simplified as diagonal)
-    this.P = [1000, 1000, 1000, 1000];
-
-    // Process noise (uncertainty in motion model)
-    this.Q = processNoise;
-
-    // Measurement noise (uncertainty in sensor)
-    this.R = measurementNoise;
-
-    this.initialized = false;
+function bodyCenter(landmarks) {
+  const torso = [11, 12, 23, 24].map(i => landmarks[i])
+    .filter(lm => lm && (lm.visibility === undefined || lm.visibility > 0.3));
+  const pts = torso.length >= 2 ? torso : landmarks.filter(Boolean);
+  if (!pts.length) return null;
+
+  let x = 0, y = 0;
+  for (const lm of pts) {
+    x += lm.x;
+    y += lm.y;
   }
+  return { x: x / pts.length, y: y / pts.length };
+}
 
-  /**
-   * Prediction step: estimate next state using motion model
-   * @param {number} dt - Time step in seconds
-   */
-  predict(dt = 1 / 60) {
-    // Update position based on velocity: x = x + vx*dt
-    this.state[0] += this.state[2] * dt;
-    this.state[1] += this.state[3] * dt;
-
-    // Increase uncertainty due to process noise
-    this.P[0] += this.Q;
-    this.P[1] += this.Q;
-    this.P[2] += this.Q;
-    this.P[3] += this.Q;
+/**
+ * Assigns a persistent id to each detection by greedily matching body centers
+ * against the people tracked on previous frames
+ * @param {Array} detections - Array of landmark arrays (one per person)
+ * @returns {Array<number>} Person id for each detection (same order)
+ */
+function assignPersonIds(detections) {
+  const centers = detections.map(bodyCenter);
+  const ids = new Array(detections.length).fill(-1);
+  const claimed = new Set();
+
+  // Build every (detection, tracked person) pair within range, closest first
+  const pairs = [];
+  centers.forEach((c, di) => {
+    if (!c) return;
+    trackedPeople.forEach((person, pi) => {
+      const d = Math.hypot(c.x - person.center.x, c.y - person.center.y);
+      if (d < PERSON_MATCH_MAX_DIST) pairs.push({ di, pi, d });
+    });
+  });
+  pairs.sort((a, b) => a.d - b.d);
+
+  for (const { di, pi } of pairs) {
+    if (ids[di] !== -1 || claimed.has(pi)) continue;
+    const person = trackedPeople[pi];
+    ids[di] = person.id;
+    person.center = centers[di];
+    person.missed = 0;
+    claimed.add(pi);
   }
 
-  /**
-   * Update step: incorporate new measurement
-   * @param {number} measuredX - Measured x position
-   * @param {number} measuredY - Measured y position
-   */
-  update(measuredX, measuredY) {
-    if (!this.initialized) {
-      this.state = [measuredX, measuredY, 0, 0];
-      this.initialized = true;
-      return;
-    }
-
-    // Calculate Kalman gain
-    const Kx = this.P[0] / (this.P[0] + this.R);
-    const Ky = this.P[1] / (this.P[1] + this.R);
-
-    // Calculate innovation (measurement - prediction)
-    const innovationX = measuredX - this.state[0];
-    const innovationY = measuredY - this.state[1];
-
-    // Update position state
-    this.state[0] += Kx * innovationX;
-    this.state[1] += Ky * innovationY;
+  // Age out people that weren't matched this frame
+  trackedPeople.forEach((person, pi) => {
+    if (!claimed.has(pi)) person.missed++;
+  });
+  trackedPeople = trackedPeople.filter(person => {
+    if (person.missed <= PERSON_LOST_FRAMES) return true;
+    delete personStates[person.id];
+    posePipeline.forget(person.id);
+    velocityMeter.forget(person.id);
+    return false;
+  });
 
-    // Update velocity based on innovation
-    const Kv = 0.5; // Velocity learning rate
-    this.state[2] += Kv * innovationX;
-    this.state[3] += Kv * innovationY;
+  // Unmatched detections become new people
+  ids.forEach((id, di) => {
+    if (id !== -1) return;
+    ids[di] = nextPersonId++;
+    trackedPeople.push({ id: ids[di], center: centers[di] || { x: 0.5, y: 0.5 }, missed: 0 });
+  });
 
-    // Update error covariance
-    this.P[0] *= (1 - Kx);
-    this.P[1] *= (1 - Ky);
-  }
+  return ids;
+}
 
-  getPosition() {
-    return { x: this.state[0], y: this.state[1] };
-  }
+/**
+ * Gets the palette hue offset for a person (stable for the lifetime of their id)
+ * @param {number} id - Person id
+ * @returns {number} Hue offset in degrees
+ */
+function personHueOffset(id) {
+  return PERSON_HUE_OFFSETS[(personHueBaseIndex + id) % PERSON_HUE_OFFSETS.length];
 }
 
 /**
- * Applies Kalman filtering to all skeleton keypoints
- * @param {Array} poses - Array of pose objects
- * @returns {Array} Poses with smoothed keypoints
+ * Gets (or creates) the per-person motion state used for velocities and footsteps
+ * @param {number} id - Person id
+ * @returns {Object} Mutable state object for that person
  */
-function smoothKeypoints(poses) {
-  if (!poses || !poses.length || !poses[0].keypoints) {
-    kalmanFilters = [];
-    return poses;
+function getPersonState(id) {
+  if (!personStates[id]) {
+    personStates[id] = {
+      prevKeypoints: {},
+      prevHandPositions: { left: {}, right: {} },
+      prevAnkleY: { left: 0, right: 0, left_vel: 0, right_vel: 0, left_maxVel: 0, right_maxVel: 0 },
+      ankleMovingDown: { left: false, right: false }
+    };
   }
+  return personStates[id];
+}
 
-  const currentKeypoints = poses[0].keypoints;
-
-  // Initialize filters on first frame
-  if (kalmanFilters.length !== currentKeypoints.length) {
-    kalmanFilters = currentKeypoints.map(() =>
-      new KalmanFilter2D(PROCESS_NOISE, MEASUREMENT_NOISE)
-    );
+/**
+ * Finds the person whose wrist is closest to a detected hand
+ * @param {Array} handLandmarks - MediaPipe hand landmarks (normalized 0-1)
+ * @returns {Object|null} Matching pose or null if no people are tracked
+ */
+function findPersonForHand(handLandmarks) {
+  const people = posePipeline.get(POSE_SOURCES.gestures);
+  if (!people.length || !sourceWidth()) return null;
+  const wrist = handLandmarks[0];
+  let best = people[0], bestDist = Infinity;
+
+  for (const pose of people) {
+    for (const name of ['left_wrist', 'right_wrist']) {
+      const kp = getKP(pose, name);
+      if (!kp) continue;
+      const d = Math.hypot(
+        kp.x / sourceWidth() - wrist.x,
+        kp.y / sourceHeight() - wrist.y
+      );
+      if (d < bestDist) {
+        bestDist = d;
+        best = pose;
+      }
+    }
   }
-
-  // Apply filter to each keypoint
-  const dt = 1 / 60; // Assume 60 FPS
-  const smoothedKps = currentKeypoints.map((kp, i) => {
-    const filter = kalmanFilters[i];
-
-    filter.predict(dt);
-    filter.update(kp.x, kp.y);
-
-    const filtered = filter.getPosition();
-
-    return {
-      x: filtered.x,
-      y: filtered.y,
-      confidence: kp.confidence,
-      name: kp.name
-    };
-  });
-
-  return [{ ...poses[0], keypoints: smoothedKps }];
+  return best;
 }
 
 /* ===============================================================================
@@ -1053,116 +1183,39 @@ function smoothKeypoints(poses) {
    =============================================================================== */
 
 /**
- * Draws skeleton lines, keypoints, virtual chest, and facing arrow
- * Uses depth (z-coordinate) for perspective: closer = bigger/brighter, farther = smaller/dimmer
+ * Draws the shared skeleton/chest overlay with depth (z-coordinate) styling:
+ * closer = bigger/brighter, farther = smaller/dimmer
  * @param {Array} poses - Smoothed pose data
- * @param {number} renderW - Render area width (defaults to RENDER_WIDTH)
- * @param {number} renderH - Render area height (defaults to RENDER_HEIGHT)
+ * @param {number} renderW - Render area width on screen
+ * @param {number} renderH - Render area height on screen
  */
-function drawSkeletonAndChest(poses, renderW = RENDER_WIDTH, renderH = RENDER_HEIGHT) {
-  // MediaPipe coordinates are already normalized 0-1, then scaled to video dimensions
-  const sX = renderW / videoElement.videoWidth;
-  const sY = renderH / videoElement.videoHeight;
-
-  for (const pose of poses) {
-    // Draw skeleton connections using MediaPipe connection indices
-    for (const [aIndex, bIndex] of POSE_CONNECTIONS) {
-      const a = pose.keypoints[aIndex];
-      const b = pose.keypoints[bIndex];
-      if (confOK(a) && confOK(b)) {
-        // Mirror x-coordinate for display
-        const ax = (videoElement.videoWidth - a.x) * sX;
-        const bx = (videoElement.videoWidth - b.x) * sX;
-
-        // Average depth of the two points
-        const boneZ = ((a.z || 0) + (b.z || 0)) / 2;
-
-        // Use actual observed z range (minZ to maxZ) for more accurate mapping
-        // More dramatic scaling: 0.3x to 4x
-        // SWAPPED: since minZ > maxZ, we swap output values (far=small, close=big)
-        const depthScale = map(boneZ, minZ, maxZ, 4.0, 0.3);
-        const clampedScale = constrain(depthScale, 0.3, 4.0);
-        const brightness = map(boneZ, minZ, maxZ, 100, 30); // Brighter when close
-
-        // Color: cyan (close) to blue (far) - swapped
-        const boneHue = map(boneZ, minZ, maxZ, 180, 240);
-        stroke(boneHue, 80, constrain(brightness, 30, 100));
-        strokeWeight(2 * clampedScale);
-
-        line(ax, a.y * sY, bx, b.y * sY);
-      }
-    }
-
-    // Draw keypoints as circles with depth-based sizing
-    noStroke();
-    for (const kp of pose.keypoints) {
-      if (confOK(kp)) {
-        const kx = (videoElement.videoWidth - kp.x) * sX;
-        const z = kp.z || 0;
-
-        // Use actual observed z range for more accurate mapping
-        // More dramatic scaling: 0.3x to 4x
-        // SWAPPED: since minZ > maxZ, we swap output values (far=small, close=big)
-        const depthScale = map(z, minZ, maxZ, 4.0, 0.3);
-        const clampedScale = constrain(depthScale, 0.3, 4.0);
-        const brightness = map(z, minZ, maxZ, 100, 30); // Brighter when close
-
-        // Color shifts from green (close) to blue (far) - swapped
-        const hue = map(z, minZ, maxZ, 120, 240);
-        fill(hue, 80, constrain(brightness, 30, 100));
-
-        // Size based on depth - base size 8, can go from 2.4 to 32 pixels
-        circle(kx, kp.y * sY, 8 * clampedScale);
-      }
-    }
-
-    // Calculate and draw virtual chest point
-    const LS = getKP(pose, 'left_shoulder');
-    const RS = getKP(pose, 'right_shoulder');
-    const LH = getKP(pose, 'left_hip');
-    const RH = getKP(pose, 'right_hip');
-
-    if (LS && RS) {
-      const shoulderMid = { x: (LS.x + RS.x) / 2, y: (LS.y + RS.y) / 2 };
-      let chestX = shoulderMid.x, chestY = shoulderMid.y;
-
-      // Refine chest position using hip midpoint
-      if (LH && RH) {
-        const hipMid = { x: (LH.x + RH.x) / 2, y: (LH.y + RH.y) / 2 };
-        chestX = 0.7 * shoulderMid.x + 0.3 * hipMid.x;
-        chestY = 0.7 * shoulderMid.y + 0.3 * hipMid.y;
-      }
-
-      // Mirror and scale chest position
-      chestX = (videoElement.videoWidth - chestX) * sX;
-      chestY *= sY;
-
-      // Draw chest point
-      fill(0, 255, 255);
-      noStroke();
-      circle(chestX, chestY, 10);
-
-      // Draw connectors from chest to shoulders and hips (mirrored)
-      stroke(255);
-      strokeWeight(2);
-      line(chestX, chestY, (videoElement.videoWidth - LS.x) * sX, LS.y * sY);
-      line(chestX, chestY, (videoElement.videoWidth - RS.x) * sX, RS.y * sY);
-      if (LH) line(chestX, chestY, (videoElement.videoWidth - LH.x) * sX, LH.y * sY);
-      if (RH) line(chestX, chestY, (videoElement.videoWidth - RH.x) * sX, RH.y * sY);
-
-      // Draw facing direction arrow (perpendicular to shoulders)
-      // Note: need to account for mirroring in the direction calculation
-      const vS = createVector((LS.x - RS.x) * sX, (RS.y - LS.y) * sY); // Swapped for mirror
-      if (vS.mag() > 1e-3) {
-        const n = createVector(-vS.y, vS.x).normalize();
-        const L = constrain(vS.mag() * 0.4, 30, 120);
-        stroke(255);
-        strokeWeight(3);
-        drawArrow(createVector(chestX, chestY),
-          p5.Vector.add(createVector(chestX, chestY), n.mult(L)));
-      }
+function drawDepthSkeleton(poses, renderW, renderH) {
+  // Keypoints are in oriented source pixels, scaled to the render area
+  const sX = renderW / sourceWidth();
+  const sY = renderH / sourceHeight();
+
+  // Use actual observed z range (minZ to maxZ) for more accurate mapping
+  // More dramatic scaling: 0.3x to 4x
+  // SWAPPED: since minZ > maxZ, we swap output values (far=small, close=big)
+  const depthScale = (z) => constrain(map(z, minZ, maxZ, 4.0, 0.3), 0.3, 4.0);
+  const depthBrightness = (z) => constrain(map(z, minZ, maxZ, 100, 30), 30, 100); // Brighter when close
+
+  drawSkeletonAndChest(poses, {
+    connections: POSE_CONNECTIONS,
+    project: (kp) => ({ x: kp.x * sX, y: kp.y * sY }),
+    styleBone: (a, b) => {
+      // Average depth of the two points; color cyan (close) to blue (far)
+      const boneZ = ((a.z || 0) + (b.z || 0)) / 2;
+      stroke(map(boneZ, minZ, maxZ, 180, 240), 80, depthBrightness(boneZ));
+      strokeWeight(2 * depthScale(boneZ));
+    },
+    styleJoint: (kp) => {
+      // Color shifts from green (close) to blue (far); base size 8, from 2.4 to 32 pixels
+      const z = kp.z || 0;
+      fill(map(z, minZ, maxZ, 120, 240), 80, depthBrightness(z));
+      return 8 * depthScale(z);
     }
-  }
+  });
 }
 
 /* ===============================================================================
@@ -1171,26 +1224,40 @@ function drawSkeletonAndChest(poses, renderW = RENDER_WIDTH, renderH = RENDER_HE
 
 /**
  * Injects fluid splats at body keypoints based on their movement
+ * Every tracked person paints with their own palette
  * @param {Array} posesArr - Current pose data
  * @param {number} dtSec - Delta time in seconds
  */
 function injectBodySplats(posesArr, dtSec) {
   if (!posesArr || !posesArr.length || !fluidSim || !videoReady) return;
 
-  const pose = posesArr[0];
+  // Update color cycling offset (slower cycle for gradual shifts)
+  colorCycleOffset = (colorCycleOffset + COLOR_CYCLE_SPEED * audioMod.cycle) % 360;
+
+  // The first person in the list drives the shared edge glow color
+  posesArr.forEach((pose, i) => injectPersonSplats(pose, dtSec, i === 0));
+}
+
+/**
+ * Injects fluid splats for a single person
+ * @param {Object} pose - Pose with keypoints, id and hueOffset
+ * @param {number} dtSec - Delta time in seconds
+ * @param {boolean} drivesGlow - Whether this person sets EDGE_GLOW_COLOR
+ */
+function injectPersonSplats(pose, dtSec, drivesGlow) {
   if (!pose.keypoints) return;
 
-  // Use render dimensions for fluid simulation
-  const sX = RENDER_WIDTH / videoElement.videoWidth;
-  const sY = RENDER_HEIGHT / videoElement.videoHeight;
+  const state = getPersonState(pose.id || 0);
+  const prevKeypoints = state.prevKeypoints;
 
-  // Update color cycling offset (slower cycle for gradual shifts)
-  colorCycleOffset = (colorCycleOffset + COLOR_CYCLE_SPEED) % 360;
+  // Motion space (fluid positions are normalized, speeds stay resolution independent)
+  const sX = MOTION_SPACE_WIDTH / sourceWidth();
+  const sY = MOTION_SPACE_HEIGHT / sourceHeight();
 
   // Color shifting helper - converts HSL to RGB (normalized 0-1)
   const hslToRgb = (h, s, l) => {
     h = h / 360;
-    const a = s * Math.min(l, 1 - l);
+    const a = s * movementMod.sat * Math.min(l, 1 - l); // Movement quality scales saturation
     const f = n => {
       const k = (n + h * 12) % 12;
       return l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
@@ -1199,8 +1266,8 @@ function injectBodySplats(posesArr, dtSec) {
   };
 
   // Base hues for the palette (deep blue -> purple -> red-orange)
-  // Uses person-specific hue offset for variation (set randomly on page load)
-  const personShift = currentPersonHueOffset;
+  // Uses person-specific hue offset so each dancer paints in distinct colors
+  const personShift = pose.hueOffset || 0;
   const baseHues = {
     deepBlue: (230 + personShift) % 360,
     purple: (270 + personShift) % 360,
@@ -1209,7 +1276,7 @@ function injectBodySplats(posesArr, dtSec) {
   };
 
   // Apply color shift to create dynamic palette
-  const shift = colorCycleOffset * 0.3; // Subtle shift amount
+  const shift = colorCycleOffset * 0.3 + movementMod.hue + 360; // Subtle cycle + movement-quality shift (kept positive)
   const PALETTE = {
     deepBlue: hslToRgb((baseHues.deepBlue + shift) % 360, 1.0, 0.55),     // Vivid deep blue
     purple: hslToRgb((baseHues.purple + shift) % 360, 0.95, 0.6),         // Bright purple
@@ -1218,9 +1285,11 @@ function injectBodySplats(posesArr, dtSec) {
   };
 
   // Update glow color to match palette with person variation
-  const glowHue = (290 + personShift + shift) % 360;
-  const glowRgb = hslToRgb(glowHue, 0.85, 0.65);
-  EDGE_GLOW_COLOR = `rgba(${Math.round(glowRgb.r * 255)}, ${Math.round(glowRgb.g * 255)}, ${Math.round(glowRgb.b * 255)}, 0.85)`;
+  if (drivesGlow) {
+    const glowHue = (290 + personShift + shift) % 360;
+    const glowRgb = hslToRgb(glowHue, 0.85, 0.65);
+    EDGE_GLOW_COLOR = { r: glowRgb.r, g: glowRgb.g, b: glowRgb.b, a: 0.85 };
+  }
 
   // Define which keypoints create splats with palette colors
   // Gradient: extremities = bright (red-orange), core = dark (deep blue)
@@ -1254,7 +1323,7 @@ function injectBodySplats(posesArr, dtSec) {
   const createSplatAtPoint = (kp, pt, prevPos) => {
     if (!kp) return;
 
-    const x = (videoElement.videoWidth - kp.x) * sX;
+    const x = kp.x * sX;
     const y = kp.y * sY;
     const z = kp.z || 0;
 
@@ -1265,11 +1334,16 @@ function injectBodySplats(posesArr, dtSec) {
       avgZ = avgZ * 0.95 + z * 0.05;
     }
 
-    // Calculate raw velocity
+    // Kalman-filtered velocity; raw differences for depth
     let dx = 0, dy = 0, dz = 0;
-    if (prevPos) {
+    if (kp.vx !== undefined) {
+      dx = kp.vx * sX;
+      dy = kp.vy * sY;
+    } else if (prevPos) {
       dx = (x - prevPos.x) / Math.max(0.016, dtSec);
       dy = (y - prevPos.y) / Math.max(0.016, dtSec);
+    }
+    if (prevPos) {
       dz = (z - prevPos.z) / Math.max(0.016, dtSec);
     }
 
@@ -1288,8 +1362,8 @@ function injectBodySplats(posesArr, dtSec) {
     const speed3D = Math.sqrt(normalizedDx * normalizedDx + normalizedDy * normalizedDy + dz * dz * 10000);
 
     if (speed2D > 2 || depthSpeed > 0.1) {
-      const normX = x / RENDER_WIDTH;
-      const normY = y / RENDER_HEIGHT;
+      const normX = x / MOTION_SPACE_WIDTH;
+      const normY = y / MOTION_SPACE_HEIGHT;
 
       const baseColor = PALETTE[pt.color];
       const cycleT = colorCycleOffset / 360;
@@ -1299,8 +1373,8 @@ function injectBodySplats(posesArr, dtSec) {
         b: baseColor.b + Math.sin(cycleT * Math.PI * 2 + 4) * 0.15
       };
 
-      const forceMult = Math.min(speed3D / 100, 3) * pt.force * (1 + spdLP2 * 2) * clampedSizeMult;
-      const radiusMult = FLUID_CONFIG.SPLAT_RADIUS * pt.radius * clampedSizeMult;
+      const forceMult = Math.min(speed3D / 100, 3) * pt.force * (1 + speedTracker.lp2 * 2) * clampedSizeMult * audioMod.force * movementMod.force;
+      const radiusMult = FLUID_CONFIG.SPLAT_RADIUS * pt.radius * clampedSizeMult * movementMod.radius;
 
       // Use normalized velocities for fluid direction
       injectSplat(fluidSim, normX, normY, normalizedDx, normalizedDy, rgb, radiusMult, forceMult * 0.5);
@@ -1338,6 +1412,11 @@ function injectBodySplats(posesArr, dtSec) {
         z: (startKp.z || 0) * (1 - t) + (endKp.z || 0) * t,
         confidence: Math.min(startKp.confidence, endKp.confidence)
       };
+      // Filtered velocity only when both ends have one (raw poses fall back to position differences)
+      if (startKp.vx !== undefined && endKp.vx !== undefined) {
+        interpKp.vx = startKp.vx * (1 - t) + endKp.vx * t;
+        interpKp.vy = startKp.vy * (1 - t) + endKp.vy * t;
+      }
 
       const interpPt = {
         name: `${startName}_${endName}_${i}`,
@@ -1350,41 +1429,65 @@ function injectBodySplats(posesArr, dtSec) {
       if (newPos) prevKeypoints[interpPt.name] = newPos;
     }
   }
+}
 
-  // --- Footstep detection: inject zero-velocity fluid splat when foot lands ---
-  if (FOOTSTEP_ENABLED) {
-    const checkFootstep = (side, ankleKp) => {
-      if (!ankleKp) return;
-      const normY = ankleKp.y / videoElement.videoHeight;
-      const currentY = ankleKp.y * sY;
-      const velocityY = (currentY - prevAnkleY[side]) / Math.max(0.016, dtSec);
-
-      // Track max velocity during descent (for jump detection)
-      if (velocityY > prevAnkleY[side + '_maxVel']) {
-        prevAnkleY[side + '_maxVel'] = velocityY;
-      }
+/**
+ * Injects a zero-velocity white splat wherever a foot lands
+ * @param {Array} posesArr - Pose view chosen by POSE_SOURCES.footsteps
+ * @param {number} dtSec - Delta time in seconds
+ */
+function injectFootsteps(posesArr, dtSec) {
+  if (!FOOTSTEP_ENABLED || !posesArr || !fluidSim || !videoReady) return;
+  posesArr.forEach(pose => injectPersonFootsteps(pose, dtSec));
+}
 
-      // Detect landing: was moving down, now stopped/slowed, and near bottom
-      if (ankleMovingDown[side] && velocityY < FOOTSTEP_VELOCITY_THRESHOLD && normY > FOOTSTEP_Y_THRESHOLD) {
-        const normX = (videoElement.videoWidth - ankleKp.x) / videoElement.videoWidth;
-        const white = { r: 1.0, g: 1.0, b: 1.0 };
-        // Use max velocity during fall for impact (captures jump height better)
-        const maxVel = prevAnkleY[side + '_maxVel'];
-        const impactScale = constrain(map(maxVel, 30, 300, 1.0, 5.0), 1.0, 5.0);
-        injectSplat(fluidSim, normX, normY, 0, 0, white, 0.06 * impactScale, 0.08 * impactScale);
-        prevAnkleY[side + '_maxVel'] = 0; // Reset max velocity after landing
-      }
+/**
+ * Footstep detection for a single person: was moving down, now stopped near the floor
+ * @param {Object} pose - Pose with keypoints and id
+ * @param {number} dtSec - Delta time in seconds
+ */
+function injectPersonFootsteps(pose, dtSec) {
+  if (!pose.keypoints) return;
 
-      ankleMovingDown[side] = velocityY > FOOTSTEP_VELOCITY_THRESHOLD;
-      if (!ankleMovingDown[side]) {
-        prevAnkleY[side + '_maxVel'] = 0; // Reset when not moving down
-      }
-      prevAnkleY[side] = currentY;
-    };
+  const state = getPersonState(pose.id || 0);
+  const prevAnkleY = state.prevAnkleY;
+  const ankleMovingDown = state.ankleMovingDown;
+  const sY = MOTION_SPACE_HEIGHT / sourceHeight();
+
+  const checkFootstep = (side, ankleKp) => {
+    if (!ankleKp) return;
+    const normY = ankleKp.y / sourceHeight();
+    const currentY = ankleKp.y * sY;
+    // Filtered velocity when the pose is smoothed, else the change since last frame
+    const velocityY = ankleKp.vy !== undefined
+      ? ankleKp.vy * sY
+      : (currentY - prevAnkleY[side]) / Math.max(0.016, dtSec);
+
+    // Track max velocity during descent (for jump detection)
+    if (velocityY > prevAnkleY[side + '_maxVel']) {
+      prevAnkleY[side + '_maxVel'] = velocityY;
+    }
 
-    checkFootstep('left', getKP(pose, 'left_ankle'));
-    checkFootstep('right', getKP(pose, 'right_ankle'));
-  }
+    // Detect landing: was moving down, now stopped/slowed, and near bottom
+    if (ankleMovingDown[side] && velocityY < FOOTSTEP_VELOCITY_THRESHOLD && normY > FOOTSTEP_Y_THRESHOLD) {
+      const normX = ankleKp.x / sourceWidth();
+      const white = { r: 1.0, g: 1.0, b: 1.0 };
+      // Use max velocity during fall for impact (captures jump height better)
+      const maxVel = prevAnkleY[side + '_maxVel'];
+      const impactScale = constrain(map(maxVel, 30, 300, 1.0, 5.0), 1.0, 5.0);
+      injectSplat(fluidSim, normX, normY, 0, 0, white, 0.06 * impactScale, 0.08 * impactScale);
+      prevAnkleY[side + '_maxVel'] = 0; // Reset max velocity after landing
+    }
+
+    ankleMovingDown[side] = velocityY > FOOTSTEP_VELOCITY_THRESHOLD;
+    if (!ankleMovingDown[side]) {
+      prevAnkleY[side + '_maxVel'] = 0; // Reset when not moving down
+    }
+    prevAnkleY[side] = currentY;
+  };
+
+  checkFootstep('left', getKP(pose, 'left_ankle'));
+  checkFootstep('right', getKP(pose, 'right_ankle'));
 }
 
 /**
@@ -1396,23 +1499,25 @@ function injectHandSplats(dtSec) {
   if (!handResults || !handResults.multiHandLandmarks || !fluidSim || !videoReady || !HAND_TRACKING_ENABLED) return;
 
   // Finger colors matching the new palette (deep blue -> purple -> red-orange)
-  // Color shifting applied based on colorCycleOffset
-  const shift = colorCycleOffset * 0.3;
+  // Color shifting applied based on colorCycleOffset plus the owning person's hue offset
   const hslToRgb = (h, s, l) => {
     h = h / 360;
-    const a = s * Math.min(l, 1 - l);
+    const a = s * movementMod.sat * Math.min(l, 1 - l); // Movement quality scales saturation
     const f = n => {
       const k = (n + h * 12) % 12;
       return l - a * Math.max(Math.min(k - 3, 9 - k, 1), -1);
     };
     return { r: f(0), g: f(8), b: f(4) };
   };
-  const FINGER_COLORS = {
-    thumb: hslToRgb((15 + shift) % 360, 1.0, 0.7),       // Red-orange (brightest)
-    index: hslToRgb((340 + shift) % 360, 0.95, 0.65),    // Coral/salmon
-    middle: hslToRgb((310 + shift) % 360, 0.9, 0.6),     // Magenta/pink
-    ring: hslToRgb((270 + shift) % 360, 0.9, 0.55),      // Purple
-    pinky: hslToRgb((240 + shift) % 360, 0.85, 0.5)      // Deep blue-purple
+  const fingerColors = (personShift) => {
+    const shift = colorCycleOffset * 0.3 + personShift + movementMod.hue + 360;
+    return {
+      thumb: hslToRgb((15 + shift) % 360, 1.0, 0.7),       // Red-orange (brightest)
+      index: hslToRgb((340 + shift) % 360, 0.95, 0.65),    // Coral/salmon
+      middle: hslToRgb((310 + shift) % 360, 0.9, 0.6),     // Magenta/pink
+      ring: hslToRgb((270 + shift) % 360, 0.9, 0.55),      // Purple
+      pinky: hslToRgb((240 + shift) % 360, 0.85, 0.5)      // Deep blue-purple
+    };
   };
 
   // Define which landmarks to track with their properties
@@ -1435,6 +1540,11 @@ function injectHandSplats(dtSec) {
     const handedness = handResults.multiHandedness[handIndex]?.label || 'Unknown';
     const handKey = handedness.toLowerCase(); // 'left' or 'right'
 
+    // Attribute the hand to the nearest dancer so it paints in their colors
+    const owner = findPersonForHand(landmarks);
+    const prevHandPositions = getPersonState(owner ? owner.id || 0 : 0).prevHandPositions;
+    const FINGER_COLORS = fingerColors(owner ? owner.hueOffset || 0 : 0);
+
     // Ensure hand position storage exists
     if (!prevHandPositions[handKey]) {
       prevHandPositions[handKey] = {};
@@ -1444,10 +1554,9 @@ function injectHandSplats(dtSec) {
       const landmark = landmarks[pt.index];
       if (!landmark) continue;
 
-      // MediaPipe hands uses normalized coordinates (0-1)
-      // Mirror x coordinate and scale to render dimensions
-      const x = (1 - landmark.x) * RENDER_WIDTH;
-      const y = landmark.y * RENDER_HEIGHT;
+      // Normalized (oriented) coordinates, scaled to motion space
+      const x = landmark.x * MOTION_SPACE_WIDTH;
+      const y = landmark.y * MOTION_SPACE_HEIGHT;
       const z = landmark.z || 0;
 
       const prevPos = prevHandPositions[handKey][pt.name];
@@ -1468,19 +1577,19 @@ function injectHandSplats(dtSec) {
       // Only inject splats when there's movement
       if (speed2D > 5) {
         // Normalized position for fluid (0-1)
-        const normX = x / RENDER_WIDTH;
-        const normY = y / RENDER_HEIGHT;
+        const normX = x / MOTION_SPACE_WIDTH;
+        const normY = y / MOTION_SPACE_HEIGHT;
 
         // Normalize velocity (divide by canvas size for proper fluid dynamics)
-        const normalizedDx = dx / RENDER_WIDTH;
-        const normalizedDy = dy / RENDER_HEIGHT;
+        const normalizedDx = dx / MOTION_SPACE_WIDTH;
+        const normalizedDy = dy / MOTION_SPACE_HEIGHT;
 
         // Get color based on finger
         const rgb = FINGER_COLORS[pt.finger];
 
         // Force multiplier based on speed
-        const forceMult = Math.min(speed2D / 50, 4) * pt.force;
-        const radiusMult = FLUID_CONFIG.SPLAT_RADIUS * pt.radius;
+        const forceMult = Math.min(speed2D / 50, 4) * pt.force * audioMod.force * movementMod.force;
+        const radiusMult = FLUID_CONFIG.SPLAT_RADIUS * pt.radius * movementMod.radius;
 
         // Inject splat at finger position
         injectSplat(fluidSim, normX, normY, normalizedDx, normalizedDy, rgb, radiusMult, forceMult);
@@ -1490,262 +1599,573 @@ function injectHandSplats(dtSec) {
 }
 
 /**
- * Injects boundary forces that push fluid inward from the edges
- * Creates a "containment field" that keeps fluid centered
+ * Pushes the flow field and boundary containment settings into the fluid config
+ * FluidSimulation.update() applies both as a single GPU force pass; a disabled
+ * mode is sent as strength 0 so the pass is skipped
  */
-function injectBoundaryForces() {
-  if (!fluidSim || !BOUNDARY_FORCES_ENABLED) return;
-
-  const samples = BOUNDARY_FORCE_SAMPLES;
-  const width = BOUNDARY_FORCE_WIDTH;
-  const strength = BOUNDARY_FORCE_STRENGTH;
-
-  // Subtle blue-tinted color for boundary forces
-  const boundaryColor = { r: 0.05, g: 0.15, b: 0.25 };
-
-  // Left edge: push right
-  for (let i = 0; i < samples; i++) {
-    const t = (i + 0.5) / samples; // Sample position (0-1)
-    const x = width / 2; // Position in boundary zone
-    const y = t;
-    const dx = strength; // Push right
-    const dy = 0;
-    injectSplat(fluidSim, x, y, dx, dy, boundaryColor, FLUID_CONFIG.SPLAT_RADIUS * 0.3, 1.0);
+function updateFluidForces() {
+  FLUID_CONFIG.FLOW_FIELD_STRENGTH = FLOW_FIELD_ENABLED ? FLOW_FIELD_STRENGTH * 0.3 : 0; // 0.3 = subtle ambient drift
+  FLUID_CONFIG.FLOW_FIELD_SCALE = FLOW_FIELD_SCALE;
+  FLUID_CONFIG.FLOW_FIELD_SPEED = FLOW_FIELD_SPEED;
+  FLUID_CONFIG.BOUNDARY_FORCE_STRENGTH = BOUNDARY_FORCES_ENABLED ? BOUNDARY_FORCE_STRENGTH : 0;
+  FLUID_CONFIG.BOUNDARY_FORCE_WIDTH = BOUNDARY_FORCE_WIDTH;
+}
+
+/* ===============================================================================
+   GESTURE CONTROL
+   =============================================================================== */
+
+/**
+ * What each recognized gesture does (null = recognized but no action)
+ */
+const GESTURE_ACTIONS = {
+  open_palm: (e) => gestureColorBurst(e, 1.0),
+  clap: (e) => gestureColorBurst(e, 2.0),
+  fist: () => { if (fluidSim) fluidSim.clear(); },
+  peace: () => { personHueBaseIndex = (personHueBaseIndex + 1) % PERSON_HUE_OFFSETS.length; },
+  pinch: () => setFluidFrozen(!fluidFrozen),
+  point: null
+};
+
+/**
+ * Gesture event handler (see GestureRecognizer)
+ * @param {Object} e - { gesture, hand, x, y } with x/y normalized camera coordinates
+ */
+function onGesture(e) {
+  lastGesture = { ...e, time: millis() };
+  const action = GESTURE_ACTIONS[e.gesture];
+  if (action) action(e);
+}
+
+/**
+ * Radial burst of dye in the current palette color at the gesture position
+ * @param {Object} e - Gesture event
+ * @param {number} scale - Size/force multiplier
+ */
+function gestureColorBurst(e, scale) {
+  if (!fluidSim || fluidFrozen) return;
+  const normX = e.x;
+  const normY = e.y;
+  const rgb = hsbToRgb(speedColors.hue, speedColors.sat, speedColors.bri);
+  const spokes = 8;
+  for (let i = 0; i < spokes; i++) {
+    const a = (i / spokes) * Math.PI * 2;
+    injectSplat(fluidSim, normX, normY, Math.cos(a), Math.sin(a), rgb,
+      FLUID_CONFIG.SPLAT_RADIUS * 0.5 * scale, 400 * scale);
   }
+}
+
+/* ===============================================================================
+   SESSION RECORDING AND REPLAY
+   =============================================================================== */
+
+/**
+ * Tracker currently feeding results (the replay while one is playing)
+ * @returns {PoseTracker}
+ */
+function activeTracker() {
+  return replayTracker || tracker;
+}
+
+/**
+ * Width of the oriented source frame keypoints are placed in (camera, or the
+ * recording during replay; rotated 90° / 270° swaps width and height)
+ * @returns {number} Pixels
+ */
+function sourceWidth() {
+  const t = activeTracker();
+  return cameraSettings.viewSize(t.frameWidth, t.frameHeight).width;
+}
 
-  // Right edge: push left
-  for (let i = 0; i < samples; i++) {
-    const t = (i + 0.5) / samples;
-    const x = 1.0 - width / 2; // Position in boundary zone
-    const y = t;
-    const dx = -strength; // Push left
-    const dy = 0;
-    injectSplat(fluidSim, x, y, dx, dy, boundaryColor, FLUID_CONFIG.SPLAT_RADIUS * 0.3, 1.0);
+/**
+ * Height of the oriented source frame keypoints are placed in
+ * @returns {number} Pixels
+ */
+function sourceHeight() {
+  const t = activeTracker();
+  return cameraSettings.viewSize(t.frameWidth, t.frameHeight).height;
+}
+
+/**
+ * Starts recording, or stops and downloads the current recording
+ */
+function toggleSessionRecording() {
+  if (activeTracker() instanceof RecordedTracker) return; // Don't record a replay of a recording
+
+  if (poseRecorder.recording) {
+    if (poseRecorder.stop() > 0) {
+      poseRecorder.download().catch(err => console.error('[Recorder] Download failed:', err));
+    }
+  } else {
+    poseRecorder.start(tracker.frameWidth, tracker.frameHeight);
   }
+}
 
-  // Top edge: push down
-  for (let i = 0; i < samples; i++) {
-    const t = (i + 0.5) / samples;
-    const x = t;
-    const y = width / 2; // Position in boundary zone
-    const dx = 0;
-    const dy = strength; // Push down
-    injectSplat(fluidSim, x, y, dx, dy, boundaryColor, FLUID_CONFIG.SPLAT_RADIUS * 0.3, 1.0);
+/**
+ * Drops the current tracking results (when switching between live and replay)
+ */
+function clearTrackingState() {
+  poses = [];
+  handResults = null;
+  segmentationMask = null;
+}
+
+/**
+ * Loads and replays a session file, or stops replay and returns to the live tracker
+ */
+function toggleSessionPlayback() {
+  if (replayTracker) {
+    replayTracker.stop();
+    replayTracker = null;
+    clearTrackingState();
+    tracker.start().then(() => startup.set('running')).catch(err => {
+      console.error('Failed to restart tracker:', err);
+      startup.fail(err);
+    });
+    return;
   }
 
-  // Bottom edge: push up
-  for (let i = 0; i < samples; i++) {
-    const t = (i + 0.5) / samples;
-    const x = t;
-    const y = 1.0 - width / 2; // Position in boundary zone
-    const dx = 0;
-    const dy = -strength; // Push up
-    injectSplat(fluidSim, x, y, dx, dy, boundaryColor, FLUID_CONFIG.SPLAT_RADIUS * 0.3, 1.0);
+  if (!sessionFileInput) {
+    sessionFileInput = document.createElement('input');
+    sessionFileInput.type = 'file';
+    sessionFileInput.accept = '.json,.gz,application/json,application/gzip';
+    sessionFileInput.style.display = 'none';
+    sessionFileInput.addEventListener('change', () => {
+      const file = sessionFileInput.files[0];
+      sessionFileInput.value = '';
+      if (!file) return;
+      const replay = new RecordedTracker({
+        onPose: onPoseResults,
+        onHands: onHandResults,
+        onSegmentation: onSegmentationResults
+      }, { file });
+      replay.handsEnabled = HAND_TRACKING_ENABLED;
+      replay.start().then(() => {
+        // Live results would interleave with the replay, so pause the live tracker
+        tracker.stop();
+        if (poseRecorder.recording) poseRecorder.stop();
+        clearTrackingState();
+        videoReady = true;
+        replayTracker = replay;
+        startup.set('running');
+      }).catch(err => {
+        replay.stop();
+        console.error('[Player] Failed to load session:', err);
+      });
+    });
+    document.body.appendChild(sessionFileInput);
   }
+  sessionFileInput.click();
 }
 
+/* ===============================================================================
+   FLUID STATE (freeze, save / load, seed from an image)
+   =============================================================================== */
+
 /**
- * Injects ambient flow field using Perlin noise
- * Creates organic, swirling patterns across the entire canvas
+ * Freezes or releases the fluid. Frozen fluid is still drawn but not advanced,
+ * and gesture bursts are ignored.
+ * @param {boolean} frozen
  */
-function injectFlowField() {
-  if (!fluidSim || !FLOW_FIELD_ENABLED) return;
-
-  // Increment time for animated noise
-  flowFieldTime += FLOW_FIELD_SPEED;
-
-  const gridSize = FLOW_FIELD_GRID_SIZE;
-  const cellsX = Math.floor(RENDER_WIDTH / gridSize);
-  const cellsY = Math.floor(RENDER_HEIGHT / gridSize);
-
-  // Very subtle purple/blue tint for flow field
-  const flowColor = { r: 0.02, g: 0.05, b: 0.12 };
-
-  // Inject forces at grid points across the canvas
-  for (let i = 0; i < cellsX; i++) {
-    for (let j = 0; j < cellsY; j++) {
-      // Normalized position (0-1)
-      const normX = (i + 0.5) / cellsX;
-      const normY = (j + 0.5) / cellsY;
-
-      // Generate Perlin noise angle (0-2π)
-      const px = normX * RENDER_WIDTH;
-      const py = normY * RENDER_HEIGHT;
-      const angle = noise(px * FLOW_FIELD_SCALE, py * FLOW_FIELD_SCALE, flowFieldTime) * Math.PI * 2;
-
-      // Convert angle to velocity vector
-      const dx = Math.cos(angle) * FLOW_FIELD_STRENGTH;
-      const dy = Math.sin(angle) * FLOW_FIELD_STRENGTH;
-
-      // Inject very small, subtle splats
-      injectSplat(
-        fluidSim,
-        normX,
-        normY,
-        dx,
-        dy,
-        flowColor,
-        FLUID_CONFIG.SPLAT_RADIUS * 0.2,  // Very small radius
-        0.3  // Low force multiplier
-      );
+function setFluidFrozen(frozen) {
+  fluidFrozen = frozen;
+  if (!fluidSim) return;
+  if (frozen) fluidSim.pause();
+  else fluidSim.resume();
+}
+
+/**
+ * Downloads the current dye and velocity as a .fluid file
+ */
+function saveFluidState() {
+  const blob = fluidSim && fluidSim.saveState();
+  if (!blob) return;
+  downloadBlob(blob, `fluid-${Date.now()}.fluid`);
+  console.log(`[Fluid] Saved state (${(blob.size / 1e6).toFixed(1)} MB)`);
+}
+
+/**
+ * Loads a .fluid state, or seeds the dye from an image (replacing the current dye)
+ * @param {Blob} file - Picked file or fetched Blob
+ * @param {string} name - File name or URL (an image extension or type picks the image path)
+ * @returns {Promise<void>}
+ */
+async function loadFluidFile(file, name) {
+  if (!fluidSim) throw new Error('Fluid simulation is not running');
+  if (file.type.startsWith('image/') || /\.(png|jpe?g|webp|gif)$/i.test(name)) {
+    const url = URL.createObjectURL(file);
+    try {
+      const image = new Image();
+      image.src = url;
+      await image.decode();
+      fluidSim.seedDye(image);
+    } finally {
+      URL.revokeObjectURL(url);
     }
+  } else {
+    await fluidSim.loadState(file);
+  }
+  fluidCompositionWaiting = true;
+  console.log(`[Fluid] Loaded ${name}`);
+}
+
+/**
+ * Opens a file picker for a .fluid state or an image
+ */
+function openFluidFilePicker() {
+  if (!fluidFileInput) {
+    fluidFileInput = document.createElement('input');
+    fluidFileInput.type = 'file';
+    fluidFileInput.accept = '.fluid,image/*';
+    fluidFileInput.style.display = 'none';
+    fluidFileInput.addEventListener('change', () => {
+      const file = fluidFileInput.files[0];
+      fluidFileInput.value = ''; // Allow re-selecting the same file
+      if (!file) return;
+      loadFluidFile(file, file.name).catch(err => {
+        console.error('[Fluid] Failed to load fluid file:', err);
+      });
+    });
+    document.body.appendChild(fluidFileInput);
   }
+  fluidFileInput.click();
+}
+
+/**
+ * Starts from a prepared composition: ?fluid=<url> (a .fluid state or an
+ * image), held frozen with &freeze=1 until released by [Z] or a pinch
+ */
+function loadStartupComposition() {
+  const params = new URLSearchParams(window.location.search);
+  const url = params.get('fluid');
+  if (!url || !fluidSim) return;
+  fetch(url)
+    .then(response => {
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      return response.blob();
+    })
+    .then(blob => loadFluidFile(blob, url))
+    .then(() => {
+      if (params.get('freeze') === '1') setFluidFrozen(true);
+    })
+    .catch(err => {
+      console.error('[Fluid] Could not load the starting composition:', err);
+      assetReport.fail(url, err.message);
+    });
 }
 
 /* ===============================================================================
-   MOTION TRACKING
+   PERFORMANCE CAPTURE
    =============================================================================== */
 
 /**
- * Measures overall body velocity by tracking multiple keypoints
- * @param {Array} posesArr - Current pose data
- * @param {number} dtSec - Delta time in seconds
- * @returns {number} Normalized velocity (0-1+ range)
+ * Canvas region (in canvas pixels) that captures copy for the current overlay mode
+ * 'all' records the whole screen; the other modes record just the render area
+ * @returns {{x: number, y: number, w: number, h: number}}
  */
-function measureBodyVelocity(posesArr, dtSec) {
-  if (!posesArr || !posesArr.length) { lastPts = null; return 0; }
-  const pose = posesArr[0];
-  if (!pose.keypoints || !pose.keypoints.length) { lastPts = null; return 0; }
-
-  // Keypoints to track for velocity
-  const names = [
-    'nose',
-    'left_shoulder', 'right_shoulder',
-    'left_elbow', 'right_elbow',
-    'left_wrist', 'right_wrist',
-    'left_hip', 'right_hip',
-    'left_knee', 'right_knee'
-  ];
+function captureRect() {
+  const pd = pixelDensity();
+  if (captureOverlay === 'all') return { x: 0, y: 0, w: width * pd, h: height * pd };
+  // Visible part of the render area (it overhangs the window in fill mode)
+  const rect = renderRect();
+  const x0 = Math.max(0, rect.x), y0 = Math.max(0, rect.y);
+  const x1 = Math.min(width, rect.x + rect.w), y1 = Math.min(height, rect.y + rect.h);
+  return { x: x0 * pd, y: y0 * pd, w: (x1 - x0) * pd, h: (y1 - y0) * pd };
+}
 
-  const curr = [], conf = [];
-  for (const nm of names) {
-    const kp = getKP(pose, nm);
-    if (kp) {
-      curr.push({ x: kp.x, y: kp.y });
-      conf.push(kp.confidence);
-    }
+/**
+ * Called at each point of draw() where a capture could be taken
+ * Only the stage matching captureOverlay copies the frame, so later layers
+ * (skeleton, warp, HUD) stay out of the footage unless chosen
+ * @param {string} stage - 'clean' (before skeleton), 'skeleton' (before warp/HUD) or 'all' (end of frame)
+ */
+function captureStage(stage) {
+  if (stage !== captureOverlay) return;
+  const source = drawingContext.canvas;
+
+  if (performanceCapture.recording) {
+    performanceCapture.grab(source, captureRect());
   }
-  if (curr.length < 4) { lastPts = null; return 0; }
-
-  // Calculate weighted average displacement
-  let disp = 0, wsum = 0;
-  if (lastPts && lastPts.length === curr.length) {
-    for (let i = 0; i < curr.length; i++) {
-      const d = Math.hypot(curr[i].x - lastPts[i].x, curr[i].y - lastPts[i].y);
-      const w = conf[i];
-      disp += d * w;
-      wsum += w;
-    }
-    if (wsum > 0) disp /= wsum;
+  if (snapshotState === 'rendering') {
+    snapshotState = 'restore';
+    saveCanvasRegion(source, captureRect()).catch(err => console.error('[Capture] Snapshot failed:', err));
   }
-  lastPts = curr;
+}
 
-  // Convert to normalized velocity using render dimensions
-  const pixPerSec = disp / max(0.001, dtSec);
-  const diag = Math.hypot(RENDER_WIDTH, RENDER_HEIGHT);
-  return pixPerSec / (diag * 2.0);
+/**
+ * Starts a WebM recording, or stops and downloads the current one
+ */
+function togglePerformanceCapture() {
+  if (performanceCapture.recording) {
+    performanceCapture.stop();
+    return;
+  }
+  const rect = captureRect();
+  // Reuse the analyser's mic stream if it is already open (one permission prompt, one device)
+  const audioStream = audioAnalyzer && audioAnalyzer.mode === 'mic' ? audioAnalyzer.stream : undefined;
+  performanceCapture.start(rect.w, rect.h, { audio: CAPTURE_WITH_MIC, audioStream }).catch(err => {
+    console.error('[Capture] Failed to start recording:', err);
+  });
 }
 
 /* ===============================================================================
-   DEBUG AND UI
+   RUNTIME TUNING
    =============================================================================== */
 
 /**
- * Draws debug information overlay
- * @param {number} tLinear - Linear speed value (0-1)
+ * Describes every live-tunable value for the tuning panel
+ * Each entry reads/writes the underlying config so changes apply on the next frame
+ * @returns {Array<Object>} Parameter descriptors for TuningPanel
  */
-function drawDebugHUD(tLinear) {
-  noStroke();
-  fill(0, 0, 0, 65);
-  rect(10, 10, 650, 200, 8);
-  fill(0, 0, 100);
-  textSize(12);
-  text(`FPS: ${fps}  [MediaPipe Version]`, 20, 30);
-  text(`speed raw:${spdRaw.toFixed(3)}  lp:${spdLP2.toFixed(3)}  t:${tLinear.toFixed(2)}`, 20, 46);
-  text(`hue:${hueNow.toFixed(1)}  sat:${satNow.toFixed(0)}  bri:${briNow.toFixed(0)}  idle:${isIdle}`, 20, 62);
-  text(`[D] HUD  [S] skeleton  [F] fluid:${showFluid}  [O] occlusion:${OCCLUSION_ENABLED}`, 20, 78);
-  text(`[B] boundary:${BOUNDARY_FORCES_ENABLED}  [H] hands:${HAND_TRACKING_ENABLED}  [W] flow:${FLOW_FIELD_ENABLED}`, 20, 94);
-  text(`gain:${SPEED_GAIN}  deadzone:${MOTION_DEADZONE}`, 20, 110);
-  text(`Video: ${videoReady ? 'Ready' : 'Loading...'}  Poses: ${poses.length}`, 20, 126);
-  text(`Segmentation: ${segmentationMask ? 'Active' : 'None'}  Fluid: ${fluidSim ? 'Active' : 'None'}`, 20, 142);
-  // Calculate what the multiplier would be at current average depth
-  const currentMult = constrain(map(avgZ, 0.2, 0.6, 0.5, 2.0), 0.5, 2.0);
-  text(`Z-depth: min=${minZ.toFixed(3)}  max=${maxZ.toFixed(3)}  avg=${avgZ.toFixed(3)}  mult=${currentMult.toFixed(2)}x`, 20, 158);
-  if (!videoReady) {
-    fill(100, 100, 100);
-    text('Waiting for camera... Check browser console (F12) for errors', 20, 174);
-  }
+function buildTuningParams() {
+  const fluid = (key, label, min, max, step) => ({
+    key: `FLUID.${key}`, group: 'Fluid', label, min, max, step,
+    get: () => FLUID_CONFIG[key],
+    set: (v) => { FLUID_CONFIG[key] = v; }
+  });
+
+  return [
+    {
+      key: 'FLUID.CURL', group: 'Fluid', label: 'curl', min: 0, max: 200, step: 1,
+      get: () => FLUID_BASE_CURL,
+      set: (v) => { FLUID_BASE_CURL = v; FLUID_CONFIG.CURL = v; }
+    },
+    {
+      key: 'FLUID.DENSITY_DISSIPATION', group: 'Fluid', label: 'dye dissipation', min: 0.9, max: 1.0, step: 0.001,
+      get: () => FLUID_BASE_DISSIPATION,
+      set: (v) => { FLUID_BASE_DISSIPATION = v; FLUID_CONFIG.DENSITY_DISSIPATION = v; }
+    },
+    fluid('VELOCITY_DISSIPATION', 'velocity dissipation', 0.9, 1.0, 0.001),
+    {
+      key: 'FLUID.PRESSURE_ITERATIONS', group: 'Fluid', label: 'pressure iterations', min: 1, max: 40, step: 1,
+      get: () => FLUID_BASE_PRESSURE_ITERATIONS,
+      set: (v) => {
+        FLUID_BASE_PRESSURE_ITERATIONS = v;
+        FLUID_CONFIG.PRESSURE_ITERATIONS = tierPressureIterations(qualityGovernor.tier);
+      }
+    },
+    fluid('OBSTACLE_STRENGTH', 'body solidity', 0, 1, 0.05),
+    fluid('SPLAT_RADIUS', 'splat radius', 0.01, 0.5, 0.01),
+
+    { key: 'QUALITY_TARGET_FPS', group: 'Quality', label: 'target fps', min: 15, max: 60, step: 1,
+      get: () => qualityGovernor.targetFps, set: (v) => { qualityGovernor.targetFps = v; } },
+
+    { key: 'SPEED_GAIN', group: 'Motion', label: 'speed gain', min: 0.5, max: 10, step: 0.1,
+      get: () => speedColors.gain, set: (v) => { speedColors.gain = v; } },
+    { key: 'MOTION_DEADZONE', group: 'Motion', label: 'deadzone', min: 0, max: 0.3, step: 0.005,
+      get: () => speedTracker.deadzone, set: (v) => { speedTracker.deadzone = v; } },
+    { key: 'SMOOTH_SPEED_1', group: 'Motion', label: 'speed smooth 1', min: 0.01, max: 1, step: 0.01,
+      get: () => speedTracker.smooth1, set: (v) => { speedTracker.smooth1 = v; } },
+    { key: 'SMOOTH_SPEED_2', group: 'Motion', label: 'speed smooth 2', min: 0.01, max: 1, step: 0.01,
+      get: () => speedTracker.smooth2, set: (v) => { speedTracker.smooth2 = v; } },
+    { key: 'COLOR_CYCLE_SPEED', group: 'Motion', label: 'color cycle', min: 0, max: 3, step: 0.05,
+      get: () => COLOR_CYCLE_SPEED, set: (v) => { COLOR_CYCLE_SPEED = v; } },
+
+    { key: 'PROCESS_NOISE', group: 'Kalman', label: 'process noise', min: 0.01, max: 5, step: 0.01,
+      get: () => skeletonSmoother.processNoise,
+      set: (v) => { skeletonSmoother.setNoise(v, skeletonSmoother.measurementNoise); } },
+    { key: 'MEASUREMENT_NOISE', group: 'Kalman', label: 'measurement noise', min: 0.1, max: 10, step: 0.1,
+      get: () => skeletonSmoother.measurementNoise,
+      set: (v) => { skeletonSmoother.setNoise(skeletonSmoother.processNoise, v); } },
+    { key: 'ONE_EURO_MIN_CUTOFF', group: 'One Euro', label: 'min cutoff (Hz)', min: 0.05, max: 5, step: 0.05,
+      get: () => skeletonSmoother.params.minCutoff,
+      set: (v) => { skeletonSmoother.setParams({ minCutoff: v }); } },
+    { key: 'ONE_EURO_BETA', group: 'One Euro', label: 'beta', min: 0, max: 0.05, step: 0.001,
+      get: () => skeletonSmoother.params.beta,
+      set: (v) => { skeletonSmoother.setParams({ beta: v }); } },
+    { key: 'SPLAT_LEAD_TIME', group: 'Smoothing', label: 'prediction lead (s)', min: 0, max: 0.15, step: 0.005,
+      get: () => posePipeline.leadTime, set: (v) => { posePipeline.leadTime = v; } },
+
+    { key: 'EDGE_GLOW_BLUR', group: 'Silhouette', label: 'glow blur', min: 0, max: 400, step: 5,
+      get: () => EDGE_GLOW_BLUR, set: (v) => { EDGE_GLOW_BLUR = v; } },
+    { key: 'EDGE_GLOW_INTENSITY', group: 'Silhouette', label: 'glow intensity', min: 0, max: 1, step: 0.01,
+      get: () => EDGE_GLOW_INTENSITY, set: (v) => { EDGE_GLOW_INTENSITY = v; } },
+    { key: 'MASK_EDGE_BLUR', group: 'Silhouette', label: 'mask blur', min: 0, max: 60, step: 1,
+      get: () => MASK_EDGE_BLUR, set: (v) => { MASK_EDGE_BLUR = v; } },
+    { key: 'MASK_DILATION', group: 'Silhouette', label: 'mask dilation', min: 0, max: 24, step: 1,
+      get: () => MASK_DILATION, set: (v) => { MASK_DILATION = v; } },
+    { key: 'MASK_SES_ALPHA', group: 'Silhouette', label: 'mask response', min: 0.05, max: 1, step: 0.05,
+      get: () => MASK_SES_ALPHA, set: (v) => { MASK_SES_ALPHA = v; } },
+    { key: 'GHOST_OPACITY', group: 'Silhouette', label: 'ghost opacity', min: 0, max: 1, step: 0.01,
+      get: () => GHOST_OPACITY, set: (v) => { GHOST_OPACITY = v; } },
+    { key: 'GHOST_BLUR', group: 'Silhouette', label: 'ghost blur', min: 0, max: 40, step: 1,
+      get: () => GHOST_BLUR, set: (v) => { GHOST_BLUR = v; } },
+
+    { key: 'FLOW_FIELD_STRENGTH', group: 'Forces', label: 'flow strength', min: 0, max: 100, step: 1,
+      get: () => FLOW_FIELD_STRENGTH, set: (v) => { FLOW_FIELD_STRENGTH = v; } },
+    { key: 'FLOW_FIELD_SCALE', group: 'Forces', label: 'flow scale', min: 0.0005, max: 0.02, step: 0.0005,
+      get: () => FLOW_FIELD_SCALE, set: (v) => { FLOW_FIELD_SCALE = v; } },
+    { key: 'FLOW_FIELD_SPEED', group: 'Forces', label: 'flow speed', min: 0, max: 0.1, step: 0.001,
+      get: () => FLOW_FIELD_SPEED, set: (v) => { FLOW_FIELD_SPEED = v; } },
+    { key: 'BOUNDARY_FORCE_STRENGTH', group: 'Forces', label: 'boundary strength', min: 0, max: 200, step: 1,
+      get: () => BOUNDARY_FORCE_STRENGTH, set: (v) => { BOUNDARY_FORCE_STRENGTH = v; } },
+    { key: 'BOUNDARY_FORCE_WIDTH', group: 'Forces', label: 'boundary width', min: 0, max: 0.5, step: 0.01,
+      get: () => BOUNDARY_FORCE_WIDTH, set: (v) => { BOUNDARY_FORCE_WIDTH = v; } }
+  ];
 }
 
 /* ===============================================================================
-   UTILITY FUNCTIONS
+   AUDIO REACTIVITY
    =============================================================================== */
 
 /**
- * Checks if a keypoint has sufficient confidence
- * @param {Object} kp - Keypoint object
- * @returns {boolean} True if confidence > 0.1
+ * Toggles live microphone analysis on/off
  */
-function confOK(kp) {
-  return kp && kp.confidence > 0.1;
+function toggleMicrophoneAudio() {
+  if (!audioAnalyzer) audioAnalyzer = new AudioAnalyzer();
+
+  if (audioAnalyzer.mode === 'mic') {
+    audioAnalyzer.stop();
+    return;
+  }
+  audioAnalyzer.startMicrophone().catch(err => {
+    console.error('[Audio] Failed to start microphone:', err);
+  });
 }
 
 /**
- * Finds a keypoint by name in a pose
- * @param {Object} pose - Pose object
- * @param {string} name - Keypoint name
- * @returns {Object|null} Keypoint or null if not found/low confidence
+ * Opens a file picker to drive the visuals from a local audio file (offline testing)
  */
-function getKP(pose, name) {
-  if (!pose || !pose.keypoints) return null;
-  return pose.keypoints.find(k =>
-    (k.name === name || k.part === name) && k.confidence > 0.1
-  ) || null;
+function openAudioFilePicker() {
+  if (!audioAnalyzer) audioAnalyzer = new AudioAnalyzer();
+
+  if (!audioFileInput) {
+    audioFileInput = document.createElement('input');
+    audioFileInput.type = 'file';
+    audioFileInput.accept = 'audio/*';
+    audioFileInput.style.display = 'none';
+    audioFileInput.addEventListener('change', () => {
+      const file = audioFileInput.files[0];
+      if (!file) return;
+      audioAnalyzer.startFile(file).catch(err => {
+        console.error('[Audio] Failed to play audio file:', err);
+      });
+      audioFileInput.value = ''; // Allow re-selecting the same file
+    });
+    document.body.appendChild(audioFileInput);
+  }
+  audioFileInput.click();
 }
 
 /**
- * Draws an arrow from one point to another
- * @param {p5.Vector} from - Start point
- * @param {p5.Vector} to - End point
+ * Analyses the current audio frame and maps it onto the fluid/color modulation
+ * multipliers (curl, splat force, color cycle speed, hue push)
+ * @param {number} dtSec - Delta time in seconds
  */
-function drawArrow(from, to) {
-  line(from.x, from.y, to.x, to.y);
-  const v = p5.Vector.sub(to, from).normalize();
-  const head = 10;
-  const L = p5.Vector.add(to, p5.Vector.mult(rotate2D(v, radians(150)), head));
-  const R = p5.Vector.add(to, p5.Vector.mult(rotate2D(v, radians(-150)), head));
-  triangle(to.x, to.y, L.x, L.y, R.x, R.y);
+function updateAudioModulation(dtSec) {
+  if (!audioAnalyzer || !audioAnalyzer.active) {
+    audioMod = { curl: 1, force: 1, cycle: 1, hue: 0 };
+    FLUID_CONFIG.CURL = FLUID_BASE_CURL * movementMod.curl;
+    return;
+  }
+
+  audioAnalyzer.update(dtSec);
+  const a = audioAnalyzer.features;
+
+  audioMod = {
+    curl: 1 + a.bass * AUDIO_CURL_GAIN + a.beatPulse * AUDIO_CURL_BEAT,
+    force: 1 + a.loudness * AUDIO_FORCE_GAIN + a.beatPulse * AUDIO_FORCE_BEAT,
+    cycle: 1 + a.treble * AUDIO_CYCLE_GAIN,
+    hue: a.loudness * AUDIO_HUE_GAIN
+  };
+
+  // FluidSimulation reads CURL from the shared config object every update
+  FLUID_CONFIG.CURL = FLUID_BASE_CURL * audioMod.curl * movementMod.curl;
 }
 
+/* ===============================================================================
+   MOVEMENT QUALITY
+   =============================================================================== */
+
 /**
- * Rotates a 2D vector by an angle
- * @param {p5.Vector} v - Vector to rotate
- * @param {number} a - Angle in radians
- * @returns {p5.Vector} Rotated vector
+ * Feeds the lead dancer (longest-tracked id) to the movement analyzer
+ * Called once per new pose result so derivatives use the real detection interval
+ * @param {Array} posesArr - Pose view chosen by POSE_SOURCES.movement
  */
-function rotate2D(v, a) {
-  const c = cos(a), s = sin(a);
-  return createVector(v.x * c - v.y * s, v.x * s + v.y * c);
+function analyzeLeadMovement(posesArr) {
+  if (!posesArr.length) {
+    movementAnalyzer.reset();
+    movementSubjectId = null;
+    return;
+  }
+  const lead = posesArr.reduce((a, b) => (b.id < a.id ? b : a));
+  if (lead.id !== movementSubjectId) {
+    movementAnalyzer.reset(); // Different person - their history does not apply
+    movementSubjectId = lead.id;
+  }
+  movementAnalyzer.update(lead.keypoints);
 }
 
 /**
- * Interpolates between two hue values using shortest path around color wheel
- * @param {number} h1 - Start hue (0-360)
- * @param {number} h2 - End hue (0-360)
- * @param {number} a - Interpolation amount (0-1)
- * @returns {number} Interpolated hue
+ * Cross-fades movementMod toward the look of the detected movement quality
+ * and applies the dissipation offset (CURL is combined in updateAudioModulation)
+ * @param {number} dtSec - Delta time in seconds
  */
-function lerpHue(h1, h2, a) {
-  let dh = ((h2 - h1 + 540) % 360) - 180;
-  return (h1 + dh * constrain(a, 0, 1) + 360) % 360;
+function updateMovementModulation(dtSec) {
+  const target = MOVEMENT_QUALITIES_ENABLED
+    ? MOVEMENT_STATES[movementAnalyzer.quality] || MOVEMENT_NEUTRAL
+    : MOVEMENT_NEUTRAL;
+  const k = 1 - Math.exp(-dtSec / MOVEMENT_FADE_TIME);
+  for (const key of Object.keys(movementMod)) {
+    movementMod[key] += (target[key] - movementMod[key]) * k;
+  }
+  FLUID_CONFIG.DENSITY_DISSIPATION = constrain(FLUID_BASE_DISSIPATION + movementMod.trail, 0.9, 0.999);
 }
 
+/* ===============================================================================
+   DEBUG AND UI
+   =============================================================================== */
+
 /**
- * Quintic ease-out function for smooth, natural motion
- * @param {number} x - Input value (0-1)
- * @returns {number} Eased value (0-1)
+ * Draws debug information overlay
+ * @param {number} tLinear - Linear speed value (0-1)
  */
-function easeOutQuint(x) {
-  x = constrain(x, 0, 1);
-  return 1 - pow(1 - x, 5);
+function drawDebugHUD(tLinear) {
+  noStroke();
+  fill(0, 0, 0, 65);
+  rect(10, 10, 760, 226, 8);
+  fill(0, 0, 100);
+  textSize(12);
+  text(`FPS: ${fps}  [MediaPipe Version]`, 20, 30);
+  text(`speed raw:${speedTracker.raw.toFixed(3)}  lp:${speedTracker.lp2.toFixed(3)}  t:${tLinear.toFixed(2)}`, 20, 46);
+  text(`[L] layout:${renderLayout.mode}  render:${renderWidth}×${renderHeight}  [E] camera:${cameraSettings.label}`, 340, 46);
+  const q = qualityGovernor;
+  text(`[Y] quality:${q.tier.name}${q.enabled ? ' (auto)' : ''}  frame:${q.frameMs.toFixed(1)}ms  inference:${q.inferenceMs.toFixed(1)}ms`, 340, 62);
+  text(`hue:${speedColors.hue.toFixed(1)}  sat:${speedColors.sat.toFixed(0)}  bri:${speedColors.bri.toFixed(0)}  idle:${speedTracker.idle}`, 20, 62);
+  text(`[D] HUD  [S] skeleton  [F] fluid:${showFluid}  [O] occlusion:${OCCLUSION_ENABLED}  [T] tuning  [K] calibrate`, 20, 78);
+  text(`[B] boundary:${BOUNDARY_FORCES_ENABLED}  [H] hands:${HAND_TRACKING_ENABLED}  [W] flow:${FLOW_FIELD_ENABLED}  [X] solid body:${OBSTACLES_ENABLED}`, 20, 94);
+  text(`gain:${speedColors.gain}  deadzone:${speedTracker.deadzone}`, 20, 110);
+  const recentGesture = lastGesture && millis() - lastGesture.time < 2000 ? `${lastGesture.gesture} (${lastGesture.hand})` : '-';
+  text(`[G] gestures:${GESTURES_ENABLED}  last:${recentGesture}${fluidFrozen ? '  FROZEN' : ''}`, 340, 142);
+  if (audioAnalyzer && audioAnalyzer.active) {
+    const a = audioAnalyzer.features;
+    text(`[A] mic [U] file  audio:${audioAnalyzer.mode}  loud:${a.loudness.toFixed(2)}  bass:${a.bass.toFixed(2)}  mid:${a.mid.toFixed(2)}  treble:${a.treble.toFixed(2)}  beat:${a.beatPulse.toFixed(2)}  curl:${FLUID_CONFIG.CURL.toFixed(0)}`, 340, 110);
+  } else {
+    text(`[A] mic [U] file  audio:off`, 340, 110);
+  }
+  const hudPoses = posePipeline.get(POSE_SOURCES.hud);
+  text(`Video: ${videoReady ? 'Ready' : 'Loading...'}  Poses: ${hudPoses.length}  ids: [${hudPoses.map(p => p.id).join(', ')}]  tracker: ${activeTracker().label}  smoothing: ${skeletonSmoother.strategy}`, 20, 126);
+  text(`Segmentation: ${segmentationMask ? 'Active' : 'None'}  Fluid: ${fluidSim ? (fluidSim.isContextValid() ? 'Active' : 'Context lost') : 'None'}`, 20, 142);
+  const mf = movementAnalyzer.features;
+  text(`[Q] quality:${MOVEMENT_QUALITIES_ENABLED ? movementAnalyzer.quality : 'off'}  expand:${mf.expansion.toFixed(2)}  sym:${mf.symmetry.toFixed(2)}  jerk:${mf.jerk.toFixed(0)}`, 20, 190);
+  // Calculate what the multiplier would be at current average depth
+  const currentMult = constrain(map(avgZ, 0.2, 0.6, 0.5, 2.0), 0.5, 2.0);
+  text(`Z-depth: min=${minZ.toFixed(3)}  max=${maxZ.toFixed(3)}  avg=${avgZ.toFixed(3)}  mult=${currentMult.toFixed(2)}x`, 20, 158);
+  const active = activeTracker();
+  const resultAge = active.resultAgeMs ? `${active.resultAgeMs.toFixed(0)}ms` : '-';
+  text(`latency:${active.latencyMs.toFixed(1)}ms  result age:${resultAge}  ${active instanceof MediaPipeWorkerTracker ? 'worker' : 'main thread'}`, 420, 158);
+  const captureStatus = performanceCapture.recording ? `● ${performanceCapture.elapsed.toFixed(1)}s` : 'off';
+  text(`[V] video:${captureStatus}  [C] burn-in:${captureOverlay}  [N] mic:${CAPTURE_WITH_MIC}  [J] still`, 20, 206);
+  text(`[Z] freeze:${fluidFrozen}  [.] step  [1] save fluid  [I] load fluid / image`, 20, 222);
+  if (poseRecorder.recording || replayTracker) {
+    fill(0, 100, 100);
+    text(poseRecorder.recording
+      ? `● REC ${(poseRecorder.now() / 1000).toFixed(1)}s  events:${poseRecorder.events.length}  [R] stop + download`
+      : `▶ REPLAY ${((performance.now() - replayTracker.player.startTime) / 1000).toFixed(1)}s / ${(replayTracker.player.duration / 1000).toFixed(1)}s  [P] back to camera`, 340, 30);
+    fill(0, 0, 100);
+  }
+  if (!videoReady) {
+    fill(100, 100, 100);
+    text('Waiting for camera... Check browser console (F12) for errors', 20, 174);
+  }
 }
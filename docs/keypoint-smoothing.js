@@ -0,0 +1,705 @@
+/* ================================================================================
+   KEYPOINT SMOOTHING MODULE
+   Filtering of skeleton keypoints, one filter set per tracked person
+
+   Strategies (KeypointSmoother option `strategy`):
+   - kalman:  constant-velocity Kalman filter (state [x, y, vx, vy], full
+              covariance, real frame dt). Lower process noise / higher
+              measurement noise gives a calmer skeleton with more lag.
+   - oneEuro: One Euro filter - heavy smoothing when still, opens up with speed
+   - ses:     simple exponential smoothing (the original experiments)
+   - none:    raw keypoints (baseline for comparisons)
+
+   Every filter has the same interface (predict(dt), update(x, y),
+   coast(dt, velocityKeep), reset(), getPosition(), getVelocity(),
+   predictPosition(leadSec), configure(params)), so smoothed keypoints always
+   carry a velocity and poses can be projected ahead to hide tracking latency.
+
+   Dropouts: a joint whose confidence falls under KEYPOINT_MIN_CONFIDENCE
+   coasts on its last motion (velocity dying away) for up to maxCoast seconds
+   while its confidence fades to zero, so consumers weigh it out gradually
+   instead of seeing it vanish and jump back.
+
+   smoothing_harness_index.html compares the strategies on a recorded session.
+
+   PosePipeline runs the smoother once per frame and publishes raw, smoothed
+   and predicted poses; each consumer (color, splats, skeleton, HUD...) reads
+   the one it wants.
+
+   Note: This file should be loaded BEFORE any sketch script in the HTML
+   ================================================================================ */
+
+// Frame time the noise settings are expressed against (see KalmanFilter2D)
+const KALMAN_REFERENCE_DT = 1 / 60;
+
+/**
+ * Constant-velocity Kalman filter for a 2D point
+ * State vector: [x, y, vx, vy] with a full 4x4 error covariance
+ *
+ * Motion model: white-noise acceleration, integrated over the real time step,
+ * so the filter behaves the same at any frame rate. The noise settings keep
+ * their per-frame meaning:
+ * - processNoise: position variance (px²) the motion model adds per 1/60 s
+ * - measurementNoise: variance (px²) of a measured position
+ */
+class KalmanFilter2D {
+  /**
+   * @param {number} processNoise - Higher = less trust in predictions
+   * @param {number} measurementNoise - Higher = less trust in measurements (smoother, more lag)
+   */
+  constructor(processNoise, measurementNoise) {
+    // State: [x, y, vx, vy]
+    this.state = [0, 0, 0, 0];
+
+    // Error covariance matrix (4x4, row-major arrays)
+    this.P = [
+      [1000, 0, 0, 0],
+      [0, 1000, 0, 0],
+      [0, 0, 1000, 0],
+      [0, 0, 0, 1000]
+    ];
+
+    // Process noise (uncertainty in motion model)
+    this.Q = processNoise;
+
+    // Measurement noise (uncertainty in sensor)
+    this.R = measurementNoise;
+
+    this.initialized = false;
+  }
+
+  /**
+   * Applies smoother params ({ processNoise, measurementNoise })
+   * @param {Object} params
+   */
+  configure(params) {
+    this.Q = params.processNoise ?? this.Q;
+    this.R = params.measurementNoise ?? this.R;
+  }
+
+  /**
+   * Prediction step: estimate next state using motion model
+   * x' = F x,  P' = F P Fᵀ + Q(dt)
+   * @param {number} dt - Time step in seconds
+   */
+  predict(dt = KALMAN_REFERENCE_DT) {
+    if (!this.initialized || dt <= 0) return;
+    const P = this.P;
+
+    // Update position based on velocity: x = x + vx*dt
+    this.state[0] += this.state[2] * dt;
+    this.state[1] += this.state[3] * dt;
+
+    // F P Fᵀ with F = [[I, dt·I], [0, I]]: add dt × velocity rows, then columns
+    for (let c = 0; c < 4; c++) {
+      P[0][c] += dt * P[2][c];
+      P[1][c] += dt * P[3][c];
+    }
+    for (let r = 0; r < 4; r++) {
+      P[r][0] += dt * P[r][2];
+      P[r][1] += dt * P[r][3];
+    }
+
+    // Continuous white-noise acceleration, scaled so the position variance
+    // added over one reference frame equals this.Q
+    const q = this.Q * 3 / Math.pow(KALMAN_REFERENCE_DT, 3);
+    const qPos = q * dt * dt * dt / 3;
+    const qCross = q * dt * dt / 2;
+    const qVel = q * dt;
+    for (let axis = 0; axis < 2; axis++) {
+      P[axis][axis] += qPos;
+      P[axis][axis + 2] += qCross;
+      P[axis + 2][axis] += qCross;
+      P[axis + 2][axis + 2] += qVel;
+    }
+  }
+
+  /**
+   * Update step: incorporate new measurement
+   * K = P Hᵀ (H P Hᵀ + R)⁻¹,  x += K (z - H x),  P = (I - K H) P
+   * @param {number} measuredX - Measured x position
+   * @param {number} measuredY - Measured y position
+   */
+  update(measuredX, measuredY) {
+    if (!this.initialized) {
+      this.state = [measuredX, measuredY, 0, 0];
+      this.initialized = true;
+      return;
+    }
+    const P = this.P;
+
+    // Innovation covariance S = H P Hᵀ + R (top-left 2x2 block) and its inverse
+    const s00 = P[0][0] + this.R, s01 = P[0][1];
+    const s10 = P[1][0], s11 = P[1][1] + this.R;
+    const det = s00 * s11 - s01 * s10;
+    if (Math.abs(det) < 1e-12) return;
+    const i00 = s11 / det, i01 = -s01 / det;
+    const i10 = -s10 / det, i11 = s00 / det;
+
+    // Kalman gain K = P Hᵀ S⁻¹ (4x2)
+    const K = P.map(row => [
+      row[0] * i00 + row[1] * i10,
+      row[0] * i01 + row[1] * i11
+    ]);
+
+    // Calculate innovation (measurement - prediction)
+    const innovationX = measuredX - this.state[0];
+    const innovationY = measuredY - this.state[1];
+
+    // Update position and velocity together
+    for (let r = 0; r < 4; r++) {
+      this.state[r] += K[r][0] * innovationX + K[r][1] * innovationY;
+    }
+
+    // Update error covariance: P = P - K (H P)
+    const HP = [P[0].slice(), P[1].slice()];
+    for (let r = 0; r < 4; r++) {
+      for (let c = 0; c < 4; c++) {
+        P[r][c] -= K[r][0] * HP[0][c] + K[r][1] * HP[1][c];
+      }
+    }
+  }
+
+  /**
+   * Advances without a measurement (keypoint dropped out), letting the
+   * velocity die away so the point glides to a stop instead of flying off
+   * @param {number} dt - Time step in seconds
+   * @param {number} velocityKeep - Fraction of velocity kept over this step (0-1)
+   */
+  coast(dt, velocityKeep) {
+    this.predict(dt);
+    this.state[2] *= velocityKeep;
+    this.state[3] *= velocityKeep;
+  }
+
+  /**
+   * Forgets the track; the next measurement re-initializes the filter
+   */
+  reset() {
+    this.state = [0, 0, 0, 0];
+    this.P = [
+      [1000, 0, 0, 0],
+      [0, 1000, 0, 0],
+      [0, 0, 1000, 0],
+      [0, 0, 0, 1000]
+    ];
+    this.initialized = false;
+  }
+
+  getPosition() {
+    return { x: this.state[0], y: this.state[1] };
+  }
+
+  /**
+   * Filtered velocity
+   * @returns {{vx: number, vy: number}} Units per second
+   */
+  getVelocity() {
+    return { vx: this.state[2], vy: this.state[3] };
+  }
+
+  /**
+   * Where the point will be after leadSec if it keeps its current velocity
+   * @param {number} leadSec - Look-ahead in seconds
+   * @returns {{x: number, y: number}}
+   */
+  predictPosition(leadSec) {
+    return {
+      x: this.state[0] + this.state[2] * leadSec,
+      y: this.state[1] + this.state[3] * leadSec
+    };
+  }
+}
+
+/**
+ * One Euro filter for a 2D point (Casiez et al., CHI 2012)
+ *
+ * A low-pass filter whose cutoff rises with speed: jitter is removed while the
+ * point is still, and lag stays low once it moves.
+ */
+class OneEuroFilter2D {
+  /**
+   * @param {number} minCutoff - Cutoff (Hz) at rest; lower = smoother when still
+   * @param {number} beta - Cutoff increase per unit of speed; higher = less lag when moving
+   * @param {number} [dCutoff] - Cutoff (Hz) for the speed estimate
+   */
+  constructor(minCutoff, beta, dCutoff = 1.0) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+
+    this.x = 0;
+    this.y = 0;
+    this.dx = 0;        // Filtered velocity (units per second)
+    this.dy = 0;
+    this.elapsed = 0;   // Time since the last measurement
+    this.initialized = false;
+  }
+
+  /**
+   * Applies smoother params ({ minCutoff, beta, dCutoff })
+   * @param {Object} params
+   */
+  configure(params) {
+    this.minCutoff = params.minCutoff ?? this.minCutoff;
+    this.beta = params.beta ?? this.beta;
+    this.dCutoff = params.dCutoff ?? this.dCutoff;
+  }
+
+  /**
+   * Smoothing factor for a first-order low-pass at the given cutoff
+   * @param {number} cutoff - Hz
+   * @param {number} dt - Seconds
+   * @returns {number} 0-1
+   */
+  alpha(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+  }
+
+  /**
+   * Advances time (One Euro has no motion model, so the position holds)
+   * @param {number} dt - Time step in seconds
+   */
+  predict(dt = KALMAN_REFERENCE_DT) {
+    this.elapsed += dt;
+  }
+
+  update(measuredX, measuredY) {
+    const dt = Math.max(this.elapsed, 1e-3);
+    this.elapsed = 0;
+    if (!this.initialized) {
+      this.x = measuredX;
+      this.y = measuredY;
+      this.initialized = true;
+      return;
+    }
+
+    // Low-pass the speed first, then use it to open the position cutoff
+    const aD = this.alpha(this.dCutoff, dt);
+    this.dx += aD * ((measuredX - this.x) / dt - this.dx);
+    this.dy += aD * ((measuredY - this.y) / dt - this.dy);
+
+    const cutoff = this.minCutoff + this.beta * Math.hypot(this.dx, this.dy);
+    const a = this.alpha(cutoff, dt);
+    this.x += a * (measuredX - this.x);
+    this.y += a * (measuredY - this.y);
+  }
+
+  coast(dt, velocityKeep) {
+    this.x += this.dx * dt;
+    this.y += this.dy * dt;
+    this.dx *= velocityKeep;
+    this.dy *= velocityKeep;
+  }
+
+  reset() {
+    this.dx = 0;
+    this.dy = 0;
+    this.elapsed = 0;
+    this.initialized = false;
+  }
+
+  getPosition() {
+    return { x: this.x, y: this.y };
+  }
+
+  getVelocity() {
+    return { vx: this.dx, vy: this.dy };
+  }
+
+  predictPosition(leadSec) {
+    return { x: this.x + this.dx * leadSec, y: this.y + this.dy * leadSec };
+  }
+}
+
+/**
+ * Simple exponential smoothing (SES) for a 2D point
+ * Velocity is the change of the smoothed position per second.
+ */
+class ExponentialFilter2D {
+  /**
+   * @param {number} alpha - Weight of each new measurement (1 = no smoothing)
+   */
+  constructor(alpha) {
+    this.alphaValue = alpha;
+    this.x = 0;
+    this.y = 0;
+    this.vx = 0;
+    this.vy = 0;
+    this.elapsed = 0;
+    this.initialized = false;
+  }
+
+  /**
+   * Applies smoother params ({ alpha })
+   * @param {Object} params
+   */
+  configure(params) {
+    this.alphaValue = params.alpha ?? this.alphaValue;
+  }
+
+  predict(dt = KALMAN_REFERENCE_DT) {
+    this.elapsed += dt;
+  }
+
+  update(measuredX, measuredY) {
+    const dt = Math.max(this.elapsed, 1e-3);
+    this.elapsed = 0;
+    if (!this.initialized) {
+      this.x = measuredX;
+      this.y = measuredY;
+      this.initialized = true;
+      return;
+    }
+    const nx = this.x + this.alphaValue * (measuredX - this.x);
+    const ny = this.y + this.alphaValue * (measuredY - this.y);
+    this.vx = (nx - this.x) / dt;
+    this.vy = (ny - this.y) / dt;
+    this.x = nx;
+    this.y = ny;
+  }
+
+  coast(dt, velocityKeep) {
+    this.x += this.vx * dt;
+    this.y += this.vy * dt;
+    this.vx *= velocityKeep;
+    this.vy *= velocityKeep;
+  }
+
+  reset() {
+    this.vx = 0;
+    this.vy = 0;
+    this.elapsed = 0;
+    this.initialized = false;
+  }
+
+  getPosition() {
+    return { x: this.x, y: this.y };
+  }
+
+  getVelocity() {
+    return { vx: this.vx, vy: this.vy };
+  }
+
+  predictPosition(leadSec) {
+    return { x: this.x + this.vx * leadSec, y: this.y + this.vy * leadSec };
+  }
+}
+
+// Smoothing strategy name -> filter factory (params = KeypointSmoother.params)
+const SMOOTHING_STRATEGIES = {
+  kalman: (params) => new KalmanFilter2D(params.processNoise, params.measurementNoise),
+  oneEuro: (params) => new OneEuroFilter2D(params.minCutoff, params.beta, params.dCutoff),
+  ses: (params) => new ExponentialFilter2D(params.alpha),
+  none: () => new ExponentialFilter2D(1)
+};
+
+/**
+ * Smooths whole poses with one filter per keypoint per person
+ *
+ * Usage:
+ *   const smoother = new KeypointSmoother({ processNoise: 0.8, measurementNoise: 1.5 });
+ *   const euro = new KeypointSmoother({ strategy: 'oneEuro', minCutoff: 1.0, beta: 0.007 });
+ *   const smoothed = smoother.smooth(poses, dtSec);    // once per frame
+ *   const ahead = smoother.predict(smoothed, 0.05);    // positions 50 ms ahead
+ *   smoother.forget(personId);                         // when a person leaves
+ *
+ * Poses are keyed by pose.id (0 when the tracker has no ids). Render frames
+ * that repeat the previous tracker result only run the prediction step. Smoothed
+ * keypoints are { x, y, z, vx, vy, confidence, name } with vx/vy in keypoint
+ * units per second.
+ *
+ * Joints under minConfidence coast for up to maxCoast seconds: they keep moving
+ * on their filtered velocity (which decays with time constant coastDamping),
+ * report a confidence fading from the last seen value to 0 and carry
+ * `coasting: true`. Past maxCoast the joint's filter is reset and the raw
+ * (low-confidence) keypoint passes through, so getKP() drops it as before.
+ * A person missing from a frame (whole-body dropout) coasts the same way and
+ * stays in the output until none of their joints is coasting any more.
+ */
+class KeypointSmoother {
+  constructor(options = {}) {
+    this.strategy = options.strategy ?? 'kalman';
+    if (!SMOOTHING_STRATEGIES[this.strategy]) {
+      throw new Error(`Unknown smoothing strategy "${this.strategy}"`);
+    }
+    this.params = {
+      processNoise: options.processNoise ?? 0.8,     // kalman
+      measurementNoise: options.measurementNoise ?? 1.5,
+      minCutoff: options.minCutoff ?? 1.0,           // oneEuro
+      beta: options.beta ?? 0.007,
+      dCutoff: options.dCutoff ?? 1.0,
+      alpha: options.alpha ?? 0.65                   // ses
+    };
+    this.minConfidence = options.minConfidence ?? KEYPOINT_MIN_CONFIDENCE;
+    this.maxCoast = options.maxCoast ?? 0.5;         // seconds a lost joint keeps moving
+    this.coastDamping = options.coastDamping ?? 0.15; // velocity time constant while coasting
+    this.filters = {}; // person id -> filter[] (one per keypoint)
+    this.joints = {}; // person id -> [{ coast, confidence }] (one per keypoint)
+    this.lastKeypoints = {}; // person id -> keypoints array last measured (repeats only predict)
+    this.lastPoses = {}; // person id -> last pose seen (coasts when the person drops out)
+    this.lastTime = null; // performance.now() of the last smooth() without a dt
+  }
+
+  /**
+   * Applies filtering to every pose
+   * @param {Array} poses - Array of pose objects
+   * @param {number} [dtSec] - Time since the previous call (measured when omitted)
+   * @returns {Array} Poses with smoothed keypoints
+   */
+  smooth(poses, dtSec) {
+    const now = performance.now();
+    if (dtSec === undefined) {
+      dtSec = this.lastTime === null ? KALMAN_REFERENCE_DT : (now - this.lastTime) / 1000;
+    }
+    this.lastTime = now;
+    dtSec = Math.min(Math.max(dtSec, 0.001), 0.25); // Ignore stalls (tab switches etc.)
+
+    const seen = new Set();
+    const smoothed = (poses || []).map(pose => {
+      if (!pose.keypoints) return pose;
+      const id = pose.id || 0;
+      seen.add(String(id));
+      this.lastPoses[id] = pose;
+      return this.smoothPose(pose, dtSec);
+    });
+
+    // People missing from this frame coast until their joints run out
+    for (const id of Object.keys(this.filters)) {
+      if (seen.has(id)) continue;
+      const coasting = this.coastPerson(id, dtSec);
+      if (coasting) smoothed.push(coasting);
+      else this.forget(id);
+    }
+    return smoothed;
+  }
+
+  /**
+   * Advances a person who is missing from the frame as if every joint dropped out
+   * @param {string} id - Person id
+   * @param {number} dtSec - Frame time
+   * @returns {Object|null} Pose with coasting keypoints, or null once none is left
+   */
+  coastPerson(id, dtSec) {
+    const last = this.lastPoses[id];
+    if (!last) return null;
+    const lost = last.keypoints.map(kp => ({ ...kp, confidence: 0 }));
+    const pose = this.smoothPose({ ...last, keypoints: lost }, dtSec);
+    return pose.keypoints.some(kp => kp.coasting) ? pose : null;
+  }
+
+  /**
+   * Applies filtering to one person's keypoints
+   * @param {Object} pose - Pose object with keypoints (and optional id)
+   * @param {number} dtSec - Time since this person's previous measurement
+   * @returns {Object} Pose with smoothed keypoints
+   */
+  smoothPose(pose, dtSec) {
+    const currentKeypoints = pose.keypoints;
+    const id = pose.id || 0;
+
+    // Initialize filters on first frame for this person
+    if (!this.filters[id] || this.filters[id].length !== currentKeypoints.length) {
+      const createFilter = SMOOTHING_STRATEGIES[this.strategy];
+      this.filters[id] = currentKeypoints.map(() => createFilter(this.params));
+      this.joints[id] = currentKeypoints.map(() => ({ coast: 0, confidence: 0 }));
+    }
+
+    // Same keypoints array as last frame = no new measurement from the tracker
+    const fresh = this.lastKeypoints[id] !== currentKeypoints;
+    this.lastKeypoints[id] = currentKeypoints;
+    const velocityKeep = Math.exp(-dtSec / this.coastDamping);
+
+    const smoothedKps = currentKeypoints.map((kp, i) => {
+      const filter = this.filters[id][i];
+      const joint = this.joints[id][i];
+      let confidence = kp.confidence;
+      let coasting = false;
+
+      if (this.isVisible(kp)) {
+        filter.predict(dtSec);
+        if (fresh) filter.update(kp.x, kp.y);
+        joint.coast = 0;
+        joint.confidence = kp.confidence;
+      } else if (filter.initialized && joint.coast + dtSec < this.maxCoast) {
+        // Dropout: glide on the last motion and fade out
+        filter.coast(dtSec, velocityKeep);
+        joint.coast += dtSec;
+        confidence = joint.confidence * (1 - joint.coast / this.maxCoast);
+        coasting = true;
+      } else {
+        // Lost for too long (or never seen): start over when it comes back
+        if (filter.initialized) filter.reset();
+        return { ...kp, vx: 0, vy: 0 };
+      }
+
+      const filtered = filter.getPosition();
+      const velocity = filter.getVelocity();
+
+      return {
+        x: filtered.x,
+        y: filtered.y,
+        z: kp.z,
+        vx: velocity.vx,
+        vy: velocity.vy,
+        confidence,
+        name: kp.name,
+        coasting
+      };
+    });
+
+    return { ...pose, keypoints: smoothedKps };
+  }
+
+  /**
+   * Whether a measured keypoint is trustworthy enough to feed its filter
+   * @param {Object} kp - Keypoint { x, y, confidence }
+   * @returns {boolean}
+   */
+  isVisible(kp) {
+    return (kp.confidence ?? 1) >= this.minConfidence &&
+      Number.isFinite(kp.x) && Number.isFinite(kp.y);
+  }
+
+  /**
+   * Projects smoothed poses ahead along their filtered velocity
+   * Keypoints without a running filter (never seen, or lost past maxCoast) pass through unchanged
+   * @param {Array} poses - Output of smooth()
+   * @param {number} leadSec - Look-ahead in seconds
+   * @returns {Array} Poses with predicted keypoint positions
+   */
+  predict(poses, leadSec) {
+    if (!poses) return poses;
+    return poses.map(pose => {
+      const filters = this.filters[pose.id || 0];
+      if (!pose.keypoints || !filters) return pose;
+      return {
+        ...pose,
+        keypoints: pose.keypoints.map((kp, i) => {
+          const filter = filters[i];
+          if (!filter || !filter.initialized) return kp;
+          return { ...kp, ...filter.predictPosition(leadSec) };
+        })
+      };
+    });
+  }
+
+  get processNoise() {
+    return this.params.processNoise;
+  }
+
+  get measurementNoise() {
+    return this.params.measurementNoise;
+  }
+
+  /**
+   * Changes filter params, including on filters that are already running
+   * @param {Object} params - Any of the constructor's param options
+   */
+  setParams(params) {
+    Object.assign(this.params, params);
+    for (const filters of Object.values(this.filters)) {
+      for (const f of filters) f.configure(this.params);
+    }
+  }
+
+  /**
+   * Changes Kalman noise settings (see setParams)
+   * @param {number} processNoise
+   * @param {number} measurementNoise
+   */
+  setNoise(processNoise, measurementNoise) {
+    this.setParams({ processNoise, measurementNoise });
+  }
+
+  /**
+   * Switches filter type; filters restart from the next measurement
+   * @param {string} strategy - Key of SMOOTHING_STRATEGIES
+   */
+  setStrategy(strategy) {
+    if (!SMOOTHING_STRATEGIES[strategy]) {
+      throw new Error(`Unknown smoothing strategy "${strategy}"`);
+    }
+    this.strategy = strategy;
+    this.filters = {};
+    this.joints = {};
+    this.lastKeypoints = {};
+    this.lastPoses = {};
+  }
+
+  /**
+   * Drops a person's filters (they restart from the next measurement)
+   * @param {number} id - Person id
+   */
+  forget(id) {
+    delete this.filters[id];
+    delete this.joints[id];
+    delete this.lastKeypoints[id];
+    delete this.lastPoses[id];
+  }
+}
+
+// Views a PosePipeline publishes every frame
+const POSE_VIEWS = ['raw', 'smoothed', 'predicted'];
+
+/**
+ * Once-per-frame tracking stage: filters the latest poses whether or not
+ * anything is drawn, and publishes
+ * - raw:       tracker output as received
+ * - smoothed:  filtered keypoints (with vx/vy)
+ * - predicted: smoothed poses projected leadTime seconds ahead
+ *
+ * Usage:
+ *   const pipeline = new PosePipeline(new KeypointSmoother(), { leadTime: 0.05 });
+ *   pipeline.update(poses, dtSec);              // first thing in draw()
+ *   velocityMeter.measure(pipeline.get('smoothed'), ...);
+ *   injectBodySplats(pipeline.get('predicted'), ...);
+ */
+class PosePipeline {
+  /**
+   * @param {KeypointSmoother} smoother
+   * @param {Object} [options]
+   * @param {number} [options.leadTime] - Look-ahead of the predicted view in seconds (default 0)
+   */
+  constructor(smoother, options = {}) {
+    this.smoother = smoother;
+    this.leadTime = options.leadTime ?? 0;
+    this.raw = [];
+    this.smoothed = [];
+    this.predicted = [];
+    this.fresh = false; // Whether the last update() brought a new tracker result
+  }
+
+  /**
+   * Filters this frame's poses (call exactly once per frame)
+   * @param {Array} poses - Latest tracker poses
+   * @param {number} [dtSec] - Frame time (measured when omitted)
+   * @returns {PosePipeline} this
+   */
+  update(poses, dtSec) {
+    this.fresh = (poses || []) !== this.raw;
+    this.raw = poses || [];
+    this.smoothed = this.smoother.smooth(this.raw, dtSec) || [];
+    this.predicted = this.leadTime > 0 ? this.smoother.predict(this.smoothed, this.leadTime) : this.smoothed;
+    return this;
+  }
+
+  /**
+   * One of the published views
+   * @param {string} view - 'raw' | 'smoothed' | 'predicted'
+   * @returns {Array} Poses
+   */
+  get(view) {
+    if (!POSE_VIEWS.includes(view)) throw new Error(`Unknown pose view "${view}"`);
+    return this[view];
+  }
+
+  /**
+   * Drops a person's filter state
+   * @param {number} id - Person id
+   */
+  forget(id) {
+    this.smoother.forget(id);
+  }
+}
@@ -10,6 +10,9 @@ Site:
 Controls:
 	- Move your hand to create particles.
 	- Make a fist to fade away particles.
+
+ml5 and the hand model come from the asset source (?assets=cdn | local), see asset-sources.js.
+Requires asset-sources.js and tracking-backends.js (loadScript) to be loaded first.
 */
 
 // If you get an error about max uniforms then you can decrease these 2 values :(
@@ -32,6 +35,7 @@ let prevHandX = 0;
 let prevHandY = 0;
 let isFist = false;
 let modelReady = false;
+const MODEL_START_TIMEOUT = TRACKER_START_TIMEOUT; // ms before a hand model still loading is reported
 
 function setup() {
 	pixelDensity(1);
@@ -52,7 +56,16 @@ function setup() {
 	// Create shader after graphics are initialized
 	theShader = shaderTexture.createShader(vertShader, fragShader);
 	
-	handPose = ml5.handPose(video, modelLoaded);
+	// ml5 from the asset source; its MediaPipe runtime takes the hand model from there too
+	// (the default tfjs runtime always downloads it from the internet)
+	loadScript(ASSET_SOURCE.ml5).then(() => {
+		handPose = ml5.handPose({ runtime: 'mediapipe', solutionPath: ASSET_SOURCE.packageBase('hands') }, modelLoaded);
+	}).catch(err => console.error('Failed to load ml5:', err));
+	
+	// A model that never finishes loading doesn't always raise an error
+	setTimeout(() => {
+		if (!modelReady) assetReport.note(`Hand model still loading after ${MODEL_START_TIMEOUT / 1000}s (check the console, F12)`);
+	}, MODEL_START_TIMEOUT);
 }
 
 function modelLoaded() {
@@ -0,0 +1,135 @@
+/* ================================================================================
+   MOTION METRICS MODULE
+   Whole-body speed from the keypoint stream
+
+   - BodyVelocityMeter: confidence-weighted average keypoint displacement per
+     second, normalized by a screen diagonal (per person). Joints are matched
+     by name, so one arm leaving frame only removes that arm from the average
+     (smoothed poses coast lost joints out with fading confidence)
+   - SpeedTracker: deadzone + two low-pass stages + idle hysteresis on top of it
+
+   Note: This file should be loaded BEFORE any sketch script in the HTML
+   ================================================================================ */
+
+// Keypoints that contribute to whole-body velocity
+const VELOCITY_KEYPOINTS = [
+  'nose',
+  'left_shoulder', 'right_shoulder',
+  'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist',
+  'left_hip', 'right_hip',
+  'left_knee', 'right_knee'
+];
+
+/**
+ * Measures body velocity against each person's previous frame
+ *
+ * Usage:
+ *   const meter = new BodyVelocityMeter();
+ *   const v = meter.measure(poses, dtSec, Math.hypot(width, height));
+ *   meter.forget(personId);   // when a person leaves
+ */
+class BodyVelocityMeter {
+  constructor() {
+    this.lastPts = {}; // person id -> { jointName: {x, y} } from the previous frame
+  }
+
+  /**
+   * Overall body velocity; with several people the fastest mover wins
+   * @param {Array} poses - Current pose data
+   * @param {number} dtSec - Delta time in seconds
+   * @param {number} diag - Diagonal (pixels) used to normalize the speed
+   * @returns {number} Normalized velocity (0-1+ range)
+   */
+  measure(poses, dtSec, diag) {
+    if (!poses || !poses.length) {
+      this.lastPts = {};
+      return 0;
+    }
+    return Math.max(...poses.map(pose => this.measurePose(pose, dtSec, diag)));
+  }
+
+  /**
+   * One person's body velocity
+   * @param {Object} pose - Pose with keypoints (and optional id)
+   * @param {number} dtSec - Delta time in seconds
+   * @param {number} diag - Diagonal (pixels) used to normalize the speed
+   * @returns {number} Normalized velocity (0-1+ range)
+   */
+  measurePose(pose, dtSec, diag) {
+    const id = pose.id || 0;
+    if (!pose.keypoints || !pose.keypoints.length) { delete this.lastPts[id]; return 0; }
+
+    // Confidence-weighted average displacement over joints seen in both frames
+    const lastPts = this.lastPts[id] || {};
+    const curr = {};
+    let disp = 0, wsum = 0, matched = 0;
+    for (const nm of VELOCITY_KEYPOINTS) {
+      const kp = getKP(pose, nm);
+      if (!kp) continue;
+      curr[nm] = { x: kp.x, y: kp.y };
+      const prev = lastPts[nm];
+      if (!prev) continue;
+      const w = kp.confidence;
+      disp += Math.hypot(kp.x - prev.x, kp.y - prev.y) * w;
+      wsum += w;
+      matched++;
+    }
+    this.lastPts[id] = curr;
+    if (matched < 4 || wsum <= 0) return 0;
+    disp /= wsum;
+
+    const pixPerSec = disp / Math.max(0.001, dtSec);
+    return pixPerSec / (diag * 2.0);
+  }
+
+  /**
+   * Drops a person's history
+   * @param {number} id - Person id
+   */
+  forget(id) {
+    delete this.lastPts[id];
+  }
+}
+
+/**
+ * Turns raw body velocity into a steady speed signal with an idle flag
+ *
+ * Usage:
+ *   const speed = new SpeedTracker();
+ *   speed.update(meter.measure(...));   // once per frame
+ *   speed.lp2, speed.idle
+ */
+class SpeedTracker {
+  constructor(options = {}) {
+    this.deadzone = options.deadzone ?? 0.08;     // Minimum motion threshold
+    this.smooth1 = options.smooth1 ?? 0.48;       // First-level smoothing (higher = less smooth)
+    this.smooth2 = options.smooth2 ?? 0.28;       // Second-level smoothing
+    this.idleEnter = options.idleEnter ?? 0.010;  // Below => idle
+    this.idleExit = options.idleExit ?? 0.020;    // Above => active
+
+    this.raw = 0;     // Velocity minus deadzone
+    this.lp1 = 0;     // After first low-pass
+    this.lp2 = 0;     // After second low-pass (the speed everything reacts to)
+    this.idle = true;
+  }
+
+  /**
+   * Feeds one frame's velocity
+   * @param {number} velocity - Normalized body velocity
+   * @returns {number} Smoothed speed (lp2)
+   */
+  update(velocity) {
+    this.raw = Math.max(0, (velocity || 0) - this.deadzone);
+    this.lp1 += (this.raw - this.lp1) * this.smooth1;
+    this.lp2 += (this.lp1 - this.lp2) * this.smooth2;
+
+    // Idle hysteresis
+    if (this.idle) {
+      if (this.lp2 > this.idleExit) this.idle = false;
+    } else {
+      if (this.lp2 < this.idleEnter) this.idle = true;
+    }
+    return this.lp2;
+  }
+}
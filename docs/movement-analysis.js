@@ -0,0 +1,226 @@
+/* ================================================================================
+   MOVEMENT QUALITY ANALYSIS MODULE
+   Per-limb kinematics from the keypoint stream, classified into movement qualities
+
+   Features (per pose result):
+   - Per-limb velocity, acceleration and jerk (hands, feet, head)
+   - Expansion: how far the extremities reach from the torso (and its rate of change)
+   - Symmetry: how closely the left side mirrors the right
+
+   Qualities (over a sliding window):
+   - still      barely moving
+   - sustained  slow, even movement
+   - flowing    continuous movement with smooth speed changes
+   - sudden     an isolated burst of speed
+   - staccato   repeated sharp starts and stops
+
+   All distances are in torso lengths, so results do not depend on how far the
+   dancer stands from the camera.
+
+   Note: This file should be loaded BEFORE interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+/**
+ * Tracked limbs (extremities) and their keypoint names
+ */
+const MOVEMENT_LIMBS = {
+  leftHand: 'left_wrist',
+  rightHand: 'right_wrist',
+  leftFoot: 'left_ankle',
+  rightFoot: 'right_ankle',
+  head: 'nose'
+};
+
+// Left/right limb pairs compared for symmetry
+const MOVEMENT_LIMB_PAIRS = [['leftHand', 'rightHand'], ['leftFoot', 'rightFoot']];
+
+const MOVEMENT_QUALITIES = ['still', 'sustained', 'flowing', 'sudden', 'staccato'];
+
+/**
+ * Analyses one dancer's keypoint stream
+ *
+ * Usage:
+ *   const analyzer = new MovementAnalyzer();
+ *   analyzer.update(pose.keypoints);     // once per pose result
+ *   analyzer.quality;                    // 'still' | 'sustained' | ...
+ *   analyzer.features.symmetry, ...
+ *
+ * Enhancement suggestions:
+ * - Learn thresholds per dancer from a short calibration phrase
+ * - Detect isolations (one limb moving while the rest is still)
+ */
+class MovementAnalyzer {
+  constructor(options = {}) {
+    this.windowSec = options.windowSec ?? 1.5;          // Sliding window for classification
+    this.holdSec = options.holdSec ?? 0.4;              // A new quality must win this long before switching
+    this.minConfidence = options.minConfidence ?? 0.3;  // Ignore keypoints below this confidence
+    this.smoothing = options.smoothing ?? 0.6;          // EMA factor for positions + derivatives (higher = smoother)
+
+    // Classification thresholds (torso lengths per second)
+    this.stillSpeed = options.stillSpeed ?? 0.3;
+    this.sustainedSpeed = options.sustainedSpeed ?? 0.8;
+    this.suddenSpeed = options.suddenSpeed ?? 3.0;
+    this.staccatoJerk = options.staccatoJerk ?? 150;    // Jerk per unit speed above which movement is "sharp"
+
+    this.reset();
+  }
+
+  /**
+   * Clears all history (e.g. when the dancer leaves)
+   */
+  reset() {
+    this.limbs = {};          // name -> { abs, vel, acc, speed, accel, jerk }
+    this.lastTime = null;
+    this.prevExpansion = null;
+    this.samples = [];        // [{ t, speed, accel, jerk }]
+    this.quality = 'still';
+    this.candidate = 'still';
+    this.candidateSince = 0;
+    this.scores = Object.fromEntries(MOVEMENT_QUALITIES.map(q => [q, q === 'still' ? 1 : 0]));
+    this.features = {
+      speed: 0, accel: 0, jerk: 0,
+      expansion: 0, expansionRate: 0, symmetry: 1,
+      limbs: {}
+    };
+    this.window = { meanSpeed: 0, maxSpeed: 0, speedCV: 0, meanJerk: 0, bursts: 0 };
+  }
+
+  /**
+   * Feeds one pose result
+   * @param {Array} keypoints - ml5-style keypoints [{x, y, confidence, name}]
+   * @param {number} [now] - Timestamp in ms (defaults to performance.now())
+   */
+  update(keypoints, now = performance.now()) {
+    const kp = {};
+    for (const k of keypoints) kp[k.name] = k;
+    const valid = (k) => k && (k.confidence ?? 1) >= this.minConfidence;
+
+    // --- Body frame: torso center and size ---
+    const ls = kp.left_shoulder, rs = kp.right_shoulder, lh = kp.left_hip, rh = kp.right_hip;
+    if (![ls, rs, lh, rh].every(valid)) return;
+    const shoulder = { x: (ls.x + rs.x) / 2, y: (ls.y + rs.y) / 2 };
+    const hip = { x: (lh.x + rh.x) / 2, y: (lh.y + rh.y) / 2 };
+    const center = { x: (shoulder.x + hip.x) / 2, y: (shoulder.y + hip.y) / 2 };
+    const torso = Math.max(Math.hypot(shoulder.x - hip.x, shoulder.y - hip.y), 1e-3);
+
+    const dt = this.lastTime === null ? 0 : Math.min((now - this.lastTime) / 1000, 0.25);
+    this.lastTime = now;
+
+    // --- Per-limb derivatives (in torso lengths) ---
+    const a = this.smoothing;
+    const rel = {};
+    for (const [limb, name] of Object.entries(MOVEMENT_LIMBS)) {
+      const k = kp[name];
+      if (!valid(k)) {
+        delete this.limbs[limb]; // Restart cleanly when it reappears (no jump)
+        continue;
+      }
+      const pos = { x: (k.x - center.x) / torso, y: (k.y - center.y) / torso };
+      let abs = { x: k.x / torso, y: k.y / torso }; // Body translation counts as movement too
+      rel[limb] = pos;
+
+      const s = this.limbs[limb];
+      if (s && dt > 0) {
+        // Smooth positions before differentiating (each derivative amplifies landmark jitter)
+        abs = { x: a * s.abs.x + (1 - a) * abs.x, y: a * s.abs.y + (1 - a) * abs.y };
+      }
+      if (!s || dt <= 0) {
+        this.limbs[limb] = { abs, vel: { x: 0, y: 0 }, acc: { x: 0, y: 0 }, speed: 0, accel: 0, jerk: 0 };
+        continue;
+      }
+      const vel = {
+        x: a * s.vel.x + (1 - a) * (abs.x - s.abs.x) / dt,
+        y: a * s.vel.y + (1 - a) * (abs.y - s.abs.y) / dt
+      };
+      const acc = {
+        x: a * s.acc.x + (1 - a) * (vel.x - s.vel.x) / dt,
+        y: a * s.acc.y + (1 - a) * (vel.y - s.vel.y) / dt
+      };
+      const jerk = Math.hypot(acc.x - s.acc.x, acc.y - s.acc.y) / dt;
+      Object.assign(s, {
+        abs, vel, acc,
+        speed: Math.hypot(vel.x, vel.y),
+        accel: Math.hypot(acc.x, acc.y),
+        jerk: a * s.jerk + (1 - a) * jerk
+      });
+    }
+    if (dt <= 0) return;
+
+    // --- Whole-body features ---
+    const tracked = Object.values(this.limbs);
+    const mean = (fn) => tracked.reduce((sum, s) => sum + fn(s), 0) / Math.max(tracked.length, 1);
+    const f = this.features;
+    f.speed = mean(s => s.speed);
+    f.accel = mean(s => s.accel);
+    f.jerk = mean(s => s.jerk);
+    f.limbs = Object.fromEntries(Object.entries(this.limbs).map(([k, s]) => [k, { speed: s.speed, accel: s.accel, jerk: s.jerk }]));
+
+    const reach = Object.values(rel);
+    const expansion = reach.length ? reach.reduce((sum, p) => sum + Math.hypot(p.x, p.y), 0) / reach.length : 0;
+    f.expansionRate = this.prevExpansion === null ? 0 : a * f.expansionRate + (1 - a) * (expansion - this.prevExpansion) / dt;
+    f.expansion = expansion;
+    this.prevExpansion = expansion;
+
+    // Symmetry: mirror the right limb across the body's vertical axis
+    let asym = 0, pairs = 0;
+    for (const [l, r] of MOVEMENT_LIMB_PAIRS) {
+      if (!rel[l] || !rel[r]) continue;
+      asym += Math.hypot(rel[l].x + rel[r].x, rel[l].y - rel[r].y);
+      pairs++;
+    }
+    if (pairs) f.symmetry = Math.max(0, 1 - asym / pairs / 2);
+
+    // --- Window statistics + classification ---
+    this.samples.push({ t: now, speed: f.speed, accel: f.accel, jerk: f.jerk });
+    while (this.samples.length && now - this.samples[0].t > this.windowSec * 1000) this.samples.shift();
+    this.classify(now);
+  }
+
+  /**
+   * Summarises the window and picks a quality (with hold-time hysteresis)
+   * @param {number} now - Timestamp in ms
+   */
+  classify(now) {
+    const s = this.samples;
+    if (s.length < 3) return;
+
+    const speeds = s.map(x => x.speed);
+    const meanSpeed = speeds.reduce((a, b) => a + b, 0) / s.length;
+    const maxSpeed = Math.max(...speeds);
+    const variance = speeds.reduce((a, b) => a + (b - meanSpeed) * (b - meanSpeed), 0) / s.length;
+    const speedCV = Math.sqrt(variance) / Math.max(meanSpeed, 1e-3);
+    const meanJerk = s.reduce((a, x) => a + x.jerk, 0) / s.length;
+
+    // Bursts: rises above the burst level, each separated by a drop back down
+    const burstLevel = Math.max(meanSpeed * 1.3, this.sustainedSpeed);
+    let bursts = 0, high = false;
+    for (const v of speeds) {
+      if (!high && v > burstLevel) { bursts++; high = true; }
+      else if (high && v < meanSpeed * 0.6) high = false;
+    }
+    this.window = { meanSpeed, maxSpeed, speedCV, meanJerk, bursts };
+
+    // Sharpness: jerk relative to how fast the body is moving
+    const sharpness = meanJerk / Math.max(meanSpeed, 0.1);
+    const clamp01 = (v) => Math.min(Math.max(v, 0), 1);
+    const scores = {
+      still: clamp01(1 - meanSpeed / this.stillSpeed),
+      sustained: clamp01(1 - Math.abs(meanSpeed - this.sustainedSpeed * 0.5) / (this.sustainedSpeed * 0.5)) * clamp01(1 - speedCV),
+      flowing: clamp01(meanSpeed / this.sustainedSpeed - 0.5) * clamp01(1 - sharpness / this.staccatoJerk) * clamp01(1.5 - speedCV),
+      sudden: (bursts === 1 ? 1 : 0.3) * clamp01((maxSpeed - this.suddenSpeed * 0.5) / this.suddenSpeed) * clamp01(maxSpeed / Math.max(meanSpeed, 1e-3) / 2.5),
+      staccato: clamp01((bursts - 1) / 2) * clamp01(sharpness / this.staccatoJerk)
+    };
+    this.scores = scores;
+
+    let best = 'still';
+    for (const q of MOVEMENT_QUALITIES) if (scores[q] > scores[best]) best = q;
+
+    if (best !== this.candidate) {
+      this.candidate = best;
+      this.candidateSince = now;
+    }
+    if (best !== this.quality && now - this.candidateSince >= this.holdSec * 1000) {
+      this.quality = best;
+    }
+  }
+}
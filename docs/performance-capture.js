@@ -0,0 +1,171 @@
+/* ================================================================================
+   PERFORMANCE CAPTURE MODULE
+   Records the composited sketch output to WebM (MediaRecorder) and saves stills
+
+   The sketch copies the frame into a dedicated capture canvas at whichever point
+   of its draw loop matches the chosen overlay mode, so the recording can leave
+   out the skeleton/HUD even while they are shown on screen. Microphone audio can
+   be muxed into the recording.
+
+   Note: This file should be loaded BEFORE interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+// Container/codec preference, first supported wins
+const CAPTURE_MIME_TYPES = [
+  'video/webm;codecs=vp9,opus',
+  'video/webm;codecs=vp8,opus',
+  'video/webm'
+];
+
+/**
+ * Triggers a browser download for a blob
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+  const a = document.createElement('a');
+  a.href = URL.createObjectURL(blob);
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+}
+
+/**
+ * Saves a region of a canvas as a PNG
+ * @param {HTMLCanvasElement} source - Canvas to copy from
+ * @param {{x: number, y: number, w: number, h: number}} rect - Region in source pixels
+ * @param {string} [filename]
+ * @returns {Promise<void>}
+ */
+function saveCanvasRegion(source, rect, filename = `snapshot-${Date.now()}.png`) {
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(rect.w);
+  canvas.height = Math.round(rect.h);
+  canvas.getContext('2d').drawImage(source, rect.x, rect.y, rect.w, rect.h, 0, 0, canvas.width, canvas.height);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      if (!blob) {
+        reject(new Error('Snapshot encoding failed'));
+        return;
+      }
+      downloadBlob(blob, filename);
+      console.log(`[Capture] Saved ${canvas.width}x${canvas.height} snapshot`);
+      resolve();
+    }, 'image/png');
+  });
+}
+
+/**
+ * WebM recorder for the sketch output
+ *
+ * Usage:
+ *   const capture = new PerformanceCapture();
+ *   await capture.start(1280, 720, { audio: true });
+ *   capture.grab(canvas, rect);    // once per frame
+ *   await capture.stop();          // downloads performance-<timestamp>.webm
+ *
+ * Enhancement suggestions:
+ * - Record the audio-file playback (MediaStreamAudioDestinationNode) as well as the mic
+ * - Split long recordings into chunks to bound memory use
+ */
+class PerformanceCapture {
+  constructor(options = {}) {
+    this.fps = options.fps || 30;
+    this.videoBitsPerSecond = options.videoBitsPerSecond || 8000000;
+
+    this.canvas = document.createElement('canvas');
+    this.ctx = this.canvas.getContext('2d');
+    this.recorder = null;
+    this.chunks = [];
+    this.micStream = null;   // Mic stream opened by us (stopped when recording ends)
+    this.startTime = 0;
+  }
+
+  get recording() {
+    return !!this.recorder && this.recorder.state === 'recording';
+  }
+
+  /**
+   * Seconds since recording started
+   */
+  get elapsed() {
+    return this.recording ? (performance.now() - this.startTime) / 1000 : 0;
+  }
+
+  /**
+   * Starts recording
+   * @param {number} width - Output width (pixels)
+   * @param {number} height - Output height (pixels)
+   * @param {Object} [options]
+   * @param {boolean} [options.audio] - Mux microphone audio
+   * @param {MediaStream} [options.audioStream] - Existing mic stream to reuse (not stopped on finish)
+   * @returns {Promise<void>}
+   */
+  async start(width, height, options = {}) {
+    if (this.recording) return;
+    if (typeof MediaRecorder === 'undefined') {
+      throw new Error('MediaRecorder is not supported in this browser');
+    }
+
+    this.canvas.width = Math.round(width);
+    this.canvas.height = Math.round(height);
+    this.ctx.fillStyle = '#000';
+    this.ctx.fillRect(0, 0, this.canvas.width, this.canvas.height);
+
+    const stream = this.canvas.captureStream(this.fps);
+    if (options.audio) {
+      let audioStream = options.audioStream;
+      if (!audioStream) {
+        this.micStream = await navigator.mediaDevices.getUserMedia({ audio: true });
+        audioStream = this.micStream;
+      }
+      audioStream.getAudioTracks().forEach(track => stream.addTrack(track));
+    }
+
+    const mimeType = CAPTURE_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+    this.chunks = [];
+    this.recorder = new MediaRecorder(stream, {
+      mimeType,
+      videoBitsPerSecond: this.videoBitsPerSecond
+    });
+    this.recorder.ondataavailable = (e) => {
+      if (e.data && e.data.size > 0) this.chunks.push(e.data);
+    };
+    this.recorder.start(1000); // Collect data every second
+    this.startTime = performance.now();
+    console.log(`[Capture] Recording ${this.canvas.width}x${this.canvas.height} (${mimeType || 'default format'})`);
+  }
+
+  /**
+   * Copies the current frame into the recording
+   * @param {CanvasImageSource} source - Usually the sketch canvas
+   * @param {{x: number, y: number, w: number, h: number}} rect - Region in source pixels
+   */
+  grab(source, rect) {
+    if (!this.recording) return;
+    this.ctx.drawImage(source, rect.x, rect.y, rect.w, rect.h, 0, 0, this.canvas.width, this.canvas.height);
+  }
+
+  /**
+   * Stops recording and downloads the WebM file
+   * @returns {Promise<Blob|null>} The recorded video
+   */
+  stop() {
+    if (!this.recording) return Promise.resolve(null);
+    return new Promise(resolve => {
+      this.recorder.onstop = () => {
+        const blob = new Blob(this.chunks, { type: this.recorder.mimeType || 'video/webm' });
+        this.chunks = [];
+        this.recorder = null;
+        if (this.micStream) {
+          this.micStream.getTracks().forEach(t => t.stop());
+          this.micStream = null;
+        }
+        downloadBlob(blob, `performance-${Date.now()}.webm`);
+        console.log(`[Capture] Saved recording (${(blob.size / 1e6).toFixed(1)} MB)`);
+        resolve(blob);
+      };
+      this.recorder.stop();
+    });
+  }
+}
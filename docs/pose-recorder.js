@@ -0,0 +1,334 @@
+/* ================================================================================
+   POSE SESSION RECORDER / PLAYER MODULE
+   Captures MediaPipe results (pose landmarks, hands, segmentation masks) with
+   timestamps and replays them through the same result callbacks
+
+   Lets the sketch run without a webcam or a dancer: tuning, demos and
+   regression checks replay a recorded session and everything downstream of the
+   callbacks (splats, velocity, occlusion) behaves as it did live.
+
+   File format (gzip-compressed JSON when the browser supports CompressionStream):
+   {
+     version: 1,
+     video: { width, height },          // Camera frame size at record time
+     mask: { width, height },           // Stored mask resolution
+     events: [
+       { t, type: 'pose', poseLandmarks | multiPoseLandmarks, mask? },
+       { t, type: 'hands', multiHandLandmarks, multiHandedness },
+       { t, type: 'segmentation', mask }
+     ]
+   }
+   Masks are stored as base64 8-bit alpha. By default they keep the resolution
+   the tracker delivered (the first mask of a recording fixes it), so replayed
+   occlusion, obstacles and glow see the same mask as the live run. That costs
+   space: a 256x256 mask is about 87 KB of base64 per event before gzip (about
+   2.6 MB per second at 30 masks/s), and camera-sized masks are larger still.
+   new PoseRecorder({ maskSize: RECORDING_MASK_SMALL }) stores 160x120 masks,
+   under a third of that for 256x256, but replayed edges are then softer and
+   placed less precisely than they were live.
+
+   Note: This file should be loaded BEFORE interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+const RECORDING_MASK_SMALL = { width: 160, height: 120 }; // Compact mask size option (see above)
+
+/**
+ * Rounds landmark fields to keep recordings small
+ * @param {Array} landmarks - MediaPipe landmarks
+ * @returns {Array} Plain landmark objects
+ */
+function serializeLandmarks(landmarks) {
+  const r = (v) => (v === undefined ? undefined : Math.round(v * 1e4) / 1e4);
+  return landmarks.map(lm => ({ x: r(lm.x), y: r(lm.y), z: r(lm.z), visibility: r(lm.visibility) }));
+}
+
+/**
+ * Encodes a Uint8Array as base64
+ */
+function bytesToBase64(bytes) {
+  let binary = '';
+  const CHUNK = 0x8000;
+  for (let i = 0; i < bytes.length; i += CHUNK) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+  }
+  return btoa(binary);
+}
+
+/**
+ * Decodes base64 into a Uint8Array
+ */
+function base64ToBytes(b64) {
+  const binary = atob(b64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  return bytes;
+}
+
+/**
+ * Records MediaPipe result callbacks into a timestamped session
+ *
+ * Enhancement suggestions:
+ * - Record the camera video alongside (MediaRecorder) for masked-video replay
+ */
+class PoseRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {string|{width: number, height: number}} [options.maskSize] - 'full' (default,
+   *   the tracker's mask resolution) or a fixed size such as RECORDING_MASK_SMALL
+   */
+  constructor(options = {}) {
+    this.recording = false;
+    this.events = [];
+    this.startTime = 0;
+    this.videoSize = { width: 0, height: 0 };
+    this.maskSize = options.maskSize ?? 'full';
+    this.maskWidth = 0;  // Stored mask size of the current recording (0 = no mask yet)
+    this.maskHeight = 0;
+
+    this.maskCanvas = document.createElement('canvas');
+    this.maskCtx = this.maskCanvas.getContext('2d', { willReadFrequently: true });
+  }
+
+  /**
+   * Starts a new recording
+   * @param {number} videoWidth - Camera frame width (pixels)
+   * @param {number} videoHeight - Camera frame height (pixels)
+   */
+  start(videoWidth, videoHeight) {
+    this.events = [];
+    this.videoSize = { width: videoWidth, height: videoHeight };
+    this.maskWidth = 0;
+    this.maskHeight = 0;
+    this.startTime = performance.now();
+    this.recording = true;
+    console.log('[Recorder] Recording started');
+  }
+
+  /**
+   * Stops recording
+   * @returns {number} Number of events captured
+   */
+  stop() {
+    this.recording = false;
+    console.log(`[Recorder] Recording stopped (${this.events.length} events)`);
+    return this.events.length;
+  }
+
+  now() {
+    return Math.round((performance.now() - this.startTime) * 10) / 10;
+  }
+
+  /**
+   * Encodes a mask's alpha channel at the recording's mask size
+   * The first mask fixes that size ('full' = its own); later masks are scaled to it.
+   * @param {CanvasImageSource} mask
+   * @returns {string} Base64 alpha bytes
+   */
+  encodeMask(mask) {
+    if (!this.maskWidth) {
+      const size = this.maskSize === 'full'
+        ? { width: mask.width || this.videoSize.width, height: mask.height || this.videoSize.height }
+        : this.maskSize;
+      this.maskWidth = this.maskCanvas.width = Math.max(1, Math.round(size.width));
+      this.maskHeight = this.maskCanvas.height = Math.max(1, Math.round(size.height));
+    }
+    const w = this.maskWidth, h = this.maskHeight;
+    this.maskCtx.clearRect(0, 0, w, h);
+    this.maskCtx.drawImage(mask, 0, 0, w, h);
+    const rgba = this.maskCtx.getImageData(0, 0, w, h).data;
+    const alpha = new Uint8Array(w * h);
+    for (let i = 0; i < alpha.length; i++) alpha[i] = rgba[i * 4 + 3];
+    return bytesToBase64(alpha);
+  }
+
+  /**
+   * Records a Pose / PoseLandmarker results object (as passed to onPoseResults)
+   */
+  recordPose(results) {
+    if (!this.recording) return;
+    const event = { t: this.now(), type: 'pose' };
+    if (results.multiPoseLandmarks) {
+      event.multiPoseLandmarks = results.multiPoseLandmarks.map(serializeLandmarks);
+    } else if (results.poseLandmarks) {
+      event.poseLandmarks = serializeLandmarks(results.poseLandmarks);
+    }
+    if (results.segmentationMask) event.mask = this.encodeMask(results.segmentationMask);
+    this.events.push(event);
+  }
+
+  /**
+   * Records a Hands results object (as passed to onHandResults)
+   */
+  recordHands(results) {
+    if (!this.recording) return;
+    this.events.push({
+      t: this.now(),
+      type: 'hands',
+      multiHandLandmarks: (results.multiHandLandmarks || []).map(serializeLandmarks),
+      multiHandedness: (results.multiHandedness || []).map(h => ({ label: h.label, score: h.score, index: h.index }))
+    });
+  }
+
+  /**
+   * Records a SelfieSegmentation results object (as passed to onSegmentationResults)
+   */
+  recordSegmentation(results) {
+    if (!this.recording || !results.segmentationMask) return;
+    this.events.push({ t: this.now(), type: 'segmentation', mask: this.encodeMask(results.segmentationMask) });
+  }
+
+  /**
+   * Downloads the session (gzip-compressed when supported)
+   * @returns {Promise<void>}
+   */
+  async download() {
+    const data = {
+      version: 1,
+      createdAt: new Date().toISOString(),
+      video: this.videoSize,
+      mask: { width: this.maskWidth || 1, height: this.maskHeight || 1 }, // 1x1 when no mask was recorded
+      events: this.events
+    };
+    let blob = new Blob([JSON.stringify(data)], { type: 'application/json' });
+    let filename = `pose-session-${Date.now()}.json`;
+
+    if (typeof CompressionStream !== 'undefined') {
+      blob = await new Response(blob.stream().pipeThrough(new CompressionStream('gzip'))).blob();
+      filename += '.gz';
+    }
+
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = filename;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+}
+
+/**
+ * Replays a recorded session through the sketch's result callbacks
+ *
+ * Usage:
+ *   const player = new PosePlayer({ onPose, onHands, onSegmentation });
+ *   await player.load(file);
+ *   player.play();
+ *   player.update();   // once per frame - emits all events that are due
+ */
+class PosePlayer {
+  constructor(callbacks) {
+    this.callbacks = callbacks;
+    this.session = null;
+    this.playing = false;
+    this.loop = true;
+    this.cursor = 0;
+    this.startTime = 0;
+
+    this.maskCanvas = document.createElement('canvas');
+    this.maskCtx = this.maskCanvas.getContext('2d');
+    this.maskImageData = null;
+  }
+
+  /**
+   * Loads a session file (.json or .json.gz)
+   * @param {File|Blob} file
+   * @returns {Promise<Object>} The parsed session
+   */
+  async load(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    let text;
+    if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+      if (typeof DecompressionStream === 'undefined') {
+        throw new Error('This browser cannot decompress gzip recordings');
+      }
+      const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+      text = await new Response(stream).text();
+    } else {
+      text = new TextDecoder().decode(bytes);
+    }
+
+    const session = JSON.parse(text);
+    if (session.version !== 1 || !Array.isArray(session.events)) {
+      throw new Error('Unsupported recording format');
+    }
+    this.session = session;
+    this.maskCanvas.width = session.mask.width;
+    this.maskCanvas.height = session.mask.height;
+    this.maskImageData = this.maskCtx.createImageData(session.mask.width, session.mask.height);
+    console.log(`[Player] Loaded ${session.events.length} events`);
+    return session;
+  }
+
+  /**
+   * Duration of the loaded session in ms
+   */
+  get duration() {
+    if (!this.session || !this.session.events.length) return 0;
+    return this.session.events[this.session.events.length - 1].t;
+  }
+
+  play() {
+    if (!this.session) return;
+    this.cursor = 0;
+    this.startTime = performance.now();
+    this.playing = true;
+  }
+
+  stop() {
+    this.playing = false;
+  }
+
+  /**
+   * Rebuilds a mask canvas from stored alpha bytes
+   * @param {string} b64
+   * @returns {HTMLCanvasElement}
+   */
+  decodeMask(b64) {
+    const alpha = base64ToBytes(b64);
+    const px = this.maskImageData.data;
+    for (let i = 0; i < alpha.length; i++) {
+      const v = alpha[i];
+      px[i * 4] = v;
+      px[i * 4 + 1] = v;
+      px[i * 4 + 2] = v;
+      px[i * 4 + 3] = v;
+    }
+    this.maskCtx.putImageData(this.maskImageData, 0, 0);
+    return this.maskCanvas;
+  }
+
+  /**
+   * Emits every event whose timestamp has been reached
+   */
+  update() {
+    if (!this.playing) return;
+    const elapsed = performance.now() - this.startTime;
+    const events = this.session.events;
+
+    while (this.cursor < events.length && events[this.cursor].t <= elapsed) {
+      this.emit(events[this.cursor++]);
+    }
+
+    if (this.cursor >= events.length) {
+      if (this.loop) {
+        this.play();
+      } else {
+        this.stop();
+      }
+    }
+  }
+
+  emit(event) {
+    const cb = this.callbacks;
+    if (event.type === 'pose' && cb.onPose) {
+      const results = {};
+      if (event.multiPoseLandmarks) results.multiPoseLandmarks = event.multiPoseLandmarks;
+      if (event.poseLandmarks) results.poseLandmarks = event.poseLandmarks;
+      if (event.mask) results.segmentationMask = this.decodeMask(event.mask);
+      cb.onPose(results);
+    } else if (event.type === 'hands' && cb.onHands) {
+      cb.onHands({ multiHandLandmarks: event.multiHandLandmarks, multiHandedness: event.multiHandedness });
+    } else if (event.type === 'segmentation' && cb.onSegmentation) {
+      cb.onSegmentation({ segmentationMask: this.decodeMask(event.mask) });
+    }
+  }
+}
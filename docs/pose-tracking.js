@@ -0,0 +1,169 @@
+/* ================================================================================
+   POSE TRACKING CORE MODULE
+   Keypoint lookup and the shared skeleton / virtual chest overlay
+
+   Works with both keypoint flavours used by the sketches:
+   - ml5 bodyPose:  { x, y, confidence, name } in video pixels
+   - MediaPipe:     converted to the same shape by the MediaPipe sketch
+
+   Drawing is projection-agnostic: each sketch passes a function that maps a
+   keypoint to screen space (scale, mirroring, offsets), so the chest and facing
+   arrow come out the same everywhere.
+
+   Note: This file should be loaded BEFORE any sketch script in the HTML
+   ================================================================================ */
+
+const KEYPOINT_MIN_CONFIDENCE = 0.1; // Keypoints below this are treated as missing
+
+/**
+ * Checks if a keypoint has sufficient confidence
+ * @param {Object} kp - Keypoint object
+ * @returns {boolean} True if confidence > KEYPOINT_MIN_CONFIDENCE
+ */
+function confOK(kp) {
+  return kp && kp.confidence > KEYPOINT_MIN_CONFIDENCE;
+}
+
+/**
+ * Finds a keypoint by name in a pose (across ml5 variants: name or part)
+ * @param {Object} pose - Pose object
+ * @param {string} name - Keypoint name
+ * @returns {Object|null} Keypoint or null if not found/low confidence
+ */
+function getKP(pose, name) {
+  if (!pose || !pose.keypoints) return null;
+  return pose.keypoints.find(k =>
+    (k.name === name || k.part === name) && k.confidence > KEYPOINT_MIN_CONFIDENCE
+  ) || null;
+}
+
+/**
+ * Virtual chest point: shoulder midpoint pulled 30% toward the hip midpoint
+ * @param {Object} pose - Pose object
+ * @returns {{x: number, y: number}|null} Chest position in keypoint space, or null without both shoulders
+ */
+function chestPoint(pose) {
+  const LS = getKP(pose, 'left_shoulder');
+  const RS = getKP(pose, 'right_shoulder');
+  if (!LS || !RS) return null;
+  const shoulderMid = { x: (LS.x + RS.x) / 2, y: (LS.y + RS.y) / 2 };
+
+  const LH = getKP(pose, 'left_hip');
+  const RH = getKP(pose, 'right_hip');
+  if (!LH || !RH) return shoulderMid;
+  const hipMid = { x: (LH.x + RH.x) / 2, y: (LH.y + RH.y) / 2 };
+  return {
+    x: 0.7 * shoulderMid.x + 0.3 * hipMid.x,
+    y: 0.7 * shoulderMid.y + 0.3 * hipMid.y
+  };
+}
+
+/**
+ * Draws skeleton lines, keypoints, virtual chest, and facing arrow
+ * @param {Array} poses - Smoothed pose data
+ * @param {Object} view - How to place the skeleton on screen
+ * @param {Function} view.project - (keypoint) => {x, y} in screen pixels
+ * @param {Array} view.connections - [aIndex, bIndex] keypoint index pairs
+ * @param {Function} [view.styleBone] - (a, b) => void, sets stroke before each bone
+ * @param {Function} [view.styleJoint] - (kp) => diameter, sets fill for each joint
+ */
+function drawSkeletonAndChest(poses, view) {
+  const { project, connections } = view;
+
+  stroke(255, 0, 0);
+  strokeWeight(2);
+
+  for (const pose of poses) {
+    // Skeleton connections
+    for (const [aIndex, bIndex] of connections) {
+      const a = pose.keypoints[aIndex];
+      const b = pose.keypoints[bIndex];
+      if (confOK(a) && confOK(b)) {
+        if (view.styleBone) view.styleBone(a, b);
+        const pa = project(a), pb = project(b);
+        line(pa.x, pa.y, pb.x, pb.y);
+      }
+    }
+
+    // Keypoints
+    noStroke();
+    fill(0, 255, 0);
+    for (const kp of pose.keypoints) {
+      if (confOK(kp)) {
+        const size = view.styleJoint ? view.styleJoint(kp) : 6;
+        const p = project(kp);
+        circle(p.x, p.y, size);
+      }
+    }
+
+    drawChestAndFacing(pose, project);
+  }
+}
+
+/**
+ * Draws the virtual chest point, its connectors and the facing arrow
+ * (perpendicular to the shoulder line, as seen on screen)
+ * @param {Object} pose - Pose object
+ * @param {Function} project - (keypoint) => {x, y} in screen pixels
+ */
+function drawChestAndFacing(pose, project) {
+  const chest = chestPoint(pose);
+  if (!chest) return;
+  const c = project(chest);
+  const LS = project(getKP(pose, 'left_shoulder'));
+  const RS = project(getKP(pose, 'right_shoulder'));
+  const LH = getKP(pose, 'left_hip');
+  const RH = getKP(pose, 'right_hip');
+
+  // Chest dot
+  fill(0, 255, 255);
+  noStroke();
+  circle(c.x, c.y, 10);
+
+  // Connectors to shoulders and hips
+  stroke(255);
+  strokeWeight(2);
+  line(c.x, c.y, LS.x, LS.y);
+  line(c.x, c.y, RS.x, RS.y);
+  for (const hip of [LH, RH]) {
+    if (!hip) continue;
+    const h = project(hip);
+    line(c.x, c.y, h.x, h.y);
+  }
+
+  // Facing arrow
+  const vS = createVector(RS.x - LS.x, RS.y - LS.y);
+  if (vS.mag() > 1e-3) {
+    const n = createVector(-vS.y, vS.x).normalize();
+    const L = constrain(vS.mag() * 0.4, 30, 120);
+    stroke(255);
+    strokeWeight(3);
+    drawArrow(createVector(c.x, c.y),
+      p5.Vector.add(createVector(c.x, c.y), n.mult(L)));
+  }
+}
+
+/**
+ * Draws an arrow from one point to another
+ * @param {p5.Vector} from - Start point
+ * @param {p5.Vector} to - End point
+ */
+function drawArrow(from, to) {
+  line(from.x, from.y, to.x, to.y);
+  const v = p5.Vector.sub(to, from).normalize();
+  const head = 10;
+  const L = p5.Vector.add(to, p5.Vector.mult(rotate2D(v, radians(150)), head));
+  const R = p5.Vector.add(to, p5.Vector.mult(rotate2D(v, radians(-150)), head));
+  triangle(to.x, to.y, L.x, L.y, R.x, R.y);
+}
+
+/**
+ * Rotates a 2D vector by an angle
+ * @param {p5.Vector} v - Vector to rotate
+ * @param {number} a - Angle in radians
+ * @returns {p5.Vector} Rotated vector
+ */
+function rotate2D(v, a) {
+  const c = cos(a), s = sin(a);
+  return createVector(v.x * c - v.y * s, v.x * s + v.y * c);
+}
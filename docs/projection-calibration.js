@@ -0,0 +1,630 @@
+/* ================================================================================
+   PROJECTION CALIBRATION MODULE
+   Four-corner keystone + grid mesh warp for projecting onto angled surfaces
+
+   Two mappings are calibrated:
+   - Output warp: where the four corners (and an optional finer mesh) of the
+     render area land on the projector output. Corrects keystone and surface bends.
+   - Camera correction: where the projected render area appears in the camera
+     image. Landmarks and masks are remapped through it so fluid splats land on
+     the dancer's actual body.
+
+   Camera points go through the camera orientation first (mirror / rotation,
+   see camera-settings.js), so the camera corners are marked on the camera
+   preview as the audience sees it.
+
+   Calibration is saved to localStorage and can be exported/imported as JSON.
+
+   Note: This file should be loaded BEFORE interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+const CALIBRATION_STORAGE_KEY = 'smoke-and-mirrors.calibration';
+const CALIBRATION_MESH_COLS = 4;     // Editable mesh cells (horizontal)
+const CALIBRATION_MESH_ROWS = 3;     // Editable mesh cells (vertical)
+const CALIBRATION_RENDER_COLS = 16;  // Triangle mesh subdivisions used when drawing the warp
+const CALIBRATION_RENDER_ROWS = 12;
+const CALIBRATION_HANDLE_RADIUS = 14; // Pixels
+
+/* ================================================================================
+   HOMOGRAPHY MATH
+   ================================================================================ */
+
+/**
+ * Computes the homography mapping the unit square onto a quad
+ * (0,0)→q[0], (1,0)→q[1], (1,1)→q[2], (0,1)→q[3]
+ * @param {Array<{x: number, y: number}>} q - Quad corners (TL, TR, BR, BL)
+ * @returns {Array<number>} Row-major 3x3 matrix
+ */
+function squareToQuad(q) {
+  const [p0, p1, p2, p3] = q;
+  const sx = p0.x - p1.x + p2.x - p3.x;
+  const sy = p0.y - p1.y + p2.y - p3.y;
+
+  if (Math.abs(sx) < 1e-10 && Math.abs(sy) < 1e-10) {
+    // Affine case (parallelogram)
+    return [
+      p1.x - p0.x, p2.x - p1.x, p0.x,
+      p1.y - p0.y, p2.y - p1.y, p0.y,
+      0, 0, 1
+    ];
+  }
+
+  const dx1 = p1.x - p2.x, dx2 = p3.x - p2.x;
+  const dy1 = p1.y - p2.y, dy2 = p3.y - p2.y;
+  const det = dx1 * dy2 - dx2 * dy1;
+  const g = (sx * dy2 - dx2 * sy) / det;
+  const h = (dx1 * sy - sx * dy1) / det;
+
+  return [
+    p1.x - p0.x + g * p1.x, p3.x - p0.x + h * p3.x, p0.x,
+    p1.y - p0.y + g * p1.y, p3.y - p0.y + h * p3.y, p0.y,
+    g, h, 1
+  ];
+}
+
+/**
+ * Inverts a 3x3 matrix
+ * @param {Array<number>} m - Row-major 3x3 matrix
+ * @returns {Array<number>} Inverse matrix
+ */
+function invert3x3(m) {
+  const [a, b, c, d, e, f, g, h, i] = m;
+  const A = e * i - f * h, B = -(d * i - f * g), C = d * h - e * g;
+  const det = a * A + b * B + c * C;
+  const inv = 1 / det;
+  return [
+    A * inv, -(b * i - c * h) * inv, (b * f - c * e) * inv,
+    B * inv, (a * i - c * g) * inv, -(a * f - c * d) * inv,
+    C * inv, -(a * h - b * g) * inv, (a * e - b * d) * inv
+  ];
+}
+
+/**
+ * Multiplies two 3x3 matrices (a · b: b is applied first)
+ * @param {Array<number>} a - Row-major 3x3 matrix
+ * @param {Array<number>} b - Row-major 3x3 matrix
+ * @returns {Array<number>}
+ */
+function multiply3x3(a, b) {
+  const out = [];
+  for (let r = 0; r < 3; r++) {
+    for (let c = 0; c < 3; c++) {
+      out.push(a[r * 3] * b[c] + a[r * 3 + 1] * b[3 + c] + a[r * 3 + 2] * b[6 + c]);
+    }
+  }
+  return out;
+}
+
+/**
+ * Applies a homography to a point
+ * @param {Array<number>} H - Row-major 3x3 matrix
+ * @param {number} x
+ * @param {number} y
+ * @returns {{x: number, y: number}}
+ */
+function applyHomography(H, x, y) {
+  const w = H[6] * x + H[7] * y + H[8];
+  return {
+    x: (H[0] * x + H[1] * y + H[2]) / w,
+    y: (H[3] * x + H[4] * y + H[5]) / w
+  };
+}
+
+/**
+ * Draws the triangle (s0, s1, s2) of an image onto the triangle (d0, d1, d2)
+ * using an affine transform. The clip is grown by ~1px to hide seams.
+ */
+function drawImageTriangle(ctx, img, s0, s1, s2, d0, d1, d2) {
+  // Solve the affine transform mapping source → destination:
+  // dx = a*sx + c*sy + e, dy = b*sx + d*sy + f
+  const den = (s1.x - s0.x) * (s2.y - s0.y) - (s2.x - s0.x) * (s1.y - s0.y);
+  if (Math.abs(den) < 1e-8) return;
+
+  const ux1 = s1.x - s0.x, uy1 = s1.y - s0.y, ux2 = s2.x - s0.x, uy2 = s2.y - s0.y;
+  const a = ((d1.x - d0.x) * uy2 - (d2.x - d0.x) * uy1) / den;
+  const c = ((d2.x - d0.x) * ux1 - (d1.x - d0.x) * ux2) / den;
+  const b = ((d1.y - d0.y) * uy2 - (d2.y - d0.y) * uy1) / den;
+  const d = ((d2.y - d0.y) * ux1 - (d1.y - d0.y) * ux2) / den;
+  const e = d0.x - a * s0.x - c * s0.y;
+  const f = d0.y - b * s0.x - d * s0.y;
+
+  // Grow the clip triangle slightly around its centroid
+  const cx = (d0.x + d1.x + d2.x) / 3, cy = (d0.y + d1.y + d2.y) / 3;
+  const grow = (p) => {
+    const dx = p.x - cx, dy = p.y - cy;
+    const len = Math.hypot(dx, dy) || 1;
+    return { x: p.x + dx / len, y: p.y + dy / len };
+  };
+  const g0 = grow(d0), g1 = grow(d1), g2 = grow(d2);
+
+  ctx.save();
+  ctx.beginPath();
+  ctx.moveTo(g0.x, g0.y);
+  ctx.lineTo(g1.x, g1.y);
+  ctx.lineTo(g2.x, g2.y);
+  ctx.closePath();
+  ctx.clip();
+  ctx.transform(a, b, c, d, e, f);
+  ctx.drawImage(img, 0, 0);
+  ctx.restore();
+}
+
+/* ================================================================================
+   CALIBRATION CLASS
+   ================================================================================ */
+
+/**
+ * Holds and edits the projection calibration
+ *
+ * Coordinates:
+ * - Output corners/mesh offsets are normalized to the window (0-1)
+ * - Camera corners are normalized to the oriented (by default mirrored) camera preview (0-1)
+ *
+ * Enhancement suggestions:
+ * - Automatic camera calibration by projecting and detecting a pattern
+ * - Edge blending for multi-projector setups
+ */
+class ProjectionCalibration {
+  constructor() {
+    this.active = false;        // Calibration UI visible
+    this.editMode = 'corners';  // 'corners' | 'mesh' | 'camera'
+    this.dragging = null;       // { kind, index } of the handle being dragged
+    this.setCameraOrientation([-1, 0, 1, 0, 1, 0, 0, 0, 1]); // Mirrored until told otherwise
+    this.reset();
+  }
+
+  /**
+   * Sets how raw camera points map onto the preview (CameraSettings.toView)
+   * @param {Array<number>} toView - Row-major 3x3 raw → view matrix
+   */
+  setCameraOrientation(toView) {
+    this.cameraToView = toView;
+    this.viewToCamera = invert3x3(toView);
+  }
+
+  /**
+   * Restores an identity calibration (no warp, no camera correction)
+   */
+  reset() {
+    this.customOutput = false;
+    this.customCamera = false;
+    this.corners = null; // Filled from the render rect on first use
+    this.meshOffsets = new Array((CALIBRATION_MESH_COLS + 1) * (CALIBRATION_MESH_ROWS + 1))
+      .fill(null).map(() => ({ x: 0, y: 0 }));
+    this.cameraCorners = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+    this.updateMatrices();
+  }
+
+  /**
+   * Default output corners: the centered render rect
+   * @param {{x: number, y: number, w: number, h: number}} rect - Render rect in window pixels
+   * @param {number} winW - Window width
+   * @param {number} winH - Window height
+   */
+  ensureCorners(rect, winW, winH) {
+    if (this.corners) return;
+    const x0 = rect.x / winW, y0 = rect.y / winH;
+    const x1 = (rect.x + rect.w) / winW, y1 = (rect.y + rect.h) / winH;
+    this.corners = [{ x: x0, y: y0 }, { x: x1, y: y0 }, { x: x1, y: y1 }, { x: x0, y: y1 }];
+    this.updateMatrices();
+  }
+
+  /**
+   * Moves the default (uncalibrated) corners along with the render rect after
+   * a window resize or layout change; a custom calibration is left alone
+   * @param {{x: number, y: number, w: number, h: number}} rect - Render rect in window pixels
+   * @param {number} winW - Window width
+   * @param {number} winH - Window height
+   */
+  followRenderRect(rect, winW, winH) {
+    if (this.customOutput) return;
+    this.corners = null;
+    this.meshOffsets = this.meshOffsets.map(() => ({ x: 0, y: 0 }));
+    this.ensureCorners(rect, winW, winH);
+  }
+
+  /**
+   * Recomputes the output and camera homographies after an edit
+   */
+  updateMatrices() {
+    this.outputH = this.corners ? squareToQuad(this.corners) : null;
+    // Camera: quad in preview → unit square
+    this.cameraH = invert3x3(squareToQuad(this.cameraCorners));
+  }
+
+  /* ---------- Mapping ---------- */
+
+  /**
+   * Bilinearly interpolated mesh offset at a render-normalized point
+   */
+  meshOffsetAt(u, v) {
+    const cols = CALIBRATION_MESH_COLS, rows = CALIBRATION_MESH_ROWS;
+    const gx = Math.min(Math.max(u * cols, 0), cols - 1e-6);
+    const gy = Math.min(Math.max(v * rows, 0), rows - 1e-6);
+    const i = Math.floor(gx), j = Math.floor(gy);
+    const fx = gx - i, fy = gy - j;
+    const at = (ci, cj) => this.meshOffsets[cj * (cols + 1) + ci];
+    const a = at(i, j), b = at(i + 1, j), c = at(i, j + 1), d = at(i + 1, j + 1);
+    return {
+      x: (a.x * (1 - fx) + b.x * fx) * (1 - fy) + (c.x * (1 - fx) + d.x * fx) * fy,
+      y: (a.y * (1 - fx) + b.y * fx) * (1 - fy) + (c.y * (1 - fx) + d.y * fx) * fy
+    };
+  }
+
+  /**
+   * Maps a render-normalized point to window pixels through keystone + mesh
+   */
+  outputPoint(u, v, winW, winH) {
+    const p = applyHomography(this.outputH, u, v);
+    const o = this.meshOffsetAt(u, v);
+    return { x: (p.x + o.x) * winW, y: (p.y + o.y) * winH };
+  }
+
+  /**
+   * Maps a raw normalized camera point into the corrected, oriented camera
+   * frame, where (0-1) spans exactly the projected render area
+   * @param {number} x - Normalized camera x (0-1, as MediaPipe reports it)
+   * @param {number} y - Normalized camera y (0-1)
+   * @returns {{x: number, y: number}}
+   */
+  mapCameraPoint(x, y) {
+    const p = applyHomography(this.cameraToView, x, y);
+    return this.customCamera ? applyHomography(this.cameraH, p.x, p.y) : p;
+  }
+
+  /**
+   * Homography for sampling camera images on the GPU: maps a render-normalized
+   * point to the raw camera image point it shows (the mapping drawCameraImage()
+   * draws with, without the triangle mesh)
+   * @returns {Array<number>} Row-major 3x3 matrix
+   */
+  cameraSampleMatrix() {
+    if (!this.customCamera) return this.viewToCamera;
+    return multiply3x3(this.viewToCamera, squareToQuad(this.cameraCorners));
+  }
+
+  /* ---------- Rendering ---------- */
+
+  /**
+   * Draws a source canvas through the output warp onto the window
+   * @param {CanvasRenderingContext2D} ctx - Destination (main canvas) context
+   * @param {HTMLCanvasElement} source - Render-area canvas to warp
+   * @param {number} winW - Window width
+   * @param {number} winH - Window height
+   */
+  drawWarpedOutput(ctx, source, winW, winH) {
+    const cols = CALIBRATION_RENDER_COLS, rows = CALIBRATION_RENDER_ROWS;
+    const sw = source.width, sh = source.height;
+
+    // Precompute the warped grid
+    const grid = [];
+    for (let j = 0; j <= rows; j++) {
+      for (let i = 0; i <= cols; i++) {
+        grid.push(this.outputPoint(i / cols, j / rows, winW, winH));
+      }
+    }
+
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const s00 = { x: i / cols * sw, y: j / rows * sh };
+        const s10 = { x: (i + 1) / cols * sw, y: j / rows * sh };
+        const s01 = { x: i / cols * sw, y: (j + 1) / rows * sh };
+        const s11 = { x: (i + 1) / cols * sw, y: (j + 1) / rows * sh };
+        const d00 = grid[j * (cols + 1) + i];
+        const d10 = grid[j * (cols + 1) + i + 1];
+        const d01 = grid[(j + 1) * (cols + 1) + i];
+        const d11 = grid[(j + 1) * (cols + 1) + i + 1];
+        drawImageTriangle(ctx, source, s00, s10, s11, d00, d10, d11);
+        drawImageTriangle(ctx, source, s00, s11, s01, d00, d11, d01);
+      }
+    }
+  }
+
+  /**
+   * Draws a camera image (video or mask) oriented and into the corrected camera frame
+   * Without camera correction this is a plain (transformed) drawImage
+   * @param {CanvasRenderingContext2D} ctx - Destination context
+   * @param {CanvasImageSource} img - Camera-space image
+   * @param {number} w - Destination width
+   * @param {number} h - Destination height
+   */
+  drawCameraImage(ctx, img, w, h) {
+    if (!this.customCamera) {
+      ctx.save();
+      this.orientContext(ctx, w, h);
+      ctx.drawImage(img, 0, 0, w, h);
+      ctx.restore();
+      return;
+    }
+
+    const iw = img.videoWidth || img.width, ih = img.videoHeight || img.height;
+    const cols = CALIBRATION_RENDER_COLS, rows = CALIBRATION_RENDER_ROWS;
+    // Source triangles: corrected grid pulled back into raw camera space
+    const toRaw = this.cameraSampleMatrix();
+    const rawAt = (u, v) => {
+      const p = applyHomography(toRaw, u, v);
+      return { x: p.x * iw, y: p.y * ih };
+    };
+
+    for (let j = 0; j < rows; j++) {
+      for (let i = 0; i < cols; i++) {
+        const u0 = i / cols, u1 = (i + 1) / cols, v0 = j / rows, v1 = (j + 1) / rows;
+        const s00 = rawAt(u0, v0), s10 = rawAt(u1, v0), s01 = rawAt(u0, v1), s11 = rawAt(u1, v1);
+        const d00 = { x: u0 * w, y: v0 * h }, d10 = { x: u1 * w, y: v0 * h };
+        const d01 = { x: u0 * w, y: v1 * h }, d11 = { x: u1 * w, y: v1 * h };
+        drawImageTriangle(ctx, img, s00, s10, s11, d00, d10, d11);
+        drawImageTriangle(ctx, img, s00, s11, s01, d00, d11, d01);
+      }
+    }
+  }
+
+  /**
+   * Sets a context up so an image drawn into (0, 0, w, h) appears oriented
+   * @param {CanvasRenderingContext2D} ctx
+   * @param {number} w - Destination width
+   * @param {number} h - Destination height
+   */
+  orientContext(ctx, w, h) {
+    const m = this.cameraToView;
+    ctx.transform(m[0], m[3] * h / w, m[1] * w / h, m[4], m[2] * w, m[5] * h);
+  }
+
+  /**
+   * Draws the calibration handles, mesh lines and help text
+   * @param {CanvasRenderingContext2D} ctx - Main canvas context
+   * @param {number} winW - Window width
+   * @param {number} winH - Window height
+   * @param {{x: number, y: number, w: number, h: number}} rect - Unwarped render rect (camera preview area)
+   * @param {HTMLVideoElement} video - Camera video for the camera preview
+   */
+  drawOverlay(ctx, winW, winH, rect, video) {
+    ctx.save();
+    ctx.lineWidth = 1;
+    ctx.font = '14px Arial, sans-serif';
+
+    if (this.editMode === 'camera') {
+      // Oriented camera preview with the four marked corners
+      if (video && video.videoWidth) {
+        ctx.save();
+        ctx.globalAlpha = 0.85;
+        ctx.translate(rect.x, rect.y);
+        this.orientContext(ctx, rect.w, rect.h);
+        ctx.drawImage(video, 0, 0, rect.w, rect.h);
+        ctx.restore();
+      }
+      const pts = this.cameraCorners.map(c => ({ x: rect.x + c.x * rect.w, y: rect.y + c.y * rect.h }));
+      ctx.strokeStyle = 'rgba(0, 255, 200, 0.9)';
+      ctx.beginPath();
+      pts.forEach((p, i) => (i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y)));
+      ctx.closePath();
+      ctx.stroke();
+      pts.forEach(p => this.drawHandle(ctx, p, 'rgba(0, 255, 200, 0.9)'));
+    } else {
+      // Warped grid lines
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+      const cols = CALIBRATION_MESH_COLS * 2, rows = CALIBRATION_MESH_ROWS * 2;
+      for (let j = 0; j <= rows; j++) {
+        ctx.beginPath();
+        for (let i = 0; i <= 32; i++) {
+          const p = this.outputPoint(i / 32, j / rows, winW, winH);
+          i ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y);
+        }
+        ctx.stroke();
+      }
+      for (let i = 0; i <= cols; i++) {
+        ctx.beginPath();
+        for (let j = 0; j <= 32; j++) {
+          const p = this.outputPoint(i / cols, j / 32, winW, winH);
+          j ? ctx.lineTo(p.x, p.y) : ctx.moveTo(p.x, p.y);
+        }
+        ctx.stroke();
+      }
+
+      const handles = this.handlePositions(winW, winH, rect);
+      const color = this.editMode === 'corners' ? 'rgba(255, 200, 0, 0.95)' : 'rgba(0, 180, 255, 0.95)';
+      handles.forEach(p => this.drawHandle(ctx, p, color));
+    }
+
+    // Help panel
+    const lines = [
+      `CALIBRATION — mode: ${this.editMode}`,
+      '[1] corners  [2] mesh  [3] camera  drag handles with the mouse',
+      '[R] reset mode  [E] export JSON  [I] import JSON  [K] exit'
+    ];
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.7)';
+    ctx.fillRect(winW / 2 - 250, winH - 90, 500, 72);
+    ctx.fillStyle = '#fff';
+    ctx.textAlign = 'center';
+    lines.forEach((t, i) => ctx.fillText(t, winW / 2, winH - 68 + i * 20));
+    ctx.restore();
+  }
+
+  drawHandle(ctx, p, color) {
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, CALIBRATION_HANDLE_RADIUS * 0.6, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = '#000';
+    ctx.stroke();
+  }
+
+  /* ---------- Editing ---------- */
+
+  /**
+   * Window-pixel positions of the handles for the current edit mode
+   */
+  handlePositions(winW, winH, rect) {
+    if (this.editMode === 'corners') {
+      return this.corners.map(c => ({ x: c.x * winW, y: c.y * winH }));
+    }
+    if (this.editMode === 'mesh') {
+      const pts = [];
+      for (let j = 0; j <= CALIBRATION_MESH_ROWS; j++) {
+        for (let i = 0; i <= CALIBRATION_MESH_COLS; i++) {
+          pts.push(this.outputPoint(i / CALIBRATION_MESH_COLS, j / CALIBRATION_MESH_ROWS, winW, winH));
+        }
+      }
+      return pts;
+    }
+    return this.cameraCorners.map(c => ({ x: rect.x + c.x * rect.w, y: rect.y + c.y * rect.h }));
+  }
+
+  /**
+   * Starts dragging the handle under the mouse (if any)
+   * @returns {boolean} True if a handle was grabbed
+   */
+  pointerDown(mx, my, winW, winH, rect) {
+    const handles = this.handlePositions(winW, winH, rect);
+    let best = -1, bestDist = CALIBRATION_HANDLE_RADIUS;
+    handles.forEach((p, i) => {
+      const d = Math.hypot(p.x - mx, p.y - my);
+      if (d < bestDist) {
+        bestDist = d;
+        best = i;
+      }
+    });
+    this.dragging = best >= 0 ? { kind: this.editMode, index: best } : null;
+    return !!this.dragging;
+  }
+
+  /**
+   * Moves the dragged handle to the mouse position
+   */
+  pointerMove(mx, my, winW, winH, rect) {
+    if (!this.dragging) return;
+    const { kind, index } = this.dragging;
+
+    if (kind === 'corners') {
+      this.corners[index] = { x: mx / winW, y: my / winH };
+      this.customOutput = true;
+    } else if (kind === 'mesh') {
+      const i = index % (CALIBRATION_MESH_COLS + 1);
+      const j = Math.floor(index / (CALIBRATION_MESH_COLS + 1));
+      const base = applyHomography(this.outputH, i / CALIBRATION_MESH_COLS, j / CALIBRATION_MESH_ROWS);
+      this.meshOffsets[index] = { x: mx / winW - base.x, y: my / winH - base.y };
+      this.customOutput = true;
+    } else {
+      this.cameraCorners[index] = { x: (mx - rect.x) / rect.w, y: (my - rect.y) / rect.h };
+      this.customCamera = true;
+    }
+    this.updateMatrices();
+  }
+
+  /**
+   * Ends a drag and persists the result
+   */
+  pointerUp() {
+    if (this.dragging) this.save();
+    this.dragging = null;
+  }
+
+  /**
+   * Resets only the part of the calibration being edited
+   * @param {{x: number, y: number, w: number, h: number}} rect - Render rect in window pixels
+   */
+  resetMode(rect, winW, winH) {
+    if (this.editMode === 'camera') {
+      this.cameraCorners = [{ x: 0, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 1 }, { x: 0, y: 1 }];
+      this.customCamera = false;
+    } else {
+      // Resetting corners also clears the mesh, since offsets are relative to the corners
+      if (this.editMode === 'corners') {
+        this.corners = null;
+        this.customOutput = false;
+      }
+      this.meshOffsets = this.meshOffsets.map(() => ({ x: 0, y: 0 }));
+      this.ensureCorners(rect, winW, winH);
+    }
+    this.updateMatrices();
+    this.save();
+  }
+
+  /* ---------- Persistence ---------- */
+
+  /**
+   * Serializes the calibration to a plain object
+   */
+  toJSON() {
+    return {
+      version: 1,
+      customOutput: this.customOutput,
+      customCamera: this.customCamera,
+      corners: this.corners,
+      mesh: { cols: CALIBRATION_MESH_COLS, rows: CALIBRATION_MESH_ROWS, offsets: this.meshOffsets },
+      cameraCorners: this.cameraCorners
+    };
+  }
+
+  /**
+   * Restores the calibration from a plain object (as produced by toJSON)
+   * @param {Object} data
+   */
+  fromJSON(data) {
+    if (!data || data.version !== 1) throw new Error('Unsupported calibration format');
+    this.reset();
+    this.customOutput = !!data.customOutput;
+    this.customCamera = !!data.customCamera;
+    if (Array.isArray(data.corners) && data.corners.length === 4) this.corners = data.corners;
+    if (data.mesh && data.mesh.cols === CALIBRATION_MESH_COLS && data.mesh.rows === CALIBRATION_MESH_ROWS) {
+      this.meshOffsets = data.mesh.offsets.map(o => ({ x: o.x, y: o.y }));
+    }
+    if (Array.isArray(data.cameraCorners) && data.cameraCorners.length === 4) {
+      this.cameraCorners = data.cameraCorners;
+    }
+    this.updateMatrices();
+  }
+
+  save() {
+    try {
+      localStorage.setItem(CALIBRATION_STORAGE_KEY, JSON.stringify(this.toJSON()));
+    } catch (err) {
+      console.warn('[Calibration] Could not save to localStorage:', err);
+    }
+  }
+
+  load() {
+    try {
+      const stored = localStorage.getItem(CALIBRATION_STORAGE_KEY);
+      if (stored) {
+        this.fromJSON(JSON.parse(stored));
+        console.log('[Calibration] Loaded saved calibration');
+      }
+    } catch (err) {
+      console.warn('[Calibration] Ignoring invalid saved calibration:', err);
+      this.reset();
+    }
+  }
+
+  /**
+   * Downloads the calibration as a JSON file
+   */
+  exportFile() {
+    const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = 'calibration.json';
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  /**
+   * Opens a file picker and loads a calibration JSON file
+   */
+  importFile() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        this.fromJSON(JSON.parse(text));
+        this.save();
+        console.log('[Calibration] Imported', file.name);
+      }).catch(err => {
+        console.error('[Calibration] Failed to import calibration:', err);
+      });
+    });
+    input.click();
+  }
+}
@@ -0,0 +1,113 @@
+/* ================================================================================
+   QUALITY GOVERNOR MODULE
+   Steps through quality tiers to hold a target frame rate
+
+   The sketch defines the tiers (lowest first) and what each one changes; the
+   governor only decides when to move:
+   - Load = the larger of frame time / frame budget and tracker inference
+     time / inference budget (both smoothed)
+   - Over budget for downAfter seconds → one tier down
+   - Below `headroom` of the budget for upAfter seconds → one tier up
+   - After every change it waits `cooldown` seconds for the new tier to settle,
+     so it doesn't oscillate between two neighbours
+
+   Note: This file should be loaded BEFORE any sketch script in the HTML
+   ================================================================================ */
+
+/**
+ * Adaptive quality controller
+ *
+ * Usage:
+ *   const governor = new QualityGovernor(TIERS, {
+ *     targetFps: 30,
+ *     initialTier: 2,
+ *     onChange: (tier, index) => applyTier(tier)
+ *   });
+ *   governor.update(dtSec, tracker.inferenceMs);   // once per frame
+ *   governor.tier.name, governor.frameMs, governor.enabled
+ */
+class QualityGovernor {
+  constructor(tiers, options = {}) {
+    if (!tiers || !tiers.length) throw new Error('QualityGovernor needs at least one tier');
+    this.tiers = tiers;
+    this.index = Math.min(Math.max(options.initialTier ?? tiers.length - 1, 0), tiers.length - 1);
+    this.targetFps = options.targetFps ?? 30;
+    this.maxInferenceMs = options.maxInferenceMs ?? 60; // Tracker time per frame before it counts as overload
+    this.downAfter = options.downAfter ?? 1.0;   // Seconds over budget before stepping down
+    this.upAfter = options.upAfter ?? 5.0;       // Seconds with headroom before stepping up
+    this.headroom = options.headroom ?? 0.75;    // Load below this leaves room for a better tier
+    this.cooldown = options.cooldown ?? 2.0;     // Seconds a new tier gets before it is judged
+    this.enabled = options.enabled ?? true;      // false = hold the current tier
+    this.onChange = options.onChange || null;
+
+    this.frameMs = 1000 / this.targetFps; // Smoothed frame time
+    this.inferenceMs = 0;                 // Last reported tracker inference time
+    this.load = 0;                        // Last computed load (1 = exactly on budget)
+    this.overTime = 0;
+    this.underTime = 0;
+    this.settleTime = this.cooldown;
+  }
+
+  /**
+   * Current tier object
+   */
+  get tier() {
+    return this.tiers[this.index];
+  }
+
+  /**
+   * Feeds one frame
+   * @param {number} dtSec - Time since the previous frame
+   * @param {number} [inferenceMs] - Tracker model time per camera frame (0 if unknown)
+   */
+  update(dtSec, inferenceMs = 0) {
+    if (dtSec > 0.5) return; // Stall (tab switch, model loading): not a steady-state measurement
+
+    this.frameMs += (dtSec * 1000 - this.frameMs) * (1 - Math.exp(-dtSec / 0.5));
+    this.inferenceMs = inferenceMs;
+    this.load = Math.max(this.frameMs * this.targetFps / 1000, inferenceMs / this.maxInferenceMs);
+
+    if (!this.enabled) return;
+    if (this.settleTime > 0) {
+      this.settleTime -= dtSec;
+      return;
+    }
+
+    if (this.load > 1) {
+      this.overTime += dtSec;
+      this.underTime = 0;
+    } else if (this.load < this.headroom) {
+      this.underTime += dtSec;
+      this.overTime = 0;
+    } else {
+      this.overTime = 0;
+      this.underTime = 0;
+    }
+
+    if (this.overTime >= this.downAfter) this.step(-1);
+    else if (this.underTime >= this.upAfter) this.step(1);
+  }
+
+  /**
+   * Moves up (+1) or down (-1) a tier
+   * @param {number} delta - Tiers to move
+   */
+  step(delta) {
+    this.setTier(this.index + delta);
+  }
+
+  /**
+   * Jumps to a tier and notifies onChange
+   * @param {number} index - Tier index (clamped)
+   */
+  setTier(index) {
+    index = Math.min(Math.max(index, 0), this.tiers.length - 1);
+    this.overTime = 0;
+    this.underTime = 0;
+    if (index === this.index) return;
+    this.index = index;
+    this.settleTime = this.cooldown;
+    console.log(`[Quality] tier ${this.tier.name} (${this.frameMs.toFixed(1)} ms/frame, inference ${this.inferenceMs.toFixed(1)} ms)`);
+    if (this.onChange) this.onChange(this.tier, index);
+  }
+}
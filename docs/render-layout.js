@@ -0,0 +1,165 @@
+/* ================================================================================
+   RENDER LAYOUT MODULE
+   Where the render area sits in the window and how big its buffers are
+
+   The render area has a content aspect ratio (camera 4:3 by default, any ratio
+   via ?aspect=16:9, or ?aspect=window to follow the window) and is scaled onto
+   the window with one of three modes (?layout=):
+   - fit:     largest area that fits entirely (bars where the aspects differ)
+   - fill:    smallest area that covers the window (edges cropped)
+   - stretch: exactly the window (content scaled non-uniformly)
+
+   Off-screen buffers (fluid, masks, ghosting...) are sized from the on-screen
+   area, capped at a pixel budget so big projectors don't allocate 4K buffers.
+
+   Note: This file should be loaded BEFORE any sketch script in the HTML
+   ================================================================================ */
+
+const RENDER_LAYOUT_MODES = ['fit', 'fill', 'stretch'];
+
+/**
+ * Parses an aspect ratio
+ * @param {string|number|null} value - "16:9", "16/9", "1.78", a number, or "window"
+ * @returns {number|null} Width / height, or null to follow the window
+ */
+function parseAspectRatio(value) {
+  if (value === null || value === undefined || value === 'window') return null;
+  if (typeof value === 'number') return value > 0 ? value : null;
+  const parts = String(value).split(/[:/x]/).map(Number);
+  const ratio = parts.length === 2 ? parts[0] / parts[1] : parts[0];
+  return Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+}
+
+/**
+ * Computes the render area and buffer size for the current window
+ *
+ * Usage:
+ *   const layout = new RenderLayout({ mode: 'fit', aspect: 4 / 3 });
+ *   if (layout.update(windowWidth, windowHeight)) reallocateBuffers(layout.width, layout.height);
+ *   image(buffer, layout.x, layout.y, layout.w, layout.h);
+ *   layout.setMode('fill');   // then update() again
+ *
+ * x / y / w / h is the area in window pixels (x, y can be negative in fill mode);
+ * width / height is the buffer resolution, which keeps the content aspect.
+ */
+class RenderLayout {
+  constructor(options = {}) {
+    this.mode = RENDER_LAYOUT_MODES.includes(options.mode) ? options.mode : 'fit';
+    this.aspect = parseAspectRatio(options.aspect ?? 4 / 3); // null = window aspect
+    this.scale = options.scale ?? 1;                        // Buffer pixels per window pixel
+    this.maxPixels = options.maxPixels ?? 1920 * 1080;      // Buffer pixel budget
+
+    this.x = 0;
+    this.y = 0;
+    this.w = 0;
+    this.h = 0;
+    this.width = 0;
+    this.height = 0;
+    this.winW = 0;
+    this.winH = 0;
+  }
+
+  /**
+   * Recomputes the layout
+   * @param {number} winW - Window width
+   * @param {number} winH - Window height
+   * @returns {boolean} True if the buffer size changed (buffers need reallocating)
+   */
+  update(winW, winH) {
+    this.winW = winW;
+    this.winH = winH;
+    const aspect = this.contentAspect;
+
+    if (this.mode === 'stretch') {
+      this.w = winW;
+      this.h = winH;
+    } else {
+      const wider = winW / winH > aspect;
+      // fit: bound by the tighter side; fill: by the looser one
+      const byHeight = this.mode === 'fit' ? wider : !wider;
+      this.w = byHeight ? winH * aspect : winW;
+      this.h = byHeight ? winH : winW / aspect;
+    }
+    this.x = (winW - this.w) / 2;
+    this.y = (winH - this.h) / 2;
+
+    // Buffer: content aspect, about as many pixels as the on-screen area
+    let bufW = Math.sqrt(this.w * this.h * aspect) * this.scale;
+    let bufH = bufW / aspect;
+    if (bufW * bufH > this.maxPixels) {
+      const shrink = Math.sqrt(this.maxPixels / (bufW * bufH));
+      bufW *= shrink;
+      bufH *= shrink;
+    }
+    bufW = Math.max(1, Math.round(bufW));
+    bufH = Math.max(1, Math.round(bufH));
+
+    const changed = bufW !== this.width || bufH !== this.height;
+    this.width = bufW;
+    this.height = bufH;
+    return changed;
+  }
+
+  /**
+   * Aspect ratio of the content (the window's own when following the window)
+   * @returns {number}
+   */
+  get contentAspect() {
+    return this.aspect ?? (this.winW / Math.max(1, this.winH) || 1);
+  }
+
+  /**
+   * Render area in window pixels
+   * @returns {{x: number, y: number, w: number, h: number}}
+   */
+  get rect() {
+    return { x: this.x, y: this.y, w: this.w, h: this.h };
+  }
+
+  /**
+   * Switches scaling mode (call update() afterwards)
+   * @param {string} mode - 'fit' | 'fill' | 'stretch'
+   */
+  setMode(mode) {
+    if (!RENDER_LAYOUT_MODES.includes(mode)) {
+      throw new Error(`Unknown render layout "${mode}"`);
+    }
+    this.mode = mode;
+  }
+
+  /**
+   * Advances to the next scaling mode (call update() afterwards)
+   * @returns {string} The new mode
+   */
+  cycleMode() {
+    const i = RENDER_LAYOUT_MODES.indexOf(this.mode);
+    this.mode = RENDER_LAYOUT_MODES[(i + 1) % RENDER_LAYOUT_MODES.length];
+    return this.mode;
+  }
+
+  /**
+   * Changes the content aspect ratio (call update() afterwards)
+   * @param {string|number|null} aspect - See parseAspectRatio()
+   */
+  setAspect(aspect) {
+    this.aspect = parseAspectRatio(aspect);
+  }
+}
+
+/**
+ * Creates a RenderLayout from ?layout= and ?aspect= (falling back to options)
+ * @param {Object} [options] - RenderLayout defaults
+ * @returns {RenderLayout}
+ */
+function createRenderLayout(options = {}) {
+  const params = new URLSearchParams(window.location.search);
+  const mode = params.get('layout') || options.mode;
+  if (mode && !RENDER_LAYOUT_MODES.includes(mode)) {
+    console.warn(`[Layout] Unknown layout "${mode}", using fit`);
+  }
+  return new RenderLayout({
+    ...options,
+    mode,
+    aspect: params.has('aspect') ? params.get('aspect') : options.aspect
+  });
+}
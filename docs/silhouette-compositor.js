@@ -0,0 +1,726 @@
+/* ================================================================================
+   SILHOUETTE COMPOSITOR MODULE
+   Body mask processing, edge glow, ghost trail and occlusion on the GPU
+
+   Runs inside the fluid simulation's WebGL context (no second context, so no
+   context-limit failures) and reuses its FBO / program helpers. Every frame ends
+   with one full-screen pass that draws the finished render area into the fluid
+   canvas, which the sketch then copies to the main canvas once:
+
+     fluid dye (cut out where the body is)
+       → ghost (last frame's silhouette, blurred and faded)
+         → silhouette (edge glow over a faint blob, or the masked camera video
+           over the glow)
+
+   Mask pipeline, run once per new segmentation mask at half the render size:
+   - camera orientation + correction (the same homography drawCameraImage() uses)
+   - temporal smoothing (SES between masks)
+   - dilation (separable max filter)
+   - edge blur (separable Gaussian)
+   - blur pyramid: halved, re-blurred levels the glow samples from, so a 200px
+     glow costs a few small passes instead of a 200px kernel
+
+   The processed mask (alpha = body, display space, y-up) can be handed straight
+   to FluidSimulation.setObstacles() as a texture.
+
+   When the shared context is lost and restored, the compositor rebuilds itself
+   right after the fluid does (FluidSimulation.onContextRestored); the mask
+   history and ghost start over with the next mask.
+
+   Note: This file should be loaded AFTER fluid-simulation.js and BEFORE
+   interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+// Camera sampling shared by the mask and video passes
+const SILHOUETTE_CAMERA_GLSL = `
+  uniform mat3 cameraMatrix;
+
+  // Display uv (y-up) → raw camera image uv (y-down); the matrix carries the
+  // camera orientation (mirror / rotation) and correction
+  vec2 cameraUv(vec2 uv) {
+    vec3 p = cameraMatrix * vec3(uv.x, 1.0 - uv.y, 1.0);
+    return p.xy / p.z;
+  }
+
+  float insideUnit(vec2 uv) {
+    vec2 s = step(vec2(0.0), uv) * step(uv, vec2(1.0));
+    return s.x * s.y;
+  }
+`;
+
+// Glow over the silhouette blob (premultiplied), shared by the composite and ghost passes
+const SILHOUETTE_GLOW_GLSL = `
+  uniform sampler2D uGlow;     // r = glow coverage, g = blob coverage
+  uniform vec4 glowColor;      // rgb + opacity of a fully covered pixel
+  uniform vec4 blobColor;
+  uniform float glowOn;
+
+  vec4 over(vec4 top, vec4 bottom) {
+    return top + bottom * (1.0 - top.a);
+  }
+
+  vec4 glowLayer(vec2 uv) {
+    vec2 cover = texture2D(uGlow, uv).rg;
+    return glowOn * vec4(glowColor.rgb, 1.0) * (1.0 - exp(-cover.r * glowColor.a));
+  }
+
+  vec4 blobLayer(vec2 uv) {
+    return vec4(blobColor.rgb, 1.0) * blobColor.a * texture2D(uGlow, uv).g;
+  }
+`;
+
+/**
+ * GPU silhouette pipeline sharing a FluidSimulation's context
+ *
+ * Usage:
+ *   const compositor = new SilhouetteCompositor(fluidSim);
+ *   compositor.resize(renderWidth, renderHeight);
+ *   if (maskChanged) compositor.updateMask(segmentationMask, { cameraMatrix, temporal: 0.3, dilation: 3, blur: 12 });
+ *   fluidSim.setObstacles(compositor.maskTexture);
+ *   compositor.render({ fluid: true, occlusion: true, glowColor, glowBlur: 220, ... });
+ *   const still = compositor.renderStill(settings, 3 * renderWidth, 3 * renderHeight); // before render()
+ *   drawingContext.drawImage(fluidCanvas, rect.x, rect.y, rect.w, rect.h);
+ *
+ * Sizes are in render pixels; colors are {r, g, b, a} in 0-1.
+ */
+class SilhouetteCompositor {
+  constructor(fluidSim, options = {}) {
+    if (!fluidSim || !fluidSim.isContextValid()) {
+      throw new Error('SilhouetteCompositor: needs a FluidSimulation with a live WebGL context');
+    }
+    this.fluid = fluidSim;
+    this.gl = fluidSim.gl;
+    this.maskScale = options.maskScale ?? 0.5; // Mask / glow resolution relative to the render size
+    this.maxLevels = options.maxLevels ?? 8;   // Blur pyramid depth (deeper = wider glow possible)
+
+    this.programs = this.createPrograms();
+    this.maskInput = fluidSim.createMaskTexture();  // Latest segmentation mask (camera space)
+    this.videoInput = fluidSim.createMaskTexture(); // Latest camera frame (masked video mode)
+    // Contexts made without premultipliedAlpha: false (WebGL1) expect premultiplied output
+    this.premultipliedOutput = this.gl.getContextAttributes().premultipliedAlpha !== false;
+
+    this.width = 0;
+    this.height = 0;
+    this.fbos = null;
+    this.resize(fluidSim.width, fluidSim.height);
+
+    this.removeRestoreListener = fluidSim.onContextRestored(() => this.restore());
+  }
+
+  /**
+   * Rebuilds programs, input textures and buffers on the fluid's restored
+   * context (the old objects died with the lost one)
+   */
+  restore() {
+    this.programs = this.createPrograms();
+    this.maskInput = this.fluid.createMaskTexture();
+    this.videoInput = this.fluid.createMaskTexture();
+    this.fbos = null;
+    this.resize(this.width, this.height);
+    console.log('[Fluid] Silhouette compositor rebuilt');
+  }
+
+  /**
+   * Compiles the compositing programs (vertex shader shared, like the fluid's)
+   * @returns {Object} Programs from FluidSimulation.createProgram()
+   */
+  createPrograms() {
+    const fluid = this.fluid;
+
+    const vertexShader = `
+      attribute vec2 aPosition;
+      varying vec2 vUv;
+
+      void main() {
+        vUv = aPosition * 0.5 + 0.5;
+        gl_Position = vec4(aPosition, 0.0, 1.0);
+      }
+    `;
+
+    // Camera mask → display space, blended with the previous mask (temporal SES)
+    const maskInputShader = `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uMask;
+      uniform sampler2D uPrevious;
+      uniform float blend;
+      ${SILHOUETTE_CAMERA_GLSL}
+
+      void main() {
+        vec2 c = cameraUv(vUv);
+        float m = texture2D(uMask, c).a * insideUnit(c);
+        float previous = texture2D(uPrevious, vUv).a;
+        gl_FragColor = vec4(mix(previous, m, blend));
+      }
+    `;
+
+    // One axis of a square max filter (run once per axis)
+    const dilateShader = `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform vec2 direction; // One texel along the pass axis
+      uniform float radius;   // Texels
+
+      void main() {
+        float m = texture2D(uTexture, vUv).a;
+        for (int i = 1; i <= 16; i++) {
+          if (float(i) > radius) break;
+          vec2 offset = direction * float(i);
+          m = max(m, max(texture2D(uTexture, vUv + offset).a, texture2D(uTexture, vUv - offset).a));
+        }
+        gl_FragColor = vec4(m);
+      }
+    `;
+
+    // One axis of a Gaussian blur; wide kernels spread their 25 taps out
+    const blurShader = `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform vec2 direction; // One texel along the pass axis
+      uniform float sigma;    // Texels
+
+      void main() {
+        if (sigma < 0.01) {
+          gl_FragColor = texture2D(uTexture, vUv);
+          return;
+        }
+        float spacing = max(1.0, sigma * 3.0 / 12.0);
+        vec4 sum = vec4(0.0);
+        float total = 0.0;
+        for (int i = -12; i <= 12; i++) {
+          float x = float(i) * spacing;
+          if (abs(x) > sigma * 3.0 + 0.5) continue;
+          float w = exp(-0.5 * x * x / (sigma * sigma));
+          sum += w * texture2D(uTexture, vUv + direction * x);
+          total += w;
+        }
+        gl_FragColor = sum / total;
+      }
+    `;
+
+    // Half-size copy (4 bilinear taps = 4x4 source texels)
+    const downsampleShader = `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform vec2 texelSize; // Source texel
+
+      void main() {
+        gl_FragColor = 0.25 * (
+          texture2D(uTexture, vUv + texelSize * vec2(-1.0, -1.0)) +
+          texture2D(uTexture, vUv + texelSize * vec2(1.0, -1.0)) +
+          texture2D(uTexture, vUv + texelSize * vec2(-1.0, 1.0)) +
+          texture2D(uTexture, vUv + texelSize * vec2(1.0, 1.0)));
+      }
+    `;
+
+    // Adds one pyramid level into the glow buffer (additive blending)
+    const accumulateShader = `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uTexture;
+      uniform vec4 weights; // r = glow, g = blob
+
+      void main() {
+        gl_FragColor = weights * texture2D(uTexture, vUv).a;
+      }
+    `;
+
+    // This frame's glow-only silhouette, captured for next frame's ghost
+    const ghostShader = `
+      precision highp float;
+      varying vec2 vUv;
+      ${SILHOUETTE_GLOW_GLSL}
+
+      void main() {
+        gl_FragColor = over(glowLayer(vUv), blobLayer(vUv));
+      }
+    `;
+
+    // Final image: fluid (occluded) → ghost → silhouette
+    const compositeShader = `
+      precision highp float;
+      varying vec2 vUv;
+      uniform sampler2D uDye;
+      uniform sampler2D uMask;
+      uniform sampler2D uGhost;
+      uniform sampler2D uVideo;
+      uniform float fluidOn;
+      uniform float occlusion;
+      uniform float silhouetteOn;
+      uniform float videoOn;
+      uniform float ghostOpacity;
+      uniform float premultiplied;
+      ${SILHOUETTE_CAMERA_GLSL}
+      ${SILHOUETTE_GLOW_GLSL}
+
+      void main() {
+        float m = texture2D(uMask, vUv).a * silhouetteOn;
+
+        // Fluid as the display shader draws it, minus the body
+        vec3 dye = texture2D(uDye, vUv).rgb;
+        float a = min(max(dye.r, max(dye.g, dye.b)), 1.0) * fluidOn * (1.0 - occlusion * m);
+        vec4 color = vec4(dye * a, a);
+
+        if (silhouetteOn > 0.5) {
+          color = over(texture2D(uGhost, vUv) * ghostOpacity, color);
+          if (videoOn > 0.5) {
+            vec2 c = cameraUv(vUv);
+            vec4 video = vec4(texture2D(uVideo, c).rgb, 1.0) * m * insideUnit(c);
+            color = over(over(video, glowLayer(vUv)), color);
+          } else {
+            color = over(over(glowLayer(vUv), blobLayer(vUv)), color);
+          }
+        }
+
+        if (premultiplied < 0.5) color.rgb /= max(color.a, 0.0001);
+        gl_FragColor = color;
+      }
+    `;
+
+    return {
+      maskInput: fluid.createProgram(vertexShader, maskInputShader),
+      dilate: fluid.createProgram(vertexShader, dilateShader),
+      blur: fluid.createProgram(vertexShader, blurShader),
+      downsample: fluid.createProgram(vertexShader, downsampleShader),
+      accumulate: fluid.createProgram(vertexShader, accumulateShader),
+      ghost: fluid.createProgram(vertexShader, ghostShader),
+      composite: fluid.createProgram(vertexShader, compositeShader)
+    };
+  }
+
+  /**
+   * (Re)allocates every buffer for a render size. Mask history and the ghost
+   * start over; callers holding maskTexture (fluid obstacles) must re-upload.
+   * @param {number} width - Render width in pixels
+   * @param {number} height - Render height in pixels
+   * @returns {boolean} True if the size changed
+   */
+  resize(width, height) {
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+    if (width === this.width && height === this.height && this.fbos) return false;
+    if (!this.fluid.isContextValid()) return false;
+
+    const gl = this.gl;
+    const fluid = this.fluid;
+    this.deleteBuffers();
+    this.width = width;
+    this.height = height;
+
+    const mw = Math.max(1, Math.round(width * this.maskScale));
+    const mh = Math.max(1, Math.round(height * this.maskScale));
+    const create = (w, h) => fluid.createFBO(w, h, gl.RGBA, gl.FLOAT);
+
+    const fbos = {
+      history: fluid.createDoubleFBO(mw, mh, gl.RGBA, gl.FLOAT), // Temporally smoothed mask
+      mask: fluid.createDoubleFBO(mw, mh, gl.RGBA, gl.FLOAT),    // Finished mask (double: obstacle ping-pong)
+      scratchA: create(mw, mh),
+      scratchB: create(mw, mh),
+      glow: create(mw, mh),
+      ghost: create(mw, mh),
+      levels: [] // Pyramid below the mask: [{ result, temp }], each half the previous
+    };
+
+    let lw = mw, lh = mh;
+    while (fbos.levels.length < this.maxLevels - 1 && Math.min(lw, lh) >= 4) {
+      lw = Math.ceil(lw / 2);
+      lh = Math.ceil(lh / 2);
+      fbos.levels.push({ result: create(lw, lh), temp: create(lw, lh) });
+    }
+    this.fbos = fbos;
+
+    this.hasMask = false;
+    this.hasGhost = false;
+    this.maskBlur = 0;
+    return true;
+  }
+
+  /**
+   * The finished mask texture (alpha = body, display space, y-up)
+   * Alternates between two textures on each updateMask(), so a consumer
+   * that keeps the previous one (fluid obstacles) still sees the old mask
+   * @returns {WebGLTexture}
+   */
+  get maskTexture() {
+    return this.fbos.mask.read.texture;
+  }
+
+  /**
+   * Processes a new segmentation mask: camera correction, temporal smoothing,
+   * dilation, edge blur and the glow pyramid
+   * @param {CanvasImageSource} source - Segmentation mask (alpha = person, camera space)
+   * @param {Object} settings
+   * @param {Array<number>} [settings.cameraMatrix] - Row-major 3x3 display → camera homography
+   * @param {number} [settings.temporal] - SES factor between masks (1 = no smoothing)
+   * @param {number} [settings.dilation] - Grow the silhouette by this many pixels
+   * @param {number} [settings.blur] - Edge blur (Gaussian sigma in pixels)
+   */
+  updateMask(source, settings = {}) {
+    if (!this.fluid.isContextValid()) return;
+    const gl = this.gl;
+    const fluid = this.fluid;
+    const { history, mask, scratchA, scratchB } = this.fbos;
+
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.maskInput);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+
+    // Camera correction + temporal smoothing (the first mask replaces the empty history)
+    const input = this.programs.maskInput;
+    gl.useProgram(input.program);
+    gl.uniform1i(input.uniforms.uMask, fluid.bindTexture(this.maskInput, 0));
+    gl.uniform1i(input.uniforms.uPrevious, history.read.attach(1));
+    gl.uniform1f(input.uniforms.blend, this.hasMask ? Math.min(Math.max(settings.temporal ?? 1, 0.01), 1) : 1);
+    this.setCameraMatrix(input, settings.cameraMatrix);
+    fluid.blit(history.write);
+    history.swap();
+    this.hasMask = true;
+
+    // Dilation (square max filter, one axis per pass)
+    const dilation = Math.min((settings.dilation ?? 0) * this.maskScale, 16);
+    let current = history.read;
+    if (dilation >= 0.5) {
+      this.filterPass(this.programs.dilate, current, scratchA, 1, 0, 'radius', dilation);
+      this.filterPass(this.programs.dilate, scratchA, scratchB, 0, 1, 'radius', dilation);
+      current = scratchB;
+    }
+
+    // Edge blur into the finished mask
+    this.maskBlur = Math.max(settings.blur ?? 0, 0);
+    const sigma = this.maskBlur * this.maskScale;
+    const temp = current === scratchB ? scratchA : scratchB;
+    this.filterPass(this.programs.blur, current, temp, 1, 0, 'sigma', sigma);
+    this.filterPass(this.programs.blur, temp, mask.write, 0, 1, 'sigma', sigma);
+    mask.swap();
+
+    this.buildPyramid();
+  }
+
+  /**
+   * Runs one axis of a separable filter
+   * @param {Object} prog - dilate or blur program
+   * @param {Object} source - FBO to read
+   * @param {Object} target - FBO to write
+   * @param {number} dx - 1 for the horizontal pass
+   * @param {number} dy - 1 for the vertical pass
+   * @param {string} amountName - Uniform holding the filter size
+   * @param {number} amount - Filter size in source texels
+   */
+  filterPass(prog, source, target, dx, dy, amountName, amount) {
+    const gl = this.gl;
+    gl.useProgram(prog.program);
+    gl.uniform1i(prog.uniforms.uTexture, source.attach(0));
+    gl.uniform2f(prog.uniforms.direction, dx / source.width, dy / source.height);
+    gl.uniform1f(prog.uniforms[amountName], amount);
+    this.fluid.blit(target);
+  }
+
+  /**
+   * Halves the finished mask level by level, re-blurring each level by one texel
+   */
+  buildPyramid() {
+    const gl = this.gl;
+    const down = this.programs.downsample;
+    let source = this.fbos.mask.read;
+    for (const level of this.fbos.levels) {
+      gl.useProgram(down.program);
+      gl.uniform1i(down.uniforms.uTexture, source.attach(0));
+      gl.uniform2f(down.uniforms.texelSize, 1 / source.width, 1 / source.height);
+      this.fluid.blit(level.result);
+      this.filterPass(this.programs.blur, level.result, level.temp, 1, 0, 'sigma', 1);
+      this.filterPass(this.programs.blur, level.temp, level.result, 0, 1, 'sigma', 1);
+      source = level.result;
+    }
+  }
+
+  /**
+   * Approximate blur (Gaussian sigma in render pixels) of each pyramid level
+   * @returns {Array<number>} Level 0 = the finished mask
+   */
+  levelSigmas() {
+    const levels = [this.fbos.mask.read, ...this.fbos.levels.map(l => l.result)];
+    const texel = levels.map(fbo => this.width / fbo.width);
+    const sigmas = [Math.hypot(this.maskBlur, texel[0])];
+    for (let k = 1; k < levels.length; k++) {
+      sigmas.push(Math.hypot(sigmas[k - 1], texel[k - 1], texel[k]));
+    }
+    return sigmas;
+  }
+
+  /**
+   * Spreads a blur of the given radius over the two pyramid levels around it
+   * @param {Array<number>} weights - Per-level weights (modified)
+   * @param {Array<number>} sigmas - From levelSigmas()
+   * @param {number} radius - Wanted blur in render pixels
+   * @param {number} amount - Weight to spread
+   */
+  addLevelWeight(weights, sigmas, radius, amount) {
+    let k = 0;
+    while (k < sigmas.length - 1 && sigmas[k + 1] <= radius) k++;
+    if (k === sigmas.length - 1 || radius <= sigmas[k]) {
+      weights[k] += amount;
+      return;
+    }
+    const f = (radius - sigmas[k]) / (sigmas[k + 1] - sigmas[k]);
+    weights[k] += amount * (1 - f);
+    weights[k + 1] += amount * f;
+  }
+
+  /**
+   * Sums the glow layers (and the blob) from the pyramid into the glow buffer
+   * Glow layer i has radius glowBlur * (i + 1) / glowLayers, like stacked blurs
+   * @param {Object} settings - See render()
+   */
+  accumulateGlow(settings) {
+    const gl = this.gl;
+    const sigmas = this.levelSigmas();
+    const glowWeights = sigmas.map(() => 0);
+    const blobWeights = sigmas.map(() => 0);
+
+    const layers = Math.max(1, Math.round(settings.glowLayers ?? 6));
+    const layerAlpha = (settings.glowIntensity ?? 0.35) * 1.5 / layers;
+    for (let i = 0; i < layers; i++) {
+      this.addLevelWeight(glowWeights, sigmas, (settings.glowBlur ?? 220) * (i + 1) / layers, layerAlpha);
+    }
+    this.addLevelWeight(blobWeights, sigmas, settings.blobBlur ?? 30, 1);
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbos.glow.fbo);
+    gl.clearColor(0, 0, 0, 0);
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    const prog = this.programs.accumulate;
+    const levels = [this.fbos.mask.read, ...this.fbos.levels.map(l => l.result)];
+    gl.useProgram(prog.program);
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE);
+    levels.forEach((level, k) => {
+      if (glowWeights[k] <= 0 && blobWeights[k] <= 0) return;
+      gl.uniform1i(prog.uniforms.uTexture, level.attach(0));
+      gl.uniform4f(prog.uniforms.weights, glowWeights[k], blobWeights[k], 0, 0);
+      this.fluid.blit(this.fbos.glow);
+    });
+    gl.disable(gl.BLEND);
+  }
+
+  /**
+   * Draws the finished render area into the fluid canvas
+   * @param {Object} settings
+   * @param {boolean} [settings.fluid] - Draw the fluid dye
+   * @param {boolean} [settings.occlusion] - Cut the body out of the fluid
+   * @param {boolean} [settings.silhouette] - Draw the body (needs a mask)
+   * @param {HTMLVideoElement|null} [settings.video] - Masked camera video instead of the glow-only look
+   * @param {Array<number>} [settings.cameraMatrix] - Row-major 3x3 display → camera homography
+   * @param {boolean} [settings.glow] - Edge glow on/off
+   * @param {{r: number, g: number, b: number, a: number}} [settings.glowColor]
+   * @param {number} [settings.glowBlur] - Widest glow layer (pixels)
+   * @param {number} [settings.glowIntensity] - Glow opacity (0-1)
+   * @param {number} [settings.glowLayers] - Glow layers (radii between 0 and glowBlur)
+   * @param {{r: number, g: number, b: number, a: number}} [settings.blobColor] - Faint body fill (glow-only look)
+   * @param {number} [settings.blobBlur] - Blob softness (pixels)
+   * @param {boolean} [settings.ghost] - Show last frame's silhouette behind this one (glow-only look)
+   * @param {number} [settings.ghostOpacity]
+   * @param {number} [settings.ghostBlur] - Ghost softness (pixels)
+   */
+  render(settings = {}) {
+    if (!this.fluid.isContextValid()) return;
+    const ghost = this.compositePass(settings, null, this.premultipliedOutput);
+    if (ghost) this.captureGhost(settings);
+  }
+
+  /**
+   * Renders the composite at another size into its own target and reads it back
+   * (for high-res stills). The live buffers, mask history and ghost are left as
+   * they are; call it before this frame's render() so the ghost matches.
+   * @param {Object} settings - See render()
+   * @param {number} width - Requested size in pixels (scaled down to maxStillSize)
+   * @param {number} height
+   * @returns {HTMLCanvasElement|null} The still, or null while the context is lost
+   */
+  renderStill(settings, width, height) {
+    if (!this.fluid.isContextValid()) return null;
+    const gl = this.gl;
+    const fit = Math.min(1, this.maxStillSize / width, this.maxStillSize / height);
+    width = Math.max(1, Math.floor(width * fit));
+    height = Math.max(1, Math.floor(height * fit));
+
+    // 8-bit target: reads back at a quarter of the size of the float buffers
+    const texture = gl.createTexture();
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    const fbo = gl.createFramebuffer();
+    gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+    gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, texture, 0);
+
+    try {
+      this.compositePass(settings, { fbo, width, height }, false); // Straight alpha, like ImageData
+      const pixels = new Uint8Array(width * height * 4);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fbo);
+      gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+
+      // GL rows run bottom-up
+      const image = new ImageData(width, height);
+      const row = width * 4;
+      for (let y = 0; y < height; y++) {
+        image.data.set(pixels.subarray((height - 1 - y) * row, (height - y) * row), y * row);
+      }
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      canvas.getContext('2d').putImageData(image, 0, 0);
+      return canvas;
+    } finally {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      gl.deleteFramebuffer(fbo);
+      gl.deleteTexture(texture);
+    }
+  }
+
+  /**
+   * Largest still renderStill() can produce on this GPU (pixels per side)
+   */
+  get maxStillSize() {
+    const gl = this.gl;
+    const viewport = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return Math.min(gl.getParameter(gl.MAX_TEXTURE_SIZE), gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+      viewport[0], viewport[1]);
+  }
+
+  /**
+   * The composite pass of render(), into the fluid canvas (target null) or an FBO
+   * @param {Object} settings - See render()
+   * @param {Object|null} target - { fbo, width, height } or null
+   * @param {boolean} premultiplied - Premultiplied alpha output
+   * @returns {boolean} Whether this frame's silhouette should become the ghost
+   */
+  compositePass(settings, target, premultiplied) {
+    const gl = this.gl;
+    const fluid = this.fluid;
+    const silhouette = !!settings.silhouette && this.hasMask;
+    const video = silhouette && settings.video && settings.video.videoWidth > 0 ? settings.video : null;
+    const ghost = silhouette && !video && !!settings.ghost;
+
+    if (silhouette) this.accumulateGlow(settings);
+    if (!ghost && this.hasGhost) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, this.fbos.ghost.fbo);
+      gl.clearColor(0, 0, 0, 0);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+      this.hasGhost = false;
+    }
+    if (video) {
+      gl.activeTexture(gl.TEXTURE0);
+      gl.bindTexture(gl.TEXTURE_2D, this.videoInput);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, video);
+    }
+
+    const prog = this.programs.composite;
+    gl.useProgram(prog.program);
+    gl.uniform1i(prog.uniforms.uDye, fluid.density.read.attach(0));
+    gl.uniform1i(prog.uniforms.uMask, this.fbos.mask.read.attach(1));
+    gl.uniform1i(prog.uniforms.uGlow, this.fbos.glow.attach(2));
+    gl.uniform1i(prog.uniforms.uGhost, this.fbos.ghost.attach(3));
+    gl.uniform1i(prog.uniforms.uVideo, fluid.bindTexture(this.videoInput, 4));
+    gl.uniform1f(prog.uniforms.fluidOn, settings.fluid ? 1 : 0);
+    gl.uniform1f(prog.uniforms.occlusion, settings.occlusion ? 1 : 0);
+    gl.uniform1f(prog.uniforms.silhouetteOn, silhouette ? 1 : 0);
+    gl.uniform1f(prog.uniforms.videoOn, video ? 1 : 0);
+    gl.uniform1f(prog.uniforms.ghostOpacity, this.hasGhost ? settings.ghostOpacity ?? 0.4 : 0);
+    gl.uniform1f(prog.uniforms.premultiplied, premultiplied ? 1 : 0);
+    this.setCameraMatrix(prog, settings.cameraMatrix);
+    this.setGlowUniforms(prog, settings);
+    fluid.blit(target);
+    return ghost;
+  }
+
+  /**
+   * Stores this frame's glow-only silhouette (blurred) as next frame's ghost
+   * @param {Object} settings - See render()
+   */
+  captureGhost(settings) {
+    const gl = this.gl;
+    const { scratchA, scratchB, ghost } = this.fbos;
+    const prog = this.programs.ghost;
+    gl.useProgram(prog.program);
+    gl.uniform1i(prog.uniforms.uGlow, this.fbos.glow.attach(0));
+    this.setGlowUniforms(prog, settings);
+    this.fluid.blit(scratchA);
+
+    const sigma = (settings.ghostBlur ?? 8) * this.maskScale;
+    this.filterPass(this.programs.blur, scratchA, scratchB, 1, 0, 'sigma', sigma);
+    this.filterPass(this.programs.blur, scratchB, ghost, 0, 1, 'sigma', sigma);
+    this.hasGhost = true;
+  }
+
+  /**
+   * Sets the glow / blob uniforms shared by the composite and ghost programs
+   * @param {Object} prog - Program declaring SILHOUETTE_GLOW_GLSL
+   * @param {Object} settings - See render()
+   */
+  setGlowUniforms(prog, settings) {
+    const gl = this.gl;
+    const glow = settings.glowColor || { r: 1, g: 1, b: 1, a: 0.85 };
+    const blob = settings.blobColor || { r: 0, g: 0, b: 0, a: 0 };
+    gl.uniform4f(prog.uniforms.glowColor, glow.r, glow.g, glow.b, glow.a ?? 1);
+    gl.uniform4f(prog.uniforms.blobColor, blob.r, blob.g, blob.b, blob.a ?? 1);
+    gl.uniform1f(prog.uniforms.glowOn, settings.glow === false ? 0 : 1);
+  }
+
+  /**
+   * Uploads a row-major homography to a program's cameraMatrix (GLSL is column-major)
+   * @param {Object} prog - Program declaring SILHOUETTE_CAMERA_GLSL
+   * @param {Array<number>} [m] - Row-major 3x3 matrix (identity if omitted)
+   */
+  setCameraMatrix(prog, m) {
+    m = m || [1, 0, 0, 0, 1, 0, 0, 0, 1];
+    this.gl.uniformMatrix3fv(prog.uniforms.cameraMatrix, false,
+      [m[0], m[3], m[6], m[1], m[4], m[7], m[2], m[5], m[8]]);
+  }
+
+  /**
+   * Forgets the mask history and the ghost (e.g. after the camera changes)
+   */
+  reset() {
+    this.hasMask = false;
+    this.hasGhost = false;
+    if (!this.fluid.isContextValid()) return;
+    const gl = this.gl;
+    gl.clearColor(0, 0, 0, 0);
+    for (const fbo of [this.fbos.history.read, this.fbos.history.write, this.fbos.ghost]) {
+      gl.bindFramebuffer(gl.FRAMEBUFFER, fbo.fbo);
+      gl.clear(gl.COLOR_BUFFER_BIT);
+    }
+  }
+
+  /**
+   * Frees every buffer (programs and input textures are kept)
+   */
+  deleteBuffers() {
+    if (!this.fbos) return;
+    const fluid = this.fluid;
+    const { history, mask, scratchA, scratchB, glow, ghost, levels } = this.fbos;
+    for (const fbo of [history.read, history.write, mask.read, mask.write, scratchA, scratchB, glow, ghost]) {
+      fluid.deleteFBO(fbo);
+    }
+    for (const level of levels) {
+      fluid.deleteFBO(level.result);
+      fluid.deleteFBO(level.temp);
+    }
+    this.fbos = null;
+  }
+
+  /**
+   * Frees all GPU resources (the shared context itself stays with the fluid)
+   */
+  destroy() {
+    this.removeRestoreListener();
+    if (!this.fluid.isContextValid()) return;
+    const gl = this.gl;
+    this.deleteBuffers();
+    gl.deleteTexture(this.maskInput);
+    gl.deleteTexture(this.videoInput);
+    for (const prog of Object.values(this.programs)) gl.deleteProgram(prog.program);
+  }
+}
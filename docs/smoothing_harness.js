@@ -0,0 +1,316 @@
+/*
+ * ===============================================================================
+ * SMOOTHING STRATEGY HARNESS
+ * ===============================================================================
+ *
+ * Runs a recorded pose session (from [R] in the MediaPipe sketch) through every
+ * keypoint smoothing strategy offline and reports, per strategy:
+ * - jitter:    RMS second difference of the output (px) and its ratio to raw
+ * - lag:       time shift (ms) that best aligns the output with the raw track
+ *              (negative = the filter leads, i.e. predicts)
+ * - overshoot: how far the output leaves the range the raw track covered
+ *              within ±OVERSHOOT_WINDOW_MS (95th percentile and max, px)
+ *
+ * Only the first person of each pose event is used. Edit SMOOTHING_CANDIDATES
+ * to compare other settings.
+ *
+ * Usage:
+ *   smoothing_harness_index.html                        (pick a session file)
+ *   smoothing_harness_index.html?session=<url>          (fetch one)
+ *
+ * Dependencies:
+ * - keypoint-smoothing.js (KeypointSmoother - must be loaded first)
+ * - pose-recorder.js (PosePlayer session parsing - must be loaded first)
+ *
+ * ===============================================================================
+ */
+
+// Body landmarks the sketches track (nose, arms, hips, legs)
+const HARNESS_KEYPOINTS = [0, 11, 12, 13, 14, 15, 16, 23, 24, 25, 26, 27, 28];
+
+const LAG_SEARCH_MS = { min: -100, max: 300, step: 2 }; // Lag candidates tried
+const OVERSHOOT_WINDOW_MS = 150;                        // Raw range window for overshoot
+
+// Settings compared by default (the sketches' current settings included)
+const SMOOTHING_CANDIDATES = [
+  { label: 'none (raw)', options: { strategy: 'none' } },
+  { label: 'ses α=0.65', options: { strategy: 'ses', alpha: 0.65 } },
+  { label: 'ses α=0.3', options: { strategy: 'ses', alpha: 0.3 } },
+  { label: 'kalman Q=0.9 R=1.5 (mediapipe)', options: { strategy: 'kalman', processNoise: 0.9, measurementNoise: 1.5 } },
+  { label: 'kalman Q=0.8 R=1.5 (base, interactions)', options: { strategy: 'kalman', processNoise: 0.8, measurementNoise: 1.5 } },
+  { label: 'kalman Q=0.3 R=3 (sketch, ghost)', options: { strategy: 'kalman', processNoise: 0.3, measurementNoise: 3 } },
+  { label: 'oneEuro fc=1.0 β=0.007', options: { strategy: 'oneEuro', minCutoff: 1.0, beta: 0.007 } },
+  { label: 'oneEuro fc=0.5 β=0.02', options: { strategy: 'oneEuro', minCutoff: 0.5, beta: 0.02 } }
+];
+
+/* ===============================================================================
+   TRACK EXTRACTION
+   =============================================================================== */
+
+/**
+ * Pulls the first person's pose out of every pose event
+ * @param {Object} session - Parsed recording (PosePlayer.load)
+ * @returns {Array} [{ t, keypoints: [{x, y, confidence, name}] }] in camera pixels
+ */
+function extractPoseTrack(session) {
+  const { width, height } = session.video;
+  const track = [];
+  for (const event of session.events) {
+    if (event.type !== 'pose') continue;
+    const landmarks = event.multiPoseLandmarks ? event.multiPoseLandmarks[0] : event.poseLandmarks;
+    if (!landmarks) continue;
+    track.push({
+      t: event.t,
+      keypoints: landmarks.map((lm, i) => ({
+        x: lm.x * width,
+        y: lm.y * height,
+        confidence: lm.visibility ?? 0.5,
+        name: `landmark_${i}`
+      }))
+    });
+  }
+  return track;
+}
+
+/**
+ * Runs the track through a fresh KeypointSmoother using the recorded timing
+ * @param {Array} track - extractPoseTrack output
+ * @param {Object} options - KeypointSmoother options
+ * @returns {Array} Smoothed track (same shape)
+ */
+function runSmoother(track, options) {
+  const smoother = new KeypointSmoother(options);
+  let lastT = null;
+  return track.map(frame => {
+    const dtSec = lastT === null ? KALMAN_REFERENCE_DT : (frame.t - lastT) / 1000;
+    lastT = frame.t;
+    const [smoothed] = smoother.smooth([{ keypoints: frame.keypoints }], dtSec);
+    return { t: frame.t, keypoints: smoothed.keypoints };
+  });
+}
+
+/**
+ * One keypoint's positions over time
+ * @param {Array} track
+ * @param {number} index - Landmark index
+ * @returns {Array} [{t, x, y}]
+ */
+function keypointSeries(track, index) {
+  return track
+    .filter(frame => frame.keypoints[index])
+    .map(frame => ({ t: frame.t, x: frame.keypoints[index].x, y: frame.keypoints[index].y }));
+}
+
+/* ===============================================================================
+   METRICS
+   =============================================================================== */
+
+/**
+ * RMS of the second difference (frame-to-frame acceleration) in px
+ * @param {Array} series - [{t, x, y}]
+ * @returns {number}
+ */
+function measureJitter(series) {
+  let sum = 0, n = 0;
+  for (let i = 1; i < series.length - 1; i++) {
+    const ax = series[i + 1].x - 2 * series[i].x + series[i - 1].x;
+    const ay = series[i + 1].y - 2 * series[i].y + series[i - 1].y;
+    sum += ax * ax + ay * ay;
+    n++;
+  }
+  return n ? Math.sqrt(sum / n) : 0;
+}
+
+/**
+ * Linearly interpolated raw position at time t (null outside the series)
+ * @param {Array} series - [{t, x, y}] sorted by t
+ * @param {number} t - ms
+ * @param {Object} cursor - { i } search start, advanced in place (t must not decrease)
+ * @returns {{x: number, y: number}|null}
+ */
+function sampleSeries(series, t, cursor) {
+  if (t < series[0].t || t > series[series.length - 1].t) return null;
+  while (cursor.i < series.length - 2 && series[cursor.i + 1].t < t) cursor.i++;
+  const a = series[cursor.i], b = series[cursor.i + 1] || a;
+  const span = b.t - a.t;
+  const k = span > 0 ? (t - a.t) / span : 0;
+  return { x: a.x + (b.x - a.x) * k, y: a.y + (b.y - a.y) * k };
+}
+
+/**
+ * Time shift that best aligns the filtered series with the raw one
+ * @param {Array} raw - [{t, x, y}]
+ * @param {Array} filtered - [{t, x, y}] (same timestamps)
+ * @returns {number} Lag in ms (positive = filter trails the raw track)
+ */
+function measureLag(raw, filtered) {
+  let bestLag = 0, bestErr = Infinity;
+  for (let lag = LAG_SEARCH_MS.min; lag <= LAG_SEARCH_MS.max; lag += LAG_SEARCH_MS.step) {
+    const cursor = { i: 0 };
+    let err = 0, n = 0;
+    for (const p of filtered) {
+      const r = sampleSeries(raw, p.t - lag, cursor);
+      if (!r) continue;
+      err += (p.x - r.x) ** 2 + (p.y - r.y) ** 2;
+      n++;
+    }
+    if (n && err / n < bestErr) {
+      bestErr = err / n;
+      bestLag = lag;
+    }
+  }
+  return bestLag;
+}
+
+/**
+ * Distances the filtered series goes beyond the raw range around each sample
+ * @param {Array} raw - [{t, x, y}]
+ * @param {Array} filtered - [{t, x, y}]
+ * @returns {Array} Overshoot per filtered sample (px)
+ */
+function measureOvershoot(raw, filtered) {
+  const out = [];
+  let lo = 0;
+  for (const p of filtered) {
+    while (lo < raw.length && raw[lo].t < p.t - OVERSHOOT_WINDOW_MS) lo++;
+    let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+    for (let j = lo; j < raw.length && raw[j].t <= p.t + OVERSHOOT_WINDOW_MS; j++) {
+      minX = Math.min(minX, raw[j].x); maxX = Math.max(maxX, raw[j].x);
+      minY = Math.min(minY, raw[j].y); maxY = Math.max(maxY, raw[j].y);
+    }
+    if (minX === Infinity) continue;
+    const ox = Math.max(0, p.x - maxX, minX - p.x);
+    const oy = Math.max(0, p.y - maxY, minY - p.y);
+    out.push(Math.hypot(ox, oy));
+  }
+  return out;
+}
+
+/**
+ * Value at the given quantile
+ * @param {Array<number>} values
+ * @param {number} q - 0-1
+ * @returns {number}
+ */
+function quantile(values, q) {
+  if (!values.length) return 0;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(q * sorted.length))];
+}
+
+/**
+ * Scores one smoothing configuration against the raw track
+ * @param {Array} track - extractPoseTrack output
+ * @param {Object} options - KeypointSmoother options
+ * @returns {{jitter: number, jitterRatio: number, lagMs: number, overshootP95: number, overshootMax: number}}
+ */
+function evaluateSmoothing(track, options) {
+  const smoothed = runSmoother(track, options);
+  let jitter = 0, rawJitter = 0, lag = 0, count = 0;
+  let overshoots = [];
+  for (const index of HARNESS_KEYPOINTS) {
+    const raw = keypointSeries(track, index);
+    const filtered = keypointSeries(smoothed, index);
+    if (raw.length < 3) continue;
+    jitter += measureJitter(filtered);
+    rawJitter += measureJitter(raw);
+    lag += measureLag(raw, filtered);
+    overshoots = overshoots.concat(measureOvershoot(raw, filtered));
+    count++;
+  }
+  count = Math.max(1, count);
+  return {
+    jitter: jitter / count,
+    jitterRatio: rawJitter > 0 ? jitter / rawJitter : 0,
+    lagMs: lag / count,
+    overshootP95: quantile(overshoots, 0.95),
+    overshootMax: overshoots.length ? Math.max(...overshoots) : 0
+  };
+}
+
+/**
+ * Scores every candidate on the same track
+ * @param {Array} track - extractPoseTrack output
+ * @param {Array} [candidates] - [{ label, options }]
+ * @returns {Array} [{ label, options, ...metrics }]
+ */
+function compareSmoothingStrategies(track, candidates = SMOOTHING_CANDIDATES) {
+  return candidates.map(c => ({ label: c.label, options: c.options, ...evaluateSmoothing(track, c.options) }));
+}
+
+/* ===============================================================================
+   PAGE
+   =============================================================================== */
+
+/**
+ * Parses a session and shows the comparison table
+ * @param {Blob} file - Recording (.json or .json.gz)
+ * @param {string} name - Shown in the status line
+ */
+async function runHarness(file, name) {
+  const status = document.getElementById('status');
+  status.textContent = `Loading ${name}...`;
+  try {
+    const session = await new PosePlayer({}).load(file);
+    const track = extractPoseTrack(session);
+    if (track.length < 3) throw new Error('No pose events in this recording');
+
+    status.textContent = `Running ${SMOOTHING_CANDIDATES.length} strategies over ${track.length} frames...`;
+    await new Promise(resolve => setTimeout(resolve, 0)); // Let the status paint first
+
+    const rows = compareSmoothingStrategies(track);
+    const seconds = (track[track.length - 1].t - track[0].t) / 1000;
+    status.textContent = `${name}: ${track.length} frames, ${seconds.toFixed(1)}s, ` +
+      `${session.video.width}×${session.video.height} camera`;
+    renderResults(rows);
+    console.table(rows.map(({ options, ...metrics }) => metrics));
+  } catch (err) {
+    status.textContent = `Failed: ${err.message}`;
+    console.error('[Harness]', err);
+  }
+}
+
+/**
+ * Fills the results table
+ * @param {Array} rows - compareSmoothingStrategies output
+ */
+function renderResults(rows) {
+  const body = document.querySelector('#results tbody');
+  body.innerHTML = '';
+  for (const row of rows) {
+    const tr = document.createElement('tr');
+    const cells = [
+      row.label,
+      row.jitter.toFixed(2),
+      `${(row.jitterRatio * 100).toFixed(0)}%`,
+      row.lagMs.toFixed(0),
+      row.overshootP95.toFixed(2),
+      row.overshootMax.toFixed(2)
+    ];
+    for (const value of cells) {
+      const td = document.createElement('td');
+      td.textContent = value;
+      tr.appendChild(td);
+    }
+    body.appendChild(tr);
+  }
+}
+
+window.addEventListener('DOMContentLoaded', () => {
+  const input = document.getElementById('session-file');
+  input.addEventListener('change', () => {
+    const file = input.files[0];
+    if (file) runHarness(file, file.name);
+  });
+
+  const url = new URLSearchParams(window.location.search).get('session');
+  if (url) {
+    fetch(url)
+      .then(res => {
+        if (!res.ok) throw new Error(`Failed to fetch recording (${res.status})`);
+        return res.blob();
+      })
+      .then(blob => runHarness(blob, url))
+      .catch(err => { document.getElementById('status').textContent = `Failed: ${err.message}`; });
+  }
+});
@@ -0,0 +1,268 @@
+/* ================================================================================
+   STARTUP STATUS MODULE
+   On-screen startup / camera state for installations (visitors never see the
+   console or the debug HUD)
+
+   States:
+     loading       tracking models / libraries are loading
+     permission    waiting for the visitor (or operator) to allow the camera
+     denied        camera permission refused - instructions + Retry
+     no-camera     no camera found, or it is busy / refuses to start - retried
+                   automatically while the screen is up
+     failed        models or libraries failed to load, or the tracker stalled
+                   after an error - Retry reloads the page (the failed files /
+                   errors are listed by assetReport)
+     reconnecting  the camera was unplugged - reopened automatically as soon as
+                   it is back
+     no-person     running, but nobody has been in view for a while (small hint)
+     running       nothing shown
+
+   Transitions come from the tracker (onStatus / onReady / start() errors) and
+   from the sketch (people in view). Automatic recovery calls the `retry`
+   function given to the constructor (PoseTracker.retry()).
+
+   Note: This file should be loaded BEFORE interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+const STARTUP_RETRY_INTERVAL = 3000; // ms between automatic camera retries
+
+// What each state shows (null = nothing)
+const STARTUP_SCREENS = {
+  loading: {
+    title: 'Loading…',
+    text: 'Getting body tracking ready. This can take a few seconds the first time.'
+  },
+  permission: {
+    title: 'Waiting for the camera',
+    text: 'If the browser asks for camera access, choose Allow.'
+  },
+  denied: {
+    title: 'Camera access was blocked',
+    text: 'Click the camera icon in the address bar (or open the site settings), set Camera to "Allow", then press Retry.',
+    action: 'Retry'
+  },
+  'no-camera': {
+    title: 'No camera',
+    text: 'Connect a camera, or close other apps that are using it. Starts automatically once it is available.',
+    action: 'Retry now'
+  },
+  failed: {
+    title: 'Tracking failed to load',
+    text: 'Check the internet connection (or the local asset folder), then reload.',
+    action: 'Reload'
+  },
+  reconnecting: {
+    title: 'Camera disconnected',
+    text: 'Plug the camera back in. Tracking resumes automatically.'
+  },
+  'no-person': {
+    title: 'Step into view',
+    small: true
+  },
+  running: null
+};
+
+/**
+ * Startup state machine with an on-screen status card
+ *
+ * Usage:
+ *   const startup = new StartupStatus({ retry: () => tracker.retry() });
+ *   tracker callbacks: onStatus: s => startup.trackerStatus(s), onReady: () => startup.set('running')
+ *   tracker.start().catch(err => startup.fail(err));
+ *   startup.updatePeople(poses.length);   // once per frame
+ */
+class StartupStatus {
+  /**
+   * @param {Object} options
+   * @param {Function} options.retry - Restarts the camera / tracker, returns a Promise
+   * @param {number} [options.noPersonDelay] - ms without anyone in view before the hint (default 4000)
+   */
+  constructor(options = {}) {
+    this.retryFn = options.retry;
+    this.noPersonDelay = options.noPersonDelay ?? 4000;
+    this.state = 'loading';
+    this.detail = '';
+    this.retrying = false;
+    this.retryTimer = null;
+    this.lastPersonTime = performance.now();
+    this.root = this.build();
+    this.render();
+
+    // Recover as soon as the situation changes, not only on the timer
+    if (navigator.mediaDevices && navigator.mediaDevices.addEventListener) {
+      navigator.mediaDevices.addEventListener('devicechange', () => {
+        if (this.state === 'no-camera' || this.state === 'reconnecting') this.retry();
+      });
+    }
+    this.watchPermission();
+  }
+
+  /**
+   * Retries once camera permission is granted in the site settings
+   */
+  async watchPermission() {
+    if (!navigator.permissions || !navigator.permissions.query) return;
+    try {
+      const status = await navigator.permissions.query({ name: 'camera' });
+      status.addEventListener('change', () => {
+        if (status.state === 'granted' && this.state === 'denied') this.retry();
+      });
+    } catch (err) {
+      // 'camera' isn't a queryable permission in every browser
+    }
+  }
+
+  /**
+   * Moves to a state
+   * @param {string} state - Key of STARTUP_SCREENS
+   * @param {string} [detail] - Extra line (e.g. the error message)
+   */
+  set(state, detail = '') {
+    if (!(state in STARTUP_SCREENS)) throw new Error(`Unknown startup state "${state}"`);
+    if (state === this.state && detail === this.detail) return;
+    console.log(`[Startup] ${this.state} → ${state}${detail ? ` (${detail})` : ''}`);
+    this.state = state;
+    this.detail = detail;
+    if (state === 'running') this.lastPersonTime = performance.now();
+
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.scheduleRetry();
+    this.render();
+  }
+
+  /**
+   * Keeps retrying while the camera is missing or unplugged
+   */
+  scheduleRetry() {
+    if (this.retryTimer || (this.state !== 'no-camera' && this.state !== 'reconnecting')) return;
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.retry();
+    }, STARTUP_RETRY_INTERVAL);
+  }
+
+  /**
+   * Tracker progress (PoseTracker onStatus)
+   * @param {string} status - 'loading' | 'camera' | 'disconnected' | 'error' | 'stalled'
+   *   ('error' alone changes nothing: the tracker reports 'stalled' if no results follow)
+   */
+  trackerStatus(status) {
+    if (status === 'loading') this.set('loading');
+    else if (status === 'camera' && this.state !== 'no-camera' && this.state !== 'reconnecting') this.set('permission');
+    else if (status === 'disconnected') this.set('reconnecting');
+    else if (status === 'stalled') this.set('failed', 'Tracking stopped returning results after an error');
+  }
+
+  /**
+   * Maps a start / retry error onto a state
+   * @param {Error} err
+   */
+  fail(err) {
+    const name = err && err.name;
+    if (name === 'NotAllowedError' || name === 'SecurityError') {
+      this.set('denied');
+    } else if (name === 'NotFoundError' || name === 'OverconstrainedError' || name === 'NotReadableError' || name === 'AbortError') {
+      // While reconnecting, keep that screen up
+      this.set(this.state === 'reconnecting' ? 'reconnecting' : 'no-camera', err.message);
+      this.scheduleRetry();
+    } else {
+      this.set('failed', err ? err.message || String(err) : '');
+    }
+  }
+
+  /**
+   * Tries to get the camera going again (one attempt at a time)
+   */
+  retry() {
+    if (this.retrying || !this.retryFn) return;
+    this.retrying = true;
+    clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    Promise.resolve(this.retryFn()).then(() => {
+      this.set('running');
+    }).catch(err => {
+      console.warn('[Startup] Camera retry failed:', err.name || err);
+      this.fail(err);
+    }).finally(() => {
+      this.retrying = false;
+    });
+  }
+
+  /**
+   * Switches between running and the "step into view" hint
+   * @param {number} count - People currently tracked
+   * @param {number} [now] - performance.now()
+   */
+  updatePeople(count, now = performance.now()) {
+    if (count > 0) this.lastPersonTime = now;
+    if (this.state === 'running' && now - this.lastPersonTime > this.noPersonDelay) {
+      this.set('no-person');
+    } else if (this.state === 'no-person' && count > 0) {
+      this.set('running');
+    }
+  }
+
+  /* ---------- DOM ---------- */
+
+  build() {
+    const root = document.createElement('div');
+    root.style.cssText = `
+      position: fixed;
+      left: 50%;
+      transform: translate(-50%, -50%);
+      text-align: center;
+      color: white;
+      font-family: Arial, sans-serif;
+      z-index: 9000;
+      pointer-events: none;
+    `;
+    this.titleEl = document.createElement('div');
+    this.textEl = document.createElement('div');
+    this.detailEl = document.createElement('div');
+    this.detailEl.style.cssText = 'margin-top: 8px; font-size: 12px; opacity: 0.6;';
+    this.button = document.createElement('button');
+    this.button.style.cssText = 'margin-top: 16px; padding: 8px 20px; font-size: 16px; pointer-events: auto; cursor: pointer;';
+    this.button.addEventListener('click', () => {
+      if (this.state === 'failed') window.location.reload();
+      else this.retry();
+    });
+    root.append(this.titleEl, this.textEl, this.detailEl, this.button);
+    document.body.appendChild(root);
+    return root;
+  }
+
+  render() {
+    const screen = STARTUP_SCREENS[this.state];
+    if (!screen) {
+      this.root.style.display = 'none';
+      return;
+    }
+    this.root.style.display = 'block';
+    if (screen.small) {
+      // Unobtrusive hint over the running visuals
+      this.root.style.top = 'auto';
+      this.root.style.bottom = '30px';
+      this.root.style.transform = 'translateX(-50%)';
+      this.root.style.background = 'rgba(0, 0, 0, 0.4)';
+      this.root.style.padding = '10px 24px';
+      this.root.style.borderRadius = '20px';
+      this.titleEl.style.cssText = 'font-size: 18px; opacity: 0.85;';
+    } else {
+      this.root.style.top = '50%';
+      this.root.style.bottom = 'auto';
+      this.root.style.transform = 'translate(-50%, -50%)';
+      this.root.style.background = 'rgba(10, 10, 20, 0.85)';
+      this.root.style.padding = '30px 40px';
+      this.root.style.borderRadius = '12px';
+      this.root.style.maxWidth = '520px';
+      this.titleEl.style.cssText = 'font-size: 26px; font-weight: bold; margin-bottom: 10px;';
+    }
+    this.titleEl.textContent = screen.title;
+    this.textEl.textContent = screen.text || '';
+    this.textEl.style.cssText = 'font-size: 16px; line-height: 1.4;';
+    this.detailEl.textContent = this.detail;
+    this.button.textContent = screen.action || '';
+    this.button.style.display = screen.action ? 'inline-block' : 'none';
+  }
+}
@@ -0,0 +1,1052 @@
+/* ================================================================================
+   TRACKING BACKENDS MODULE
+   One tracker interface over ml5 BlazePose, MediaPipe and recorded sessions
+
+   Every backend reports results in the same (MediaPipe-style) shape, so any
+   visual mode can run on any backend:
+
+     onPose({ multiPoseLandmarks: [[{ x, y, z, visibility }]], segmentationMask? })
+     onHands({ multiHandLandmarks: [[{ x, y, z }]], multiHandedness: [{ label, score }] })
+     onSegmentation({ segmentationMask })
+     onReady(tracker)                    // first camera frame / recording loaded
+     onStatus(status, tracker)           // 'loading' (models) | 'camera' (opening it,
+                                         // may wait for permission) | 'disconnected' |
+                                         // 'error' (a frame failed) | 'stalled' (no results
+                                         // for TRACKER_START_TIMEOUT after an error)
+
+   - Coordinates are normalized 0-1 in the (un-mirrored) camera frame
+   - z is depth on the same scale as x (negative = closer to the camera)
+   - Pose landmarks are the 33 BlazePose points, in POSE_LANDMARK_NAMES order
+   - Masks are CanvasImageSources, opaque where the person is
+
+   The backend is picked with a URL parameter:
+     ?tracker=mediapipe | ml5 | recording   (&session=<url> for recording)
+
+   MediaPipe runs in a Web Worker (tracking-worker.js) where the browser supports
+   module workers and OffscreenCanvas, so inference never blocks rendering;
+   ?worker=0 keeps it on the main thread. Trackers report inferenceMs (model time
+   per frame), latencyMs (capture → results) and resultAgeMs (age of the newest
+   results) for HUDs and the quality governor.
+
+   Requires asset-sources.js (ASSET_SOURCE, assetReport) and pose-recorder.js
+   (PosePlayer) for the recording backend. The ml5 / MediaPipe libraries, WASM
+   and models are loaded on demand from ASSET_SOURCE (?assets=cdn | local | <url>);
+   files that fail to load are listed by assetReport, and so is a tracker still
+   loading after TRACKER_START_TIMEOUT (a model fetch that hangs raises no error).
+   ml5 downloads its models from the internet whatever the asset source, so with
+   any source other than the CDN the ml5 backend is replaced by MediaPipe.
+
+   Note: This file should be loaded BEFORE any sketch script in the HTML
+   ================================================================================ */
+
+const TRACKER_START_TIMEOUT = 20000; // ms a tracker may stay 'loading' before assetReport notes it
+
+// Model paths under the asset source's models base
+// PoseLandmarker models by complexity (0 = lite, 1 = full, 2 = heavy)
+const POSE_LANDMARKER_MODELS = ['lite', 'full', 'heavy'].map(variant =>
+  `pose_landmarker/pose_landmarker_${variant}/float16/1/pose_landmarker_${variant}.task`);
+const HAND_LANDMARKER_MODEL = 'hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task';
+const TRACKING_WORKER_SCRIPT = 'tracking-worker.js'; // Relative to the page
+
+// BlazePose landmark names (index = landmark index, same for ml5 and MediaPipe)
+const POSE_LANDMARK_NAMES = [
+  'nose',
+  'left_eye_inner', 'left_eye', 'left_eye_outer',
+  'right_eye_inner', 'right_eye', 'right_eye_outer',
+  'left_ear', 'right_ear',
+  'mouth_left', 'mouth_right',
+  'left_shoulder', 'right_shoulder',
+  'left_elbow', 'right_elbow',
+  'left_wrist', 'right_wrist',
+  'left_pinky', 'right_pinky',
+  'left_index', 'right_index',
+  'left_thumb', 'right_thumb',
+  'left_hip', 'right_hip',
+  'left_knee', 'right_knee',
+  'left_ankle', 'right_ankle',
+  'left_heel', 'right_heel',
+  'left_foot_index', 'right_foot_index'
+];
+
+// Body skeleton (landmark index pairs) for drawing
+const POSE_CONNECTIONS = [
+  [11, 12], // shoulders
+  [11, 13], [13, 15], // left arm
+  [12, 14], [14, 16], // right arm
+  [11, 23], [12, 24], // torso
+  [23, 24], // hips
+  [23, 25], [25, 27], // left leg
+  [24, 26], [26, 28], // right leg
+];
+
+// Hand landmark names (21 per hand)
+const HAND_LANDMARK_NAMES = [
+  'wrist',
+  'thumb_cmc', 'thumb_mcp', 'thumb_ip', 'thumb_tip',
+  'index_mcp', 'index_pip', 'index_dip', 'index_tip',
+  'middle_mcp', 'middle_pip', 'middle_dip', 'middle_tip',
+  'ring_mcp', 'ring_pip', 'ring_dip', 'ring_tip',
+  'pinky_mcp', 'pinky_pip', 'pinky_dip', 'pinky_tip'
+];
+
+const loadedScripts = {}; // src -> Promise
+
+/**
+ * Adds a <script> tag once
+ * @param {string} src
+ * @returns {Promise<void>}
+ */
+function loadScript(src) {
+  if (!loadedScripts[src]) {
+    loadedScripts[src] = new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = src;
+      script.crossOrigin = 'anonymous';
+      script.onload = () => resolve();
+      script.onerror = () => reject(new Error(`Failed to load ${src}`));
+      document.head.appendChild(script);
+    });
+  }
+  return loadedScripts[src];
+}
+
+/**
+ * Converts normalized landmarks into ml5-style keypoints in pixel space
+ * @param {Array} landmarks - [{x, y, z, visibility}] normalized 0-1
+ * @param {number} width - Target frame width (pixels)
+ * @param {number} height - Target frame height (pixels)
+ * @returns {Array} [{x, y, z, confidence, name}]
+ */
+function landmarksToKeypoints(landmarks, width, height) {
+  return landmarks.map((landmark, index) => ({
+    x: landmark.x * width,
+    y: landmark.y * height,
+    z: landmark.z,
+    confidence: landmark.visibility || 0.5,
+    name: POSE_LANDMARK_NAMES[index] || `landmark_${index}`
+  }));
+}
+
+/**
+ * Converts pose results into ml5-style poses ([{ keypoints }]) in pixel space
+ * @param {Object} results - onPose results
+ * @param {number} width - Target frame width (pixels)
+ * @param {number} height - Target frame height (pixels)
+ * @returns {Array}
+ */
+function resultsToPoses(results, width, height) {
+  return results.multiPoseLandmarks.map(landmarks => ({
+    keypoints: landmarksToKeypoints(landmarks, width, height)
+  }));
+}
+
+/**
+ * Base tracker: callbacks, result normalization and camera handling
+ *
+ * Backends implement start()/stop() and call emitPose/emitHands/emitSegmentation.
+ * Backends that run the models themselves report their per-frame cost through
+ * recordInference() and their delay through recordLatency() (inferenceMs and
+ * latencyMs stay 0 otherwise).
+ */
+class PoseTracker {
+  /**
+   * @param {Object} callbacks - { onPose, onHands, onSegmentation, onReady, onStatus }
+   * @param {Object} [options]
+   * @param {HTMLVideoElement} [options.video] - Camera element (a stream is opened on it if it has none)
+   * @param {boolean} [options.hands] - Track hands (default true)
+   * @param {string} [options.deviceId] - Camera to open (default: the browser's default camera)
+   * @param {number} [options.width] - Requested camera width
+   * @param {number} [options.height] - Requested camera height
+   * @param {number} [options.frameRate] - Requested camera frame rate
+   * @param {Object} [options.assets] - Where libraries and models load from (default ASSET_SOURCE)
+   * @param {Function} [options.locateFile] - (file, pkg) => URL for MediaPipe solution files,
+   *   overriding the asset source
+   * @param {number} [options.startTimeout] - ms 'loading' may last before it is reported
+   *   (default TRACKER_START_TIMEOUT)
+   */
+  constructor(callbacks = {}, options = {}) {
+    this.callbacks = callbacks;
+    this.options = options;
+    this.video = options.video || null;
+    this.handsEnabled = options.hands ?? true; // Can be toggled at runtime
+    this.running = false;
+    this.ready = false;
+    this.stream = null; // Camera stream opened by us (closed on stop)
+    this.camera = null; // What the opened camera delivers: { deviceId, label, width, height, frameRate }
+    this.inferenceMs = 0; // Smoothed time spent running the models per camera frame
+    this.latencyMs = 0;   // Smoothed delay from frame capture to its results
+    this.lastCaptureTime = 0; // performance.now() at capture of the newest results (0 = none yet)
+    this.assets = options.assets || ASSET_SOURCE;
+    this.status = null;     // Last setStatus() value
+    this.startTimer = null; // Reports a load that never finishes
+  }
+
+  get label() {
+    return this.backend;
+  }
+
+  /**
+   * Switches the pose model's accuracy/speed trade-off (backends without one ignore it)
+   * @param {number} complexity - 0 = lite, 1 = full, 2 = heavy
+   */
+  setModelComplexity(complexity) {}
+
+  /**
+   * Size of the frames landmarks refer to
+   */
+  get frameWidth() {
+    return this.video ? this.video.videoWidth : 0;
+  }
+
+  get frameHeight() {
+    return this.video ? this.video.videoHeight : 0;
+  }
+
+  async start() {}
+
+  stop() {}
+
+  /**
+   * Called once per render frame (only the recording backend needs it)
+   */
+  update() {}
+
+  emitPose(results) {
+    if (this.status === 'error') this.status = null; // Results again: the error was a one-off
+    if (!this.callbacks.onPose) return;
+    const out = {
+      multiPoseLandmarks: results.multiPoseLandmarks || (results.poseLandmarks ? [results.poseLandmarks] : [])
+    };
+    if (results.segmentationMask) out.segmentationMask = results.segmentationMask;
+    this.callbacks.onPose(out);
+  }
+
+  emitHands(results) {
+    if (!this.callbacks.onHands) return;
+    this.callbacks.onHands({
+      multiHandLandmarks: results.multiHandLandmarks || [],
+      multiHandedness: results.multiHandedness || []
+    });
+  }
+
+  emitSegmentation(results) {
+    if (!this.callbacks.onSegmentation || !results.segmentationMask) return;
+    this.callbacks.onSegmentation({ segmentationMask: results.segmentationMask });
+  }
+
+  /**
+   * Folds one frame's model time into inferenceMs
+   * @param {number} ms - Milliseconds spent on this camera frame
+   */
+  recordInference(ms) {
+    this.inferenceMs = this.inferenceMs ? this.inferenceMs + (ms - this.inferenceMs) * 0.2 : ms;
+  }
+
+  /**
+   * Notes that results for a frame just arrived
+   * @param {number} captureTime - performance.now() when that frame was captured
+   */
+  recordLatency(captureTime) {
+    const ms = performance.now() - captureTime;
+    this.latencyMs = this.latencyMs ? this.latencyMs + (ms - this.latencyMs) * 0.2 : ms;
+    this.lastCaptureTime = Math.max(this.lastCaptureTime, captureTime);
+  }
+
+  /**
+   * Age of the newest results (time since their frame was captured)
+   * @returns {number} Milliseconds, 0 before the first result or when not measured
+   */
+  get resultAgeMs() {
+    return this.lastCaptureTime ? performance.now() - this.lastCaptureTime : 0;
+  }
+
+  /**
+   * locateFile for a MediaPipe solution package; every file it asks for is also
+   * checked so one that is missing gets reported by name
+   * @param {string} pkg - e.g. 'pose'
+   * @returns {Function} file => URL
+   */
+  locateFile(pkg) {
+    const locate = this.options.locateFile
+      ? (file) => this.options.locateFile(file, pkg)
+      : this.assets.locateFile(pkg);
+    return (file) => {
+      const url = locate(file);
+      assetReport.check([url]);
+      return url;
+    };
+  }
+
+  /**
+   * URLs of the MediaPipe Tasks files (bundle, WASM, models) under the asset source
+   * @param {Array<string>} models - Model paths relative to the models base
+   * @returns {{ visionBundle: string, wasmPath: string, models: Array<string> }}
+   */
+  visionAssets(models) {
+    const tasks = this.assets.packageBase('tasks-vision');
+    return {
+      visionBundle: `${tasks}/vision_bundle.mjs`,
+      wasmPath: `${tasks}/wasm`,
+      models: models.map(model => `${this.assets.models}/${model}`)
+    };
+  }
+
+  /**
+   * Checks the MediaPipe Tasks files before loading them (a failed import or
+   * model fetch otherwise only surfaces as an opaque error, or not at all)
+   * @param {Object} vision - From visionAssets()
+   * @returns {Promise<void>} Rejects listing the files that are missing
+   */
+  async checkVisionAssets(vision) {
+    const failed = await assetReport.check([
+      vision.visionBundle,
+      `${vision.wasmPath}/vision_wasm_internal.js`,
+      `${vision.wasmPath}/vision_wasm_internal.wasm`,
+      ...vision.models
+    ]);
+    if (failed.length) throw new Error(`Missing tracking assets: ${failed.join(', ')}`);
+  }
+
+  /**
+   * Reports startup progress / camera loss / errors to the sketch
+   * 'loading' and 'error' arm a timer that reports a tracker stuck in them
+   * @param {string} status - 'loading' | 'camera' | 'disconnected' | 'error' | 'stalled'
+   */
+  setStatus(status) {
+    this.status = status;
+    // Timed from the latest 'loading' (time spent waiting for camera permission doesn't count)
+    if ((status === 'loading' && !this.ready) || status === 'error') this.watchStatus(status);
+    if (this.callbacks.onStatus) this.callbacks.onStatus(status, this);
+  }
+
+  /**
+   * Reports the tracker if it is still in a status after startTimeout
+   * (a model that never loads, or a failed frame followed by no results, raises nothing else)
+   * @param {string} status - 'loading' or 'error'
+   */
+  watchStatus(status) {
+    const timeout = this.options.startTimeout ?? TRACKER_START_TIMEOUT;
+    clearTimeout(this.startTimer);
+    this.startTimer = setTimeout(() => {
+      if (this.status !== status) return;
+      if (status === 'loading' && !this.ready) {
+        assetReport.note(`${this.label} tracker still loading after ${timeout / 1000}s (check the console, F12)`);
+      } else if (status === 'error') {
+        assetReport.note(`${this.label} tracker has returned no results for ${timeout / 1000}s since an error (check the console, F12)`);
+        this.setStatus('stalled');
+      }
+    }, timeout);
+  }
+
+  /**
+   * Reports an error while running (the tracker keeps going; see setStatus)
+   * @param {Error|string} err
+   */
+  reportError(err) {
+    console.error(`[Tracker] ${this.label} error:`, err);
+    assetReport.note(`${this.label} tracker error: ${err && err.message ? err.message : err}`);
+    this.setStatus('error');
+  }
+
+  /**
+   * Capture time of a camera frame on the performance.now() clock
+   * @param {number} now - Frame callback time
+   * @param {number} [captureTime] - Camera capture time, when the browser reports it
+   * @returns {number} captureTime if it is on our clock, else now
+   */
+  frameCaptureTime(now, captureTime) {
+    return captureTime > now - 1000 && captureTime <= now ? captureTime : now;
+  }
+
+  /**
+   * Calls back on the next camera frame (requestVideoFrameCallback where available)
+   * @param {Function} callback - (now, captureTime) with captureTime on the performance.now() clock
+   */
+  waitForFrame(callback) {
+    const video = this.video;
+    if (video.requestVideoFrameCallback) {
+      video.requestVideoFrameCallback((now, metadata) => callback(now, this.frameCaptureTime(now, metadata.captureTime)));
+    } else {
+      requestAnimationFrame(now => callback(now, now));
+    }
+  }
+
+  /**
+   * Gets the camera going again after it was denied, missing or unplugged
+   * (start() again, or reopen the camera if the tracker is still running)
+   * @returns {Promise<void>}
+   */
+  async retry() {
+    if (this.running) {
+      await this.restartCamera({});
+    } else {
+      await this.start();
+    }
+  }
+
+  markReady() {
+    if (this.ready) return;
+    this.ready = true;
+    clearTimeout(this.startTimer);
+    console.log(`[Tracker] ${this.label} ready`);
+    if (this.callbacks.onReady) this.callbacks.onReady(this);
+  }
+
+  /**
+   * Opens the camera on the video element unless it already has a stream
+   * @returns {Promise<void>} Resolves once frames are available
+   */
+  async openCamera() {
+    if (!this.video) throw new Error(`${this.backend} tracker needs a video element`);
+    const video = this.video;
+    if (!video.srcObject) {
+      this.setStatus('camera');
+      const stream = await this.requestCamera();
+      // Unplugged camera (track.stop() on purpose doesn't fire 'ended')
+      stream.getVideoTracks()[0].addEventListener('ended', () => {
+        if (this.stream !== stream) return;
+        console.warn('[Tracker] Camera disconnected');
+        this.setStatus('disconnected');
+      });
+      this.stream = stream;
+      video.srcObject = stream;
+    }
+    video.muted = true;
+    video.playsInline = true;
+    await video.play();
+    if (video.readyState < 2) {
+      await new Promise(resolve => video.addEventListener('loadeddata', resolve, { once: true }));
+    }
+  }
+
+  /**
+   * Asks for the configured camera and format, relaxing the request when the
+   * camera refuses it: requested size and frame rate → requested size → 1280×720
+   * → 640×480 → anything. A remembered device that is gone falls back to the
+   * default camera.
+   * @returns {Promise<MediaStream>}
+   */
+  async requestCamera() {
+    const o = this.options;
+    const width = o.width || 1280, height = o.height || 960;
+    const size = (w, h) => ({ width: { ideal: w }, height: { ideal: h } });
+    const formats = [
+      { ...size(width, height), ...(o.frameRate ? { frameRate: { ideal: o.frameRate } } : {}) },
+      size(width, height),
+      size(1280, 720),
+      size(640, 480),
+      {}
+    ].filter((f, i, all) => i === 0 || JSON.stringify(f) !== JSON.stringify(all[i - 1]));
+    const devices = o.deviceId ? [{ deviceId: { exact: o.deviceId } }, {}] : [{}];
+
+    let lastError = null;
+    for (const device of devices) {
+      for (const format of formats) {
+        try {
+          const stream = await navigator.mediaDevices.getUserMedia({ video: { ...device, ...format }, audio: false });
+          this.describeCamera(stream, width, height, o.frameRate);
+          return stream;
+        } catch (err) {
+          // Permission errors won't get better with another format
+          if (err.name === 'NotAllowedError' || err.name === 'SecurityError') throw err;
+          lastError = err;
+          if (err.name === 'NotFoundError' || (err.name === 'OverconstrainedError' && err.constraint === 'deviceId')) break;
+          console.warn(`[Tracker] Camera refused ${JSON.stringify(format)}: ${err.name}`);
+        }
+      }
+      if (device.deviceId) console.warn('[Tracker] Selected camera unavailable, using the default camera');
+    }
+    throw lastError;
+  }
+
+  /**
+   * Records (and logs) what the opened camera actually delivers
+   */
+  describeCamera(stream, width, height, frameRate) {
+    const track = stream.getVideoTracks()[0];
+    const settings = track.getSettings ? track.getSettings() : {};
+    this.camera = {
+      deviceId: settings.deviceId || '',
+      label: track.label,
+      width: settings.width || 0,
+      height: settings.height || 0,
+      frameRate: settings.frameRate || 0
+    };
+    const asked = `${width}×${height}${frameRate ? ` @ ${frameRate}` : ''}`;
+    console.log(`[Tracker] Camera "${track.label}": ${this.camera.width}×${this.camera.height} @ ${Math.round(this.camera.frameRate)} fps (asked ${asked})`);
+  }
+
+  /**
+   * Reopens the camera with new options (device, size, frame rate)
+   * @param {Object} cameraOptions - Any of { deviceId, width, height, frameRate }
+   * @returns {Promise<void>}
+   */
+  async restartCamera(cameraOptions) {
+    this.options = { ...this.options, ...cameraOptions };
+    if (!this.running || !this.stream) return; // Picked up by the next start()
+    this.closeCamera();
+    this.lastVideoTime = -1;
+    await this.openCamera();
+  }
+
+  closeCamera() {
+    if (!this.stream) return;
+    this.stream.getTracks().forEach(t => t.stop());
+    if (this.video) this.video.srcObject = null;
+    this.stream = null;
+    this.camera = null;
+  }
+}
+
+/**
+ * MediaPipe backend: legacy Pose (+ Hands), or the Tasks PoseLandmarker with
+ * SelfieSegmentation when more than one person is tracked
+ *
+ * Extra options: maxPeople (default 1), handsEvery (run Hands every N frames, default 2),
+ * modelComplexity (Pose model, default 1). handsEvery and setModelComplexity() can
+ * be changed while running.
+ */
+class MediaPipeTracker extends PoseTracker {
+  constructor(callbacks, options = {}) {
+    super(callbacks, options);
+    this.backend = 'mediapipe';
+    this.maxPeople = options.maxPeople ?? 1;
+    this.handsEvery = options.handsEvery ?? 2;
+    this.modelComplexity = options.modelComplexity ?? 1;
+    this.pose = null;
+    this.hands = null;
+    this.segmentation = null;
+    this.landmarker = null;   // Multi-person PoseLandmarker (null until loaded)
+    this.frameCount = 0;
+    this.lastVideoTime = -1;
+  }
+
+  get label() {
+    return `mediapipe (${this.landmarker ? 'multi' : 'single'})`;
+  }
+
+  async start() {
+    if (this.running) return;
+    if (!this.pose) {
+      this.setStatus('loading');
+      await this.init();
+    }
+    await this.openCamera();
+    this.running = true;
+
+    const step = async (now, captureTime) => {
+      if (!this.running) return;
+      try {
+        await this.processFrame(captureTime);
+      } catch (err) {
+        this.reportError(err);
+      }
+      if (this.running) this.waitForFrame(step);
+    };
+    this.waitForFrame(step);
+  }
+
+  stop() {
+    this.running = false;
+    this.closeCamera();
+  }
+
+  async init() {
+    const scripts = [];
+    if (typeof Pose === 'undefined') scripts.push(this.locateFile('pose')('pose.js'));
+    if (typeof Hands === 'undefined' && this.options.hands !== false) scripts.push(this.locateFile('hands')('hands.js'));
+    if (typeof SelfieSegmentation === 'undefined' && this.maxPeople > 1) {
+      scripts.push(this.locateFile('selfie_segmentation')('selfie_segmentation.js'));
+    }
+    await Promise.all(scripts.map(loadScript));
+
+    this.pose = new Pose({ locateFile: this.locateFile('pose') });
+    this.pose.setOptions({
+      modelComplexity: this.modelComplexity, // 0=lite, 1=full, 2=heavy (accuracy vs speed)
+      smoothLandmarks: true,     // Temporal smoothing
+      enableSegmentation: true,  // Use MediaPipe's built-in segmentation
+      smoothSegmentation: true,  // Smooth the segmentation mask over time
+      minDetectionConfidence: 0.5,
+      minTrackingConfidence: 0.5
+    });
+    this.pose.onResults(results => this.emitPose(results));
+
+    if (this.options.hands !== false) {
+      this.hands = new Hands({ locateFile: this.locateFile('hands') });
+      this.hands.setOptions({
+        maxNumHands: 2,              // Track both hands
+        modelComplexity: 1,          // 0=lite, 1=full (accuracy vs speed)
+        minDetectionConfidence: 0.5,
+        minTrackingConfidence: 0.5
+      });
+      this.hands.onResults(results => this.emitHands(results));
+    }
+
+    // Multi-person mode: PoseLandmarker for landmarks + SelfieSegmentation for the
+    // mask (covers everyone in frame). Falls back to single-person Pose if it fails.
+    if (this.maxPeople > 1) {
+      this.segmentation = new SelfieSegmentation({ locateFile: this.locateFile('selfie_segmentation') });
+      this.segmentation.setOptions({ modelSelection: 1 });
+      this.segmentation.onResults(results => this.emitSegmentation(results));
+
+      this.initPoseLandmarker().then((landmarker) => {
+        this.landmarker = landmarker;
+        console.log(`[Tracker] MediaPipe PoseLandmarker initialized (up to ${this.maxPeople} people)`);
+      }).catch(err => {
+        console.warn('[Tracker] PoseLandmarker unavailable, falling back to single-person Pose:', err);
+      });
+    }
+  }
+
+  setModelComplexity(complexity) {
+    if (complexity === this.modelComplexity) return;
+    this.modelComplexity = complexity;
+    // Pose swaps models on the next frame (a one-off stall while it loads)
+    if (this.pose) this.pose.setOptions({ modelComplexity: complexity });
+  }
+
+  /**
+   * Loads the MediaPipe Tasks PoseLandmarker used for multi-person tracking
+   * The legacy Pose solution only ever detects one person, so this is loaded on demand
+   * @returns {Promise<Object>} PoseLandmarker instance in VIDEO running mode
+   */
+  async initPoseLandmarker() {
+    const assets = this.visionAssets([POSE_LANDMARKER_MODELS[1]]);
+    await this.checkVisionAssets(assets);
+    const vision = await import(assets.visionBundle);
+    const fileset = await vision.FilesetResolver.forVisionTasks(assets.wasmPath);
+    return vision.PoseLandmarker.createFromOptions(fileset, {
+      baseOptions: {
+        modelAssetPath: assets.models[0],
+        delegate: 'GPU'
+      },
+      runningMode: 'VIDEO',
+      numPoses: this.maxPeople,
+      minPoseDetectionConfidence: 0.5,
+      minTrackingConfidence: 0.5
+    });
+  }
+
+  /**
+   * Sends the current camera frame through the models (skips repeated frames)
+   */
+  /**
+   * Runs the models on the current video frame
+   * @param {number} captureTime - performance.now() of the frame's capture
+   */
+  async processFrame(captureTime) {
+    const video = this.video;
+    if (video.readyState < 2 || video.currentTime === this.lastVideoTime) return;
+    this.lastVideoTime = video.currentTime;
+    this.markReady();
+    const started = performance.now();
+
+    // Pose every frame, Hands every handsEvery frames for performance
+    if (this.landmarker) {
+      const result = this.landmarker.detectForVideo(video, performance.now());
+      this.emitPose({ multiPoseLandmarks: result.landmarks });
+      await this.segmentation.send({ image: video });
+    } else {
+      await this.pose.send({ image: video });
+    }
+    this.frameCount++;
+    if (this.hands && this.handsEnabled && this.frameCount % this.handsEvery === 0) {
+      await this.hands.send({ image: video });
+    }
+    this.recordInference(performance.now() - started);
+    this.recordLatency(captureTime);
+  }
+}
+
+/**
+ * MediaPipe backend running in a Web Worker (tracking-worker.js)
+ *
+ * Camera frames are grabbed as ImageBitmaps and transferred to the worker, which
+ * runs the Tasks PoseLandmarker (masks of everyone merged into one) and
+ * HandLandmarker and posts results back with the frame's capture time. Only one
+ * frame is in flight: frames arriving while the worker is busy are skipped, so
+ * latency never piles up and render frames never wait on inference.
+ *
+ * Masks are ImageBitmaps, closed when the next mask arrives.
+ *
+ * Same options as MediaPipeTracker, plus inputWidth (width of the frames sent to
+ * the worker, default 640) and workerUrl.
+ */
+class MediaPipeWorkerTracker extends PoseTracker {
+  constructor(callbacks, options = {}) {
+    super(callbacks, options);
+    this.backend = 'mediapipe';
+    this.maxPeople = options.maxPeople ?? 1;
+    this.handsEvery = options.handsEvery ?? 2;
+    this.modelComplexity = options.modelComplexity ?? 1;
+    this.inputWidth = options.inputWidth ?? 640;
+    this.worker = null;
+    this.busy = false;     // A frame is in the worker
+    this.frameCount = 0;
+    this.lastVideoTime = -1;
+    this.lastMask = null;  // Mask handed out with the latest results
+  }
+
+  /**
+   * Whether this browser can run the worker (module workers + OffscreenCanvas)
+   * @returns {boolean}
+   */
+  static supported() {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined' ||
+      typeof createImageBitmap === 'undefined') return false;
+    // Module worker support can only be detected by watching the options being read
+    let modules = false;
+    try {
+      new Worker('blob://', { get type() { modules = true; return 'module'; } }).terminate();
+    } catch (err) {
+      // Expected: the dummy URL is rejected after the options were read
+    }
+    return modules;
+  }
+
+  get label() {
+    return 'mediapipe (worker)';
+  }
+
+  async start() {
+    if (this.running) return;
+    if (!this.worker) {
+      this.setStatus('loading');
+      await this.initWorker();
+    }
+    await this.openCamera();
+    this.running = true;
+    this.scheduleFrame();
+  }
+
+  stop() {
+    this.running = false;
+    if (this.worker) this.worker.terminate();
+    this.worker = null;
+    this.busy = false;
+    this.closeCamera();
+  }
+
+  /**
+   * Starts the worker and waits until its models are loaded
+   * @returns {Promise<void>}
+   */
+  async initWorker() {
+    const hands = this.options.hands !== false;
+    const assets = this.visionAssets(hands ? [...POSE_LANDMARKER_MODELS, HAND_LANDMARKER_MODEL] : POSE_LANDMARKER_MODELS);
+    await this.checkVisionAssets(assets);
+
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(this.options.workerUrl || TRACKING_WORKER_SCRIPT, { type: 'module' });
+      const fail = (message) => {
+        if (this.worker === worker) {
+          // Running: whatever frame was in flight is lost, so the next one may go
+          this.busy = false;
+          this.reportError(message);
+          return;
+        }
+        worker.terminate();
+        reject(new Error(`Tracking worker failed to start: ${message}`));
+      };
+
+      worker.onmessage = (event) => {
+        const msg = event.data;
+        if (msg.type === 'results') {
+          this.onWorkerResults(msg);
+        } else if (msg.type === 'ready') {
+          console.log(`[Tracker] Worker ready (${msg.delegate} delegate)`);
+          this.worker = worker;
+          resolve();
+        } else if (msg.type === 'error') {
+          fail(msg.message);
+        }
+      };
+      worker.onerror = (event) => fail(event.message || 'script error');
+
+      worker.postMessage({
+        type: 'init',
+        options: {
+          visionBundle: assets.visionBundle,
+          wasmPath: assets.wasmPath,
+          poseModels: assets.models.slice(0, POSE_LANDMARKER_MODELS.length),
+          handModel: hands ? assets.models[POSE_LANDMARKER_MODELS.length] : null,
+          maxPeople: this.maxPeople,
+          modelComplexity: this.modelComplexity
+        }
+      });
+    });
+  }
+
+  setModelComplexity(complexity) {
+    if (complexity === this.modelComplexity) return;
+    this.modelComplexity = complexity;
+    // The worker swaps models between frames (frames wait while it loads)
+    if (this.worker) this.worker.postMessage({ type: 'options', options: { modelComplexity: complexity } });
+  }
+
+  /**
+   * Waits for the next camera frame (requestVideoFrameCallback where available)
+   */
+  scheduleFrame() {
+    if (!this.running) return;
+    this.waitForFrame((now, captureTime) => this.onVideoFrame(now, captureTime));
+  }
+
+  /**
+   * Sends a new camera frame to the worker unless it is still busy
+   * @param {number} now - Callback time
+   * @param {number} captureTime - performance.now() of the frame's capture
+   */
+  onVideoFrame(now, captureTime) {
+    this.scheduleFrame();
+    const video = this.video;
+    if (this.busy || !this.worker || video.readyState < 2 || video.currentTime === this.lastVideoTime) return;
+    this.lastVideoTime = video.currentTime;
+    this.markReady();
+
+    this.sendFrame(captureTime).catch(err => {
+      this.busy = false;
+      this.reportError(err);
+    });
+  }
+
+  /**
+   * Grabs the current video frame (downscaled) and transfers it to the worker
+   * @param {number} captureTime - performance.now() of the frame's capture
+   */
+  async sendFrame(captureTime) {
+    this.busy = true;
+    const video = this.video;
+    const width = Math.min(this.inputWidth, video.videoWidth);
+    const height = Math.round(width * video.videoHeight / video.videoWidth);
+    const frame = await createImageBitmap(video, { resizeWidth: width, resizeHeight: height, resizeQuality: 'low' });
+    if (!this.running || !this.worker) {
+      frame.close();
+      this.busy = false;
+      return;
+    }
+    this.frameCount++;
+    const hands = this.handsEnabled && this.frameCount % this.handsEvery === 0;
+    this.worker.postMessage({ type: 'frame', frame, captureTime, hands }, [frame]);
+  }
+
+  /**
+   * Results posted back by the worker for one frame
+   * @param {Object} msg - { captureTime, inferenceMs, poses, hands, mask }
+   */
+  onWorkerResults(msg) {
+    this.busy = false;
+    if (!this.running) {
+      if (msg.mask) msg.mask.close();
+      return;
+    }
+    this.recordInference(msg.inferenceMs);
+    this.recordLatency(msg.captureTime);
+
+    const previousMask = this.lastMask;
+    if (msg.mask) this.lastMask = msg.mask;
+    this.emitPose({ multiPoseLandmarks: msg.poses, segmentationMask: msg.mask });
+    if (msg.hands) this.emitHands(msg.hands);
+    if (msg.mask && previousMask) previousMask.close();
+  }
+}
+
+/**
+ * ml5 backend: bodyPose('BlazePose'), bodySegmentation and handPose
+ *
+ * ml5 reports pixels in the video element's size, so they are normalized here.
+ */
+class Ml5Tracker extends PoseTracker {
+  constructor(callbacks, options = {}) {
+    super(callbacks, options);
+    this.backend = 'ml5';
+    this.bodyPose = null;
+    this.bodySegmentation = null;
+    this.handPose = null;
+  }
+
+  async start() {
+    if (this.running) return;
+    this.setStatus('loading');
+    if (typeof ml5 === 'undefined') await loadScript(this.assets.ml5);
+    await this.openCamera();
+
+    if (!this.bodyPose) {
+      this.setStatus('loading');
+      this.bodyPose = ml5.bodyPose('BlazePose');
+      this.bodySegmentation = ml5.bodySegmentation('SelfieSegmentation', {
+        maskType: 'background', // Opaque where the person is
+        smoothSegmentation: true
+      });
+      if (this.options.hands !== false) this.handPose = ml5.handPose({ maxHands: 2 });
+      await Promise.all([this.bodyPose, this.bodySegmentation, this.handPose].filter(Boolean).map(m => m.ready));
+    }
+
+    this.running = true;
+    this.markReady();
+    this.bodyPose.detectStart(this.video, results => this.onBodyPose(results));
+    this.bodySegmentation.detectStart(this.video, result => {
+      if (result && result.mask) this.emitSegmentation({ segmentationMask: result.mask.canvas || result.mask });
+    });
+    if (this.handPose) this.handPose.detectStart(this.video, results => this.onHandPose(results));
+  }
+
+  stop() {
+    this.running = false;
+    for (const model of [this.bodyPose, this.bodySegmentation, this.handPose]) {
+      if (model) model.detectStop();
+    }
+    this.closeCamera();
+  }
+
+  /**
+   * Size ml5 measured the keypoints in (the element's width/height attributes when set)
+   */
+  inputSize() {
+    const video = this.video;
+    return { w: video.width || video.videoWidth || 1, h: video.height || video.videoHeight || 1 };
+  }
+
+  onBodyPose(results) {
+    const { w, h } = this.inputSize();
+    const multiPoseLandmarks = (results || []).map(pose => {
+      // Place keypoints by name so models with fewer points still line up
+      const landmarks = POSE_LANDMARK_NAMES.map(() => ({ x: 0, y: 0, z: 0, visibility: 0 }));
+      for (const kp of pose.keypoints) {
+        const i = POSE_LANDMARK_NAMES.indexOf(kp.name);
+        if (i === -1) continue;
+        landmarks[i] = { x: kp.x / w, y: kp.y / h, z: (kp.z || 0) / w, visibility: kp.confidence ?? 0 };
+      }
+      return landmarks;
+    });
+    this.emitPose({ multiPoseLandmarks });
+  }
+
+  onHandPose(results) {
+    if (!this.handsEnabled) return;
+    const { w, h } = this.inputSize();
+    const hands = results || [];
+    this.emitHands({
+      multiHandLandmarks: hands.map(hand => hand.keypoints.map(kp => ({ x: kp.x / w, y: kp.y / h, z: (kp.z || 0) / w }))),
+      multiHandedness: hands.map((hand, index) => ({ label: hand.handedness, score: hand.confidence, index }))
+    });
+  }
+}
+
+/**
+ * Recorded-session backend: replays a PoseRecorder file through the callbacks
+ *
+ * Extra options: file (File/Blob) or url (fetched), loop (default true)
+ */
+class RecordedTracker extends PoseTracker {
+  constructor(callbacks, options = {}) {
+    super(callbacks, options);
+    this.backend = 'recording';
+    this.player = new PosePlayer({
+      onPose: results => this.emitPose(results),
+      onHands: results => { if (this.handsEnabled) this.emitHands(results); },
+      onSegmentation: results => this.emitSegmentation(results)
+    });
+    this.player.loop = options.loop ?? true;
+  }
+
+  get frameWidth() {
+    return this.player.session ? this.player.session.video.width : 0;
+  }
+
+  get frameHeight() {
+    return this.player.session ? this.player.session.video.height : 0;
+  }
+
+  async start() {
+    if (this.running) return;
+    if (!this.player.session) {
+      this.setStatus('loading');
+      await this.player.load(await this.fetchSession());
+    }
+    this.player.play();
+    this.running = true;
+    this.markReady();
+  }
+
+  async fetchSession() {
+    if (this.options.file) return this.options.file;
+    if (!this.options.url) throw new Error('No recording given (use ?tracker=recording&session=<url>)');
+    const response = await fetch(this.options.url);
+    if (!response.ok) throw new Error(`Failed to fetch recording (${response.status})`);
+    return response.blob();
+  }
+
+  stop() {
+    this.player.stop();
+    this.running = false;
+  }
+
+  update() {
+    this.player.update();
+  }
+}
+
+const TRACKER_BACKENDS = {
+  mediapipe: MediaPipeTracker,
+  ml5: Ml5Tracker,
+  recording: RecordedTracker
+};
+
+/**
+ * Creates the tracker selected by ?tracker= (falling back to options.backend)
+ * @param {Object} callbacks - { onPose, onHands, onSegmentation, onReady }
+ * @param {Object} [options] - Backend options; backend = default backend name,
+ *   worker = false keeps MediaPipe on the main thread
+ * @returns {PoseTracker}
+ */
+function createPoseTracker(callbacks, options = {}) {
+  const params = new URLSearchParams(window.location.search);
+  const fallback = options.backend || 'mediapipe';
+  const requested = params.get('tracker') || fallback;
+  let backend = TRACKER_BACKENDS[requested] ? requested : fallback;
+  if (backend !== requested) console.warn(`[Tracker] Unknown tracker "${requested}", using ${backend}`);
+
+  // ml5 fetches its models from the internet; local / mirrored assets only carry MediaPipe's
+  const assets = options.assets || ASSET_SOURCE;
+  if (backend === 'ml5' && assets.name !== 'cdn') {
+    console.warn(`[Tracker] ml5 needs internet for its models, using MediaPipe with assets from ${assets.name}`);
+    backend = 'mediapipe';
+  }
+
+  const backendOptions = { ...options };
+  if (backend === 'recording' && !backendOptions.file && !backendOptions.url) {
+    backendOptions.url = params.get('session');
+  }
+
+  // MediaPipe runs off the main thread unless ?worker=0 / options.worker === false
+  let Backend = TRACKER_BACKENDS[backend];
+  const useWorker = params.has('worker') ? params.get('worker') !== '0' : options.worker ?? true;
+  if (backend === 'mediapipe' && useWorker) {
+    if (MediaPipeWorkerTracker.supported()) {
+      Backend = MediaPipeWorkerTracker;
+    } else {
+      console.warn('[Tracker] Module workers / OffscreenCanvas unavailable, tracking on the main thread');
+    }
+  }
+  return new Backend(callbacks, backendOptions);
+}
+
+let trackerMaskLayer = null; // Reused p5.Graphics for maskToImage
+
+/**
+ * Copies a tracker mask into a p5.Image (for p5's image.mask())
+ * @param {CanvasImageSource} mask - Tracker segmentation mask
+ * @param {number} width - Output width
+ * @param {number} height - Output height
+ * @returns {p5.Image}
+ */
+function maskToImage(mask, width, height) {
+  if (!trackerMaskLayer || trackerMaskLayer.width !== width || trackerMaskLayer.height !== height) {
+    trackerMaskLayer = createGraphics(width, height);
+    trackerMaskLayer.pixelDensity(1);
+  }
+  trackerMaskLayer.clear();
+  trackerMaskLayer.drawingContext.drawImage(mask, 0, 0, width, height);
+  return trackerMaskLayer.get();
+}
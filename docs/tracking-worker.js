@@ -0,0 +1,200 @@
+/* ================================================================================
+   TRACKING WORKER
+   MediaPipe Tasks inference off the main thread (MediaPipeWorkerTracker)
+
+   Messages in:
+     { type: 'init', options }        load the models (replies 'ready' or 'error')
+     { type: 'frame', frame, captureTime, hands }
+                                      run the models on an ImageBitmap (closed here)
+     { type: 'options', options }     change modelComplexity (reloads the pose model)
+
+   Messages out:
+     { type: 'ready', delegate }
+     { type: 'results', captureTime, inferenceMs, poses, hands, mask }
+       poses = multiPoseLandmarks, hands = MediaPipe Hands-style results or null,
+       mask = ImageBitmap (alpha = anyone in frame) or null, transferred
+     { type: 'error', phase, message }
+
+   Messages are handled one at a time, in order, so a model reload never
+   overlaps a frame.
+
+   Note: This file is started as a module worker by tracking-backends.js, not
+   loaded with a <script> tag
+   ================================================================================ */
+
+let vision = null;          // tasks-vision module
+let fileset = null;         // WASM fileset
+let settings = null;        // Options from 'init'
+let delegate = 'GPU';       // Falls back to CPU if the worker has no WebGL
+let poseLandmarker = null;
+let handLandmarker = null;
+let lastTimestamp = -1;     // VIDEO mode needs strictly increasing timestamps
+let maskCanvas = null;      // Merged segmentation mask
+let maskCtx = null;
+let maskImage = null;
+
+let queue = Promise.resolve();
+
+self.onmessage = (event) => {
+  const msg = event.data;
+  queue = queue.then(() => handleMessage(msg)).catch((err) => {
+    if (msg.frame) msg.frame.close();
+    self.postMessage({ type: 'error', phase: msg.type, message: err.message || String(err) });
+  });
+};
+
+/**
+ * Dispatches one message
+ * @param {Object} msg
+ */
+async function handleMessage(msg) {
+  if (msg.type === 'init') {
+    await init(msg.options);
+  } else if (msg.type === 'frame') {
+    processFrame(msg);
+  } else if (msg.type === 'options') {
+    await applyOptions(msg.options);
+  }
+}
+
+/**
+ * Loads tasks-vision and the models
+ * @param {Object} options - { visionBundle, wasmPath, poseModels, handModel, maxPeople, modelComplexity }
+ */
+async function init(options) {
+  settings = { ...options };
+  vision = await import(options.visionBundle);
+  fileset = await vision.FilesetResolver.forVisionTasks(options.wasmPath);
+  poseLandmarker = await createPoseLandmarker();
+  if (options.handModel) {
+    handLandmarker = await createTask(vision.HandLandmarker, options.handModel, {
+      numHands: 2,
+      minHandDetectionConfidence: 0.5,
+      minTrackingConfidence: 0.5
+    });
+  }
+  self.postMessage({ type: 'ready', delegate });
+}
+
+/**
+ * Creates a task in VIDEO mode, dropping to the CPU delegate if the GPU one fails
+ * @param {Function} TaskClass - e.g. vision.PoseLandmarker
+ * @param {string} modelPath - .task model URL
+ * @param {Object} taskOptions - Task-specific options
+ * @returns {Promise<Object>}
+ */
+async function createTask(TaskClass, modelPath, taskOptions) {
+  try {
+    return await TaskClass.createFromOptions(fileset, {
+      baseOptions: { modelAssetPath: modelPath, delegate },
+      runningMode: 'VIDEO',
+      ...taskOptions
+    });
+  } catch (err) {
+    if (delegate !== 'GPU') throw err;
+    console.warn('[TrackerWorker] GPU delegate unavailable, using CPU:', err.message || err);
+    delegate = 'CPU';
+    return createTask(TaskClass, modelPath, taskOptions);
+  }
+}
+
+/**
+ * PoseLandmarker for the current model complexity, with segmentation masks
+ * @returns {Promise<Object>}
+ */
+function createPoseLandmarker() {
+  const models = settings.poseModels;
+  const model = models[Math.min(Math.max(settings.modelComplexity ?? 1, 0), models.length - 1)];
+  return createTask(vision.PoseLandmarker, model, {
+    numPoses: settings.maxPeople ?? 1,
+    minPoseDetectionConfidence: 0.5,
+    minPosePresenceConfidence: 0.5,
+    minTrackingConfidence: 0.5,
+    outputSegmentationMasks: true
+  });
+}
+
+/**
+ * Applies changed options (only modelComplexity for now)
+ * @param {Object} options
+ */
+async function applyOptions(options) {
+  if (options.modelComplexity === undefined || options.modelComplexity === settings.modelComplexity) return;
+  settings.modelComplexity = options.modelComplexity;
+  if (!poseLandmarker) return; // Picked up by init
+  const previous = poseLandmarker;
+  poseLandmarker = await createPoseLandmarker();
+  previous.close();
+}
+
+/**
+ * Runs the models on one frame and posts the results
+ * @param {Object} msg - { frame: ImageBitmap, captureTime, hands }
+ */
+function processFrame(msg) {
+  const { frame, captureTime } = msg;
+  if (!poseLandmarker) {
+    frame.close();
+    throw new Error('Frame received before the models were loaded');
+  }
+  const started = performance.now();
+  const timestamp = Math.max(Math.round(captureTime), lastTimestamp + 1);
+  lastTimestamp = timestamp;
+
+  const pose = poseLandmarker.detectForVideo(frame, timestamp);
+  const poses = pose.landmarks || [];
+  const mask = pose.segmentationMasks && pose.segmentationMasks.length
+    ? mergeMasks(pose.segmentationMasks)
+    : null;
+  if (pose.close) pose.close();
+
+  let hands = null;
+  if (msg.hands && handLandmarker) {
+    const result = handLandmarker.detectForVideo(frame, timestamp);
+    hands = {
+      multiHandLandmarks: result.landmarks || [],
+      multiHandedness: (result.handedness || []).map((categories, index) => ({
+        label: categories[0].categoryName,
+        score: categories[0].score,
+        index
+      }))
+    };
+  }
+  frame.close();
+
+  self.postMessage({
+    type: 'results',
+    captureTime,
+    inferenceMs: performance.now() - started,
+    poses,
+    hands,
+    mask
+  }, mask ? [mask] : []);
+}
+
+/**
+ * Merges per-person confidence masks into one white image whose alpha is the
+ * highest confidence at each pixel
+ * @param {Array<Object>} masks - MPMask per detected person
+ * @returns {ImageBitmap}
+ */
+function mergeMasks(masks) {
+  const w = masks[0].width, h = masks[0].height;
+  if (!maskCanvas || maskCanvas.width !== w || maskCanvas.height !== h) {
+    maskCanvas = new OffscreenCanvas(w, h);
+    maskCtx = maskCanvas.getContext('2d');
+    maskImage = maskCtx.createImageData(w, h);
+    maskImage.data.fill(255);
+  }
+
+  const px = maskImage.data;
+  masks.forEach((mask, m) => {
+    const values = mask.getAsFloat32Array();
+    for (let i = 0; i < values.length; i++) {
+      const a = values[i] * 255;
+      if (m === 0 || a > px[i * 4 + 3]) px[i * 4 + 3] = a;
+    }
+  });
+  maskCtx.putImageData(maskImage, 0, 0);
+  return maskCanvas.transferToImageBitmap();
+}
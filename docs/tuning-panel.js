@@ -0,0 +1,285 @@
+/* ================================================================================
+   RUNTIME TUNING PANEL MODULE
+   Plain DOM control panel (no CDN dependency) for live-editing sketch constants
+
+   The sketch describes each tunable value with a getter/setter, so the panel never
+   needs to know where a value lives (config object, global, filter instances...).
+   Named presets are stored in localStorage and can be exported/imported as JSON.
+
+   Note: This file should be loaded BEFORE interactions_mediapipe.js in the HTML
+   ================================================================================ */
+
+const TUNING_STORAGE_KEY = 'smoke-and-mirrors.presets';
+
+/**
+ * Live control panel for numeric parameters
+ *
+ * Each param: { key, group, label, min, max, step, get: () => number, set: (v) => void }
+ *
+ * Usage:
+ *   const panel = new TuningPanel(params, { presets: { smoky: {...} } });
+ *   panel.toggle();
+ *
+ * Enhancement suggestions:
+ * - Add boolean/color parameter types
+ * - MIDI controller mapping for hands-free tuning during a show
+ */
+class TuningPanel {
+  /**
+   * @param {Array<Object>} params - Parameter descriptors (see class doc)
+   * @param {Object} options
+   * @param {Object} [options.presets] - Built-in presets: { name: { paramKey: value } }
+   */
+  constructor(params, options = {}) {
+    this.params = params;
+    this.builtInPresets = options.presets || {};
+    this.defaults = this.snapshot(); // Values at construction time = "reset to defaults"
+    this.inputs = {};                // key -> { range, readout }
+    this.root = this.build();
+    this.visible = false;
+  }
+
+  /**
+   * Current values of every parameter
+   * @returns {Object} { paramKey: value }
+   */
+  snapshot() {
+    const values = {};
+    for (const p of this.params) values[p.key] = p.get();
+    return values;
+  }
+
+  /**
+   * Applies a set of values (unknown keys are ignored, missing keys untouched)
+   * @param {Object} values - { paramKey: value }
+   */
+  apply(values) {
+    for (const p of this.params) {
+      if (typeof values[p.key] !== 'number' || !isFinite(values[p.key])) continue;
+      p.set(Math.min(p.max, Math.max(p.min, values[p.key])));
+    }
+    this.refresh();
+  }
+
+  resetToDefaults() {
+    this.apply(this.defaults);
+  }
+
+  /* ---------- Presets ---------- */
+
+  /**
+   * User presets saved in localStorage
+   * @returns {Object} { name: values }
+   */
+  loadUserPresets() {
+    try {
+      return JSON.parse(localStorage.getItem(TUNING_STORAGE_KEY)) || {};
+    } catch (err) {
+      console.warn('[Tuning] Ignoring invalid saved presets:', err);
+      return {};
+    }
+  }
+
+  saveUserPresets(presets) {
+    try {
+      localStorage.setItem(TUNING_STORAGE_KEY, JSON.stringify(presets));
+    } catch (err) {
+      console.warn('[Tuning] Could not save presets:', err);
+    }
+  }
+
+  /**
+   * All presets, user presets overriding built-ins of the same name
+   */
+  allPresets() {
+    return { ...this.builtInPresets, ...this.loadUserPresets() };
+  }
+
+  savePreset(name) {
+    const presets = this.loadUserPresets();
+    presets[name] = this.snapshot();
+    this.saveUserPresets(presets);
+    this.refreshPresetList(name);
+  }
+
+  loadPreset(name) {
+    const preset = this.allPresets()[name];
+    if (preset) this.apply(preset);
+  }
+
+  deletePreset(name) {
+    const presets = this.loadUserPresets();
+    delete presets[name];
+    this.saveUserPresets(presets);
+    this.refreshPresetList();
+  }
+
+  /**
+   * Downloads the current values as a JSON preset file
+   * @param {string} name - Preset name stored in the file
+   */
+  exportPreset(name) {
+    const data = { name, values: this.snapshot() };
+    const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+    const a = document.createElement('a');
+    a.href = URL.createObjectURL(blob);
+    a.download = `${name || 'preset'}.json`;
+    a.click();
+    setTimeout(() => URL.revokeObjectURL(a.href), 1000);
+  }
+
+  /**
+   * Opens a file picker, applies the chosen JSON preset and saves it under its name
+   */
+  importPreset() {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json,.json';
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      if (!file) return;
+      file.text().then(text => {
+        const data = JSON.parse(text);
+        const values = data.values || data;
+        const name = data.name || file.name.replace(/\.json$/i, '');
+        this.apply(values);
+        this.savePreset(name);
+      }).catch(err => {
+        console.error('[Tuning] Failed to import preset:', err);
+      });
+    });
+    input.click();
+  }
+
+  /* ---------- DOM ---------- */
+
+  /**
+   * Builds the panel DOM (hidden until toggled)
+   * @returns {HTMLElement}
+   */
+  build() {
+    const root = document.createElement('div');
+    root.style.cssText = `
+      position: fixed;
+      top: 10px;
+      right: 10px;
+      width: 300px;
+      max-height: calc(100vh - 20px);
+      overflow-y: auto;
+      background: rgba(10, 10, 20, 0.9);
+      color: #eee;
+      font-family: Arial, sans-serif;
+      font-size: 12px;
+      padding: 10px 12px;
+      border-radius: 8px;
+      z-index: 10000;
+      display: none;
+    `;
+    // Keep typing/keys inside the panel from reaching the sketch's keyPressed
+    root.addEventListener('keydown', e => e.stopPropagation());
+
+    // --- Preset controls ---
+    const presetRow = document.createElement('div');
+    presetRow.style.cssText = 'display: flex; gap: 4px; margin-bottom: 6px;';
+    this.presetSelect = document.createElement('select');
+    this.presetSelect.style.flex = '1';
+    this.presetSelect.addEventListener('change', () => this.loadPreset(this.presetSelect.value));
+    presetRow.appendChild(this.presetSelect);
+    root.appendChild(presetRow);
+
+    const buttonRow = document.createElement('div');
+    buttonRow.style.cssText = 'display: flex; flex-wrap: wrap; gap: 4px; margin-bottom: 8px;';
+    const addButton = (label, onClick) => {
+      const b = document.createElement('button');
+      b.textContent = label;
+      b.addEventListener('click', onClick);
+      buttonRow.appendChild(b);
+    };
+    addButton('Save as…', () => {
+      const name = prompt('Preset name:', this.presetSelect.value || '');
+      if (name) this.savePreset(name);
+    });
+    addButton('Delete', () => {
+      if (this.loadUserPresets()[this.presetSelect.value]) this.deletePreset(this.presetSelect.value);
+    });
+    addButton('Export', () => this.exportPreset(this.presetSelect.value));
+    addButton('Import', () => this.importPreset());
+    addButton('Reset defaults', () => this.resetToDefaults());
+    root.appendChild(buttonRow);
+
+    // --- Sliders, grouped ---
+    let currentGroup = null;
+    for (const p of this.params) {
+      if (p.group !== currentGroup) {
+        currentGroup = p.group;
+        const heading = document.createElement('div');
+        heading.textContent = currentGroup;
+        heading.style.cssText = 'font-weight: bold; margin: 8px 0 4px; color: #9cf;';
+        root.appendChild(heading);
+      }
+
+      const row = document.createElement('label');
+      row.style.cssText = 'display: grid; grid-template-columns: 110px 1fr 52px; align-items: center; gap: 4px;';
+      const name = document.createElement('span');
+      name.textContent = p.label || p.key;
+      const range = document.createElement('input');
+      range.type = 'range';
+      range.min = p.min;
+      range.max = p.max;
+      range.step = p.step;
+      const readout = document.createElement('span');
+      readout.style.textAlign = 'right';
+      range.addEventListener('input', () => {
+        p.set(parseFloat(range.value));
+        readout.textContent = this.format(p, p.get());
+      });
+      row.append(name, range, readout);
+      root.appendChild(row);
+      this.inputs[p.key] = { range, readout };
+    }
+
+    document.body.appendChild(root);
+    this.refreshPresetList();
+    this.refresh();
+    return root;
+  }
+
+  format(p, value) {
+    const decimals = Math.max(0, -Math.floor(Math.log10(p.step)));
+    return value.toFixed(decimals);
+  }
+
+  /**
+   * Syncs slider positions/readouts with the current parameter values
+   */
+  refresh() {
+    for (const p of this.params) {
+      const input = this.inputs[p.key];
+      if (!input) continue;
+      input.range.value = p.get();
+      input.readout.textContent = this.format(p, p.get());
+    }
+  }
+
+  refreshPresetList(selected) {
+    const names = Object.keys(this.allPresets());
+    this.presetSelect.innerHTML = '';
+    const placeholder = document.createElement('option');
+    placeholder.value = '';
+    placeholder.textContent = '— presets —';
+    this.presetSelect.appendChild(placeholder);
+    for (const name of names) {
+      const opt = document.createElement('option');
+      opt.value = name;
+      opt.textContent = name;
+      this.presetSelect.appendChild(opt);
+    }
+    this.presetSelect.value = selected || '';
+  }
+
+  toggle() {
+    this.visible = !this.visible;
+    this.root.style.display = this.visible ? 'block' : 'none';
+    if (this.visible) this.refresh();
+  }
+}